@@ -22,12 +22,23 @@ import { Server } from 'socket.io';
 import winston from 'winston';
 
 // Import routes
-import webhookRoutes from './routes/webhook.js';
+import webhookRoutes, { profileRoutes as webhookProfileRoutes } from './routes/webhook.js';
 import tradingRoutes from './routes/trading.js';
 import accountRoutes from './routes/account.js';
 import systemRoutes, { setWebhookRelayService } from './routes/system.js';
 import activityRoutes from './routes/activity.js';
 import positionSizingRoutes from './routes/positionSizing.js';
+import strategyRoutes from './routes/strategies.js';
+import signalRoutes from './routes/signals.js';
+import accountGroupRoutes from './routes/accountGroups.js';
+import scheduleRoutes from './routes/schedule.js';
+import guardRoutes from './routes/guard.js';
+import calendarRoutes from './routes/calendar.js';
+import tradeRoutes from './routes/trades.js';
+import journalRoutes from './routes/journal.js';
+import analyticsRoutes from './routes/analytics.js';
+import balanceHistoryRoutes from './routes/balanceHistory.js';
+import reportRoutes from './routes/reports.js';
 
 // Import services
 import WebhookRelayService from './services/webhookRelay.js';
@@ -35,6 +46,18 @@ import TradovateDataCollector from './services/tradovateDataCollector.js';
 import database from './services/database.js';
 import crashLogger from './services/crashLogger.js';
 import positionMonitor from './services/positionMonitor.js';
+import marketDataFeed from './services/marketDataFeed.js';
+import signalQueue from './services/signalQueue.js';
+import sessionScheduler from './services/sessionScheduler.js';
+import accountGuard from './services/accountGuard.js';
+import circuitBreaker from './services/circuitBreaker.js';
+import tradingCalendar from './services/tradingCalendar.js';
+import tradeLedger from './services/tradeLedger.js';
+import tradeJournal from './services/tradeJournal.js';
+import balanceHistory from './services/balanceHistory.js';
+import excursionTracker from './services/excursionTracker.js';
+import dailyReport from './services/dailyReport.js';
+import latencyTracker from './services/latencyTracker.js';
 
 // Initialize logger with filtered HTTP logging
 const logger = winston.createLogger({
@@ -80,8 +103,14 @@ const io = new Server(server, {
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
+// Keep the raw request body for webhook signature verification
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
+app.use(express.urlencoded({ extended: true, verify: captureRawBody }));
+// TradingView sends non-JSON alert messages as text/plain
+app.use(express.text({ type: 'text/plain', limit: '1mb', verify: captureRawBody }));
 
 // Request tracking middleware for crash analysis
 app.use((req, res, next) => {
@@ -98,11 +127,23 @@ app.use((req, res, next) => {
 
 // Routes
 app.use('/webhook', webhookRoutes);
+app.use('/webhook', webhookProfileRoutes);
 app.use('/api/trading', tradingRoutes);
 app.use('/api/account', accountRoutes);
 app.use('/api/system', systemRoutes);
 app.use('/api/activity', activityRoutes);
 app.use('/api/position-sizing', positionSizingRoutes);
+app.use('/api/strategies', strategyRoutes);
+app.use('/api/signals', signalRoutes);
+app.use('/api/account-groups', accountGroupRoutes);
+app.use('/api/schedule', scheduleRoutes);
+app.use('/api/guard', guardRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/trades', tradeRoutes);
+app.use('/api/journal', journalRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/balance-history', balanceHistoryRoutes);
+app.use('/api/reports', reportRoutes);
 
 // Legacy autotrader route - direct compatibility with C# application
 // This allows /autotrader directly (not /webhook/autotrader)
@@ -200,6 +241,7 @@ webhookRelay.on('urlDetected', (url) => {
 
 webhookRelay.on('exit', (info) => {
   logger.warn(`Webhook relay exited: code ${info.code}`);
+  database.logActivity('relay', `Webhook relay exited (code: ${info.code})`, info, 'warning');
   if (global.io) {
     global.io.emit('relay_exited', { ...info, timestamp: new Date().toISOString() });
   }
@@ -229,6 +271,60 @@ tradovateDataCollector.on('initialized', (info) => {
 });
 
 tradovateDataCollector.on('data_updated', (data) => {
+  // Daily loss limits, profit targets and trailing drawdown are checked on every balance snapshot
+  if (data.dataType === 'balance') {
+    const account = tradovateDataCollector.accounts.find(item => item.id === data.accountId);
+    try {
+      accountGuard.handleBalance(data.accountId, data.data, { accountName: account?.name });
+    } catch (error) {
+      logger.error(`Failed to evaluate account guard: ${error.message}`);
+    }
+
+    // Keep every balance poll for equity curves (the data cache only holds the latest)
+    try {
+      balanceHistory.record(data.accountId, data.data, { accountName: account?.name });
+    } catch (error) {
+      logger.error(`Failed to record balance history: ${error.message}`);
+    }
+  }
+
+  // Match order fills to the signals that placed them
+  if (data.dataType === 'orders') {
+    latencyTracker.recordFills(data.accountId, data.data).catch(error =>
+      logger.error(`Failed to record fill latency: ${error.message}`)
+    );
+
+    // Follow stored orders through their lifecycle (working, partial fills, fills, cancels)
+    tradeLedger.handleOrderUpdates(data.accountId, data.data).catch(error =>
+      logger.error(`Failed to update trade lifecycle: ${error.message}`)
+    );
+
+    // Match the fills of finished orders into round trips for the journal
+    const account = tradovateDataCollector.accounts.find(item => item.id === data.accountId);
+    tradeJournal.handleOrderUpdates(data.accountId, data.data, { accountName: account?.name }).catch(error =>
+      logger.error(`Failed to update trade journal: ${error.message}`)
+    );
+
+    // Resize shared stops as multi-target brackets hit their targets
+    positionMonitor.handleOrderUpdates(data.accountId, data.data).catch(error =>
+      logger.error(`Failed to process bracket order updates: ${error.message}`)
+    );
+  }
+
+  // Settle strategy round trips for the loss-streak and large-loss circuit breakers
+  if (data.dataType === 'positions') {
+    circuitBreaker.handlePositions(data.accountId, data.data).catch(error =>
+      logger.error(`Failed to settle strategy trades: ${error.message}`)
+    );
+
+    // Best/worst prices of open round trips from the broker's open P&L, alongside the quote feed
+    try {
+      excursionTracker.handlePositions(data.accountId, data.data);
+    } catch (error) {
+      logger.error(`Failed to update trade excursions: ${error.message}`);
+    }
+  }
+
   // Forward real-time data updates to connected clients
   if (global.io) {
     global.io.to(`account_${data.accountId}`).emit('account_data_updated', data);
@@ -316,21 +412,60 @@ async function startupSequence() {
 
     // Step 4: Initialize Position Monitor (Depends on data collector)
     global.startupStatus.currentStep = 'Starting position monitor';
+    logger.info('♻️ Step 4a: Restoring monitored positions...');
+    const monitorState = await positionMonitor.restore();
+    logger.info(`✅ Monitored positions restored (${monitorState.restored} restored, ${monitorState.orphaned} orphaned)`);
     if (!positionMonitor.isRunning) {
       logger.info('📊 Step 4: Starting position monitor...');
       positionMonitor.start();
       logger.info('✅ Position monitor started');
     }
 
-    // Step 5: Initialize Webhook Relay (Can be last)
+    // Step 4b: Economic-event blackouts gate entries, including resumed signals
+    logger.info('📅 Step 4b: Loading blackout calendar...');
+    try {
+      const blackouts = tradingCalendar.loadBlackouts();
+      logger.info(`✅ Blackout calendar loaded (${blackouts.count} events)`);
+    } catch (error) {
+      logger.error(`❌ Failed to load blackout calendar: ${error.message}`);
+      database.logActivity('error', `Failed to load blackout calendar: ${error.message}`, null, 'error');
+    }
+
+    // Step 5: Resume queued signals left over from the previous run (Depends on Tradovate connection)
+    global.startupStatus.currentStep = 'Resuming signal queue';
+    logger.info('📥 Step 5: Resuming signal queue...');
+    const queueState = signalQueue.resume();
+    logger.info(`✅ Signal queue resumed (${queueState.pending} pending, ${queueState.interrupted} interrupted)`);
+
+    // Step 5a: Session-end flatten and max-hold exits (queue their CLOSE signals)
+    logger.info('🕒 Step 5a: Starting session scheduler...');
+    sessionScheduler.start();
+    logger.info(`✅ Session scheduler started (${database.getSessionRules().length} rules)`);
+
+    // Step 5b: Balance history retention (minute/hour/day equity samples)
+    logger.info('📈 Step 5b: Starting balance history retention...');
+    balanceHistory.start();
+    logger.info('✅ Balance history retention started');
+
+    // Step 5c: MAE/MFE tracking for open round trips (subscribes their quotes)
+    logger.info('📐 Step 5c: Starting excursion tracking...');
+    excursionTracker.start();
+    logger.info('✅ Excursion tracking started');
+
+    // Step 5d: End-of-day reports (written once each session has ended)
+    logger.info('🗒️ Step 5d: Starting daily report job...');
+    dailyReport.start();
+    logger.info('✅ Daily report job started');
+
+    // Step 6: Initialize Webhook Relay (Can be last)
     global.startupStatus.currentStep = 'Initializing webhook relay';
-    logger.info('🔗 Step 5: Initializing webhook relay...');
+    logger.info('🔗 Step 6: Initializing webhook relay...');
     await webhookRelay.initialize();
     logger.info('✅ Webhook relay initialized');
 
-    // Step 6: Log successful startup to database
+    // Step 7: Log successful startup to database
     global.startupStatus.currentStep = 'Finalizing startup';
-    logger.info('📝 Step 6: Logging startup to database...');
+    logger.info('📝 Step 7: Logging startup to database...');
     database.logActivity('system', 'Slingshot backend startup completed', {
       port: PORT,
       environment: process.env.NODE_ENV || 'development',
@@ -338,9 +473,9 @@ async function startupSequence() {
       startupTime: new Date().toISOString()
     });
 
-    // Step 7: Start the HTTP server (Only after everything is ready)
+    // Step 8: Start the HTTP server (Only after everything is ready)
     global.startupStatus.currentStep = 'Starting HTTP server';
-    logger.info('🚀 Step 7: Starting HTTP server...');
+    logger.info('🚀 Step 8: Starting HTTP server...');
     server.listen(PORT, () => {
       global.startupStatus.isComplete = true;
       global.startupStatus.currentStep = 'Ready';
@@ -433,9 +568,21 @@ process.on('SIGINT', () => {
     tradovateDataCollector.stop();
   }
 
+  // Stop taking new work from the signal queue (pending signals resume on next start)
+  signalQueue.stop();
+  sessionScheduler.stop();
+  balanceHistory.stop();
+  excursionTracker.stop();
+  dailyReport.stop();
+
+  // Stop trailing and close the market data socket
+  positionMonitor.stop();
+  marketDataFeed.disconnect();
+
   // Stop webhook relay
   if (webhookRelay) {
     logger.info('Stopping webhook relay...');
+    database.logActivity('relay', 'Webhook relay stopped (backend shutdown)');
     webhookRelay.dispose();
   }
 
@@ -0,0 +1,173 @@
+import express from 'express';
+import winston from 'winston';
+import database from '../services/database.js';
+import accountGroups from '../services/accountGroups.js';
+
+const router = express.Router();
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [ACCOUNT-GROUPS-API-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+/**
+ * List account groups
+ */
+router.get('/', (req, res) => {
+  try {
+    const groups = database.getAccountGroups();
+    res.json({
+      success: true,
+      groups,
+      count: groups.length
+    });
+  } catch (error) {
+    logger.error(`Failed to list account groups: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get an account group
+ */
+router.get('/:name', (req, res) => {
+  try {
+    const group = database.getAccountGroup(req.params.name);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        error: `Account group not found: ${req.params.name}`
+      });
+    }
+
+    res.json({
+      success: true,
+      group
+    });
+  } catch (error) {
+    logger.error(`Failed to get account group: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Create an account group
+ */
+router.post('/', (req, res) => {
+  try {
+    let group;
+    try {
+      group = accountGroups.validate(req.body || {});
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (database.getAccountGroup(group.name)) {
+      return res.status(409).json({
+        success: false,
+        error: `Account group already exists: ${group.name}`
+      });
+    }
+
+    const saved = database.saveAccountGroup(group);
+    database.logActivity('system', `Account group created: ${saved.name} (${saved.members.length} accounts)`, saved, 'info');
+    logger.info(`Account group created: ${saved.name}`);
+
+    res.status(201).json({
+      success: true,
+      group: saved
+    });
+  } catch (error) {
+    logger.error(`Failed to create account group: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Update an account group (omitted fields keep their current values)
+ */
+router.put('/:name', (req, res) => {
+  try {
+    const existing = database.getAccountGroup(req.params.name);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: `Account group not found: ${req.params.name}`
+      });
+    }
+
+    let group;
+    try {
+      group = accountGroups.validate(req.body || {}, existing);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const saved = database.saveAccountGroup(group);
+    database.logActivity('system', `Account group updated: ${saved.name}`, saved, 'info');
+    logger.info(`Account group updated: ${saved.name}`);
+
+    res.json({
+      success: true,
+      group: saved
+    });
+  } catch (error) {
+    logger.error(`Failed to update account group: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Delete an account group
+ */
+router.delete('/:name', (req, res) => {
+  try {
+    const deleted = database.deleteAccountGroup(req.params.name);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: `Account group not found: ${req.params.name}`
+      });
+    }
+
+    database.logActivity('system', `Account group deleted: ${req.params.name}`, { name: req.params.name }, 'info');
+    logger.info(`Account group deleted: ${req.params.name}`);
+
+    res.json({
+      success: true,
+      message: `Account group ${req.params.name} deleted`
+    });
+  } catch (error) {
+    logger.error(`Failed to delete account group: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -1,5 +1,7 @@
 import express from 'express';
 import database from '../services/database.js';
+import webhookAuth from '../services/webhookAuth.js';
+import latencyTracker from '../services/latencyTracker.js';
 
 const router = express.Router();
 
@@ -30,14 +32,38 @@ router.get('/recent', (req, res) => {
 });
 
 /**
- * Get webhook statistics
+ * Get webhook statistics and signal latency percentiles
  */
 router.get('/stats', (req, res) => {
   try {
+    const { latencySamples = 500 } = req.query;
     const stats = database.getWebhookStats();
     res.json({
       success: true,
-      stats
+      stats,
+      latency: latencyTracker.getLatencyStats(parseInt(latencySamples))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get unauthenticated webhook attempt counters and recent rejections
+ */
+router.get('/auth-failures', (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+    const recent = database.getRecentActivityByType('auth_failure', parseInt(limit));
+
+    res.json({
+      success: true,
+      stats: webhookAuth.getFailureStats(),
+      recent,
+      count: recent.length
     });
   } catch (error) {
     res.status(500).json({
@@ -56,6 +82,10 @@ router.get('/types', (req, res) => {
     types: [
       { value: 'all', label: 'All Activity', icon: '📊' },
       { value: 'webhook', label: 'Trading Signals', icon: '📨' },
+      { value: 'duplicate', label: 'Duplicate Signals', icon: '🔁' },
+      { value: 'auth_failure', label: 'Auth Failures', icon: '🔒' },
+      { value: 'strategy', label: 'Strategy Decisions', icon: '🧭' },
+      { value: 'risk', label: 'Risk Rejections', icon: '🚫' },
       { value: 'relay', label: 'Relay Status', icon: '🔗' },
       { value: 'system', label: 'System Events', icon: '⚙️' },
       { value: 'trade', label: 'Trade Executions', icon: '💰' },
@@ -0,0 +1,155 @@
+import express from 'express';
+import winston from 'winston';
+import tradeJournal from '../services/tradeJournal.js';
+import performanceAnalytics from '../services/performanceAnalytics.js';
+import excursionTracker from '../services/excursionTracker.js';
+import executionQuality from '../services/executionQuality.js';
+import tradeLedger from '../services/tradeLedger.js';
+
+const router = express.Router();
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [ANALYTICS-API-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+/**
+ * Closed round trips only, filtered like the journal (?from=&to=&account=&symbol=&strategy=&side=)
+ */
+function parseFilters(query) {
+  return { ...tradeJournal.parseFilters({ ...query, status: null }), status: 'closed' };
+}
+
+/**
+ * Serve an analytics view, answering 400 for bad filters
+ */
+function handle(name, compute) {
+  return (req, res) => {
+    try {
+      let filters;
+      try {
+        filters = parseFilters(req.query);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      res.json({
+        success: true,
+        filters,
+        ...compute(filters, req)
+      });
+    } catch (error) {
+      logger.error(`Failed to get ${name} analytics: ${error.message}`);
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  };
+}
+
+/**
+ * Win rate, expectancy, profit factor, Sharpe/Sortino, max drawdown, streaks and average R
+ */
+router.get('/summary', handle('summary', filters => ({
+  summary: performanceAnalytics.getSummary(filters)
+})));
+
+/**
+ * The same stats per group (?by=account|strategy|symbol|side|day)
+ */
+router.get('/breakdown', (req, res) => {
+  try {
+    const by = req.query.by || 'strategy';
+    let filters;
+    try {
+      if (!performanceAnalytics.breakdownKeys.includes(by)) {
+        throw new Error(`by must be one of: ${performanceAnalytics.breakdownKeys.join(', ')}`);
+      }
+      filters = parseFilters(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      filters,
+      by,
+      ...performanceAnalytics.getBreakdown(filters, by)
+    });
+  } catch (error) {
+    logger.error(`Failed to get breakdown analytics: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Cumulative net P&L per closed round trip with drawdown from the running peak
+ */
+router.get('/equity', handle('equity', filters => performanceAnalytics.getEquityCurve(filters)));
+
+/**
+ * Net P&L per session date with Sharpe and Sortino
+ */
+router.get('/daily', handle('daily', filters => performanceAnalytics.getDaily(filters)));
+
+/**
+ * R-multiple histogram for round trips with a known initial stop
+ */
+router.get('/r-multiples', handle('r-multiples', filters => performanceAnalytics.getRMultiples(filters)));
+
+/**
+ * MAE/MFE vs final P&L per strategy, plus the live excursions of open round trips
+ */
+router.get('/excursions', handle('excursions', filters => ({
+  ...performanceAnalytics.getExcursions(filters),
+  open: excursionTracker.getOpen()
+})));
+
+/**
+ * Slippage vs signal price and quote, and submission-to-fill latency, by strategy, symbol,
+ * hour of day and order type (?from=&to=&account=&symbol=&strategy=)
+ */
+router.get('/execution', (req, res) => {
+  try {
+    let filters;
+    try {
+      const { from, to, account, symbol, rootSymbol, strategy } = tradeLedger.parseFilters({ ...req.query, status: null });
+      filters = { from, to, account, symbol, rootSymbol, strategy };
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      filters,
+      ...executionQuality.getReport(filters)
+    });
+  } catch (error) {
+    logger.error(`Failed to get execution analytics: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
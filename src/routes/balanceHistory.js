@@ -0,0 +1,81 @@
+import express from 'express';
+import winston from 'winston';
+import balanceHistory from '../services/balanceHistory.js';
+import tradingCalendar from '../services/tradingCalendar.js';
+
+const router = express.Router();
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [BALANCE-HISTORY-API-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+/**
+ * Equity curves (?accounts=id,name&resolution=auto|minute|5m|15m|hour|day&from=&to=)
+ * Every account with history is returned when accounts is omitted.
+ */
+router.get('/', (req, res) => {
+  try {
+    let query;
+    try {
+      const resolution = req.query.resolution || 'auto';
+      if (resolution !== 'auto' && !balanceHistory.resolutions.includes(resolution)) {
+        throw new Error(`resolution must be one of: auto, ${balanceHistory.resolutions.join(', ')}`);
+      }
+
+      query = {
+        accounts: String(req.query.accounts || req.query.account || '').split(',').map(item => item.trim()).filter(Boolean),
+        resolution,
+        from: req.query.from ? tradingCalendar.parseDateBoundary(req.query.from, 'from').toISOString() : null,
+        to: req.query.to ? tradingCalendar.parseDateBoundary(req.query.to, 'to').toISOString() : null
+      };
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const result = balanceHistory.getCurves(query);
+    res.json({
+      success: true,
+      from: query.from,
+      to: query.to,
+      ...result,
+      count: result.accounts.length
+    });
+  } catch (error) {
+    logger.error(`Failed to get balance history: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Apply the retention rules now
+ */
+router.post('/prune', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      removed: balanceHistory.prune(),
+      retentionDays: balanceHistory.retentionDays
+    });
+  } catch (error) {
+    logger.error(`Failed to prune balance history: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,236 @@
+import express from 'express';
+import winston from 'winston';
+import database from '../services/database.js';
+import tradingCalendar from '../services/tradingCalendar.js';
+import strategyRegistry from '../services/strategyRegistry.js';
+
+const router = express.Router();
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [CALENDAR-API-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+/**
+ * Whether an entry would be allowed now (?strategy=&symbol=)
+ */
+router.get('/check', (req, res) => {
+  try {
+    const strategy = req.query.strategy ? database.getStrategy(req.query.strategy) : null;
+    if (req.query.strategy && !strategy) {
+      return res.status(404).json({
+        success: false,
+        error: `Strategy not found: ${req.query.strategy}`
+      });
+    }
+
+    const symbol = req.query.symbol ? strategyRegistry.rootSymbol(req.query.symbol) : null;
+    res.json({
+      success: true,
+      strategy: strategy?.name || null,
+      symbol,
+      ...tradingCalendar.checkEntry({ strategy, symbol }),
+      session: tradingCalendar.getSessionDate(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Failed to check trading calendar: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * List trading windows
+ */
+router.get('/windows', (req, res) => {
+  try {
+    const windows = database.getTradingWindows();
+    res.json({
+      success: true,
+      windows,
+      count: windows.length
+    });
+  } catch (error) {
+    logger.error(`Failed to list trading windows: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Create a trading window
+ */
+router.post('/windows', (req, res) => {
+  try {
+    let window;
+    try {
+      window = tradingCalendar.validateWindow(req.body || {});
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (database.getTradingWindowByName(window.name)) {
+      return res.status(409).json({
+        success: false,
+        error: `Trading window already exists: ${window.name}`
+      });
+    }
+
+    const saved = database.saveTradingWindow(window);
+    database.logActivity('system', `Trading window created: ${saved.name} (${saved.days.join('/')} ${saved.start}-${saved.end} ${saved.timezone})`, saved, 'info');
+    logger.info(`Trading window created: ${saved.name}`);
+
+    res.status(201).json({
+      success: true,
+      window: saved
+    });
+  } catch (error) {
+    logger.error(`Failed to create trading window: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Update a trading window (omitted fields keep their current values)
+ */
+router.put('/windows/:id', (req, res) => {
+  try {
+    const existing = database.getTradingWindow(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: `Trading window not found: ${req.params.id}`
+      });
+    }
+
+    let window;
+    try {
+      window = tradingCalendar.validateWindow(req.body || {}, existing);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const duplicate = database.getTradingWindowByName(window.name);
+    if (duplicate && duplicate.id !== existing.id) {
+      return res.status(409).json({
+        success: false,
+        error: `Trading window already exists: ${window.name}`
+      });
+    }
+
+    const saved = database.saveTradingWindow(window);
+    database.logActivity('system', `Trading window updated: ${saved.name}`, saved, 'info');
+    logger.info(`Trading window updated: ${saved.name}`);
+
+    res.json({
+      success: true,
+      window: saved
+    });
+  } catch (error) {
+    logger.error(`Failed to update trading window: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Delete a trading window
+ */
+router.delete('/windows/:id', (req, res) => {
+  try {
+    const existing = database.getTradingWindow(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: `Trading window not found: ${req.params.id}`
+      });
+    }
+
+    database.deleteTradingWindow(existing.id);
+    database.logActivity('system', `Trading window deleted: ${existing.name}`, { id: existing.id, name: existing.name }, 'info');
+    logger.info(`Trading window deleted: ${existing.name}`);
+
+    res.json({
+      success: true,
+      message: `Trading window ${existing.name} deleted`
+    });
+  } catch (error) {
+    logger.error(`Failed to delete trading window: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Upcoming (and active) blackouts from the calendar file
+ */
+router.get('/blackouts', (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const blackouts = tradingCalendar.getUpcomingBlackouts(new Date(), limit);
+
+    res.json({
+      success: true,
+      blackouts,
+      count: blackouts.length,
+      total: tradingCalendar.blackouts.length,
+      path: tradingCalendar.blackoutPath,
+      loadedAt: tradingCalendar.blackoutsLoadedAt,
+      beforeMinutes: tradingCalendar.blackoutBeforeMinutes,
+      afterMinutes: tradingCalendar.blackoutAfterMinutes
+    });
+  } catch (error) {
+    logger.error(`Failed to list blackouts: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Reload the blackout calendar file after editing it
+ */
+router.post('/blackouts/reload', (req, res) => {
+  try {
+    const result = tradingCalendar.loadBlackouts();
+    database.logActivity('system', `Blackout calendar reloaded: ${result.count} events`, result, 'info');
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    logger.error(`Failed to reload blackout calendar: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,172 @@
+import express from 'express';
+import winston from 'winston';
+import database from '../services/database.js';
+import accountGuard from '../services/accountGuard.js';
+
+const router = express.Router();
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [GUARD-API-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+/**
+ * Session, global kill switch and every account's limits, P&L and lock
+ */
+router.get('/status', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...accountGuard.getStatus(),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Failed to get account guard status: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get one account's guard ('global' for the all-accounts limits)
+ */
+router.get('/accounts/:accountId', (req, res) => {
+  try {
+    const guard = database.getAccountGuard(req.params.accountId);
+    if (!guard) {
+      return res.status(404).json({
+        success: false,
+        error: `No guard for account: ${req.params.accountId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      guard: accountGuard.describe(guard)
+    });
+  } catch (error) {
+    logger.error(`Failed to get account guard: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Set an account's daily loss limit, profit target and trailing drawdown
+ */
+router.put('/accounts/:accountId/limits', (req, res) => {
+  try {
+    let guard;
+    try {
+      guard = accountGuard.saveLimits(req.params.accountId, req.body || {});
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.info(`🛡️ Updated limits for account ${req.params.accountId}`);
+    res.json({
+      success: true,
+      guard
+    });
+  } catch (error) {
+    logger.error(`Failed to update account limits: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Remove an account's limits (its kill switch and lock are kept)
+ */
+router.delete('/accounts/:accountId/limits', (req, res) => {
+  try {
+    if (!database.getAccountGuard(req.params.accountId)) {
+      return res.status(404).json({
+        success: false,
+        error: `No guard for account: ${req.params.accountId}`
+      });
+    }
+
+    const guard = accountGuard.clearLimits(req.params.accountId);
+    logger.info(`🛡️ Cleared limits for account ${req.params.accountId}`);
+    res.json({
+      success: true,
+      guard
+    });
+  } catch (error) {
+    logger.error(`Failed to clear account limits: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Set an account's kill switch - re-enabling a locked session needs the X-Admin-Token header
+ */
+router.post('/accounts/:accountId/kill-switch', (req, res) => {
+  try {
+    const { enabled, reason } = req.body || {};
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'enabled must be true or false'
+      });
+    }
+
+    const adminToken = req.get('X-Admin-Token');
+    if (adminToken && !accountGuard.verifyAdminToken(adminToken)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid admin token'
+      });
+    }
+
+    let guard;
+    try {
+      guard = accountGuard.setTradingEnabled(req.params.accountId, enabled, {
+        reason,
+        changedBy: req.ip || 'unknown',
+        override: !!adminToken
+      });
+    } catch (error) {
+      if (error.code !== 'SESSION_LOCKED') throw error;
+      return res.status(423).json({
+        success: false,
+        error: error.message,
+        lock: error.lock
+      });
+    }
+
+    res.json({
+      success: true,
+      guard,
+      message: enabled ? 'Trading enabled' : 'Trading disabled',
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Failed to set account kill switch: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
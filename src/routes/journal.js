@@ -0,0 +1,134 @@
+import express from 'express';
+import winston from 'winston';
+import database from '../services/database.js';
+import tradeJournal from '../services/tradeJournal.js';
+
+const router = express.Router();
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [JOURNAL-API-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * List round trips (?from=&to=&account=&symbol=&strategy=&status=open|closed&side=long|short&limit=&offset=)
+ */
+router.get('/', (req, res) => {
+  try {
+    let filters;
+    try {
+      filters = tradeJournal.parseFilters(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const { trades, total } = database.queryJournalTrades(filters, { limit, offset });
+
+    res.json({
+      success: true,
+      trades,
+      count: trades.length,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + trades.length < total
+      }
+    });
+  } catch (error) {
+    logger.error(`Failed to list journal trades: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Totals for the closed round trips matching the same filters as the list
+ */
+router.get('/summary', (req, res) => {
+  try {
+    let filters;
+    try {
+      filters = tradeJournal.parseFilters(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      summary: database.getJournalSummary(filters)
+    });
+  } catch (error) {
+    logger.error(`Failed to get journal summary: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Pull fills for every account now instead of waiting for the next finished order
+ */
+router.post('/sync', async (req, res) => {
+  try {
+    const accounts = await tradeJournal.syncAll();
+    res.json({
+      success: true,
+      accounts,
+      fills: accounts.reduce((sum, account) => sum + account.fills, 0)
+    });
+  } catch (error) {
+    logger.error(`Failed to sync journal: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get a round trip with its fills
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const trade = tradeJournal.getTradeDetail(parseInt(req.params.id));
+    if (!trade) {
+      return res.status(404).json({
+        success: false,
+        error: `Journal trade not found: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      trade
+    });
+  } catch (error) {
+    logger.error(`Failed to get journal trade: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
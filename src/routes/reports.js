@@ -0,0 +1,121 @@
+import express from 'express';
+import winston from 'winston';
+import dailyReport from '../services/dailyReport.js';
+
+const router = express.Router();
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [REPORTS-API-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+const CONTENT_TYPES = {
+  html: 'text/html; charset=utf-8',
+  md: 'text/markdown; charset=utf-8'
+};
+
+/**
+ * Stored end-of-day reports, newest first
+ */
+router.get('/', (req, res) => {
+  try {
+    const reports = dailyReport.list();
+    res.json({
+      success: true,
+      reports,
+      count: reports.length
+    });
+  } catch (error) {
+    logger.error(`Failed to list reports: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Report for a session date (?format=json|html|md)
+ * A finished session without a stored report is compiled in memory - files are only written by
+ * the scheduled job and POST /:date/generate.
+ */
+router.get('/:date', (req, res) => {
+  try {
+    const { date } = req.params;
+    const format = req.query.format || 'json';
+    try {
+      dailyReport.validateDate(date);
+      if (!dailyReport.formats.includes(format)) {
+        throw new Error(`format must be one of: ${dailyReport.formats.join(', ')}`);
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const stored = dailyReport.get(date);
+    if (!stored && !dailyReport.isSessionComplete(date)) {
+      return res.status(404).json({
+        success: false,
+        error: `No report for session ${date} - the session has not ended yet`
+      });
+    }
+    const report = stored || dailyReport.compile(date);
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        report,
+        stored: !!stored
+      });
+    }
+    res.type(CONTENT_TYPES[format]).send(stored ? dailyReport.read(date, format) : dailyReport.render(report, format));
+  } catch (error) {
+    logger.error(`Failed to get report ${req.params.date}: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Compile a finished session's report again (e.g. after late fills synced)
+ */
+router.post('/:date/generate', (req, res) => {
+  try {
+    const { date } = req.params;
+    try {
+      dailyReport.validateDate(date);
+      if (!dailyReport.isSessionComplete(date)) {
+        throw new Error(`Session ${date} has not ended yet`);
+      }
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      report: dailyReport.generate(date)
+    });
+  } catch (error) {
+    logger.error(`Failed to generate report ${req.params.date}: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,219 @@
+import express from 'express';
+import winston from 'winston';
+import database from '../services/database.js';
+import sessionScheduler from '../services/sessionScheduler.js';
+
+const router = express.Router();
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [SCHEDULE-API-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+/**
+ * List session rules
+ */
+router.get('/rules', (req, res) => {
+  try {
+    const rules = database.getSessionRules();
+    res.json({
+      success: true,
+      rules,
+      count: rules.length,
+      isRunning: sessionScheduler.isRunning
+    });
+  } catch (error) {
+    logger.error(`Failed to list session rules: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get a session rule
+ */
+router.get('/rules/:id', (req, res) => {
+  try {
+    const rule = database.getSessionRule(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: `Session rule not found: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      rule
+    });
+  } catch (error) {
+    logger.error(`Failed to get session rule: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Create a session rule
+ */
+router.post('/rules', (req, res) => {
+  try {
+    let rule;
+    try {
+      rule = sessionScheduler.validate(req.body || {});
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (database.getSessionRuleByName(rule.name)) {
+      return res.status(409).json({
+        success: false,
+        error: `Session rule already exists: ${rule.name}`
+      });
+    }
+
+    const saved = database.saveSessionRule(rule);
+    database.logActivity('system', `Session rule created: ${saved.name} (${saved.action} at ${saved.time} ${saved.timezone})`, saved, 'info');
+    logger.info(`Session rule created: ${saved.name}`);
+
+    res.status(201).json({
+      success: true,
+      rule: saved
+    });
+  } catch (error) {
+    logger.error(`Failed to create session rule: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Update a session rule (omitted fields keep their current values)
+ */
+router.put('/rules/:id', (req, res) => {
+  try {
+    const existing = database.getSessionRule(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: `Session rule not found: ${req.params.id}`
+      });
+    }
+
+    let rule;
+    try {
+      rule = sessionScheduler.validate(req.body || {}, existing);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const duplicate = database.getSessionRuleByName(rule.name);
+    if (duplicate && duplicate.id !== existing.id) {
+      return res.status(409).json({
+        success: false,
+        error: `Session rule already exists: ${rule.name}`
+      });
+    }
+
+    const saved = database.saveSessionRule(rule);
+    database.logActivity('system', `Session rule updated: ${saved.name}`, saved, 'info');
+    logger.info(`Session rule updated: ${saved.name}`);
+
+    res.json({
+      success: true,
+      rule: saved
+    });
+  } catch (error) {
+    logger.error(`Failed to update session rule: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Delete a session rule
+ */
+router.delete('/rules/:id', (req, res) => {
+  try {
+    const existing = database.getSessionRule(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: `Session rule not found: ${req.params.id}`
+      });
+    }
+
+    database.deleteSessionRule(existing.id);
+    database.logActivity('system', `Session rule deleted: ${existing.name}`, { id: existing.id, name: existing.name }, 'info');
+    logger.info(`Session rule deleted: ${existing.name}`);
+
+    res.json({
+      success: true,
+      message: `Session rule ${existing.name} deleted`
+    });
+  } catch (error) {
+    logger.error(`Failed to delete session rule: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Run a session rule now (flattens its scope immediately)
+ */
+router.post('/rules/:id/run', async (req, res) => {
+  try {
+    const rule = database.getSessionRule(req.params.id);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: `Session rule not found: ${req.params.id}`
+      });
+    }
+
+    logger.info(`API request to run session rule ${rule.name}`);
+    const result = await sessionScheduler.runRule(rule, { manual: true });
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        error: `Session rule ${rule.name} is already running`
+      });
+    }
+
+    res.json({
+      success: true,
+      rule: rule.name,
+      ...result
+    });
+  } catch (error) {
+    logger.error(`Failed to run session rule: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
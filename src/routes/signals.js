@@ -0,0 +1,85 @@
+import express from 'express';
+import winston from 'winston';
+import database from '../services/database.js';
+import signalQueue from '../services/signalQueue.js';
+
+const router = express.Router();
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [SIGNALS-API-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+/**
+ * List queued signals, optionally filtered by status
+ */
+router.get('/', (req, res) => {
+  try {
+    const { status, limit = 50 } = req.query;
+    const signals = database.getQueuedSignals({ status: status || null, limit: parseInt(limit) });
+
+    res.json({
+      success: true,
+      signals,
+      count: signals.length
+    });
+  } catch (error) {
+    logger.error(`Failed to list queued signals: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get queue depth and status counts
+ */
+router.get('/stats', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      stats: signalQueue.getStats()
+    });
+  } catch (error) {
+    logger.error(`Failed to get queue stats: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get a single queued signal
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const signal = database.getQueuedSignal(parseInt(req.params.id));
+    if (!signal) {
+      return res.status(404).json({
+        success: false,
+        error: `Queued signal not found: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      signal
+    });
+  } catch (error) {
+    logger.error(`Failed to get queued signal: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,276 @@
+import express from 'express';
+import winston from 'winston';
+import database from '../services/database.js';
+import strategyRegistry from '../services/strategyRegistry.js';
+import circuitBreaker from '../services/circuitBreaker.js';
+
+const router = express.Router();
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [STRATEGIES-API-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+/**
+ * List registered strategies
+ */
+router.get('/', (req, res) => {
+  try {
+    const strategies = database.getStrategies().map(strategy => strategyRegistry.toPublic(strategy));
+    res.json({
+      success: true,
+      strategies,
+      count: strategies.length,
+      unknownPolicy: strategyRegistry.unknownPolicy
+    });
+  } catch (error) {
+    logger.error(`Failed to list strategies: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Circuit breaker counters and cooldowns for every strategy
+ */
+router.get('/breakers', (req, res) => {
+  try {
+    const breakers = database.getStrategies().map(strategy => circuitBreaker.describe(strategy));
+    res.json({
+      success: true,
+      breakers,
+      count: breakers.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    logger.error(`Failed to get circuit breakers: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get a strategy
+ */
+router.get('/:name', (req, res) => {
+  try {
+    const strategy = database.getStrategy(req.params.name);
+    if (!strategy) {
+      return res.status(404).json({
+        success: false,
+        error: `Strategy not found: ${req.params.name}`
+      });
+    }
+
+    res.json({
+      success: true,
+      strategy: strategyRegistry.toPublic(strategy)
+    });
+  } catch (error) {
+    logger.error(`Failed to get strategy: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Register a new strategy
+ */
+router.post('/', (req, res) => {
+  try {
+    let strategy;
+    try {
+      strategy = strategyRegistry.validate(req.body || {});
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (database.getStrategy(strategy.name)) {
+      return res.status(409).json({
+        success: false,
+        error: `Strategy already exists: ${strategy.name}`
+      });
+    }
+
+    const saved = database.saveStrategy(strategy);
+    database.logActivity('strategy', `Strategy registered: ${saved.name}`, strategyRegistry.toPublic(saved), 'info');
+    logger.info(`Strategy registered: ${saved.name}`);
+
+    res.status(201).json({
+      success: true,
+      strategy: strategyRegistry.toPublic(saved)
+    });
+  } catch (error) {
+    logger.error(`Failed to create strategy: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Update a strategy (omitted fields keep their current values)
+ */
+router.put('/:name', (req, res) => {
+  try {
+    const existing = database.getStrategy(req.params.name);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: `Strategy not found: ${req.params.name}`
+      });
+    }
+
+    let strategy;
+    try {
+      strategy = strategyRegistry.validate(req.body || {}, existing);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const saved = database.saveStrategy(strategy);
+    database.logActivity('strategy', `Strategy updated: ${saved.name}`, strategyRegistry.toPublic(saved), 'info');
+    logger.info(`Strategy updated: ${saved.name}`);
+
+    res.json({
+      success: true,
+      strategy: strategyRegistry.toPublic(saved)
+    });
+  } catch (error) {
+    logger.error(`Failed to update strategy: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Delete a strategy
+ */
+router.delete('/:name', (req, res) => {
+  try {
+    const deleted = database.deleteStrategy(req.params.name);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: `Strategy not found: ${req.params.name}`
+      });
+    }
+
+    database.logActivity('strategy', `Strategy deleted: ${req.params.name}`, { name: req.params.name }, 'info');
+    logger.info(`Strategy deleted: ${req.params.name}`);
+
+    res.json({
+      success: true,
+      message: `Strategy ${req.params.name} deleted`
+    });
+  } catch (error) {
+    logger.error(`Failed to delete strategy: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Enable a strategy (per-strategy kill switch off)
+ */
+router.post('/:name/enable', (req, res) => {
+  setEnabled(req, res, true);
+});
+
+/**
+ * Disable a strategy (per-strategy kill switch on)
+ */
+router.post('/:name/disable', (req, res) => {
+  setEnabled(req, res, false);
+});
+
+/**
+ * End a strategy's cooldown and loss streak early
+ */
+router.post('/:name/breakers/reset', (req, res) => {
+  try {
+    const strategy = database.getStrategy(req.params.name);
+    if (!strategy) {
+      return res.status(404).json({
+        success: false,
+        error: `Strategy not found: ${req.params.name}`
+      });
+    }
+
+    const breaker = circuitBreaker.reset(strategy.name);
+    logger.info(`Circuit breakers reset for strategy ${strategy.name}`);
+    res.json({
+      success: true,
+      breaker
+    });
+  } catch (error) {
+    logger.error(`Failed to reset circuit breakers: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+function setEnabled(req, res, enabled) {
+  try {
+    const updated = database.setStrategyEnabled(req.params.name, enabled);
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: `Strategy not found: ${req.params.name}`
+      });
+    }
+
+    const strategy = database.getStrategy(req.params.name);
+    const message = `Strategy ${strategy.name} ${enabled ? 'enabled' : 'disabled'}`;
+
+    database.logActivity('strategy', message, { name: strategy.name, enabled }, enabled ? 'info' : 'warning');
+    logger.info(message);
+
+    if (global.io) {
+      global.io.emit('strategy_status_changed', {
+        name: strategy.name,
+        enabled,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    res.json({
+      success: true,
+      message,
+      strategy: strategyRegistry.toPublic(strategy)
+    });
+  } catch (error) {
+    logger.error(`Failed to ${enabled ? 'enable' : 'disable'} strategy: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+}
+
+export default router;
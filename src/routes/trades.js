@@ -0,0 +1,119 @@
+import express from 'express';
+import winston from 'winston';
+import database from '../services/database.js';
+import tradeLedger from '../services/tradeLedger.js';
+
+const router = express.Router();
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [TRADES-API-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * List trades, newest first (?from=&to=&account=&symbol=&strategy=&status=&role=&webhookId=&limit=&offset=)
+ * Bracket stops/targets are nested under their entry unless flat=true.
+ */
+router.get('/', (req, res) => {
+  try {
+    let filters;
+    try {
+      filters = tradeLedger.parseFilters(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const flat = req.query.flat === 'true';
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { trades, total } = database.queryTrades({ ...filters, topLevel: !flat && !filters.role }, { limit, offset });
+
+    res.json({
+      success: true,
+      trades: flat ? trades : trades.map(trade => ({ ...trade, children: database.getChildTrades(trade.id) })),
+      count: trades.length,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore: offset + trades.length < total
+      }
+    });
+  } catch (error) {
+    logger.error(`Failed to list trades: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Trade counts by status for the same filters as the list
+ */
+router.get('/stats', (req, res) => {
+  try {
+    let filters;
+    try {
+      filters = tradeLedger.parseFilters(req.query);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const byStatus = database.getTradeStatusCounts({ ...filters, topLevel: req.query.flat !== 'true' && !filters.role });
+    res.json({
+      success: true,
+      byStatus,
+      total: Object.values(byStatus).reduce((sum, count) => sum + count, 0)
+    });
+  } catch (error) {
+    logger.error(`Failed to get trade stats: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get a trade with its bracket orders, the rest of its execution and the originating webhook
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const trade = tradeLedger.getTradeDetail(parseInt(req.params.id));
+    if (!trade) {
+      return res.status(404).json({
+        success: false,
+        error: `Trade not found: ${req.params.id}`
+      });
+    }
+
+    res.json({
+      success: true,
+      trade
+    });
+  } catch (error) {
+    logger.error(`Failed to get trade: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+export default router;
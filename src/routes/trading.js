@@ -2,6 +2,9 @@ import express from 'express';
 import { getAllPositions, getAllOrders, calculateDailyPnL, getCriticalTradingStatus } from '../services/tradeExecutor.js';
 import TradovateClient from '../services/tradovateClient.js';
 import database from '../services/database.js';
+import marketDataFeed from '../services/marketDataFeed.js';
+import riskEngine from '../services/riskEngine.js';
+import accountGuard from '../services/accountGuard.js';
 import winston from 'winston';
 
 const router = express.Router();
@@ -228,12 +231,14 @@ router.get('/kill-switch', async (req, res) => {
     const tradingEnabled = database.getSystemStatus('trading_enabled');
     const lastChanged = database.getSystemStatus('trading_enabled_changed_at');
     const changedBy = database.getSystemStatus('trading_enabled_changed_by');
+    const { lockRule, lockReason, lockedAt, sessionLocked } = accountGuard.getStatus().global;
 
     res.json({
       success: true,
       tradingEnabled: tradingEnabled !== false, // Default to false if not set
       lastChanged,
       changedBy,
+      lock: { rule: lockRule ?? null, reason: lockReason ?? null, lockedAt: lockedAt ?? null, sessionLocked },
       timestamp: new Date().toISOString()
     });
   } catch (error) {
@@ -246,42 +251,32 @@ router.get('/kill-switch', async (req, res) => {
 });
 
 /**
- * Set kill switch status
+ * Set kill switch status - re-enabling after a global limit breach needs the X-Admin-Token header
  */
 router.post('/kill-switch', async (req, res) => {
   try {
     const { enabled, reason } = req.body;
-    const currentStatus = database.getSystemStatus('trading_enabled');
-
-    // Set the new status
-    database.setSystemStatus('trading_enabled', enabled);
-    database.setSystemStatus('trading_enabled_changed_at', new Date().toISOString());
-    database.setSystemStatus('trading_enabled_changed_by', req.ip || 'unknown');
-
-    // Log the change
-    const message = enabled
-      ? `🟢 Trading ENABLED${reason ? `: ${reason}` : ''}`
-      : `🔴 Trading DISABLED (Kill Switch)${reason ? `: ${reason}` : ''}`;
-
-    logger.warn(message);
-    database.logActivity(
-      'kill_switch',
-      message,
-      {
-        previousState: currentStatus,
-        newState: enabled,
-        reason,
-        changedBy: req.ip
-      },
-      enabled ? 'warning' : 'error'
-    );
-
-    // Emit WebSocket event
-    if (global.io) {
-      global.io.emit('kill_switch_changed', {
-        enabled,
+
+    const adminToken = req.get('X-Admin-Token');
+    if (adminToken && !accountGuard.verifyAdminToken(adminToken)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Invalid admin token'
+      });
+    }
+
+    try {
+      accountGuard.setTradingEnabled('global', enabled, {
         reason,
-        timestamp: new Date().toISOString()
+        changedBy: req.ip || 'unknown',
+        override: !!adminToken
+      });
+    } catch (error) {
+      if (error.code !== 'SESSION_LOCKED') throw error;
+      return res.status(423).json({
+        success: false,
+        error: error.message,
+        lock: error.lock
       });
     }
 
@@ -343,7 +338,7 @@ router.post('/order', async (req, res) => {
       isAutomated: false
     };
 
-    const result = await client.placeOrder(orderData);
+    const result = await client.placeOrder(orderData, { risk: { source: 'manual' } });
 
     res.json({
       success: true,
@@ -354,6 +349,14 @@ router.post('/order', async (req, res) => {
     });
 
   } catch (error) {
+    if (error.code === 'RISK_REJECTED') {
+      return res.status(422).json({
+        success: false,
+        error: error.message,
+        reasons: error.reasons
+      });
+    }
+
     logger.error(`Failed to place manual order: ${error.message}`);
     res.status(500).json({
       success: false,
@@ -547,6 +550,50 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+/**
+ * Get recorded stop modifications (optionally for one trade or account)
+ */
+router.get('/stop-modifications', (req, res) => {
+  try {
+    const modifications = database.getStopModifications({
+      tradeId: req.query.tradeId || null,
+      accountId: req.query.accountId ? parseInt(req.query.accountId) : null,
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+    });
+
+    res.json({
+      success: true,
+      modifications,
+      count: modifications.length
+    });
+  } catch (error) {
+    logger.error(`Failed to get stop modifications: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get the pre-trade risk limits and recent rejections
+ */
+router.get('/risk', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      limits: riskEngine.getLimits(),
+      recentRejections: database.getRecentActivityByType('risk', Math.min(parseInt(req.query.limit) || 20, 200))
+    });
+  } catch (error) {
+    logger.error(`Failed to get risk limits: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 /**
  * Get live market data for a symbol
  */
@@ -556,15 +603,15 @@ router.get('/quote/:symbol', async (req, res) => {
 
     logger.info(`📊 Getting quote for: ${symbol}`);
 
-    const client = getTradovateClient();
-
-    // Subscribe to real-time quotes
-    client.subscribeToQuote(symbol.toUpperCase());
+    // Subscribe to real-time quotes (forwarded to clients as market_data)
+    const contractSymbol = symbol.toUpperCase();
+    const subscribed = marketDataFeed.isSubscribed(contractSymbol) || await marketDataFeed.subscribe(contractSymbol);
 
     res.json({
-      success: true,
-      message: `Subscribed to ${symbol} quotes`,
-      symbol: symbol.toUpperCase(),
+      success: subscribed,
+      message: subscribed ? `Subscribed to ${symbol} quotes` : 'Market data feed unavailable',
+      symbol: contractSymbol,
+      lastPrice: marketDataFeed.getLastPrice(contractSymbol),
       timestamp: new Date().toISOString()
     });
 
@@ -1,12 +1,19 @@
 import express from 'express';
 import TradovateClient from '../services/tradovateClient.js';
-import { processTradeSignal } from '../services/tradeExecutor.js';
 import database from '../services/database.js';
 import positionSizingService from '../services/positionSizing.js';
 import winston from 'winston';
 import crashLogger from '../services/crashLogger.js';
+import signalDeduplicator from '../services/signalDeduplicator.js';
+import webhookAuth from '../services/webhookAuth.js';
+import payloadMapper from '../services/payloadMapper.js';
+import signalQueue from '../services/signalQueue.js';
+import latencyTracker from '../services/latencyTracker.js';
+import accountGuard from '../services/accountGuard.js';
 
 const router = express.Router();
+// Mapping profiles are served under /webhook only - unlike the legacy routes they are never mounted at the server root
+const profileRouter = express.Router();
 
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
@@ -34,10 +41,22 @@ function getTradovateClient() {
  * Receives trading signals and executes trades
  */
 router.post('/tradingview', async (req, res) => {
+  let idempotency = null;
   try {
-    const timestamp = new Date().toISOString();
+    const receivedAt = Date.now();
+    const timestamp = new Date(receivedAt).toISOString();
     logger.info(`📨 Webhook received at ${timestamp}`);
 
+    // Authenticate before looking at the payload (plaintext secret or HMAC signature depending on mode)
+    const auth = webhookAuth.verify(req, 'tradingview');
+    if (!auth.authenticated) {
+      webhookAuth.recordFailure(req, 'tradingview', auth);
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized'
+      });
+    }
+
     // Log the incoming signal
     logger.info(`Signal data: ${JSON.stringify(req.body, null, 2)}`);
 
@@ -52,26 +71,44 @@ router.post('/tradingview', async (req, res) => {
       });
     }
 
-    // Validate webhook secret if configured
-    const webhookSecret = req.headers['x-webhook-secret'] || req.body.secret;
-    if (process.env.WEBHOOK_SECRET && webhookSecret !== process.env.WEBHOOK_SECRET) {
-      logger.error('Invalid webhook secret');
-      return res.status(401).json({
-        success: false,
-        error: 'Unauthorized'
+    // Suppress re-fired alerts (TradingView retries, duplicated alert rules)
+    idempotency = signalDeduplicator.claim(req, {
+      action,
+      symbol,
+      price: req.body.price,
+      strategy: req.body.strategy
+    });
+
+    if (idempotency.duplicate) {
+      return respondToDuplicateSignal(res, idempotency, {
+        timestamp,
+        action,
+        symbol,
+        quantity: qty,
+        price: req.body.price,
+        strategy: req.body.strategy
       });
     }
 
-    // Process the trading signal
-    const tradeResult = await processTradeSignal({
+    // Queue the trading signal for ordered execution
+    const queueId = await signalQueue.enqueue({
       action: action.toUpperCase(),
       symbol: symbol.toUpperCase(),
       quantity: Math.abs(parseInt(qty)),
       account: account || 'default',
+      accountGroup: req.body.account_group || null,
+      side: req.body.side || null,
+      percent: req.body.percent ?? null,
+      strategy: req.body.strategy || null,
+      strategySecret: req.headers['x-strategy-secret'] || req.body.strategy_secret || null,
+      sourceTime: latencyTracker.parseSourceTimestamp(req.body.timenow),
+      receivedAt,
       timestamp,
       source: 'TradingView',
       rawData: req.body
-    });
+    }, { idempotencyKey: idempotency.key });
+
+    signalDeduplicator.complete(idempotency.key, null, 'queued', { status: 'queued', queueId });
 
     // Emit real-time update to connected clients
     if (global.io) {
@@ -80,23 +117,27 @@ router.post('/tradingview', async (req, res) => {
         action,
         symbol,
         quantity: qty,
-        result: tradeResult,
+        result: { status: 'queued', queueId },
         success: true
       });
     }
 
-    logger.info(`✅ Webhook processed successfully`);
+    logger.info(`✅ Webhook queued successfully (#${queueId})`);
 
-    // Return success response
+    // Return success response - execution status is available from /api/signals/:id
     res.json({
       success: true,
-      message: 'Signal processed',
+      message: 'Signal queued',
       timestamp,
-      tradeId: tradeResult.tradeId,
-      orderId: tradeResult.orderId
+      queueId,
+      status: 'queued'
     });
 
   } catch (error) {
+    // Keep the claim so a retry of a half-processed signal can't trade twice
+    if (idempotency && !idempotency.duplicate) {
+      signalDeduplicator.complete(idempotency.key, null, 'error', { success: false, error: error.message });
+    }
     logger.error(`❌ Webhook processing error: ${error.message}`);
     logger.error(`Error stack: ${error.stack}`);
 
@@ -121,194 +162,169 @@ router.post('/tradingview', async (req, res) => {
 /**
  * Autotrader endpoint - handles TradingView webhook signals
  * Expects signals in format: { action, ticker, account, quantity, size, price, orderType }
+ * The mapping profile can be chosen with the X-Mapping-Profile header
  */
-router.post('/autotrader', async (req, res) => {
+router.post('/autotrader', (req, res) => {
+  return handleMappedSignal(req, res, payloadMapper.resolveProfileName(req));
+});
+
+/**
+ * Normalize a webhook payload with a mapping profile and process the resulting signal
+ */
+async function handleMappedSignal(req, res, profileName) {
+  let idempotency = null;
+
   try {
-    const timestamp = new Date().toISOString();
-    logger.info(`📨 Autotrader webhook received at ${timestamp}`);
-    logger.info(`Signal data: ${JSON.stringify(req.body, null, 2)}`);
+    const receivedAt = Date.now();
+    const timestamp = new Date(receivedAt).toISOString();
+    logger.info(`📨 Autotrader webhook received at ${timestamp} (profile: ${profileName})`);
+
+    // Authenticate before touching the payload
+    const auth = webhookAuth.verify(req, 'autotrader');
+    if (!auth.authenticated) {
+      webhookAuth.recordFailure(req, 'autotrader', auth);
+      return res.status(401).send('UNAUTHORIZED');
+    }
 
-    // Process the trading signal - handle multiple field name variations
-    const {
-      action, orderAction, side,
-      ticker, symbol, instrument,
-      quantity, qty, size, amount,
-      account, accountId,
-      price, limitPrice,
-      orderType, type,
-      stop_loss, take_profit,
-      strategy,
-      reason,
-      ...otherFields
-    } = req.body;
-
-    // Flexible field mapping to support different naming conventions
-    let tradeAction = action || orderAction || side;
-    let instrumentSymbol = ticker || symbol || instrument;
-    let tradeQuantity = quantity || qty || size || amount;
-    const tradeAccount = account || accountId;
-    const tradePrice = price || limitPrice;
-    const tradeOrderType = orderType || type;
+    logger.info(`Signal data: ${typeof req.body === 'string' ? req.body : JSON.stringify(req.body, null, 2)}`);
 
-    // Get test balance early for use throughout the function
-    const testBalance = req.body.test_account_balance;
-
-    // Check if this is a limit order alert from LDPS strategy
-    const isLimitOrderAlert = action && (action === 'place_limit' || action === 'cancel_limit');
-
-    if (isLimitOrderAlert) {
-      logger.info(`🎯 Limit order alert detected: ${action} for ${instrumentSymbol}`);
-
-      if (action === 'place_limit') {
-        // For place_limit alerts, use the 'side' field as the trading action
-        if (side) {
-          tradeAction = side.toUpperCase();
-          logger.info(`🔄 Using side field for trading action: ${tradeAction}`);
-        }
-
-        // Calculate optimal contract and position size for limit orders
-        try {
-          // TEMPORARILY DISABLED: Get account balance from Tradovate client
-          // const client = getTradovateClient();
-          // if (!client.accessToken) {
-          //   await client.authenticate();
-          // }
-          // const accounts = await client.getAccounts();
-          // const targetAccount = accounts[0]; // Use first account for now
-          // const accountBalance = await client.getAccountBalance(targetAccount.id);
-
-          // Use fallback balance for testing without Tradovate connection
-          const accountBalance = { balance: testBalance || 1500 }; // Mock $1.5k account for testing
-
-          // Calculate optimal contract selection (handles NQ -> MNQ conversion if needed)
-          logger.info(`🔍 DEBUG: About to calculate optimal contract for ${instrumentSymbol} with balance $${accountBalance.balance}`);
-
-          // Prepare signal data for position sizing
-          const signalData = {
-            entryPrice: parseFloat(tradePrice),
-            stopLoss: parseFloat(stop_loss)
-          };
-
-          logger.info(`🔍 DEBUG: Signal data for position sizing: entry=${signalData.entryPrice}, stop=${signalData.stopLoss}`);
-
-          const optimalContract = positionSizingService.calculateOptimalContract(
-            instrumentSymbol,
-            accountBalance.balance || 1500, // Fallback
-            null, // Use default settings
-            signalData
-          );
-
-          logger.info(`🔍 DEBUG: Optimal contract result: ${JSON.stringify(optimalContract, null, 2)}`);
-
-          // Use the optimal contract and calculated quantity
-          if (optimalContract.symbol !== instrumentSymbol) {
-            logger.info(`🔄 Converting ${instrumentSymbol} to ${optimalContract.symbol} based on available margin`);
-            instrumentSymbol = optimalContract.symbol;
-          }
-          tradeQuantity = optimalContract.quantity;
-
-          logger.info(`🎯 Optimal contract selection (TESTING MODE): ${optimalContract.originalSymbol} -> ${optimalContract.symbol}`);
-          logger.info(`💰 Account balance: $${accountBalance.balance}, calculated quantity: ${optimalContract.quantity} contracts`);
-          if (optimalContract.converted) {
-            logger.info(`🔄 Contract converted: ${optimalContract.reason}`);
-          }
-
-          // Log the risk metrics
-          const riskMetrics = positionSizingService.calculateRiskMetrics(
-            instrumentSymbol,
-            tradeQuantity,
-            accountBalance.balance || 1500,
-            signalData
-          );
-
-          if (riskMetrics) {
-            logger.info(`📊 Risk metrics: ${riskMetrics.riskPercentage.toFixed(2)}% risk, max loss: $${riskMetrics.totalMaxLoss}`);
-          }
-
-        } catch (error) {
-          logger.error(`❌ Failed to calculate dynamic position size: ${error.message}`);
-          // Fallback to 1 contract if calculation fails
-          tradeQuantity = 1;
-        }
-      } else if (action === 'cancel_limit') {
-        // For cancel alerts, we don't need to worry about quantity
-        logger.info(`❌ Limit order cancellation: ${reason || 'unknown reason'}`);
+    // Extract the signal fields declared by the mapping profile
+    let mapped;
+    try {
+      mapped = payloadMapper.normalize(req.body, profileName);
+    } catch (error) {
+      if (error.code === 'PROFILE_NOT_FOUND') {
+        logger.error(`❌ ${error.message}`);
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
       }
+      logger.error(`❌ Failed to map payload: ${error.message}`);
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    const signal = mapped.signal;
+
+    // Get test balance early for use throughout the function
+    const testBalance = signal.testAccountBalance;
+
+    if (signal.alertType) {
+      logger.info(`🎯 Limit order alert detected: ${signal.alertType} for ${signal.symbol}`);
+    }
+
+    if (signal.sizing === 'optimal_contract') {
+      applyOptimalContractSizing(signal, testBalance);
+    } else if (signal.alertType === 'cancel_limit') {
+      // For cancel alerts, we don't need to worry about quantity
+      logger.info(`❌ Limit order cancellation: ${signal.reason || 'unknown reason'}`);
     }
 
+    const tradeAction = signal.action;
+    const instrumentSymbol = signal.symbol;
+    const tradeQuantity = signal.quantity;
+    const tradeAccount = signal.account;
+    const tradePrice = signal.price;
+    const tradeOrderType = signal.orderType;
+    const strategy = signal.strategy;
+    const sourceTime = latencyTracker.parseSourceTimestamp(signal.sourceTimestamp);
+
     // Log the mapped fields for debugging
-    logger.info(`📊 Mapped fields: action="${tradeAction}", symbol="${instrumentSymbol}", quantity="${tradeQuantity}", account="${tradeAccount}", price="${tradePrice}", orderType="${tradeOrderType}"`);
+    logger.info(`📊 Mapped fields (${mapped.profile}): action="${tradeAction}", symbol="${instrumentSymbol}", quantity="${tradeQuantity}", account="${tradeAccount}", price="${tradePrice}", orderType="${tradeOrderType}"`);
 
     // Check kill switch early but continue processing to show conversion logic
     const tradingEnabled = database.getSystemStatus('trading_enabled');
 
     if (!tradeAction || !instrumentSymbol || tradeQuantity === undefined || tradeQuantity === null) {
-      logger.error('Missing required fields in webhook. Supported field names:');
-      logger.error('- Action: action, orderAction, side');
-      logger.error('- Symbol: ticker, symbol, instrument');
-      logger.error('- Quantity: quantity, qty, size, amount');
-      logger.error('- Account: account, accountId (optional)');
-      logger.error('- Price: price, limitPrice (optional)');
-      logger.error('- Order Type: orderType, type (optional)');
+      logger.error(`Missing required fields in webhook for profile ${mapped.profile}: ${mapped.missing.join(', ')}`);
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields. Need: action/orderAction/side, ticker/symbol/instrument, quantity/qty/size/amount'
+        error: `Missing required fields for profile ${mapped.profile}: ${mapped.missing.join(', ')}`,
+        profile: mapped.profile
+      });
+    }
+
+    // Suppress re-fired alerts (TradingView retries, duplicated alert rules)
+    idempotency = signalDeduplicator.claim(req, {
+      action: tradeAction,
+      symbol: instrumentSymbol,
+      price: tradePrice,
+      strategy
+    });
+
+    if (idempotency.duplicate) {
+      return respondToDuplicateSignal(res, idempotency, {
+        timestamp,
+        action: tradeAction,
+        symbol: instrumentSymbol,
+        quantity: tradeQuantity,
+        price: tradePrice,
+        strategy
       });
     }
 
     // Initialize tradeResult variable
     let tradeResult;
+    let queuedSignal = null;
 
     // Process the trading signal using your existing trading enabled/disabled system
     if (tradingEnabled !== false) {
-      // LIVE TRADING MODE - Execute real orders (when your system enables trading)
-      logger.info(`🚨 LIVE TRADING MODE: Executing real order for ${tradeAction} ${tradeQuantity} ${instrumentSymbol}`);
-      try {
-        const signalData = {
-          action: tradeAction.toUpperCase(),
-          symbol: instrumentSymbol.toUpperCase(),
-          quantity: Math.abs(parseInt(tradeQuantity)),
-          account: tradeAccount || 'default',
-          price: tradePrice || null,
-          orderType: tradeOrderType || 'market',
-          timestamp,
-          source: 'AutoTrader',
-          rawData: req.body
-        };
-
-        logger.info(`📊 Processing signal data: ${JSON.stringify(signalData, null, 2)}`);
-
-        tradeResult = await processTradeSignal(signalData);
-      } catch (error) {
-        // Enhanced error logging for crash analysis
-        const errorContext = {
-          signalData: {
-            action: tradeAction,
-            symbol: instrumentSymbol,
-            quantity: tradeQuantity,
-            account: tradeAccount,
-            price: tradePrice,
-            orderType: tradeOrderType
-          },
-          rawRequest: req.body,
-          errorName: error.name,
-          errorCode: error.code || null,
-          timestamp
-        };
-
-        // Log detailed error with context
-        crashLogger.logCrash(error, 'tradeSignalProcessingError', errorContext);
-        logger.error(`❌ Live trading error: ${error.message}`);
-        logger.error(`📊 Error context: ${JSON.stringify(errorContext, null, 2)}`);
-
-        tradeResult = {
-          success: false,
-          error: error.message,
-          status: 'failed',
-          timestamp,
-          errorContext
-        };
-      }
+      // LIVE TRADING MODE - Queue real orders; the signal queue executes them in order per account+symbol
+      logger.info(`🚨 LIVE TRADING MODE: Queueing real order for ${tradeAction} ${tradeQuantity} ${instrumentSymbol}`);
+      queuedSignal = {
+        action: tradeAction.toUpperCase(),
+        symbol: instrumentSymbol.toUpperCase(),
+        quantity: Math.abs(parseInt(tradeQuantity)),
+        account: tradeAccount || 'default',
+        accountGroup: signal.accountGroup || null,
+        price: tradePrice || null,
+        orderType: tradeOrderType || 'market',
+        stopLoss: signal.stopLoss ?? null,
+        takeProfit: signal.takeProfit ?? null,
+        trailingTrigger: signal.trailingTrigger ?? null,
+        trailingOffset: signal.trailingOffset ?? null,
+        stopTicks: signal.stopTicks ?? null,
+        stopPoints: signal.stopPoints ?? null,
+        stopDollars: signal.stopDollars ?? null,
+        targetTicks: signal.targetTicks ?? null,
+        targetPoints: signal.targetPoints ?? null,
+        targetR: signal.targetR ?? null,
+        bracketMode: signal.bracketMode || null,
+        targets: signal.targets || null,
+        breakevenAfterTp1: signal.breakevenAfterTp1 ?? null,
+        stopRules: signal.stopRules || null,
+        breakevenTrigger: signal.breakevenTrigger ?? null,
+        breakevenPlusTicks: signal.breakevenPlusTicks ?? null,
+        stepEvery: signal.stepEvery ?? null,
+        stepLock: signal.stepLock ?? null,
+        chandelierAfterMinutes: signal.chandelierAfterMinutes ?? null,
+        chandelierMultiplier: signal.chandelierMultiplier ?? null,
+        chandelierOffset: signal.chandelierOffset ?? null,
+        maxHoldMinutes: signal.maxHoldMinutes ?? null,
+        side: signal.side || null,
+        percent: signal.percent ?? null,
+        alertType: signal.alertType || null,
+        strategy: strategy || null,
+        strategySecret: req.headers['x-strategy-secret'] || signal.strategySecret || null,
+        profile: mapped.profile,
+        sourceTime,
+        receivedAt,
+        timestamp,
+        source: 'AutoTrader',
+        rawData: req.body
+      };
+
+      logger.info(`📊 Processing signal data: ${JSON.stringify(queuedSignal, null, 2)}`);
+
+      tradeResult = {
+        success: true,
+        status: 'queued',
+        message: `Queued ${tradeAction.toUpperCase()} ${tradeQuantity} ${instrumentSymbol.toUpperCase()} for execution`,
+        timestamp
+      };
     } else {
       // SIMULATION MODE - Trading is disabled via your kill switch
       logger.info(`🧪 TRADING DISABLED: Simulating trade execution (kill switch active)`);
@@ -319,12 +335,12 @@ router.post('/autotrader', async (req, res) => {
         message: `TRADING DISABLED: Would ${tradeAction.toUpperCase()} ${tradeQuantity} ${instrumentSymbol.toUpperCase()} ${tradeOrderType ? `(${tradeOrderType})` : '(market)'} ${tradePrice ? `@ $${tradePrice}` : ''}`,
         status: 'simulated',
         // Add contract selection details for UI display
-        contractSelection: isLimitOrderAlert && action === 'place_limit' ? {
-          originalSymbol: req.body.symbol || req.body.ticker || req.body.instrument,
+        contractSelection: signal.sizing === 'optimal_contract' ? {
+          originalSymbol: signal.originalSymbol,
           finalSymbol: instrumentSymbol,
           finalQuantity: tradeQuantity,
-          converted: req.body.symbol !== instrumentSymbol,
-          reason: req.body.symbol !== instrumentSymbol ? 'margin_optimization' : 'sufficient_margin',
+          converted: signal.originalSymbol !== instrumentSymbol,
+          reason: signal.originalSymbol !== instrumentSymbol ? 'margin_optimization' : 'sufficient_margin',
           accountBalance: testBalance || 1500, // Mock balance for testing
           marginUsed: tradeQuantity * (instrumentSymbol.includes('MNQ') ? 100 : instrumentSymbol.includes('NQ') ? 1000 : instrumentSymbol.includes('MES') ? 50 : instrumentSymbol.includes('ES') ? 500 : 0)
         } : null
@@ -343,7 +359,7 @@ router.post('/autotrader', async (req, res) => {
       };
     }
 
-    let finalStatus = tradingEnabled !== false ? (tradeResult.success ? 'executed' : 'failed') : 'disabled';
+    let finalStatus = tradingEnabled !== false ? 'queued' : 'disabled';
     let finalResult = { ...tradeResult };
 
     // Note: Kill switch logic is already handled above in the if/else block
@@ -359,9 +375,18 @@ router.post('/autotrader', async (req, res) => {
       source: 'AutoTrader',
       status: finalStatus,
       result: finalResult,
-      rawData: req.body
+      rawData: req.body,
+      sourceTime,
+      receivedAt
     });
 
+    // Hand live signals to the queue; it records the execution outcome on the webhook row
+    if (queuedSignal) {
+      finalResult.queueId = await signalQueue.enqueue(queuedSignal, { webhookId, idempotencyKey: idempotency.key });
+    }
+
+    signalDeduplicator.complete(idempotency.key, webhookId, finalStatus, finalResult);
+
     // Log activity
     database.logActivity(
       'webhook',
@@ -372,7 +397,8 @@ router.post('/autotrader', async (req, res) => {
         symbol: instrumentSymbol,
         quantity: tradeQuantity,
         price: tradePrice,
-        source: 'AutoTrader'
+        source: 'AutoTrader',
+        profile: mapped.profile
       },
       'info'
     );
@@ -391,6 +417,7 @@ router.post('/autotrader', async (req, res) => {
         result: finalResult,
         success: !finalResult.blocked,
         source: 'AutoTrader',
+        profile: mapped.profile,
         rawData: req.body
       };
       const connectedClients = global.io.engine.clientsCount;
@@ -410,7 +437,8 @@ router.post('/autotrader', async (req, res) => {
   } catch (error) {
     // Enhanced error logging with full crash context
     const errorContext = {
-      endpoint: '/autotrader',
+      endpoint: req.originalUrl || '/autotrader',
+      profile: profileName,
       requestBody: req.body,
       userAgent: req.headers['user-agent'],
       clientIP: req.ip,
@@ -418,6 +446,11 @@ router.post('/autotrader', async (req, res) => {
     };
 
     crashLogger.logCrash(error, 'autotraderWebhookError', errorContext);
+
+    // Keep the claim so a retry of a half-processed signal can't trade twice
+    if (idempotency && !idempotency.duplicate) {
+      signalDeduplicator.complete(idempotency.key, null, 'error', { success: false, error: error.message });
+    }
     logger.error(`❌ Autotrader webhook error: ${error.message}`);
     logger.error(`📊 Full error context: ${JSON.stringify(errorContext, null, 2)}`);
 
@@ -433,7 +466,118 @@ router.post('/autotrader', async (req, res) => {
 
     res.status(500).send('ERROR');
   }
-});
+}
+
+/**
+ * Replace the requested contract and quantity with the margin-optimal selection (LDPS limit orders)
+ */
+function applyOptimalContractSizing(signal, testBalance) {
+  // Calculate optimal contract and position size for limit orders
+  try {
+    // TEMPORARILY DISABLED: Get account balance from Tradovate client
+    // const client = getTradovateClient();
+    // if (!client.accessToken) {
+    //   await client.authenticate();
+    // }
+    // const accounts = await client.getAccounts();
+    // const targetAccount = accounts[0]; // Use first account for now
+    // const accountBalance = await client.getAccountBalance(targetAccount.id);
+
+    // Use fallback balance for testing without Tradovate connection
+    const accountBalance = { balance: testBalance || 1500 }; // Mock $1.5k account for testing
+
+    // Calculate optimal contract selection (handles NQ -> MNQ conversion if needed)
+    logger.info(`🔍 DEBUG: About to calculate optimal contract for ${signal.symbol} with balance $${accountBalance.balance}`);
+
+    // Prepare signal data for position sizing
+    const signalData = {
+      entryPrice: parseFloat(signal.price),
+      stopLoss: parseFloat(signal.stopLoss)
+    };
+
+    logger.info(`🔍 DEBUG: Signal data for position sizing: entry=${signalData.entryPrice}, stop=${signalData.stopLoss}`);
+
+    const optimalContract = positionSizingService.calculateOptimalContract(
+      signal.symbol,
+      accountBalance.balance || 1500, // Fallback
+      null, // Use default settings
+      signalData
+    );
+
+    logger.info(`🔍 DEBUG: Optimal contract result: ${JSON.stringify(optimalContract, null, 2)}`);
+
+    // Use the optimal contract and calculated quantity
+    if (optimalContract.symbol !== signal.symbol) {
+      logger.info(`🔄 Converting ${signal.symbol} to ${optimalContract.symbol} based on available margin`);
+      signal.symbol = optimalContract.symbol;
+    }
+    signal.quantity = optimalContract.quantity;
+
+    logger.info(`🎯 Optimal contract selection (TESTING MODE): ${optimalContract.originalSymbol} -> ${optimalContract.symbol}`);
+    logger.info(`💰 Account balance: $${accountBalance.balance}, calculated quantity: ${optimalContract.quantity} contracts`);
+    if (optimalContract.converted) {
+      logger.info(`🔄 Contract converted: ${optimalContract.reason}`);
+    }
+
+    // Log the risk metrics
+    const riskMetrics = positionSizingService.calculateRiskMetrics(
+      signal.symbol,
+      signal.quantity,
+      accountBalance.balance || 1500,
+      signalData
+    );
+
+    if (riskMetrics) {
+      logger.info(`📊 Risk metrics: ${riskMetrics.riskPercentage.toFixed(2)}% risk, max loss: $${riskMetrics.totalMaxLoss}`);
+    }
+
+  } catch (error) {
+    logger.error(`❌ Failed to calculate dynamic position size: ${error.message}`);
+    // Fallback to 1 contract if calculation fails
+    signal.quantity = 1;
+  }
+}
+
+/**
+ * Respond to a suppressed duplicate signal with the original outcome
+ */
+function respondToDuplicateSignal(res, idempotency, signal) {
+  const record = idempotency.record || {};
+
+  database.logActivity(
+    'duplicate',
+    `Duplicate suppressed: ${signal.action.toUpperCase()} ${signal.quantity} ${signal.symbol} ${signal.price ? `@ $${signal.price}` : ''}`,
+    {
+      idempotencyKey: idempotency.key,
+      keyType: idempotency.keyType,
+      originalWebhookId: record.webhook_id || null,
+      originalStatus: record.status || null,
+      duplicateCount: record.duplicate_count || 1,
+      ...signal
+    },
+    'warning'
+  );
+
+  if (global.io) {
+    global.io.emit('signal_duplicate', {
+      ...signal,
+      idempotencyKey: idempotency.key,
+      keyType: idempotency.keyType,
+      originalWebhookId: record.webhook_id || null,
+      originalStatus: record.status || null,
+      duplicateCount: record.duplicate_count || 1
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    duplicate: true,
+    idempotencyKey: idempotency.key,
+    originalWebhookId: record.webhook_id || null,
+    status: record.status || 'processing',
+    result: record.result || null
+  });
+}
 
 /**
  * Test webhook endpoint for debugging
@@ -475,5 +619,160 @@ router.get('/stats', (req, res) => {
   });
 });
 
+/**
+ * Profile changes alter how live signals are traded, so they need the X-Admin-Token header
+ * (GUARD_ADMIN_TOKEN) - without a configured token profiles are read-only
+ */
+function requireAdminToken(req, res, next) {
+  if (!accountGuard.verifyAdminToken(req.get('X-Admin-Token'))) {
+    logger.warn(`Refused mapping profile change from ${req.ip}: missing or invalid admin token`);
+    return res.status(403).json({
+      success: false,
+      error: 'Invalid admin token'
+    });
+  }
+  next();
+}
+
+/**
+ * List payload mapping profiles
+ */
+profileRouter.get('/profiles', (req, res) => {
+  try {
+    const profiles = payloadMapper.listProfiles();
+    res.json({
+      success: true,
+      defaultProfile: payloadMapper.defaultProfile,
+      profiles,
+      count: profiles.length
+    });
+  } catch (error) {
+    logger.error(`Failed to list mapping profiles: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Get a payload mapping profile
+ */
+profileRouter.get('/profiles/:name', (req, res) => {
+  try {
+    const profile = payloadMapper.getProfile(req.params.name);
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: `Unknown mapping profile: ${req.params.name}`
+      });
+    }
+
+    res.json({
+      success: true,
+      profile
+    });
+  } catch (error) {
+    logger.error(`Failed to get mapping profile: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Create or replace a payload mapping profile
+ */
+profileRouter.put('/profiles/:name', requireAdminToken, (req, res) => {
+  try {
+    const { builtIn, overridden, name, ...definition } = req.body || {};
+
+    let profile;
+    try {
+      profile = payloadMapper.saveProfile(req.params.name, definition);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    res.json({
+      success: true,
+      profile,
+      message: `Mapping profile ${req.params.name} saved`
+    });
+  } catch (error) {
+    logger.error(`Failed to save mapping profile: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Delete a payload mapping profile (built-in profiles revert to their defaults)
+ */
+profileRouter.delete('/profiles/:name', requireAdminToken, (req, res) => {
+  try {
+    const deleted = payloadMapper.deleteProfile(req.params.name);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: `No stored mapping profile named ${req.params.name}`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Mapping profile ${req.params.name} deleted`,
+      profile: payloadMapper.getProfile(req.params.name)
+    });
+  } catch (error) {
+    logger.error(`Failed to delete mapping profile: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Show the normalized signal a payload maps to, without trading
+ */
+profileRouter.post('/profiles/:name/test', (req, res) => {
+  try {
+    const mapped = payloadMapper.normalize(req.body, req.params.name);
+
+    res.json({
+      success: true,
+      profile: mapped.profile,
+      valid: mapped.valid,
+      missing: mapped.missing,
+      signal: mapped.signal,
+      receivedData: req.body
+    });
+  } catch (error) {
+    res.status(error.code === 'PROFILE_NOT_FOUND' ? 404 : 400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Profile-specific webhook endpoint (e.g. /webhook/LDPS, /webhook/TrendSpider)
+ * Must stay last so it doesn't shadow the fixed routes above
+ */
+profileRouter.post('/:profile', (req, res, next) => {
+  // Unknown names fall through to the regular 404 handling
+  if (!payloadMapper.getProfile(req.params.profile)) {
+    return next();
+  }
+  return handleMappedSignal(req, res, req.params.profile);
+});
 
+export { profileRouter as profileRoutes };
 export default router;
\ No newline at end of file
@@ -0,0 +1,173 @@
+import winston from 'winston';
+import database from './database.js';
+import strategyRegistry from './strategyRegistry.js';
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [ACCOUNT-GROUPS-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+const GROUP_PREFIX = 'group:';
+
+/**
+ * Account Groups
+ * Named sets of accounts a signal fans out to (copy trading across evaluation and funded accounts)
+ *
+ * Member definition:
+ *   account:    account name (substring match) or id
+ *   multiplier: scales the signal quantity (default 1)
+ *   sizing:     optional per-account sizing ({ method, fixedQuantity, riskPercentage, maxContracts }),
+ *               takes precedence over the multiplier and the strategy's sizing
+ *   enabled:    set false to pause a single account
+ */
+class AccountGroups {
+  /**
+   * Resolve the group a signal should fan out to, if any
+   * Signals select a group with accountGroup, or account "group:<name>";
+   * strategies can set settings.accountGroup as their default
+   */
+  resolveGroup(signal, strategy = null) {
+    const name = this.getRequestedGroupName(signal, strategy);
+    if (!name) return null;
+
+    const group = database.getAccountGroup(name);
+    if (!group) {
+      const error = new Error(`Account group not found: ${name}`);
+      error.code = 'ACCOUNT_GROUP_NOT_FOUND';
+      throw error;
+    }
+    if (!group.enabled) {
+      const error = new Error(`Account group is disabled: ${group.name}`);
+      error.code = 'ACCOUNT_GROUP_DISABLED';
+      throw error;
+    }
+
+    return group;
+  }
+
+  getRequestedGroupName(signal, strategy) {
+    if (signal.accountGroup) {
+      return String(signal.accountGroup);
+    }
+
+    const account = signal.account ? String(signal.account) : '';
+    if (account.toLowerCase().startsWith(GROUP_PREFIX)) {
+      return account.slice(GROUP_PREFIX.length);
+    }
+
+    // Strategy default only applies when the signal doesn't name an account
+    if ((!account || account === 'default') && strategy?.settings?.accountGroup) {
+      return strategy.settings.accountGroup;
+    }
+
+    return null;
+  }
+
+  /**
+   * Quantity for one member before any per-account sizing
+   */
+  scaleQuantity(signal, member) {
+    const multiplier = parseFloat(member.multiplier ?? 1);
+    const scaled = Math.round(signal.quantity * multiplier);
+
+    // Exits must still go out for every account even if the multiplier rounds down
+    if (!strategyRegistry.isEntryAction(signal.action)) {
+      return Math.max(1, scaled);
+    }
+    return scaled;
+  }
+
+  /**
+   * Validate and normalize a group definition from the API
+   */
+  validate(input, existing = null) {
+    const group = {
+      name: existing?.name || (input.name ? String(input.name).trim() : ''),
+      description: input.description ?? existing?.description ?? null,
+      members: input.members ?? existing?.members ?? [],
+      enabled: input.enabled !== undefined ? !!input.enabled : existing?.enabled ?? true
+    };
+
+    if (!group.name) {
+      throw new Error('Group name is required');
+    }
+    if (!Array.isArray(group.members) || group.members.length === 0) {
+      throw new Error('members must be a non-empty array');
+    }
+
+    group.members = group.members.map((member, index) => {
+      if (!member || member.account === undefined || member.account === null || member.account === '') {
+        throw new Error(`members[${index}].account is required`);
+      }
+
+      const multiplier = member.multiplier !== undefined ? parseFloat(member.multiplier) : 1;
+      if (!(multiplier > 0)) {
+        throw new Error(`members[${index}].multiplier must be greater than 0`);
+      }
+
+      if (member.sizing) {
+        strategyRegistry.validateSizing(member.sizing);
+      }
+
+      return {
+        account: String(member.account),
+        multiplier,
+        sizing: member.sizing || null,
+        enabled: member.enabled !== false
+      };
+    });
+
+    return group;
+  }
+
+  /**
+   * Record the outcome of a fan-out and notify clients
+   */
+  recordFanOut(group, signal, parent) {
+    const failed = parent.children.filter(child => child.status === 'failed');
+    const message = `${signal.action} ${signal.symbol} fanned out to ${group.name}: ${parent.summary.succeeded}/${parent.children.length} accounts succeeded`;
+
+    if (failed.length > 0) {
+      logger.warn(`⚠️ ${message} - failed: ${failed.map(child => `${child.account} (${child.error})`).join(', ')}`);
+    } else {
+      logger.info(`✅ ${message}`);
+    }
+
+    database.logActivity(
+      'trade',
+      message,
+      {
+        tradeId: parent.tradeId,
+        group: group.name,
+        status: parent.status,
+        summary: parent.summary,
+        children: parent.children
+      },
+      parent.status === 'submitted' ? 'info' : (parent.status === 'partial' ? 'warning' : 'error')
+    );
+
+    if (global.io) {
+      global.io.emit('fanout_completed', {
+        tradeId: parent.tradeId,
+        group: group.name,
+        action: signal.action,
+        symbol: signal.symbol,
+        status: parent.status,
+        summary: parent.summary,
+        children: parent.children,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+// Create singleton instance
+const accountGroups = new AccountGroups();
+
+export default accountGroups;
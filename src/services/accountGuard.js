@@ -0,0 +1,465 @@
+import { EventEmitter } from 'events';
+import winston from 'winston';
+import database from './database.js';
+import tradingCalendar from './tradingCalendar.js';
+import webhookAuth from './webhookAuth.js';
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [ACCOUNT-GUARD-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+const GLOBAL_ID = 'global';
+const TRAILING_MODES = ['intraday', 'eod'];
+const LIMIT_FIELDS = ['dailyLossLimit', 'dailyProfitTarget', 'trailingDrawdown', 'drawdownLockAt'];
+// Locks from these rules expire with the session; a trailing drawdown lock stays until re-enabled
+const DAILY_RULES = ['daily_loss_limit', 'daily_profit_target'];
+
+/**
+ * Account Guard
+ * Daily loss limits, daily profit targets and trailing max drawdown, evaluated on every
+ * balance snapshot from the data collector
+ *
+ * Limits per account (or 'global', applied to the sum of every account's daily P&L):
+ *   dailyLossLimit     lock when the session's P&L (realized + open) falls to -limit
+ *   dailyProfitTarget  lock when the session's P&L reaches the target
+ *   trailingDrawdown   lock when equity falls to peak equity - drawdown (accounts only)
+ *     trailingMode     'intraday' trails every snapshot, 'eod' trails session closes
+ *     drawdownLockAt   the threshold stops trailing once it reaches this balance
+ *   flattenOnBreach    flatten the account(s) when a limit is hit (default true)
+ *
+ * A breach turns the account's kill switch off (the global kill switch for 'global') and
+ * re-enabling is refused for the rest of the session unless an admin overrides with
+ * GUARD_ADMIN_TOKEN. Sessions follow the trading calendar (17:00 Chicago by default).
+ *
+ * Events: 'flatten_requested' { accountIds (null = all accounts), rule, reason }
+ */
+class AccountGuard extends EventEmitter {
+  constructor() {
+    super();
+    this.adminToken = process.env.GUARD_ADMIN_TOKEN || null;
+  }
+
+  /**
+   * Stored guard for an account, or an unconfigured default
+   */
+  getGuard(accountId) {
+    return database.getAccountGuard(accountId) || {
+      accountId: String(accountId),
+      accountName: null,
+      trailingMode: 'intraday',
+      flattenOnBreach: true,
+      tradingEnabled: true
+    };
+  }
+
+  hasLimits(guard) {
+    return !!(guard.dailyLossLimit || guard.dailyProfitTarget || guard.trailingDrawdown);
+  }
+
+  /**
+   * Update an account's session figures from a balance snapshot and enforce its limits
+   */
+  handleBalance(accountId, balance, { accountName = null, now = new Date() } = {}) {
+    const equity = balance?.equity || balance?.balance;
+    if (!equity) {
+      return null;
+    }
+
+    const session = tradingCalendar.getSessionDate(now);
+    const guard = this.rollSession(this.getGuard(accountId), session);
+
+    guard.accountName = accountName || guard.accountName;
+    guard.startEquity = balance.startOfDayBalance || guard.startEquity || equity;
+    guard.lastEquity = equity;
+    guard.dailyPnL = this.round(equity - guard.startEquity);
+    if (guard.trailingMode !== 'eod' || !guard.peakEquity) {
+      guard.peakEquity = Math.max(guard.peakEquity || equity, equity);
+    }
+    database.saveAccountGuard(guard);
+
+    const breach = this.evaluate(guard, session);
+    if (breach) {
+      this.lock(guard, breach, session);
+    }
+
+    this.checkGlobal(session);
+    return guard;
+  }
+
+  /**
+   * Limits on the sum of every account's daily P&L
+   */
+  checkGlobal(session) {
+    const guard = database.getAccountGuard(GLOBAL_ID);
+    if (!guard) {
+      return;
+    }
+
+    this.rollSession(guard, session);
+    const accounts = database.getAccountGuards().filter(account => account.accountId !== GLOBAL_ID && account.sessionDate === session);
+    guard.dailyPnL = this.round(accounts.reduce((sum, account) => sum + (account.dailyPnL || 0), 0));
+    database.saveAccountGuard(guard);
+
+    const breach = this.evaluate(guard, session);
+    if (breach) {
+      this.lock(guard, breach, session);
+    }
+  }
+
+  /**
+   * Start a new session: reset daily figures, trail end-of-day peaks and expire daily locks
+   */
+  rollSession(guard, session) {
+    if (guard.sessionDate === session) {
+      return guard;
+    }
+
+    if (guard.sessionDate && guard.trailingMode === 'eod' && guard.lastEquity) {
+      guard.peakEquity = Math.max(guard.peakEquity || guard.lastEquity, guard.lastEquity);
+    }
+
+    guard.sessionDate = session;
+    guard.startEquity = null;
+    guard.dailyPnL = 0;
+
+    if (!guard.tradingEnabled && DAILY_RULES.includes(guard.lockRule)) {
+      const message = `Trading re-enabled for ${this.describeTarget(guard)} in session ${session} (${guard.lockRule} lock expired)`;
+      this.clearLock(guard);
+      if (guard.accountId === GLOBAL_ID) {
+        this.setSystemTradingEnabled(true, 'account_guard');
+      }
+
+      logger.info(`🟢 ${message}`);
+      database.logActivity('kill_switch', message, { accountId: guard.accountId, session }, 'warning');
+      this.emitKillSwitch(guard, true, message);
+    }
+
+    database.saveAccountGuard(guard);
+    return guard;
+  }
+
+  /**
+   * First limit the guard's current figures break, or null
+   */
+  evaluate(guard, session) {
+    if (!this.hasLimits(guard) || guard.overrideSession === session) {
+      return null;
+    }
+
+    // Already locked by a limit - don't flatten again on every snapshot
+    if (!guard.tradingEnabled && guard.lockRule && guard.lockRule !== 'manual') {
+      return null;
+    }
+
+    const dailyPnL = guard.dailyPnL || 0;
+
+    if (guard.dailyLossLimit && dailyPnL <= -guard.dailyLossLimit) {
+      return this.breach('daily_loss_limit', `Daily loss $${Math.abs(dailyPnL).toFixed(2)} reached the $${guard.dailyLossLimit} limit`, guard.dailyLossLimit, dailyPnL);
+    }
+
+    if (guard.trailingDrawdown && guard.peakEquity && guard.lastEquity) {
+      const threshold = this.getDrawdownThreshold(guard);
+      if (guard.lastEquity <= threshold) {
+        return this.breach('trailing_drawdown', `Equity $${guard.lastEquity.toFixed(2)} fell to the trailing drawdown threshold $${threshold.toFixed(2)} (peak $${guard.peakEquity.toFixed(2)})`, threshold, guard.lastEquity);
+      }
+    }
+
+    if (guard.dailyProfitTarget && dailyPnL >= guard.dailyProfitTarget) {
+      return this.breach('daily_profit_target', `Daily profit $${dailyPnL.toFixed(2)} reached the $${guard.dailyProfitTarget} target`, guard.dailyProfitTarget, dailyPnL);
+    }
+
+    return null;
+  }
+
+  getDrawdownThreshold(guard) {
+    const threshold = guard.peakEquity - guard.trailingDrawdown;
+    return guard.drawdownLockAt ? Math.min(threshold, guard.drawdownLockAt) : threshold;
+  }
+
+  breach(rule, message, limit, value) {
+    return { rule, message, limit, value };
+  }
+
+  /**
+   * Turn trading off for the rest of the session and flatten if configured
+   */
+  lock(guard, breach, session) {
+    const isGlobal = guard.accountId === GLOBAL_ID;
+
+    Object.assign(guard, {
+      tradingEnabled: false,
+      lockRule: breach.rule,
+      lockReason: breach.message,
+      lockedAt: new Date().toISOString(),
+      lockedSession: session
+    });
+    database.saveAccountGuard(guard);
+
+    if (isGlobal) {
+      this.setSystemTradingEnabled(false, 'account_guard');
+    }
+
+    const message = `Trading locked for ${this.describeTarget(guard)} in session ${session}: ${breach.message}${guard.flattenOnBreach ? ' - flattening' : ''}`;
+    logger.error(`🛑 ${message}`);
+    database.logActivity('kill_switch', message, {
+      accountId: guard.accountId,
+      rule: breach.rule,
+      limit: breach.limit,
+      value: breach.value,
+      session,
+      flatten: guard.flattenOnBreach
+    }, 'error');
+
+    if (global.io) {
+      global.io.emit('account_guard_breached', {
+        accountId: guard.accountId,
+        accountName: guard.accountName,
+        ...breach,
+        session,
+        flatten: guard.flattenOnBreach,
+        timestamp: new Date().toISOString()
+      });
+    }
+    this.emitKillSwitch(guard, false, message);
+
+    if (guard.flattenOnBreach) {
+      this.emit('flatten_requested', {
+        accountIds: isGlobal ? null : [guard.accountId],
+        rule: breach.rule,
+        reason: `account_guard:${breach.rule}`
+      });
+    }
+  }
+
+  clearLock(guard) {
+    Object.assign(guard, {
+      tradingEnabled: true,
+      lockRule: null,
+      lockReason: null,
+      lockedAt: null,
+      lockedSession: null
+    });
+  }
+
+  /**
+   * True while a limit lock blocks re-enabling (same session as the breach)
+   */
+  isSessionLocked(guard, session = tradingCalendar.getSessionDate()) {
+    return !guard.tradingEnabled && !!guard.lockedSession && guard.lockedSession >= session;
+  }
+
+  /**
+   * Whether new risk may be opened on an account: { allowed, code, reason }
+   */
+  isTradingAllowed(accountId) {
+    if (database.getSystemStatus('trading_enabled') === false) {
+      const globalGuard = database.getAccountGuard(GLOBAL_ID);
+      return { allowed: false, code: 'kill_switch', reason: `Trading is disabled (kill switch active)${globalGuard?.lockReason ? `: ${globalGuard.lockReason}` : ''}` };
+    }
+
+    const guard = accountId !== undefined && accountId !== null ? database.getAccountGuard(accountId) : null;
+    if (guard && !guard.tradingEnabled) {
+      return { allowed: false, code: 'account_locked', reason: `Trading is disabled for ${this.describeTarget(guard)}${guard.lockReason ? `: ${guard.lockReason}` : ''}` };
+    }
+
+    return { allowed: true, code: null, reason: null };
+  }
+
+  /**
+   * Flip an account's kill switch ('global' for the system-wide switch)
+   * Enabling during a locked session throws SESSION_LOCKED unless override is set.
+   */
+  setTradingEnabled(accountId, enabled, { reason = null, changedBy = 'unknown', override = false } = {}) {
+    const session = tradingCalendar.getSessionDate();
+    const guard = this.rollSession(this.getGuard(accountId), session);
+    const isGlobal = guard.accountId === GLOBAL_ID;
+    const previousState = isGlobal ? database.getSystemStatus('trading_enabled') !== false : guard.tradingEnabled;
+    const sessionLocked = this.isSessionLocked(guard, session);
+
+    if (enabled && sessionLocked && !override) {
+      const error = new Error(`Trading is locked for ${this.describeTarget(guard)} until the next session: ${guard.lockReason}`);
+      error.code = 'SESSION_LOCKED';
+      error.lock = { rule: guard.lockRule, reason: guard.lockReason, lockedAt: guard.lockedAt, session: guard.lockedSession };
+      throw error;
+    }
+
+    if (enabled) {
+      this.clearLock(guard);
+      // An override also stops the breached limit re-locking the account this session
+      guard.overrideSession = sessionLocked ? session : guard.overrideSession;
+    } else if (guard.tradingEnabled || guard.lockRule === 'manual') {
+      // A limit lock already in place is kept, so disabling can't be used to clear it
+      Object.assign(guard, {
+        tradingEnabled: false,
+        lockRule: 'manual',
+        lockReason: reason,
+        lockedAt: new Date().toISOString(),
+        lockedSession: null
+      });
+    }
+    database.saveAccountGuard(guard);
+
+    if (isGlobal) {
+      this.setSystemTradingEnabled(enabled, changedBy);
+    }
+
+    const target = isGlobal ? '' : ` for ${this.describeTarget(guard)}`;
+    const message = enabled
+      ? `🟢 Trading ENABLED${target}${sessionLocked ? ' (admin override)' : ''}${reason ? `: ${reason}` : ''}`
+      : `🔴 Trading DISABLED${target} (Kill Switch)${reason ? `: ${reason}` : ''}`;
+
+    logger.warn(message);
+    database.logActivity('kill_switch', message, {
+      accountId: guard.accountId,
+      previousState,
+      newState: enabled,
+      reason,
+      changedBy,
+      override: enabled && sessionLocked
+    }, enabled ? 'warning' : 'error');
+
+    this.emitKillSwitch(guard, enabled, reason);
+    return this.describe(guard, session);
+  }
+
+  setSystemTradingEnabled(enabled, changedBy) {
+    database.setSystemStatus('trading_enabled', enabled);
+    database.setSystemStatus('trading_enabled_changed_at', new Date().toISOString());
+    database.setSystemStatus('trading_enabled_changed_by', changedBy);
+  }
+
+  emitKillSwitch(guard, enabled, reason) {
+    if (!global.io) {
+      return;
+    }
+
+    if (guard.accountId === GLOBAL_ID) {
+      global.io.emit('kill_switch_changed', { enabled, reason, timestamp: new Date().toISOString() });
+    } else {
+      global.io.emit('account_kill_switch_changed', {
+        accountId: guard.accountId,
+        accountName: guard.accountName,
+        enabled,
+        reason,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Constant-time check of the X-Admin-Token header - overrides are refused without GUARD_ADMIN_TOKEN
+   */
+  verifyAdminToken(token) {
+    if (!this.adminToken || !token) {
+      return false;
+    }
+    return webhookAuth.safeEqual(String(token), this.adminToken);
+  }
+
+  /**
+   * Validate and store an account's limits (null clears a limit)
+   */
+  saveLimits(accountId, input) {
+    const guard = this.getGuard(accountId);
+
+    for (const field of LIMIT_FIELDS) {
+      if (input[field] === undefined) continue;
+
+      const value = input[field] === null || input[field] === '' ? null : Number(input[field]);
+      if (value !== null && !(value > 0)) {
+        throw new Error(`${field} must be a positive number`);
+      }
+      guard[field] = value;
+    }
+
+    if (input.trailingMode !== undefined) {
+      if (!TRAILING_MODES.includes(input.trailingMode)) {
+        throw new Error(`trailingMode must be one of: ${TRAILING_MODES.join(', ')}`);
+      }
+      guard.trailingMode = input.trailingMode;
+    }
+
+    if (input.flattenOnBreach !== undefined) {
+      guard.flattenOnBreach = !!input.flattenOnBreach;
+    }
+
+    // Evaluation accounts start trailing from the firm's high-water mark, not today's equity
+    if (input.peakEquity !== undefined) {
+      const peakEquity = Number(input.peakEquity);
+      if (!(peakEquity > 0)) {
+        throw new Error('peakEquity must be a positive number');
+      }
+      guard.peakEquity = peakEquity;
+    }
+
+    if (guard.accountId === GLOBAL_ID && (guard.trailingDrawdown || guard.drawdownLockAt)) {
+      throw new Error('Trailing drawdown applies to individual accounts only');
+    }
+
+    const saved = database.saveAccountGuard(guard);
+    database.logActivity('system', `Account guard limits updated for ${this.describeTarget(saved)}`, {
+      accountId: saved.accountId,
+      dailyLossLimit: saved.dailyLossLimit,
+      dailyProfitTarget: saved.dailyProfitTarget,
+      trailingDrawdown: saved.trailingDrawdown,
+      trailingMode: saved.trailingMode,
+      drawdownLockAt: saved.drawdownLockAt,
+      flattenOnBreach: saved.flattenOnBreach
+    });
+
+    return this.describe(saved);
+  }
+
+  clearLimits(accountId) {
+    return this.saveLimits(accountId, Object.fromEntries(LIMIT_FIELDS.map(field => [field, null])));
+  }
+
+  /**
+   * Guard with derived fields for the API
+   */
+  describe(guard, session = tradingCalendar.getSessionDate()) {
+    const isGlobal = guard.accountId === GLOBAL_ID;
+
+    return {
+      ...guard,
+      tradingEnabled: isGlobal ? database.getSystemStatus('trading_enabled') !== false : guard.tradingEnabled,
+      drawdownThreshold: guard.trailingDrawdown && guard.peakEquity ? this.round(this.getDrawdownThreshold(guard)) : null,
+      sessionLocked: this.isSessionLocked(guard, session)
+    };
+  }
+
+  getStatus() {
+    const session = tradingCalendar.getSessionDate();
+    const guards = database.getAccountGuards();
+    const globalGuard = guards.find(guard => guard.accountId === GLOBAL_ID) || this.getGuard(GLOBAL_ID);
+
+    return {
+      session,
+      sessionStart: tradingCalendar.sessionStart,
+      timezone: tradingCalendar.timezone,
+      adminOverrideConfigured: !!this.adminToken,
+      global: this.describe(globalGuard, session),
+      accounts: guards.filter(guard => guard.accountId !== GLOBAL_ID).map(guard => this.describe(guard, session))
+    };
+  }
+
+  describeTarget(guard) {
+    return guard.accountId === GLOBAL_ID ? 'all accounts' : `account ${guard.accountName || guard.accountId}`;
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+}
+
+// Create singleton instance
+const accountGuard = new AccountGuard();
+
+export default accountGuard;
@@ -0,0 +1,219 @@
+import winston from 'winston';
+import database from './database.js';
+import tradingCalendar from './tradingCalendar.js';
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [BALANCE-HISTORY-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Resolutions served to clients: the stored one they're built from and the bucket size
+const RESOLUTIONS = {
+  minute: { source: 'minute', minutes: 1 },
+  '5m': { source: 'minute', minutes: 5 },
+  '15m': { source: 'minute', minutes: 15 },
+  hour: { source: 'hour', minutes: 60 },
+  day: { source: 'day', minutes: null }
+};
+
+/**
+ * Balance History
+ * Appends every balance poll from the data collector to a time series per account
+ * (balance, equity, realized/unrealized P&L, margin used).
+ *
+ * Each sample is folded into a minute, an hour and a session-day bucket as it arrives, so
+ * downsampling costs nothing at query time: a bucket keeps the latest values plus the equity
+ * high/low seen in it, and the day bucket ends up holding the end-of-day close. Retention then
+ * only deletes - minute buckets after BALANCE_HISTORY_MINUTE_DAYS, hour buckets after
+ * BALANCE_HISTORY_HOUR_DAYS, day buckets after BALANCE_HISTORY_DAY_DAYS (0 keeps them forever).
+ */
+class BalanceHistory {
+  constructor() {
+    this.isRunning = false;
+    this.timer = null;
+    this.pruneIntervalMs = parseInt(process.env.BALANCE_HISTORY_PRUNE_INTERVAL_MS) || 60 * MINUTE_MS;
+    this.retentionDays = {
+      minute: parseInt(process.env.BALANCE_HISTORY_MINUTE_DAYS ?? '7'),
+      hour: parseInt(process.env.BALANCE_HISTORY_HOUR_DAYS ?? '90'),
+      day: parseInt(process.env.BALANCE_HISTORY_DAY_DAYS ?? '0')
+    };
+    this.resolutions = Object.keys(RESOLUTIONS);
+  }
+
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    logger.info(`📈 Starting balance history retention (every ${this.pruneIntervalMs / 60000} min)`);
+    this.isRunning = true;
+    this.prune();
+
+    this.timer = setInterval(() => {
+      try {
+        this.prune();
+      } catch (error) {
+        logger.error(`❌ Balance history retention failed: ${error.message}`);
+      }
+    }, this.pruneIntervalMs);
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.isRunning = false;
+    logger.info('Balance history retention stopped');
+  }
+
+  /**
+   * Balance snapshot from the data collector
+   */
+  record(accountId, balance, { accountName = null, now = new Date() } = {}) {
+    const equity = balance?.equity || balance?.balance;
+    if (!equity) {
+      logger.debug(`No equity in balance snapshot for account ${accountId} - not recorded`);
+      return null;
+    }
+
+    const sample = {
+      accountId,
+      accountName,
+      sampledAt: now.toISOString(),
+      balance: balance.balance ?? null,
+      equity,
+      realizedPnL: balance.dayPnL ?? null,
+      unrealizedPnL: balance.openPnL ?? null,
+      marginUsed: balance.margin ?? null,
+      availableFunds: balance.availableFunds ?? null
+    };
+
+    database.saveBalanceSample(sample, {
+      minute: this.floorTo(now, 1),
+      hour: this.floorTo(now, 60),
+      day: tradingCalendar.getSessionDate(now)
+    });
+    return sample;
+  }
+
+  /**
+   * Delete buckets past their resolution's retention
+   */
+  prune(now = new Date()) {
+    const removed = {};
+    for (const [resolution, days] of Object.entries(this.retentionDays)) {
+      if (!days || days <= 0) continue;
+      removed[resolution] = database.pruneBalanceHistory(resolution, new Date(now.getTime() - days * DAY_MS).toISOString());
+    }
+
+    const total = Object.values(removed).reduce((sum, count) => sum + count, 0);
+    if (total > 0) {
+      logger.info(`Pruned balance history: ${Object.entries(removed).map(([resolution, count]) => `${count} ${resolution}`).join(', ')}`);
+    }
+    return removed;
+  }
+
+  /**
+   * Equity curve per account at a resolution
+   * resolution 'auto' picks the finest one that keeps the range to a chartable size
+   */
+  getCurves({ accounts = [], resolution = 'auto', from = null, to = null } = {}) {
+    const selected = resolution === 'auto' ? this.pickResolution(from, to) : resolution;
+    if (!RESOLUTIONS[selected]) {
+      throw new Error(`resolution must be one of: auto, ${this.resolutions.join(', ')}`);
+    }
+
+    const { source, minutes } = RESOLUTIONS[selected];
+    const rows = database.getBalanceHistory(source, { accounts, from, to });
+
+    const curves = new Map();
+    for (const row of rows) {
+      if (!curves.has(row.accountId)) {
+        curves.set(row.accountId, { accountId: row.accountId, accountName: row.accountName, points: [] });
+      }
+      const curve = curves.get(row.accountId);
+      curve.accountName = row.accountName || curve.accountName;
+      curve.points.push(this.toPoint(row));
+    }
+
+    return {
+      resolution: selected,
+      accounts: Array.from(curves.values()).map(curve => ({
+        ...curve,
+        points: source === 'minute' && minutes > 1 ? this.downsample(curve.points, minutes) : curve.points
+      }))
+    };
+  }
+
+  pickResolution(from, to) {
+    const end = to ? new Date(to) : new Date();
+    const start = from ? new Date(from) : new Date(end.getTime() - 30 * DAY_MS);
+    const days = (end - start) / DAY_MS;
+
+    if (days <= 1) return 'minute';
+    if (days <= 7) return '15m';
+    if (days <= 90) return 'hour';
+    return 'day';
+  }
+
+  /**
+   * Merge minute points into wider buckets, the same way samples merge into a bucket
+   */
+  downsample(points, minutes) {
+    const merged = [];
+    for (const point of points) {
+      const time = this.floorTo(new Date(point.time), minutes);
+      const last = merged[merged.length - 1];
+      if (last && last.time === time) {
+        Object.assign(last, {
+          ...point,
+          time,
+          highEquity: Math.max(last.highEquity, point.highEquity),
+          lowEquity: Math.min(last.lowEquity, point.lowEquity),
+          samples: last.samples + point.samples
+        });
+      } else {
+        merged.push({ ...point, time });
+      }
+    }
+    return merged;
+  }
+
+  toPoint(row) {
+    return {
+      time: row.bucket,
+      sampledAt: row.sampledAt,
+      balance: row.balance,
+      equity: row.equity,
+      realizedPnL: row.realizedPnL,
+      unrealizedPnL: row.unrealizedPnL,
+      marginUsed: row.marginUsed,
+      availableFunds: row.availableFunds,
+      highEquity: row.highEquity,
+      lowEquity: row.lowEquity,
+      samples: row.samples
+    };
+  }
+
+  floorTo(date, minutes) {
+    const size = minutes * MINUTE_MS;
+    return new Date(Math.floor(date.getTime() / size) * size).toISOString();
+  }
+}
+
+// Create singleton instance
+const balanceHistory = new BalanceHistory();
+
+export default balanceHistory;
@@ -0,0 +1,670 @@
+import winston from 'winston';
+import database from './database.js';
+import positionSizingService from './positionSizing.js';
+import positionMonitor from './positionMonitor.js';
+import stopManager from './stopManager.js';
+import tradeLedger from './tradeLedger.js';
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [BRACKETS-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+const BRACKET_MODES = ['oso', 'after_fill'];
+
+// Relative bracket fields and their raw payload names (used when the signal wasn't normalized by a profile)
+const RELATIVE_FIELDS = {
+  stopTicks: 'stop_ticks',
+  stopPoints: 'stop_points',
+  stopDollars: 'stop_dollars',
+  targetTicks: 'target_ticks',
+  targetPoints: 'target_points',
+  targetR: 'target_r'
+};
+
+/**
+ * Bracket Manager
+ * Turns relative bracket definitions (stop in ticks/points/dollars-at-risk, target in ticks/points/R-multiple)
+ * into tick-rounded stop/target prices anchored on the actual entry fill
+ *
+ * Modes:
+ *   oso:        stop/target go out with the entry (OSO) priced off the signal price, then are
+ *               re-anchored to the fill price once the entry fills
+ *   after_fill: the entry goes out alone; stop/target are attached as an OCO pair after the fill is confirmed
+ * OSO falls back to after_fill when the signal carries no price to anchor on.
+ *
+ * Multi-target entries ("targets": [{ "percent": 50, "ticks": 20 }, { "percent": 25, "r": 2 }]) always attach
+ * after the fill: one shared stop for the whole position plus a limit order per target. Whatever the targets
+ * don't cover is a runner that trails (trailing_trigger/trailing_offset) once the targets are done.
+ * positionMonitor resizes the shared stop as targets fill.
+ */
+class BracketManager {
+  constructor() {
+    const mode = (process.env.BRACKET_MODE || 'oso').toLowerCase();
+    this.defaultMode = BRACKET_MODES.includes(mode) ? mode : 'oso';
+    this.fillTimeoutMs = parseInt(process.env.BRACKET_FILL_TIMEOUT_MS) || 15000;
+    this.pollIntervalMs = 500;
+
+    // Resting limit entries are watched less often, until they fill, die or time out
+    this.backgroundTimeoutMs = 4 * 60 * 60 * 1000;
+    this.backgroundPollIntervalMs = 10000;
+  }
+
+  /**
+   * Whether a signal defines its bracket relative to the entry
+   */
+  hasRelativeBracket(signal) {
+    return Object.keys(RELATIVE_FIELDS).some(field => this.readField(signal, field) > 0);
+  }
+
+  /**
+   * Read a relative bracket field, preferring the normalized signal over the raw payload
+   */
+  readField(signal, field) {
+    const value = parseFloat(signal[field] ?? signal.rawData?.[RELATIVE_FIELDS[field]]);
+    return Number.isFinite(value) ? value : null;
+  }
+
+  /**
+   * Absolute stop/target price from the signal or raw payload
+   */
+  readAbsolute(signal, field) {
+    const snake = field === 'stopLoss' ? 'stop_loss' : 'take_profit';
+    const value = parseFloat(signal[field] ?? signal.rawData?.[field] ?? signal.rawData?.[snake]);
+    return Number.isFinite(value) && value > 0 ? value : null;
+  }
+
+  /**
+   * Target definitions for a multi-target entry (array, or JSON string from text payloads)
+   */
+  readTargets(signal) {
+    let targets = signal.targets ?? signal.rawData?.targets;
+    if (typeof targets === 'string') {
+      try {
+        targets = JSON.parse(targets);
+      } catch (error) {
+        throw new Error(`targets must be a JSON array: ${error.message}`);
+      }
+    }
+    return Array.isArray(targets) && targets.length > 0 ? targets : null;
+  }
+
+  /**
+   * Build the bracket plan for an entry signal, or null if it has no relative or multi-target bracket
+   * Absolute stop_loss/take_profit prices always win over relative definitions.
+   */
+  buildPlan(signal) {
+    const side = this.getEntrySide(signal.action);
+    if (!side) {
+      return null;
+    }
+
+    const targets = this.readTargets(signal);
+    if (targets) {
+      return this.buildMultiTargetPlan(signal, side, targets);
+    }
+
+    if (!this.hasRelativeBracket(signal) || this.readAbsolute(signal, 'stopLoss') || this.readAbsolute(signal, 'takeProfit')) {
+      return null;
+    }
+
+    const spec = positionSizingService.getContractSpec(signal.symbol);
+    if (!spec?.tickSize) {
+      throw new Error(`No tick size known for ${signal.symbol} - use absolute stop_loss/take_profit prices`);
+    }
+
+    const stopDistance = this.getStopDistance(signal, spec);
+    const targetDistance = this.getTargetDistance(signal, spec, stopDistance);
+    const requestedMode = String(signal.bracketMode || signal.rawData?.bracket_mode || this.defaultMode).toLowerCase();
+    const referencePrice = parseFloat(signal.price) || null;
+
+    let mode = BRACKET_MODES.includes(requestedMode) ? requestedMode : this.defaultMode;
+    if (mode === 'oso' && !referencePrice) {
+      logger.info(`📐 No reference price on ${signal.action} ${signal.symbol} - attaching exits after fill`);
+      mode = 'after_fill';
+    }
+
+    const plan = {
+      mode,
+      side,
+      exitAction: side === 'Buy' ? 'Sell' : 'Buy',
+      symbol: signal.symbol,
+      quantity: signal.quantity,
+      tickSize: spec.tickSize,
+      stopDistance,
+      targetDistance,
+      referencePrice
+    };
+
+    if (mode === 'oso') {
+      plan.referencePrices = this.resolvePrices(plan, referencePrice);
+    }
+
+    logger.info(`📐 Bracket plan for ${signal.action} ${signal.symbol}: stop ${stopDistance ?? '-'} pts, target ${targetDistance ?? '-'} pts (${mode})`);
+    return plan;
+  }
+
+  /**
+   * Plan a multi-target bracket: shared stop, one limit order per target, remainder as a trailing runner
+   */
+  buildMultiTargetPlan(signal, side, targets) {
+    const spec = positionSizingService.getContractSpec(signal.symbol);
+    if (!spec?.tickSize) {
+      throw new Error(`No tick size known for ${signal.symbol} - multi-target brackets need contract specs`);
+    }
+
+    const stopPrice = this.readAbsolute(signal, 'stopLoss');
+    const stopDistance = stopPrice ? null : this.getStopDistance(signal, spec);
+    if (!stopPrice && !stopDistance) {
+      throw new Error('Multi-target brackets need a stop (stop_loss, stop_ticks, stop_points or stop_dollars)');
+    }
+
+    const quantity = parseInt(signal.quantity);
+    const legs = this.allocateTargets(quantity, targets);
+    const runnerQuantity = quantity - legs.reduce((sum, leg) => sum + leg.quantity, 0);
+
+    const trailingTrigger = parseFloat(signal.trailingTrigger ?? signal.rawData?.trailing_trigger ?? signal.rawData?.trailingTrigger);
+    const trailingOffset = parseFloat(signal.trailingOffset ?? signal.rawData?.trailing_offset ?? signal.rawData?.trailingOffset);
+    const breakevenAfterTp1 = signal.breakevenAfterTp1 ?? signal.rawData?.breakeven_after_tp1;
+
+    const plan = {
+      mode: 'after_fill',
+      multiTarget: true,
+      side,
+      exitAction: side === 'Buy' ? 'Sell' : 'Buy',
+      symbol: signal.symbol,
+      quantity,
+      tickSize: spec.tickSize,
+      stopPrice,
+      stopDistance,
+      targets: legs,
+      runnerQuantity,
+      trailingConfig: runnerQuantity > 0 && trailingTrigger > 0 && trailingOffset > 0
+        ? { trigger: trailingTrigger, offset: trailingOffset }
+        : null,
+      breakevenAfterTp1: breakevenAfterTp1 === true || breakevenAfterTp1 === 'true'
+    };
+
+    logger.info(`📐 Multi-target plan for ${signal.action} ${quantity} ${signal.symbol}: ${legs.map(leg => `${leg.label} x${leg.quantity}`).join(', ')}${runnerQuantity > 0 ? `, runner x${runnerQuantity}` : ''}`);
+    return plan;
+  }
+
+  /**
+   * Split the entry quantity across targets (percent or quantity each)
+   * Percentages round down; targets that round to zero contracts are dropped and the remainder runs.
+   */
+  allocateTargets(quantity, targets) {
+    if (!(quantity > 0)) {
+      throw new Error('Multi-target brackets need a positive quantity');
+    }
+
+    const legs = [];
+    let allocated = 0;
+
+    targets.forEach((target, index) => {
+      if (target.runner) return;
+
+      const legQuantity = target.quantity !== undefined
+        ? parseInt(target.quantity)
+        : Math.floor(quantity * parseFloat(target.percent) / 100);
+
+      if (!(legQuantity > 0)) {
+        logger.warn(`⚠️ Target ${index + 1} rounds to 0 of ${quantity} contracts - skipped`);
+        return;
+      }
+      if (target.price === undefined && target.ticks === undefined && target.points === undefined && target.r === undefined) {
+        throw new Error(`targets[${index}] needs a price, ticks, points or r`);
+      }
+
+      allocated += legQuantity;
+      if (allocated > quantity) {
+        throw new Error(`targets add up to more than the entry quantity (${quantity})`);
+      }
+
+      legs.push({
+        label: `TP${legs.length + 1}`,
+        quantity: legQuantity,
+        price: target.price !== undefined ? parseFloat(target.price) : null,
+        ticks: target.ticks !== undefined ? parseFloat(target.ticks) : null,
+        points: target.points !== undefined ? parseFloat(target.points) : null,
+        r: target.r !== undefined ? parseFloat(target.r) : null
+      });
+    });
+
+    if (legs.length === 0) {
+      throw new Error('No target leg gets at least one contract');
+    }
+    return legs;
+  }
+
+  /**
+   * Prepare the entry signal for the normal order builder
+   * OSO plans carry their reference prices; after-fill plans send the entry without bracket legs.
+   */
+  prepareEntrySignal(signal, plan) {
+    if (plan.mode !== 'oso') {
+      return { ...signal, stopLoss: null, takeProfit: null, attachExitsAfterFill: true };
+    }
+    return {
+      ...signal,
+      stopLoss: plan.referencePrices.stopPrice,
+      takeProfit: plan.referencePrices.targetPrice
+    };
+  }
+
+  /**
+   * Stop distance in points, rounded up to whole ticks
+   * stopDollars is dollars at risk for the whole position
+   */
+  getStopDistance(signal, spec = positionSizingService.getContractSpec(signal.symbol)) {
+    if (!spec) return null;
+
+    const stopTicks = this.readField(signal, 'stopTicks');
+    const stopPoints = this.readField(signal, 'stopPoints');
+    const stopDollars = this.readField(signal, 'stopDollars');
+
+    let points = null;
+    if (stopTicks > 0) {
+      points = stopTicks * spec.tickSize;
+    } else if (stopPoints > 0) {
+      points = stopPoints;
+    } else if (stopDollars > 0) {
+      const quantity = Math.max(1, parseInt(signal.quantity) || 1);
+      points = stopDollars / (spec.pointValue * quantity);
+    }
+
+    if (points === null) return null;
+    return this.roundDistance(points, spec.tickSize);
+  }
+
+  /**
+   * Target distance in points; targetR is a multiple of the stop distance
+   */
+  getTargetDistance(signal, spec, stopDistance) {
+    const targetTicks = this.readField(signal, 'targetTicks');
+    const targetPoints = this.readField(signal, 'targetPoints');
+    const targetR = this.readField(signal, 'targetR');
+
+    let points = null;
+    if (targetTicks > 0) {
+      points = targetTicks * spec.tickSize;
+    } else if (targetPoints > 0) {
+      points = targetPoints;
+    } else if (targetR > 0) {
+      if (!stopDistance) {
+        throw new Error('target_r requires a stop (stop_ticks, stop_points or stop_dollars)');
+      }
+      points = targetR * stopDistance;
+    }
+
+    if (points === null) return null;
+    return this.roundDistance(points, spec.tickSize);
+  }
+
+  roundDistance(points, tickSize) {
+    const ticks = Math.max(1, Math.ceil(points / tickSize - 1e-9));
+    return parseFloat((ticks * tickSize).toFixed(6));
+  }
+
+  /**
+   * Stop/target prices for an entry price
+   */
+  resolvePrices(plan, entryPrice) {
+    const direction = plan.side === 'Buy' ? 1 : -1;
+    return {
+      stopPrice: plan.stopDistance
+        ? positionSizingService.roundToTick(plan.symbol, entryPrice - direction * plan.stopDistance)
+        : null,
+      targetPrice: plan.targetDistance
+        ? positionSizingService.roundToTick(plan.symbol, entryPrice + direction * plan.targetDistance)
+        : null
+    };
+  }
+
+  /**
+   * Anchor the bracket on the entry fill
+   * entry: { orderId, accountId, symbol (contract), stopOrderId, profitOrderId }
+   * Waits for the fill up to fillTimeoutMs; entries that haven't filled by then are finished in the background.
+   */
+  async applyAfterEntry(client, entry, plan, options = {}) {
+    try {
+      const fill = await this.waitForFill(client, entry.orderId, plan.quantity, this.fillTimeoutMs);
+
+      if (!fill) {
+        logger.info(`⏳ Entry ${entry.orderId} not filled within ${this.fillTimeoutMs}ms - watching in background`);
+        this.finishInBackground(client, entry, plan, options);
+        return { mode: plan.mode, status: 'awaiting_fill', referencePrices: plan.referencePrices || null };
+      }
+
+      return await this.finalize(client, entry, plan, fill, options);
+    } catch (error) {
+      logger.error(`❌ Failed to apply bracket for order ${entry.orderId}: ${error.message}`);
+      this.recordFailure(entry, plan, error);
+      return { mode: plan.mode, status: 'failed', error: error.message };
+    }
+  }
+
+  finishInBackground(client, entry, plan, options) {
+    this.waitForFill(client, entry.orderId, plan.quantity, this.backgroundTimeoutMs, {
+      intervalMs: this.backgroundPollIntervalMs,
+      stopWhenInactive: true
+    })
+      .then(fill => {
+        if (!fill) {
+          logger.warn(`⚠️ Entry ${entry.orderId} did not fill - bracket not applied`);
+          return null;
+        }
+        const filledPlan = fill.partial ? this.scalePlan(plan, fill.quantity) : plan;
+        return this.finalize(client, entry, filledPlan, fill, { ...options, verifyPosition: true });
+      })
+      .catch(error => {
+        logger.error(`❌ Background bracket for order ${entry.orderId} failed: ${error.message}`);
+        this.recordFailure(entry, plan, error);
+      });
+  }
+
+  /**
+   * Shrink a plan to the quantity that filled before the entry was cancelled
+   * Targets keep their share of the entry (rounded down, zero-contract legs dropped); the rest runs.
+   */
+  scalePlan(plan, quantity) {
+    logger.warn(`⚠️ Only ${quantity} of ${plan.quantity} ${plan.symbol} filled - sizing exits to the filled quantity`);
+    if (!plan.multiTarget) {
+      return { ...plan, quantity, resized: true };
+    }
+
+    const targets = plan.targets
+      .map(leg => ({ ...leg, quantity: Math.floor(quantity * leg.quantity / plan.quantity) }))
+      .filter(leg => leg.quantity > 0)
+      .map((leg, index) => ({ ...leg, label: `TP${index + 1}` }));
+    const runnerQuantity = quantity - targets.reduce((sum, leg) => sum + leg.quantity, 0);
+
+    return {
+      ...plan,
+      quantity,
+      targets,
+      runnerQuantity,
+      trailingConfig: runnerQuantity > 0 ? plan.trailingConfig : null,
+      resized: true
+    };
+  }
+
+  /**
+   * Re-anchor the OSO legs, or attach the OCO exits, at the fill price
+   */
+  async finalize(client, entry, plan, fill, { rateLimited = false, verifyPosition = false } = {}) {
+    if (plan.mode !== 'oso' && verifyPosition && !(await this.isPositionOpen(client, entry.accountId, fill.contractId))) {
+      logger.warn(`⚠️ Position for entry ${entry.orderId} already closed - not attaching exits`);
+      return { mode: plan.mode, status: 'position_closed', fillPrice: fill.price };
+    }
+
+    let result;
+    if (plan.multiTarget) {
+      result = await this.attachTargets(client, entry, plan, fill, rateLimited);
+    } else {
+      const prices = this.resolvePrices(plan, fill.price);
+      logger.info(`🎯 Entry ${entry.orderId} filled ${fill.quantity} @ ${fill.price} → stop ${prices.stopPrice ?? '-'}, target ${prices.targetPrice ?? '-'}`);
+
+      result = plan.mode === 'oso'
+        ? await this.reanchorOso(client, entry, plan, prices)
+        : await this.attachExits(client, entry, plan, prices, fill.quantity, rateLimited);
+    }
+    result.fillPrice = fill.price;
+    tradeLedger.recordBracketExits(entry.orderId, result);
+
+    const targetSummary = plan.multiTarget
+      ? result.targets.map(target => `${target.label} ${target.price} x${target.quantity}`).join(', ')
+      : `target ${result.targetPrice ?? '-'}`;
+
+    database.logActivity(
+      'trade',
+      `Bracket ${result.status} for ${plan.symbol} entry @ ${fill.price}: stop ${result.stopPrice ?? '-'}, ${targetSummary}`,
+      { orderId: entry.orderId, accountId: entry.accountId, ...result },
+      'info'
+    );
+
+    if (global.io) {
+      global.io.emit('bracket_attached', {
+        orderId: entry.orderId,
+        accountId: entry.accountId,
+        symbol: plan.symbol,
+        ...result,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    return result;
+  }
+
+  async reanchorOso(client, entry, plan, prices) {
+    const modified = [];
+    const legs = [
+      { orderId: entry.stopOrderId, field: 'stopPrice', orderType: 'Stop', price: prices.stopPrice, reference: plan.referencePrices.stopPrice },
+      { orderId: entry.profitOrderId, field: 'price', orderType: 'Limit', price: prices.targetPrice, reference: plan.referencePrices.targetPrice }
+    ];
+
+    for (const leg of legs) {
+      if (!leg.orderId) continue;
+      if (!plan.resized && (leg.price === null || leg.price === leg.reference)) continue;
+
+      const price = leg.price ?? leg.reference;
+      await client.modifyOrder({
+        orderId: leg.orderId,
+        orderQty: plan.quantity,
+        orderType: leg.orderType,
+        [leg.field]: price,
+        timeInForce: 'Day',
+        isAutomated: true
+      }, { risk: { accountId: entry.accountId, symbol: entry.symbol } });
+      modified.push({ orderId: leg.orderId, from: leg.reference, to: price });
+
+      if (leg.orderType === 'Stop') {
+        stopManager.recordModification({
+          accountId: entry.accountId,
+          symbol: entry.symbol,
+          stopOrderId: leg.orderId,
+          reason: 'reanchor_on_fill',
+          oldStopPrice: leg.reference,
+          newStopPrice: price,
+          quantity: plan.quantity
+        });
+      }
+    }
+
+    return {
+      mode: 'oso',
+      status: modified.length > 0 ? 'reanchored' : 'unchanged',
+      ...prices,
+      stopOrderId: entry.stopOrderId || null,
+      profitOrderId: entry.profitOrderId || null,
+      modified
+    };
+  }
+
+  async attachExits(client, entry, plan, prices, quantity, rateLimited) {
+    const base = {
+      accountId: entry.accountId,
+      symbol: entry.symbol,
+      orderQty: quantity,
+      action: plan.exitAction,
+      timeInForce: 'Day',
+      isAutomated: true
+    };
+    const stopOrder = prices.stopPrice !== null ? { ...base, orderType: 'Stop', stopPrice: prices.stopPrice } : null;
+    const targetOrder = prices.targetPrice !== null ? { ...base, orderType: 'Limit', price: prices.targetPrice } : null;
+
+    let stopOrderId = null;
+    let profitOrderId = null;
+
+    if (stopOrder && targetOrder) {
+      // The second leg of an OCO only carries its own order fields
+      const other = {
+        action: targetOrder.action,
+        orderType: targetOrder.orderType,
+        price: targetOrder.price,
+        timeInForce: targetOrder.timeInForce
+      };
+      const response = await client.placeOCO({ ...stopOrder, other }, { rateLimited, risk: { exit: true } });
+      stopOrderId = response.orderId;
+      profitOrderId = response.ocoId || null;
+    } else if (stopOrder) {
+      stopOrderId = (await client.placeOrder(stopOrder, { rateLimited, risk: { exit: true } })).orderId;
+    } else {
+      profitOrderId = (await client.placeOrder(targetOrder, { rateLimited, risk: { exit: true } })).orderId;
+    }
+
+    return {
+      mode: 'after_fill',
+      status: 'attached',
+      ...prices,
+      stopOrderId,
+      profitOrderId
+    };
+  }
+
+  /**
+   * Place the shared stop and one limit order per target, then hand the group to positionMonitor
+   */
+  async attachTargets(client, entry, plan, fill, rateLimited) {
+    const direction = plan.side === 'Buy' ? 1 : -1;
+    const stopPrice = plan.stopPrice ?? positionSizingService.roundToTick(plan.symbol, fill.price - direction * plan.stopDistance);
+    const riskPoints = Math.abs(fill.price - stopPrice);
+
+    const base = {
+      accountId: entry.accountId,
+      symbol: entry.symbol,
+      action: plan.exitAction,
+      timeInForce: 'Day',
+      isAutomated: true
+    };
+
+    const stopResult = await client.placeOrder({ ...base, orderQty: fill.quantity, orderType: 'Stop', stopPrice, text: 'SL' }, { rateLimited, risk: { exit: true } });
+
+    // Tracked as soon as the stop works, so target fills resize it even if a later target fails to place
+    const group = positionMonitor.addBracketGroup({
+      groupId: `BRACKET_${entry.orderId}`,
+      entryOrderId: entry.orderId,
+      accountId: entry.accountId,
+      symbol: entry.symbol,
+      positionSymbol: entry.positionSymbol || entry.symbol,
+      side: plan.side,
+      exitAction: plan.exitAction,
+      entryPrice: fill.price,
+      quantity: fill.quantity,
+      remainingQuantity: fill.quantity,
+      stopOrderId: stopResult.orderId,
+      stopPrice,
+      targets: [],
+      runnerQuantity: plan.runnerQuantity,
+      trailingConfig: plan.trailingConfig,
+      breakevenAfterTp1: plan.breakevenAfterTp1
+    });
+    const targets = group.targets;
+
+    for (const leg of plan.targets) {
+      let price = leg.price;
+      if (price === null) {
+        const points = leg.ticks !== null ? leg.ticks * plan.tickSize
+          : leg.points !== null ? leg.points
+          : leg.r * riskPoints;
+        price = positionSizingService.roundToTick(plan.symbol, fill.price + direction * this.roundDistance(points, plan.tickSize));
+      }
+
+      try {
+        const targetResult = await client.placeOrder({ ...base, orderQty: leg.quantity, orderType: 'Limit', price, text: leg.label }, { rateLimited, risk: { exit: true } });
+        targets.push({ label: leg.label, orderId: targetResult.orderId, quantity: leg.quantity, price, filled: false });
+        positionMonitor.persistBracketGroup(group);
+      } catch (error) {
+        logger.error(`❌ ${leg.label} for entry ${entry.orderId} not placed - stop ${stopResult.orderId} and ${targets.length} placed targets stay tracked`);
+        throw error;
+      }
+    }
+
+    logger.info(`🎯 Entry ${entry.orderId} filled ${fill.quantity} @ ${fill.price} → stop ${stopPrice}, ${targets.map(target => `${target.label} ${target.price} x${target.quantity}`).join(', ')}`);
+
+    return {
+      mode: 'after_fill',
+      multiTarget: true,
+      status: 'attached',
+      stopPrice,
+      stopOrderId: stopResult.orderId,
+      profitOrderId: targets[0]?.orderId || null,
+      targets,
+      runnerQuantity: plan.runnerQuantity
+    };
+  }
+
+  /**
+   * Poll the entry's fills until the whole quantity has filled
+   * Returns { price (quantity-weighted average), quantity, contractId } or null on timeout
+   * When stopWhenInactive is set, a cancelled/expired order returns what filled so far
+   * (flagged partial), or null if nothing did.
+   */
+  async waitForFill(client, orderId, quantity, timeoutMs, { intervalMs = this.pollIntervalMs, stopWhenInactive = false } = {}) {
+    const deadline = Date.now() + timeoutMs;
+
+    while (true) {
+      const fills = await client.getOrderFills(orderId);
+      const filledQuantity = fills.reduce((sum, fill) => sum + (fill.qty || 0), 0);
+      const summarize = () => ({
+        price: fills.reduce((sum, fill) => sum + fill.price * (fill.qty || 0), 0) / filledQuantity,
+        quantity: filledQuantity,
+        contractId: fills[0].contractId
+      });
+
+      if (filledQuantity > 0 && filledQuantity >= quantity) {
+        return summarize();
+      }
+
+      if (stopWhenInactive) {
+        const order = await client.getOrderDetails(orderId);
+        if (['Canceled', 'Rejected', 'Expired'].includes(order?.ordStatus)) {
+          if (filledQuantity > 0) {
+            logger.info(`📋 Entry ${orderId} is ${order.ordStatus} after filling ${filledQuantity} of ${quantity}`);
+            return { ...summarize(), partial: true };
+          }
+          logger.info(`📋 Entry ${orderId} is ${order.ordStatus} - no longer waiting for a fill`);
+          return null;
+        }
+      }
+
+      if (Date.now() + intervalMs > deadline) {
+        return null;
+      }
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  }
+
+  async isPositionOpen(client, accountId, contractId) {
+    const positions = await client.getPositions(accountId);
+    const position = positions.find(pos => pos.contractId === contractId);
+    return !!position && (position.netPos ?? position.qty ?? 0) !== 0;
+  }
+
+  recordFailure(entry, plan, error) {
+    database.logActivity(
+      'error',
+      `Failed to apply ${plan.mode} bracket for ${plan.symbol} order ${entry.orderId}: ${error.message}`,
+      { orderId: entry.orderId, accountId: entry.accountId, plan, error: error.message },
+      'error'
+    );
+  }
+
+  getEntrySide(action) {
+    const normalized = String(action || '').toUpperCase();
+    if (normalized === 'BUY' || normalized === 'LONG') return 'Buy';
+    if (normalized === 'SELL' || normalized === 'SHORT') return 'Sell';
+    return null;
+  }
+}
+
+// Create singleton instance
+const bracketManager = new BracketManager();
+
+export default bracketManager;
@@ -0,0 +1,362 @@
+import winston from 'winston';
+import TradovateClient from './tradovateClient.js';
+import database from './database.js';
+import positionSizing from './positionSizing.js';
+import tradingCalendar from './tradingCalendar.js';
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [CIRCUIT-BREAKER-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+/**
+ * Circuit Breakers
+ * Behavioral limits per strategy, checked in processTradeSignal before an entry is built
+ *
+ * Strategy settings.circuitBreakers:
+ *   maxEntriesPerDay                          entries per trading session
+ *   lossStreak: { count, cooldownMinutes }    pause after count consecutive losing trades
+ *   largeLoss: { amount, cooldownMinutes }    pause after one trade loses $amount or more
+ *
+ * Trade results come from the data collector's position polls. When a strategy's entry opens
+ * a position, the contract's realized P&L for the trade date is noted; when the position is
+ * flat again, the change in realized P&L (x point value) is that round trip's gross P&L.
+ */
+class CircuitBreaker {
+  constructor() {
+    this.client = null;
+    this.realized = new Map(); // accountId:symbol -> { value, tradeDate } from the latest position poll
+    this.contractNames = new Map(); // contractId -> contract name
+  }
+
+  getTradovateClient() {
+    if (!this.client) {
+      this.client = new TradovateClient();
+    }
+    return this.client;
+  }
+
+  /**
+   * Validate and normalize a strategy's settings.circuitBreakers
+   */
+  validate(config) {
+    const normalized = {};
+    const number = (value, name, { integer = false } = {}) => {
+      const parsed = integer ? parseInt(value) : parseFloat(value);
+      if (!Number.isFinite(parsed) || parsed <= 0) {
+        throw new Error(`circuitBreakers.${name} must be a${integer ? 'n integer' : ' number'} > 0`);
+      }
+      return parsed;
+    };
+
+    if (config.maxEntriesPerDay !== undefined && config.maxEntriesPerDay !== null) {
+      normalized.maxEntriesPerDay = number(config.maxEntriesPerDay, 'maxEntriesPerDay', { integer: true });
+    }
+
+    if (config.lossStreak) {
+      normalized.lossStreak = {
+        count: number(config.lossStreak.count, 'lossStreak.count', { integer: true }),
+        cooldownMinutes: number(config.lossStreak.cooldownMinutes, 'lossStreak.cooldownMinutes')
+      };
+    }
+
+    if (config.largeLoss) {
+      normalized.largeLoss = {
+        amount: number(config.largeLoss.amount, 'largeLoss.amount'),
+        cooldownMinutes: number(config.largeLoss.cooldownMinutes, 'largeLoss.cooldownMinutes')
+      };
+    }
+
+    const unknown = Object.keys(config).filter(key => !['maxEntriesPerDay', 'lossStreak', 'largeLoss'].includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown circuit breakers: ${unknown.join(', ')}`);
+    }
+
+    return Object.keys(normalized).length > 0 ? normalized : null;
+  }
+
+  /**
+   * A strategy's counters, with the session counters reset when a new session has started
+   */
+  getState(strategyName, now = new Date()) {
+    const session = tradingCalendar.getSessionDate(now);
+    const state = database.getStrategyBreaker(strategyName) || {
+      strategy: strategyName,
+      entries: 0,
+      sessionTrades: 0,
+      sessionPnL: 0,
+      consecutiveLosses: 0
+    };
+
+    if (state.sessionDate !== session) {
+      Object.assign(state, { sessionDate: session, entries: 0, sessionTrades: 0, sessionPnL: 0 });
+    }
+    return state;
+  }
+
+  /**
+   * Breaker blocking a new entry for a strategy: { reason, message, cooldownUntil }, or null
+   */
+  check(strategy, now = new Date()) {
+    const config = strategy?.settings?.circuitBreakers;
+    if (!config) {
+      return null;
+    }
+
+    const state = this.getState(strategy.name, now);
+
+    if (state.cooldownUntil && new Date(state.cooldownUntil) > now) {
+      return {
+        reason: state.cooldownReason,
+        message: `Strategy ${strategy.name} is cooling down until ${state.cooldownUntil} (${state.cooldownReason})`,
+        cooldownUntil: state.cooldownUntil
+      };
+    }
+
+    if (config.maxEntriesPerDay && state.entries >= config.maxEntriesPerDay) {
+      return {
+        reason: 'max_entries_per_day',
+        message: `Strategy ${strategy.name} has taken ${state.entries} entries this session (max ${config.maxEntriesPerDay})`,
+        cooldownUntil: null
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Count an entry signal that placed orders
+   */
+  recordEntry(strategyName, now = new Date()) {
+    const state = this.getState(strategyName, now);
+    state.entries++;
+    database.saveStrategyBreaker(state);
+  }
+
+  /**
+   * Attribute the position an entry opens (or adds to) in a contract to a strategy
+   */
+  trackPosition(strategyName, accountId, symbol) {
+    const existing = database.getStrategyPosition(accountId, symbol);
+
+    // Still open from an earlier entry (scale in, reverse) - the round trip continues
+    if (existing) {
+      if (existing.strategy !== strategyName) {
+        database.saveStrategyPosition({ ...existing, strategy: strategyName });
+      }
+      return;
+    }
+
+    // No poll for this contract yet: the baseline is taken from the next poll (tradeDate null)
+    const realized = this.realized.get(`${accountId}:${symbol}`);
+    database.saveStrategyPosition({
+      accountId,
+      symbol,
+      strategy: strategyName,
+      tradeDate: realized?.tradeDate ?? null,
+      baseline: realized?.value ?? 0,
+      opened: false
+    });
+  }
+
+  /**
+   * Settle round trips from a position poll (data collector 'positions' update)
+   */
+  async handlePositions(accountId, positions) {
+    const tracked = database.getStrategyPositions(accountId);
+
+    for (const position of positions || []) {
+      const symbol = position.symbol || await this.getContractName(position.contractId);
+      if (!symbol) continue;
+
+      const net = position.netPos ?? 0;
+      const tradeDate = this.formatTradeDate(position.tradeDate);
+      const value = this.getRealizedValue(position);
+      this.realized.set(`${accountId}:${symbol}`, { value, tradeDate });
+
+      const attribution = tracked.find(item => item.symbol === symbol);
+      if (!attribution) continue;
+
+      if (attribution.tradeDate !== tradeDate) {
+        // An entry that never filled doesn't carry over to the next trade date
+        if (attribution.tradeDate && !attribution.opened) {
+          database.deleteStrategyPosition(accountId, symbol);
+          continue;
+        }
+
+        // First poll since the entry, or the trade date rolled with the position open
+        // (realized P&L restarts from the settlement price) - measure from here
+        database.saveStrategyPosition({ ...attribution, tradeDate, baseline: value, opened: attribution.opened || net !== 0 });
+        continue;
+      }
+
+      if (net !== 0) {
+        if (!attribution.opened) {
+          database.saveStrategyPosition({ ...attribution, opened: true });
+        }
+        continue;
+      }
+
+      // Flat with nothing realized since the entry - it hasn't filled yet
+      if (!attribution.opened && Math.abs(value - attribution.baseline) < 1e-9) {
+        continue;
+      }
+
+      database.deleteStrategyPosition(accountId, symbol);
+
+      const pointValue = positionSizing.getContractSpec(symbol)?.pointValue;
+      if (!pointValue) {
+        logger.warn(`⚠️ No contract spec for ${symbol} - ${attribution.strategy} trade result not recorded`);
+        continue;
+      }
+
+      const pnl = Math.round((value - attribution.baseline) * pointValue * 100) / 100;
+      this.recordTradeResult(attribution.strategy, pnl, { accountId, symbol });
+    }
+  }
+
+  /**
+   * Realized P&L (in price x contracts) for a contract's trade date, excluding the open position
+   */
+  getRealizedValue(position) {
+    return (position.soldValue || 0) - (position.boughtValue || 0)
+      - (position.prevPos || 0) * (position.prevPrice || 0)
+      + (position.netPos || 0) * (position.netPrice || 0);
+  }
+
+  formatTradeDate(tradeDate) {
+    if (!tradeDate) return null;
+    if (typeof tradeDate === 'string') return tradeDate;
+    return `${tradeDate.year}-${String(tradeDate.month).padStart(2, '0')}-${String(tradeDate.day).padStart(2, '0')}`;
+  }
+
+  async getContractName(contractId) {
+    if (!this.contractNames.has(contractId)) {
+      const client = this.getTradovateClient();
+      if (!client.accessToken) {
+        await client.authenticate();
+      }
+      const contract = await client.getContract(contractId).catch(() => null);
+      if (!contract?.name) return null;
+      this.contractNames.set(contractId, contract.name);
+    }
+    return this.contractNames.get(contractId);
+  }
+
+  /**
+   * Update a strategy's streak with a closed trade and start a cooldown if a breaker trips
+   */
+  recordTradeResult(strategyName, pnl, details = {}, now = new Date()) {
+    const state = this.getState(strategyName, now);
+    state.sessionTrades++;
+    state.sessionPnL = Math.round((state.sessionPnL + pnl) * 100) / 100;
+    state.lastTradePnL = pnl;
+    state.lastTradeAt = now.toISOString();
+
+    if (pnl < 0) {
+      state.consecutiveLosses++;
+    } else if (pnl > 0) {
+      state.consecutiveLosses = 0;
+    }
+
+    logger.info(`📒 ${strategyName} closed ${details.symbol || 'trade'} on account ${details.accountId ?? '?'}: $${pnl} (${state.consecutiveLosses} consecutive losses)`);
+
+    const config = database.getStrategy(strategyName)?.settings?.circuitBreakers;
+    let cooldown = null;
+
+    if (config?.largeLoss && pnl <= -config.largeLoss.amount) {
+      cooldown = {
+        reason: 'large_loss_cooldown',
+        minutes: config.largeLoss.cooldownMinutes,
+        message: `trade lost $${Math.abs(pnl)} (limit $${config.largeLoss.amount})`
+      };
+    } else if (config?.lossStreak && state.consecutiveLosses >= config.lossStreak.count) {
+      cooldown = {
+        reason: 'loss_streak_cooldown',
+        minutes: config.lossStreak.cooldownMinutes,
+        message: `${state.consecutiveLosses} consecutive losing trades`
+      };
+    }
+
+    if (cooldown) {
+      const until = new Date(now.getTime() + cooldown.minutes * 60000);
+      if (!state.cooldownUntil || new Date(state.cooldownUntil) < until) {
+        state.cooldownUntil = until.toISOString();
+        state.cooldownReason = cooldown.reason;
+      }
+      // The streak that tripped the breaker is spent; the next one starts after the cooldown
+      state.consecutiveLosses = 0;
+
+      const message = `Strategy ${strategyName} paused until ${state.cooldownUntil}: ${cooldown.message}`;
+      logger.warn(`🧯 ${message}`);
+      database.logActivity('strategy', message, {
+        strategy: strategyName,
+        reason: cooldown.reason,
+        pnl,
+        cooldownUntil: state.cooldownUntil,
+        ...details
+      }, 'warning');
+
+      if (global.io) {
+        global.io.emit('strategy_cooldown', {
+          strategy: strategyName,
+          reason: cooldown.reason,
+          pnl,
+          cooldownUntil: state.cooldownUntil,
+          timestamp: now.toISOString()
+        });
+      }
+    }
+
+    database.saveStrategyBreaker(state);
+    return state;
+  }
+
+  /**
+   * End a strategy's cooldown and loss streak early
+   */
+  reset(strategyName) {
+    const state = this.getState(strategyName);
+    Object.assign(state, { cooldownUntil: null, cooldownReason: null, consecutiveLosses: 0 });
+    database.saveStrategyBreaker(state);
+
+    database.logActivity('strategy', `Strategy ${strategyName} circuit breakers reset`, { strategy: strategyName });
+    return this.describe(database.getStrategy(strategyName));
+  }
+
+  /**
+   * Counters, configured limits and cooldown for a strategy
+   */
+  describe(strategy, now = new Date()) {
+    const state = this.getState(strategy.name, now);
+    const coolingDown = !!state.cooldownUntil && new Date(state.cooldownUntil) > now;
+
+    return {
+      strategy: strategy.name,
+      limits: strategy.settings?.circuitBreakers || null,
+      sessionDate: state.sessionDate,
+      entries: state.entries,
+      sessionTrades: state.sessionTrades,
+      sessionPnL: state.sessionPnL,
+      consecutiveLosses: state.consecutiveLosses,
+      lastTradePnL: state.lastTradePnL ?? null,
+      lastTradeAt: state.lastTradeAt ?? null,
+      coolingDown,
+      cooldownUntil: coolingDown ? state.cooldownUntil : null,
+      cooldownReason: coolingDown ? state.cooldownReason : null,
+      cooldownRemainingSeconds: coolingDown ? Math.ceil((new Date(state.cooldownUntil) - now) / 1000) : 0,
+      blocked: this.check(strategy, now)?.reason || null
+    };
+  }
+}
+
+// Create singleton instance
+const circuitBreaker = new CircuitBreaker();
+
+export default circuitBreaker;
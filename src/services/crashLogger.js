@@ -178,6 +178,33 @@ class CrashLogger {
       return [];
     }
   }
+
+  // Get crashes between two dates from the crash dump files (oldest first)
+  getCrashesBetween(from, to) {
+    try {
+      const logsDir = path.dirname(this.crashLogPath);
+      const crashes = [];
+
+      for (const file of fs.readdirSync(logsDir)) {
+        const match = file.match(/^crash_(\d+)_\d+\.json$/);
+        if (!match || Number(match[1]) < from.getTime() || Number(match[1]) >= to.getTime()) continue;
+
+        const report = JSON.parse(fs.readFileSync(path.join(logsDir, file), 'utf8'));
+        crashes.push({
+          crashId: report.crashId,
+          type: report.type,
+          timestamp: report.timestamp,
+          error: report.error?.message || null,
+          context: report.extraContext || null
+        });
+      }
+
+      return crashes.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+    } catch (error) {
+      this.crashLogger.error(`Failed to read crash dumps: ${error.message}`);
+      return [];
+    }
+  }
 }
 
 // Create singleton instance
@@ -0,0 +1,673 @@
+import fs from 'fs';
+import path from 'path';
+import winston from 'winston';
+import database from './database.js';
+import crashLogger from './crashLogger.js';
+import performanceAnalytics from './performanceAnalytics.js';
+import tradingCalendar from './tradingCalendar.js';
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [DAILY-REPORT-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+const MINUTE_MS = 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const FORMATS = ['json', 'html', 'md'];
+
+// Webhook statuses that mean the signal was not (fully) traded
+const NOT_EXECUTED_STATUSES = ['rejected', 'failed', 'interrupted'];
+// Activity written by the account guard, the risk engine and the circuit breakers
+const RISK_ACTIVITY_TYPES = ['kill_switch', 'risk', 'strategy'];
+// Crashes that end the process - and the relay it supervises
+const FATAL_CRASH_TYPES = ['uncaughtException', 'unhandledRejection'];
+const TOP_TRADES = 5;
+
+/**
+ * Daily Report
+ * Compiles what happened in a trading session - signals received and rejected (with reasons),
+ * trades taken, P&L by account and strategy, the largest winners and losers, risk-limit
+ * events, relay uptime and crashes - into REPORTS_DIR/<session date>.json, .html and .md.
+ *
+ * A session date D runs from the session start on D-1 to the session start on D (session
+ * timezone). Once a session has been over for REPORT_DELAY_MINUTES (so the last fills have
+ * synced) its report is written, unless one already exists; weekend sessions are skipped
+ * unless REPORT_SKIP_WEEKENDS=false. The HTML and Markdown files are self-contained.
+ *
+ * Signals, risk events and relay uptime come from the webhook and activity logs, which are trimmed
+ * to their newest rows at startup. A report whose session starts before the oldest retained row
+ * is marked truncated.
+ */
+class DailyReport {
+  constructor() {
+    this.isRunning = false;
+    this.timer = null;
+    this.reportsDir = process.env.REPORTS_DIR || './reports';
+    this.checkIntervalMs = parseInt(process.env.REPORT_CHECK_INTERVAL_MS) || 5 * MINUTE_MS;
+    this.delayMinutes = parseInt(process.env.REPORT_DELAY_MINUTES ?? '15');
+    this.skipWeekends = process.env.REPORT_SKIP_WEEKENDS !== 'false';
+    this.formats = FORMATS;
+  }
+
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    logger.info(`🗒️ Starting daily report job (every ${this.checkIntervalMs / 60000} min, ${this.delayMinutes} min after session end)`);
+    this.isRunning = true;
+    this.check();
+
+    this.timer = setInterval(() => this.check(), this.checkIntervalMs);
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    clearInterval(this.timer);
+    this.timer = null;
+    this.isRunning = false;
+    logger.info('Daily report job stopped');
+  }
+
+  /**
+   * Write the report of the last completed session if it hasn't been written yet
+   */
+  check(now = new Date()) {
+    const date = tradingCalendar.addDays(tradingCalendar.getSessionDate(new Date(now.getTime() - this.delayMinutes * MINUTE_MS)), -1);
+    if (this.exists(date) || (this.skipWeekends && this.isWeekend(date))) {
+      return null;
+    }
+
+    try {
+      return this.generate(date, now);
+    } catch (error) {
+      logger.error(`❌ Failed to generate daily report for ${date}: ${error.message}`);
+      database.logActivity('error', `Failed to generate daily report for ${date}: ${error.message}`, { date }, 'error');
+      return null;
+    }
+  }
+
+  /**
+   * Compile a session's report and (re)write its files
+   */
+  generate(date, now = new Date()) {
+    this.validateDate(date);
+    if (!this.isSessionComplete(date, now)) {
+      throw new Error(`Session ${date} has not ended yet`);
+    }
+
+    const report = this.compile(date, now);
+
+    fs.mkdirSync(this.reportsDir, { recursive: true });
+    fs.writeFileSync(this.getPath(date, 'json'), JSON.stringify(report, null, 2));
+    fs.writeFileSync(this.getPath(date, 'html'), this.render(report, 'html'));
+    fs.writeFileSync(this.getPath(date, 'md'), this.render(report, 'md'));
+
+    const { summary } = report;
+    const message = `Daily report for session ${date}: ${summary.signalsReceived} signals, ${summary.tradesTaken} trades, net P&L ${this.formatMoney(summary.netPnL)}${report.truncated ? ' (truncated - older log rows trimmed)' : ''}`;
+    logger.info(`🗒️ ${message}`);
+    database.logActivity('system', message, { date, ...summary });
+
+    if (global.io) {
+      global.io.emit('daily_report_generated', { date, summary, timestamp: now.toISOString() });
+    }
+
+    return report;
+  }
+
+  compile(date, now = new Date()) {
+    const window = this.getSessionWindow(date);
+    const crashes = crashLogger.getCrashesBetween(window.from, window.to);
+    const signals = this.getSignals(window);
+    const trades = this.getTrades(window);
+    const pnl = this.getPnL(window);
+    const riskEvents = this.getRiskEvents(window);
+    const relay = this.getRelayUptime(window, crashes);
+    const truncation = this.getTruncation(window);
+
+    return {
+      date,
+      timezone: tradingCalendar.timezone,
+      from: window.from.toISOString(),
+      to: window.to.toISOString(),
+      generatedAt: now.toISOString(),
+      truncated: truncation.length > 0,
+      truncation,
+      summary: {
+        signalsReceived: signals.received,
+        signalsExecuted: signals.byStatus.executed || 0,
+        signalsRejected: signals.rejected.length,
+        tradesTaken: trades.total,
+        closedTrades: pnl.summary.trades + pnl.summary.unpricedTrades,
+        unpricedTrades: pnl.summary.unpricedTrades,
+        netPnL: pnl.summary.netPnL,
+        winRate: pnl.summary.winRate,
+        riskEvents: riskEvents.length,
+        relayUptimePercent: relay.uptimePercent,
+        crashes: crashes.length
+      },
+      signals,
+      trades,
+      pnl,
+      riskEvents,
+      relay,
+      crashes
+    };
+  }
+
+  /**
+   * Log tables whose oldest retained row is newer than the session start
+   */
+  getTruncation(window) {
+    const from = this.toSqlTime(window.from);
+    return Object.entries(database.getLogRetention())
+      .filter(([, oldest]) => oldest && oldest > from)
+      .map(([table, oldest]) => ({ table, oldestRetained: this.fromSqlTime(oldest) }));
+  }
+
+  getSignals(window) {
+    const webhooks = database.getWebhooksBetween(this.toSqlTime(window.from), this.toSqlTime(window.to));
+    const rejected = webhooks
+      .filter(webhook => NOT_EXECUTED_STATUSES.includes(webhook.status))
+      .map(webhook => ({
+        webhookId: webhook.id,
+        time: this.fromSqlTime(webhook.timestamp),
+        source: webhook.source,
+        account: webhook.account,
+        action: webhook.action,
+        symbol: webhook.symbol,
+        quantity: webhook.quantity,
+        status: webhook.status,
+        reason: webhook.result?.reason || webhook.gate_reason || (webhook.status === 'interrupted' ? 'interrupted_by_restart' : webhook.status),
+        message: webhook.result?.message || webhook.result?.error || null
+      }));
+
+    return {
+      received: webhooks.length,
+      byStatus: this.countBy(webhooks, webhook => webhook.status),
+      bySource: this.countBy(webhooks, webhook => webhook.source || 'unknown'),
+      rejectionReasons: this.countBy(rejected, signal => signal.reason),
+      rejected
+    };
+  }
+
+  /**
+   * Signal orders placed with the broker (top-level ledger rows - not their brackets)
+   */
+  getTrades(window) {
+    const filters = { from: this.toSqlTime(window.from), to: this.toSqlTime(window.to), topLevel: true };
+    const { trades, total } = database.queryTrades(filters, { limit: 1000 });
+
+    return {
+      total,
+      byStatus: database.getTradeStatusCounts(filters),
+      items: trades.reverse().map(trade => ({
+        id: trade.id,
+        time: this.fromSqlTime(trade.timestamp),
+        account: trade.account,
+        strategy: trade.strategy,
+        symbol: trade.symbol,
+        action: trade.action,
+        quantity: trade.quantity,
+        orderType: trade.orderType,
+        status: trade.status,
+        avgFillPrice: trade.avgFillPrice,
+        slippageTicks: trade.slippageTicks
+      }))
+    };
+  }
+
+  /**
+   * Round trips from the journal that closed in the session
+   * Unpriced ones (no contract spec) are only counted - the P&L figures leave them out.
+   */
+  getPnL(window) {
+    const filters = { from: window.from.toISOString(), to: window.to.toISOString(), status: 'closed' };
+    const summary = performanceAnalytics.getSummary(filters);
+    const closed = database.getClosedJournalTrades(filters);
+    const toGroup = group => ({
+      key: group.key,
+      trades: group.trades,
+      wins: group.wins,
+      losses: group.losses,
+      winRate: group.winRate,
+      grossProfit: group.grossProfit,
+      grossLoss: group.grossLoss,
+      commission: group.commission,
+      netPnL: group.netPnL
+    });
+
+    return {
+      summary: {
+        trades: summary.trades,
+        wins: summary.wins,
+        losses: summary.losses,
+        winRate: summary.winRate,
+        grossProfit: summary.grossProfit,
+        grossLoss: summary.grossLoss,
+        profitFactor: summary.profitFactor,
+        expectancy: summary.expectancy,
+        commission: summary.commission,
+        netPnL: summary.netPnL,
+        maxDrawdown: summary.drawdown.amount,
+        unpricedTrades: closed.filter(trade => trade.netPnL === null).length
+      },
+      byAccount: performanceAnalytics.getBreakdown(filters, 'account').groups.map(toGroup),
+      byStrategy: performanceAnalytics.getBreakdown(filters, 'strategy').groups.map(toGroup),
+      largestWinners: closed.filter(trade => trade.netPnL > 0).sort((a, b) => b.netPnL - a.netPnL).slice(0, TOP_TRADES).map(trade => this.toRoundTrip(trade)),
+      largestLosers: closed.filter(trade => trade.netPnL < 0).sort((a, b) => a.netPnL - b.netPnL).slice(0, TOP_TRADES).map(trade => this.toRoundTrip(trade))
+    };
+  }
+
+  toRoundTrip(trade) {
+    return {
+      journalTradeId: trade.id,
+      account: trade.accountName || trade.accountId,
+      strategy: trade.strategy,
+      symbol: trade.symbol,
+      side: trade.side,
+      quantity: trade.maxPosition,
+      entryTime: trade.entryTime,
+      exitTime: trade.exitTime,
+      avgEntryPrice: trade.avgEntryPrice,
+      avgExitPrice: trade.avgExitPrice,
+      netPnL: trade.netPnL
+    };
+  }
+
+  /**
+   * Account guard breaches and locks, risk engine rejections and circuit breaker cooldowns
+   */
+  getRiskEvents(window) {
+    return database.getActivityBetween(RISK_ACTIVITY_TYPES, this.toSqlTime(window.from), this.toSqlTime(window.to))
+      .filter(row => row.type !== 'strategy' || row.data?.reason)
+      .map(row => ({
+        time: this.fromSqlTime(row.timestamp),
+        type: row.type,
+        level: row.level,
+        message: row.message
+      }));
+  }
+
+  /**
+   * Relay uptime from its start/exit activity; a fatal crash takes the relay down with the backend.
+   * The relay counts as down until its first start when nothing is logged before the session.
+   */
+  getRelayUptime(window, crashes) {
+    const from = this.toSqlTime(window.from);
+    const previous = database.getLastActivityBefore('relay', from);
+    const events = [
+      ...database.getActivityBetween(['relay'], from, this.toSqlTime(window.to)).map(row => ({
+        time: new Date(this.fromSqlTime(row.timestamp)),
+        up: this.isRelayUp(row),
+        message: row.message
+      })),
+      ...crashes.filter(crash => FATAL_CRASH_TYPES.includes(crash.type)).map(crash => ({
+        time: new Date(crash.timestamp),
+        up: false,
+        message: `Backend crashed (${crash.type}): ${crash.error}`
+      }))
+    ].sort((a, b) => a.time - b.time);
+
+    const windowMs = window.to - window.from;
+    if (!previous && events.length === 0) {
+      return { monitored: false, uptimePercent: null, upSeconds: null, windowSeconds: windowMs / 1000, starts: 0, outages: [] };
+    }
+
+    let up = previous ? this.isRelayUp(previous) : false;
+    let cursor = window.from;
+    let upMs = 0;
+    const outages = [];
+    if (!up) outages.push({ from: window.from.toISOString(), to: null, reason: previous?.message || 'Not started' });
+
+    for (const event of events) {
+      if (up) upMs += event.time - cursor;
+      cursor = event.time;
+
+      if (event.up && !up) {
+        outages[outages.length - 1].to = event.time.toISOString();
+      } else if (!event.up && up) {
+        outages.push({ from: event.time.toISOString(), to: null, reason: event.message });
+      }
+      up = event.up;
+    }
+    if (up) upMs += window.to - cursor;
+
+    return {
+      monitored: true,
+      uptimePercent: this.round(upMs / windowMs * 100),
+      upSeconds: Math.round(upMs / 1000),
+      windowSeconds: windowMs / 1000,
+      starts: events.filter(event => event.up).length,
+      outages: outages.map(outage => {
+        const to = outage.to || window.to.toISOString();
+        return { ...outage, to, durationSeconds: Math.round((Date.parse(to) - Date.parse(outage.from)) / 1000) };
+      })
+    };
+  }
+
+  isRelayUp(row) {
+    return row.message.startsWith('Webhook relay started');
+  }
+
+  /**
+   * Stored report (parsed JSON) or null
+   */
+  get(date) {
+    this.validateDate(date);
+    const file = this.getPath(date, 'json');
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null;
+  }
+
+  read(date, format) {
+    return fs.readFileSync(this.getPath(date, format), 'utf8');
+  }
+
+  exists(date) {
+    return fs.existsSync(this.getPath(date, 'json'));
+  }
+
+  /**
+   * Stored reports, newest first
+   */
+  list() {
+    if (!fs.existsSync(this.reportsDir)) {
+      return [];
+    }
+
+    const reports = new Map();
+    for (const file of fs.readdirSync(this.reportsDir)) {
+      const [date, format] = file.split('.');
+      if (!DATE_PATTERN.test(date) || !FORMATS.includes(format)) continue;
+
+      if (!reports.has(date)) reports.set(date, { date, formats: [] });
+      reports.get(date).formats.push(format);
+    }
+
+    return Array.from(reports.values()).sort((a, b) => b.date.localeCompare(a.date));
+  }
+
+  getPath(date, format) {
+    return path.join(this.reportsDir, `${date}.${format}`);
+  }
+
+  getSessionWindow(date) {
+    return {
+      from: tradingCalendar.toUtc(tradingCalendar.addDays(date, -1), tradingCalendar.sessionStart),
+      to: tradingCalendar.toUtc(date, tradingCalendar.sessionStart)
+    };
+  }
+
+  isSessionComplete(date, now = new Date()) {
+    return this.getSessionWindow(date).to <= now;
+  }
+
+  isWeekend(date) {
+    const day = new Date(`${date}T12:00:00Z`).getUTCDay();
+    return day === 0 || day === 6;
+  }
+
+  validateDate(date) {
+    if (!DATE_PATTERN.test(date) || isNaN(Date.parse(date))) {
+      throw new Error('date must be a session date (YYYY-MM-DD)');
+    }
+  }
+
+  /**
+   * Tables shared by the HTML and Markdown renderings
+   */
+  getSections(report) {
+    const time = value => this.formatTime(value, report.timezone);
+    const money = value => this.formatMoney(value);
+    const percent = value => (value === null || value === undefined ? '-' : `${this.round(value * 100, 1)}%`);
+    const pnlColumns = [
+      ['Key', group => group.key],
+      ['Trades', group => group.trades],
+      ['Wins', group => group.wins],
+      ['Losses', group => group.losses],
+      ['Win rate', group => percent(group.winRate)],
+      ['Commission', group => money(group.commission)],
+      ['Net P&L', group => money(group.netPnL)]
+    ];
+    const roundTripColumns = [
+      ['Exit', trade => time(trade.exitTime)],
+      ['Account', trade => trade.account],
+      ['Strategy', trade => trade.strategy || '-'],
+      ['Symbol', trade => trade.symbol],
+      ['Side', trade => trade.side],
+      ['Qty', trade => trade.quantity],
+      ['Entry', trade => trade.avgEntryPrice],
+      ['Exit price', trade => trade.avgExitPrice],
+      ['Net P&L', trade => money(trade.netPnL)]
+    ];
+
+    return [
+      {
+        title: 'Signals by status',
+        columns: [['Status', ([status]) => status], ['Signals', ([, count]) => count]],
+        rows: Object.entries(report.signals.byStatus)
+      },
+      {
+        title: 'Rejected signals',
+        columns: [
+          ['Time', signal => time(signal.time)],
+          ['Account', signal => signal.account],
+          ['Signal', signal => `${signal.action} ${signal.quantity} ${signal.symbol}`],
+          ['Status', signal => signal.status],
+          ['Reason', signal => signal.reason],
+          ['Message', signal => signal.message || '-']
+        ],
+        rows: report.signals.rejected
+      },
+      {
+        title: 'Trades taken',
+        columns: [
+          ['Time', trade => time(trade.time)],
+          ['Account', trade => trade.account],
+          ['Strategy', trade => trade.strategy || '-'],
+          ['Order', trade => `${trade.action} ${trade.quantity} ${trade.symbol}`],
+          ['Status', trade => trade.status],
+          ['Fill', trade => trade.avgFillPrice ?? '-'],
+          ['Slippage (ticks)', trade => trade.slippageTicks ?? '-']
+        ],
+        rows: report.trades.items
+      },
+      { title: 'P&L by account', columns: pnlColumns, rows: report.pnl.byAccount },
+      { title: 'P&L by strategy', columns: pnlColumns, rows: report.pnl.byStrategy },
+      { title: 'Largest winners', columns: roundTripColumns, rows: report.pnl.largestWinners },
+      { title: 'Largest losers', columns: roundTripColumns, rows: report.pnl.largestLosers },
+      {
+        title: 'Risk-limit events',
+        columns: [
+          ['Time', event => time(event.time)],
+          ['Type', event => event.type],
+          ['Level', event => event.level],
+          ['Message', event => event.message]
+        ],
+        rows: report.riskEvents
+      },
+      {
+        title: 'Relay outages',
+        columns: [
+          ['From', outage => time(outage.from)],
+          ['To', outage => time(outage.to)],
+          ['Duration', outage => this.formatDuration(outage.durationSeconds)],
+          ['Reason', outage => outage.reason]
+        ],
+        rows: report.relay.outages
+      },
+      {
+        title: 'Crashes',
+        columns: [
+          ['Time', crash => time(crash.timestamp)],
+          ['Type', crash => crash.type],
+          ['Error', crash => crash.error || '-'],
+          ['Crash id', crash => crash.crashId]
+        ],
+        rows: report.crashes
+      }
+    ];
+  }
+
+  getHeadline(report) {
+    const { summary } = report;
+    const truncation = (report.truncation || []).map(entry => `${entry.table} from ${entry.oldestRetained}`).join(', ');
+    return [
+      ['Complete', report.truncated ? `No - only ${truncation} retained` : 'Yes'],
+      ['Signals received', summary.signalsReceived],
+      ['Signals executed', summary.signalsExecuted],
+      ['Signals rejected', summary.signalsRejected],
+      ['Trades taken', summary.tradesTaken],
+      ['Closed round trips', summary.closedTrades],
+      ['Unpriced round trips', summary.unpricedTrades],
+      ['Net P&L', this.formatMoney(summary.netPnL)],
+      ['Win rate', summary.winRate === null ? '-' : `${this.round(summary.winRate * 100, 1)}%`],
+      ['Risk events', summary.riskEvents],
+      ['Relay uptime', summary.relayUptimePercent === null ? 'not monitored' : `${summary.relayUptimePercent}%`],
+      ['Crashes', summary.crashes]
+    ];
+  }
+
+  /**
+   * Render a report as html or md
+   */
+  render(report, format) {
+    return format === 'html' ? this.renderHtml(report) : this.renderMarkdown(report);
+  }
+
+  renderHtml(report) {
+    const escape = value => String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    const cards = this.getHeadline(report)
+      .map(([label, value]) => `<div class="card"><div class="label">${escape(label)}</div><div class="value">${escape(value)}</div></div>`)
+      .join('\n');
+    const sections = this.getSections(report).map(section => {
+      const body = section.rows.length === 0
+        ? '<p class="empty">None</p>'
+        : `<table>
+<thead><tr>${section.columns.map(([label]) => `<th>${escape(label)}</th>`).join('')}</tr></thead>
+<tbody>
+${section.rows.map(row => `<tr>${section.columns.map(([, value]) => `<td>${escape(value(row))}</td>`).join('')}</tr>`).join('\n')}
+</tbody>
+</table>`;
+      return `<h2>${escape(section.title)}</h2>\n${body}`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Trading report ${escape(report.date)}</title>
+<style>
+body { font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; margin: 2rem; color: #1f2328; }
+h1 { margin-bottom: 0.25rem; }
+.meta { color: #656d76; margin-bottom: 1.5rem; }
+.cards { display: flex; flex-wrap: wrap; gap: 0.75rem; }
+.card { border: 1px solid #d0d7de; border-radius: 6px; padding: 0.75rem 1rem; min-width: 9rem; }
+.card .label { color: #656d76; font-size: 0.8rem; }
+.card .value { font-size: 1.3rem; font-weight: 600; }
+h2 { margin-top: 2rem; border-bottom: 1px solid #d0d7de; padding-bottom: 0.25rem; }
+table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+th, td { border: 1px solid #d0d7de; padding: 0.35rem 0.6rem; text-align: left; }
+th { background: #f6f8fa; }
+.empty { color: #656d76; }
+</style>
+</head>
+<body>
+<h1>Trading report ${escape(report.date)}</h1>
+<div class="meta">Session ${escape(this.formatTime(report.from, report.timezone))} - ${escape(this.formatTime(report.to, report.timezone))} (${escape(report.timezone)}) · generated ${escape(report.generatedAt)}</div>
+<div class="cards">
+${cards}
+</div>
+${sections}
+</body>
+</html>
+`;
+  }
+
+  renderMarkdown(report) {
+    const cell = value => String(value ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    const lines = [
+      `# Trading report ${report.date}`,
+      '',
+      `Session ${this.formatTime(report.from, report.timezone)} - ${this.formatTime(report.to, report.timezone)} (${report.timezone}), generated ${report.generatedAt}`,
+      '',
+      ...this.getHeadline(report).map(([label, value]) => `- **${label}:** ${value}`)
+    ];
+
+    for (const section of this.getSections(report)) {
+      lines.push('', `## ${section.title}`, '');
+      if (section.rows.length === 0) {
+        lines.push('None');
+        continue;
+      }
+      lines.push(`| ${section.columns.map(([label]) => label).join(' | ')} |`);
+      lines.push(`| ${section.columns.map(() => '---').join(' | ')} |`);
+      for (const row of section.rows) {
+        lines.push(`| ${section.columns.map(([, value]) => cell(value(row))).join(' | ')} |`);
+      }
+    }
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  formatTime(value, timeZone) {
+    if (!value) return '-';
+    return new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).format(new Date(value));
+  }
+
+  formatMoney(value) {
+    if (value === null || value === undefined) return '-';
+    const amount = Math.abs(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    return `${value < 0 ? '-' : ''}$${amount}`;
+  }
+
+  formatDuration(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m ${seconds % 60}s`;
+  }
+
+  countBy(items, keyOf) {
+    const counts = {};
+    for (const item of items) {
+      const key = keyOf(item);
+      counts[key] = (counts[key] || 0) + 1;
+    }
+    return counts;
+  }
+
+  toSqlTime(date) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+  }
+
+  fromSqlTime(value) {
+    return `${value.replace(' ', 'T')}Z`;
+  }
+
+  round(value, decimals = 2) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+  }
+}
+
+// Create singleton instance
+const dailyReport = new DailyReport();
+
+export default dailyReport;
@@ -70,6 +70,18 @@ class DatabaseService {
       )
     `);
 
+    // Latency tracking columns - epoch milliseconds for each stage of a signal's life
+    this.ensureColumn('webhooks', 'source_time', 'INTEGER');
+    this.ensureColumn('webhooks', 'received_at', 'INTEGER');
+    this.ensureColumn('webhooks', 'queued_at', 'INTEGER');
+    this.ensureColumn('webhooks', 'submitted_at', 'INTEGER');
+    this.ensureColumn('webhooks', 'acknowledged_at', 'INTEGER');
+    this.ensureColumn('webhooks', 'filled_at', 'INTEGER');
+    this.ensureColumn('webhooks', 'order_id', 'TEXT');
+
+    // Why a trading window or blackout rejected (or simulated) the signal
+    this.ensureColumn('webhooks', 'gate_reason', 'TEXT');
+
     // Activity log table - stores all system activity
     this.db.exec(`
       CREATE TABLE IF NOT EXISTS activity_log (
@@ -110,21 +122,371 @@ class DatabaseService {
       )
     `);
 
+    // Order lifecycle columns - rows of one execution share trade_id, bracket exits point at their entry
+    this.ensureColumn('trades', 'account_id', 'TEXT');
+    this.ensureColumn('trades', 'strategy', 'TEXT');
+    this.ensureColumn('trades', 'root_symbol', 'TEXT');
+    this.ensureColumn('trades', 'side', 'TEXT');
+    this.ensureColumn('trades', 'order_type', 'TEXT');
+    this.ensureColumn('trades', 'role', 'TEXT');
+    this.ensureColumn('trades', 'parent_id', 'INTEGER');
+    this.ensureColumn('trades', 'filled_quantity', 'INTEGER NOT NULL DEFAULT 0');
+    this.ensureColumn('trades', 'avg_fill_price', 'REAL');
+    this.ensureColumn('trades', 'broker_status', 'TEXT');
+    this.ensureColumn('trades', 'updated_at', 'DATETIME');
+
+    // Execution quality - signal price and last quote at submission vs the fill
+    this.ensureColumn('trades', 'signal_price', 'REAL');
+    this.ensureColumn('trades', 'quote_price', 'REAL');
+    this.ensureColumn('trades', 'submitted_at', 'INTEGER');
+    this.ensureColumn('trades', 'filled_at', 'INTEGER');
+    this.ensureColumn('trades', 'slippage_ticks', 'REAL');
+    this.ensureColumn('trades', 'slippage_dollars', 'REAL');
+    this.ensureColumn('trades', 'quote_slippage_ticks', 'REAL');
+    this.ensureColumn('trades', 'fill_latency_ms', 'INTEGER');
+
+    // Signal idempotency table - suppresses duplicate alerts (retries, duplicated alert rules)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS signal_idempotency (
+        idempotency_key TEXT PRIMARY KEY,
+        key_type TEXT NOT NULL,
+        webhook_id INTEGER,
+        status TEXT NOT NULL DEFAULT 'processing',
+        result TEXT,
+        duplicate_count INTEGER DEFAULT 0,
+        first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at INTEGER NOT NULL
+      )
+    `);
+
+    // Webhook nonces table - blocks replays of signed webhook requests
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS webhook_nonces (
+        nonce TEXT PRIMARY KEY,
+        endpoint TEXT,
+        received_at INTEGER NOT NULL,
+        expires_at INTEGER NOT NULL
+      )
+    `);
+
+    // Mapping profiles table - declarative payload mappings for webhook sources
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS mapping_profiles (
+        name TEXT PRIMARY KEY,
+        description TEXT,
+        definition TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Strategies table - per-strategy routing, secrets and kill switches
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS strategies (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        description TEXT,
+        secret TEXT,
+        allowed_symbols TEXT,
+        accounts TEXT,
+        sizing TEXT,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        mode TEXT NOT NULL DEFAULT 'live',
+        settings TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Signal queue table - durable, ordered per account+symbol signal processing
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS signal_queue (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        queue_key TEXT NOT NULL,
+        webhook_id INTEGER,
+        idempotency_key TEXT,
+        signal TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        result TEXT,
+        error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        started_at DATETIME,
+        completed_at DATETIME
+      )
+    `);
+
+    // Account groups table - fan a signal out to several accounts
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS account_groups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        description TEXT,
+        members TEXT NOT NULL,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Monitored positions table - trailing stops and multi-target brackets survive restarts
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS monitored_positions (
+        monitor_key TEXT PRIMARY KEY,
+        kind TEXT NOT NULL,
+        account_id INTEGER NOT NULL,
+        symbol TEXT NOT NULL,
+        trailing_config TEXT,
+        trailing_activated INTEGER NOT NULL DEFAULT 0,
+        high_water_mark REAL,
+        low_water_mark REAL,
+        state TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Stop modifications table - every stop move with the rule that caused it
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS stop_modifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        trade_id TEXT,
+        account_id INTEGER,
+        symbol TEXT,
+        stop_order_id INTEGER,
+        reason TEXT NOT NULL,
+        old_stop_price REAL,
+        new_stop_price REAL,
+        quantity INTEGER,
+        market_price REAL,
+        profit_points REAL,
+        details TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Session rules table - scheduled flatten times (CME daily halt, weekend close)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS session_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        action TEXT NOT NULL DEFAULT 'flatten',
+        time TEXT NOT NULL,
+        days TEXT NOT NULL,
+        timezone TEXT NOT NULL DEFAULT 'America/Chicago',
+        accounts TEXT,
+        strategy TEXT,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        last_run_date TEXT,
+        last_run_at DATETIME,
+        last_result TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Account guards table - daily loss / profit / trailing drawdown limits, the running
+    // session figures they are checked against, and the per-account kill switch.
+    // account_id 'global' holds the limits applied to the sum of all accounts.
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS account_guards (
+        account_id TEXT PRIMARY KEY,
+        account_name TEXT,
+        daily_loss_limit REAL,
+        daily_profit_target REAL,
+        trailing_drawdown REAL,
+        trailing_mode TEXT NOT NULL DEFAULT 'intraday',
+        drawdown_lock_at REAL,
+        flatten_on_breach INTEGER NOT NULL DEFAULT 1,
+        session_date TEXT,
+        start_equity REAL,
+        last_equity REAL,
+        peak_equity REAL,
+        daily_pnl REAL,
+        trading_enabled INTEGER NOT NULL DEFAULT 1,
+        lock_rule TEXT,
+        lock_reason TEXT,
+        locked_at DATETIME,
+        locked_session TEXT,
+        override_session TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Strategy breakers table - per-strategy entry counters, loss streaks and cooldowns
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS strategy_breakers (
+        strategy TEXT PRIMARY KEY,
+        session_date TEXT,
+        entries INTEGER NOT NULL DEFAULT 0,
+        session_trades INTEGER NOT NULL DEFAULT 0,
+        session_pnl REAL NOT NULL DEFAULT 0,
+        consecutive_losses INTEGER NOT NULL DEFAULT 0,
+        last_trade_pnl REAL,
+        last_trade_at DATETIME,
+        cooldown_until DATETIME,
+        cooldown_reason TEXT,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Strategy positions table - which strategy opened the position in a contract, and the
+    // contract's realized P&L when it did (the round trip's P&L is measured from there)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS strategy_positions (
+        account_id TEXT NOT NULL,
+        symbol TEXT NOT NULL,
+        strategy TEXT NOT NULL,
+        trade_date TEXT,
+        baseline REAL NOT NULL DEFAULT 0,
+        opened INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (account_id, symbol)
+      )
+    `);
+
+    // Trading windows table - when entries are allowed, per strategy and/or root symbol
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS trading_windows (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT UNIQUE NOT NULL,
+        strategy TEXT,
+        symbol TEXT,
+        days TEXT NOT NULL,
+        start TEXT NOT NULL,
+        end TEXT NOT NULL,
+        timezone TEXT NOT NULL DEFAULT 'America/Chicago',
+        enabled INTEGER NOT NULL DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Journal fills table - every broker fill seen, with the quantity still open as a FIFO lot
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS journal_fills (
+        fill_id TEXT PRIMARY KEY,
+        account_id TEXT NOT NULL,
+        contract_id TEXT NOT NULL,
+        symbol TEXT,
+        order_id TEXT,
+        side TEXT NOT NULL,
+        quantity INTEGER NOT NULL,
+        price REAL NOT NULL,
+        fill_time TEXT NOT NULL,
+        remaining INTEGER NOT NULL DEFAULT 0,
+        journal_trade_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Journal trades table - round trips (flat to flat) per account and contract, P&L matched FIFO
+    // (gross/net P&L stay null for contracts without a contract spec to price them)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS journal_trades (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        account_id TEXT NOT NULL,
+        account_name TEXT,
+        contract_id TEXT NOT NULL,
+        symbol TEXT,
+        root_symbol TEXT,
+        side TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'open',
+        entry_time TEXT NOT NULL,
+        exit_time TEXT,
+        entry_quantity INTEGER NOT NULL DEFAULT 0,
+        exit_quantity INTEGER NOT NULL DEFAULT 0,
+        max_position INTEGER NOT NULL DEFAULT 0,
+        avg_entry_price REAL,
+        avg_exit_price REAL,
+        points REAL NOT NULL DEFAULT 0,
+        gross_pnl REAL,
+        commission REAL NOT NULL DEFAULT 0,
+        net_pnl REAL,
+        holding_seconds INTEGER,
+        fill_count INTEGER NOT NULL DEFAULT 0,
+        strategy TEXT,
+        webhook_id INTEGER,
+        trade_id TEXT,
+        entry_order_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Excursions - best/worst price while the round trip was open, MAE/MFE worked out at close
+    this.ensureColumn('journal_trades', 'best_price', 'REAL');
+    this.ensureColumn('journal_trades', 'worst_price', 'REAL');
+    this.ensureColumn('journal_trades', 'mae_points', 'REAL');
+    this.ensureColumn('journal_trades', 'mfe_points', 'REAL');
+    this.ensureColumn('journal_trades', 'mae_dollars', 'REAL');
+    this.ensureColumn('journal_trades', 'mfe_dollars', 'REAL');
+
+    // Balance and equity samples per account, kept at minute, hour and session-day resolution
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS balance_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        account_id TEXT NOT NULL,
+        account_name TEXT,
+        resolution TEXT NOT NULL,
+        bucket TEXT NOT NULL,
+        sampled_at TEXT NOT NULL,
+        balance REAL,
+        equity REAL,
+        realized_pnl REAL,
+        unrealized_pnl REAL,
+        margin_used REAL,
+        available_funds REAL,
+        high_equity REAL,
+        low_equity REAL,
+        samples INTEGER NOT NULL DEFAULT 1,
+        UNIQUE (account_id, resolution, bucket)
+      )
+    `);
+
     // Create indexes for better query performance
     this.db.exec(`
       CREATE INDEX IF NOT EXISTS idx_webhooks_timestamp ON webhooks (timestamp DESC);
       CREATE INDEX IF NOT EXISTS idx_activity_timestamp ON activity_log (timestamp DESC);
       CREATE INDEX IF NOT EXISTS idx_trades_timestamp ON trades (timestamp DESC);
+      CREATE INDEX IF NOT EXISTS idx_trades_order_id ON trades (order_id);
+      CREATE INDEX IF NOT EXISTS idx_trades_webhook ON trades (webhook_id);
+      CREATE INDEX IF NOT EXISTS idx_trades_parent ON trades (parent_id);
+      CREATE INDEX IF NOT EXISTS idx_trades_account_status ON trades (account_id, status);
+      CREATE INDEX IF NOT EXISTS idx_idempotency_expires ON signal_idempotency (expires_at);
+      CREATE INDEX IF NOT EXISTS idx_nonces_expires ON webhook_nonces (expires_at);
+      CREATE INDEX IF NOT EXISTS idx_signal_queue_key_status ON signal_queue (queue_key, status, id);
+      CREATE INDEX IF NOT EXISTS idx_signal_queue_status ON signal_queue (status);
+      CREATE INDEX IF NOT EXISTS idx_webhooks_order_id ON webhooks (order_id);
+      CREATE INDEX IF NOT EXISTS idx_stop_modifications_trade ON stop_modifications (trade_id, id);
+      CREATE INDEX IF NOT EXISTS idx_journal_fills_lots ON journal_fills (account_id, contract_id, remaining);
+      CREATE INDEX IF NOT EXISTS idx_journal_fills_trade ON journal_fills (journal_trade_id);
+      CREATE INDEX IF NOT EXISTS idx_journal_trades_open ON journal_trades (account_id, contract_id, status);
+      CREATE INDEX IF NOT EXISTS idx_journal_trades_exit ON journal_trades (exit_time DESC);
+      CREATE INDEX IF NOT EXISTS idx_balance_history_time ON balance_history (resolution, sampled_at);
     `);
 
     logger.info('Database tables created/verified');
   }
 
+  /**
+   * Add a column to an existing table if it's missing (lightweight migration)
+   */
+  ensureColumn(table, column, definition) {
+    const columns = this.db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(existing => existing.name === column)) {
+      this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      logger.info(`Added column ${table}.${column}`);
+    }
+  }
+
   // Webhook methods
   saveWebhook(webhook) {
     const stmt = this.db.prepare(`
-      INSERT INTO webhooks (action, symbol, quantity, price, order_type, account, source, status, result, raw_data)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO webhooks (action, symbol, quantity, price, order_type, account, source, status, result, raw_data, source_time, received_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     const result = stmt.run(
@@ -137,12 +499,53 @@ class DatabaseService {
       webhook.source || 'unknown',
       webhook.status || 'received',
       webhook.result ? JSON.stringify(webhook.result) : null,
-      webhook.rawData ? JSON.stringify(webhook.rawData) : null
+      webhook.rawData ? JSON.stringify(webhook.rawData) : null,
+      webhook.sourceTime || null,
+      webhook.receivedAt || null
     );
 
     return result.lastInsertRowid;
   }
 
+  updateWebhook(id, { status, result, gateReason }) {
+    const stmt = this.db.prepare(`
+      UPDATE webhooks SET status = COALESCE(?, status), result = COALESCE(?, result), gate_reason = COALESCE(?, gate_reason) WHERE id = ?
+    `);
+
+    stmt.run(status || null, result ? JSON.stringify(result) : null, gateReason || null, id);
+  }
+
+  updateWebhookTimings(id, timings) {
+    const allowed = ['queued_at', 'submitted_at', 'acknowledged_at', 'filled_at', 'order_id'];
+    const entries = Object.entries(timings).filter(([column, value]) => allowed.includes(column) && value !== undefined && value !== null);
+    if (entries.length === 0) return;
+
+    const assignments = entries.map(([column]) => `${column} = ?`).join(', ');
+    this.db.prepare(`UPDATE webhooks SET ${assignments} WHERE id = ?`)
+      .run(...entries.map(([, value]) => value), id);
+  }
+
+  getWebhooksAwaitingFill(sinceMs) {
+    return this.db.prepare(`
+      SELECT id, order_id, acknowledged_at FROM webhooks
+      WHERE order_id IS NOT NULL AND filled_at IS NULL AND received_at >= ?
+    `).all(sinceMs);
+  }
+
+  getWebhookLatencyRows(limit = 500) {
+    return this.db.prepare(`
+      SELECT id, source, source_time, received_at, queued_at, submitted_at, acknowledged_at, filled_at
+      FROM webhooks
+      WHERE received_at IS NOT NULL
+      ORDER BY id DESC
+      LIMIT ?
+    `).all(limit);
+  }
+
+  getWebhook(id) {
+    return this.db.prepare('SELECT * FROM webhooks WHERE id = ?').get(id) || null;
+  }
+
   getRecentWebhooks(limit = 50) {
     const stmt = this.db.prepare(`
       SELECT * FROM webhooks
@@ -153,6 +556,21 @@ class DatabaseService {
     return stmt.all(limit);
   }
 
+  /**
+   * Webhooks received in a time range (UTC 'YYYY-MM-DD HH:MM:SS', to exclusive), oldest first
+   */
+  getWebhooksBetween(from, to) {
+    return this.db.prepare(`
+      SELECT id, timestamp, action, symbol, quantity, price, account, source, status, result, gate_reason
+      FROM webhooks
+      WHERE timestamp >= ? AND timestamp < ?
+      ORDER BY timestamp, id
+    `).all(from, to).map(row => ({
+      ...row,
+      result: row.result ? JSON.parse(row.result) : null
+    }));
+  }
+
   // Activity log methods
   logActivity(type, message, data = null, level = 'info') {
     const stmt = this.db.prepare(`
@@ -184,6 +602,59 @@ class DatabaseService {
     }));
   }
 
+  getRecentActivityByType(type, limit = 100) {
+    const stmt = this.db.prepare(`
+      SELECT * FROM activity_log
+      WHERE type = ?
+      ORDER BY timestamp DESC
+      LIMIT ?
+    `);
+
+    return stmt.all(type, limit).map(row => ({
+      ...row,
+      data: row.data ? JSON.parse(row.data) : null
+    }));
+  }
+
+  /**
+   * Activity of the given types in a time range (UTC 'YYYY-MM-DD HH:MM:SS', to exclusive), oldest first
+   */
+  getActivityBetween(types, from, to) {
+    return this.db.prepare(`
+      SELECT * FROM activity_log
+      WHERE type IN (${types.map(() => '?').join(', ')}) AND timestamp >= ? AND timestamp < ?
+      ORDER BY timestamp, id
+    `).all(...types, from, to).map(row => ({
+      ...row,
+      data: row.data ? JSON.parse(row.data) : null
+    }));
+  }
+
+  /**
+   * Oldest row still held in each log table cleanupOldLogs trims (null while a table is under its cap)
+   */
+  getLogRetention() {
+    const oldest = (table, max) => {
+      const row = this.db.prepare(`SELECT COUNT(*) as count, MIN(timestamp) as oldest FROM ${table}`).get();
+      return row.count >= max ? row.oldest : null;
+    };
+    return {
+      webhooks: oldest('webhooks', this.maxWebhookLogs),
+      activity_log: oldest('activity_log', this.maxActivityLogs)
+    };
+  }
+
+  getLastActivityBefore(type, before) {
+    const row = this.db.prepare(`
+      SELECT * FROM activity_log
+      WHERE type = ? AND timestamp < ?
+      ORDER BY timestamp DESC, id DESC
+      LIMIT 1
+    `).get(type, before);
+
+    return row ? { ...row, data: row.data ? JSON.parse(row.data) : null } : null;
+  }
+
   // System status methods
   setSystemStatus(key, value) {
     const stmt = this.db.prepare(`
@@ -238,26 +709,170 @@ class DatabaseService {
   // Trade methods
   saveTrade(trade) {
     const stmt = this.db.prepare(`
-      INSERT INTO trades (webhook_id, order_id, trade_id, symbol, action, quantity, price, status, account, error_message)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      INSERT INTO trades (
+        webhook_id, order_id, trade_id, symbol, root_symbol, action, side, order_type, role, parent_id,
+        quantity, price, status, account, account_id, strategy, error_message, signal_price, quote_price,
+        submitted_at, updated_at
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
     `);
 
     const result = stmt.run(
       trade.webhookId || null,
-      trade.orderId || null,
+      trade.orderId !== undefined && trade.orderId !== null ? String(trade.orderId) : null,
       trade.tradeId || null,
       trade.symbol,
+      trade.rootSymbol || null,
       trade.action,
+      trade.side || null,
+      trade.orderType || null,
+      trade.role || null,
+      trade.parentId || null,
       trade.quantity,
       trade.price || null,
       trade.status || 'pending',
       trade.account || 'default',
-      trade.errorMessage || null
+      trade.accountId !== undefined && trade.accountId !== null ? String(trade.accountId) : null,
+      trade.strategy || null,
+      trade.errorMessage || null,
+      trade.signalPrice ?? null,
+      trade.quotePrice ?? null,
+      trade.submittedAt ?? null
     );
 
     return result.lastInsertRowid;
   }
 
+  updateTradeStatus(id, { status, brokerStatus, filledQuantity, avgFillPrice }) {
+    this.db.prepare(`
+      UPDATE trades SET
+        status = ?,
+        broker_status = COALESCE(?, broker_status),
+        filled_quantity = COALESCE(?, filled_quantity),
+        avg_fill_price = COALESCE(?, avg_fill_price),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(status, brokerStatus ?? null, filledQuantity ?? null, avgFillPrice ?? null, id);
+  }
+
+  /**
+   * Slippage and latency worked out once an order has filled
+   */
+  updateTradeExecution(id, { filledAt, slippageTicks, slippageDollars, quoteSlippageTicks, fillLatencyMs }) {
+    this.db.prepare(`
+      UPDATE trades SET
+        filled_at = ?, slippage_ticks = ?, slippage_dollars = ?, quote_slippage_ticks = ?, fill_latency_ms = ?
+      WHERE id = ?
+    `).run(filledAt ?? null, slippageTicks ?? null, slippageDollars ?? null, quoteSlippageTicks ?? null, fillLatencyMs ?? null, id);
+  }
+
+  /**
+   * Filled orders placed for signals (not bracket stops/targets), oldest first
+   */
+  getFilledExecutions(filters = {}) {
+    const { where, params } = this.buildTradeFilter({ ...filters, statuses: ['filled', 'partially_filled'], topLevel: true });
+    return this.db.prepare(`
+      SELECT * FROM trades ${where} AND avg_fill_price IS NOT NULL ORDER BY timestamp ASC, id ASC
+    `).all(...params).map(row => this.parseTradeRow(row));
+  }
+
+  getTrade(id) {
+    const row = this.db.prepare('SELECT * FROM trades WHERE id = ?').get(id);
+    return row ? this.parseTradeRow(row) : null;
+  }
+
+  getTradeByOrderId(orderId) {
+    const row = this.db.prepare('SELECT * FROM trades WHERE order_id = ? ORDER BY id DESC LIMIT 1').get(String(orderId));
+    return row ? this.parseTradeRow(row) : null;
+  }
+
+  getChildTrades(parentId) {
+    return this.db.prepare('SELECT * FROM trades WHERE parent_id = ? ORDER BY id ASC').all(parentId)
+      .map(row => this.parseTradeRow(row));
+  }
+
+  getTradesByTradeId(tradeId) {
+    return this.db.prepare('SELECT * FROM trades WHERE trade_id = ? ORDER BY id ASC').all(tradeId)
+      .map(row => this.parseTradeRow(row));
+  }
+
+  /**
+   * Orders on an account still waiting on the broker (placed at or after sinceUtc)
+   */
+  getOpenTrades(accountId, sinceUtc) {
+    return this.db.prepare(`
+      SELECT * FROM trades
+      WHERE account_id = ? AND order_id IS NOT NULL AND timestamp >= ?
+        AND status NOT IN ('filled', 'cancelled', 'rejected')
+      ORDER BY id ASC
+    `).all(String(accountId), sinceUtc).map(row => this.parseTradeRow(row));
+  }
+
+  /**
+   * Filtered, paginated trade history (newest first)
+   * filters: { from, to (UTC 'YYYY-MM-DD HH:MM:SS'), account, rootSymbol, symbol, strategy, statuses, role, webhookId, topLevel }
+   */
+  queryTrades(filters = {}, { limit = 50, offset = 0 } = {}) {
+    const { where, params } = this.buildTradeFilter(filters);
+    const total = this.db.prepare(`SELECT COUNT(*) as count FROM trades ${where}`).get(...params).count;
+    const trades = this.db.prepare(`
+      SELECT * FROM trades ${where}
+      ORDER BY timestamp DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset).map(row => this.parseTradeRow(row));
+
+    return { trades, total };
+  }
+
+  getTradeStatusCounts(filters = {}) {
+    const { where, params } = this.buildTradeFilter({ ...filters, statuses: null });
+    const rows = this.db.prepare(`SELECT status, COUNT(*) as count FROM trades ${where} GROUP BY status`).all(...params);
+    return Object.fromEntries(rows.map(row => [row.status, row.count]));
+  }
+
+  buildTradeFilter(filters) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.from) {
+      conditions.push('timestamp >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      conditions.push('timestamp < ?');
+      params.push(filters.to);
+    }
+    if (filters.account) {
+      conditions.push('(account_id = ? OR LOWER(account) = LOWER(?))');
+      params.push(String(filters.account), String(filters.account));
+    }
+    if (filters.rootSymbol || filters.symbol) {
+      conditions.push('(root_symbol = ? OR UPPER(symbol) = ?)');
+      params.push(filters.rootSymbol || null, filters.symbol || null);
+    }
+    if (filters.strategy) {
+      conditions.push('LOWER(strategy) = LOWER(?)');
+      params.push(filters.strategy);
+    }
+    if (filters.statuses?.length > 0) {
+      conditions.push(`status IN (${filters.statuses.map(() => '?').join(', ')})`);
+      params.push(...filters.statuses);
+    }
+    if (filters.role) {
+      conditions.push('role = ?');
+      params.push(filters.role);
+    }
+    if (filters.webhookId) {
+      conditions.push('webhook_id = ?');
+      params.push(filters.webhookId);
+    }
+    if (filters.topLevel) {
+      conditions.push('parent_id IS NULL');
+    }
+
+    return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+  }
+
   getRecentTrades(limit = 50) {
     const stmt = this.db.prepare(`
       SELECT * FROM trades
@@ -265,7 +880,1146 @@ class DatabaseService {
       LIMIT ?
     `);
 
-    return stmt.all(limit);
+    return stmt.all(limit).map(row => this.parseTradeRow(row));
+  }
+
+  parseTradeRow(row) {
+    return {
+      id: row.id,
+      timestamp: row.timestamp,
+      updatedAt: row.updated_at,
+      tradeId: row.trade_id,
+      webhookId: row.webhook_id,
+      parentId: row.parent_id,
+      role: row.role,
+      orderId: row.order_id,
+      account: row.account,
+      accountId: row.account_id,
+      strategy: row.strategy,
+      symbol: row.symbol,
+      rootSymbol: row.root_symbol,
+      action: row.action,
+      side: row.side,
+      orderType: row.order_type,
+      quantity: row.quantity,
+      price: row.price,
+      status: row.status,
+      brokerStatus: row.broker_status,
+      filledQuantity: row.filled_quantity,
+      avgFillPrice: row.avg_fill_price,
+      signalPrice: row.signal_price,
+      quotePrice: row.quote_price,
+      submittedAt: row.submitted_at,
+      filledAt: row.filled_at,
+      slippageTicks: row.slippage_ticks,
+      slippageDollars: row.slippage_dollars,
+      quoteSlippageTicks: row.quote_slippage_ticks,
+      fillLatencyMs: row.fill_latency_ms,
+      errorMessage: row.error_message
+    };
+  }
+
+  // Idempotency methods
+  claimIdempotencyKey(key, keyType, ttlMs) {
+    const now = Date.now();
+
+    // Claim atomically so two concurrent deliveries of the same alert can't both proceed
+    const claim = this.db.transaction(() => {
+      this.db.prepare(`
+        DELETE FROM signal_idempotency WHERE idempotency_key = ? AND expires_at <= ?
+      `).run(key, now);
+
+      const inserted = this.db.prepare(`
+        INSERT OR IGNORE INTO signal_idempotency (idempotency_key, key_type, status, expires_at)
+        VALUES (?, ?, 'processing', ?)
+      `).run(key, keyType, now + ttlMs);
+
+      if (inserted.changes > 0) {
+        return { claimed: true, record: null };
+      }
+
+      this.db.prepare(`
+        UPDATE signal_idempotency
+        SET duplicate_count = duplicate_count + 1, last_seen = CURRENT_TIMESTAMP
+        WHERE idempotency_key = ?
+      `).run(key);
+
+      return { claimed: false, record: this.getIdempotencyRecord(key) };
+    });
+
+    return claim();
+  }
+
+  completeIdempotencyKey(key, webhookId, status, result) {
+    const stmt = this.db.prepare(`
+      UPDATE signal_idempotency
+      SET webhook_id = ?, status = ?, result = ?
+      WHERE idempotency_key = ?
+    `);
+
+    stmt.run(
+      webhookId || null,
+      status,
+      result ? JSON.stringify(result) : null,
+      key
+    );
+  }
+
+  getIdempotencyRecord(key) {
+    const row = this.db.prepare(`
+      SELECT * FROM signal_idempotency WHERE idempotency_key = ?
+    `).get(key);
+
+    if (!row) return null;
+
+    return {
+      ...row,
+      result: row.result ? JSON.parse(row.result) : null
+    };
+  }
+
+  // Webhook nonce methods
+  recordWebhookNonce(nonce, endpoint, ttlMs) {
+    const now = Date.now();
+
+    this.db.prepare('DELETE FROM webhook_nonces WHERE expires_at <= ?').run(now);
+
+    const result = this.db.prepare(`
+      INSERT OR IGNORE INTO webhook_nonces (nonce, endpoint, received_at, expires_at)
+      VALUES (?, ?, ?, ?)
+    `).run(nonce, endpoint || null, now, now + ttlMs);
+
+    // False when the nonce has already been used
+    return result.changes > 0;
+  }
+
+  // Mapping profile methods
+  getMappingProfile(name) {
+    const row = this.db.prepare('SELECT * FROM mapping_profiles WHERE name = ?').get(name);
+    if (!row) return null;
+
+    return {
+      ...row,
+      definition: JSON.parse(row.definition)
+    };
+  }
+
+  getMappingProfiles() {
+    const rows = this.db.prepare('SELECT * FROM mapping_profiles ORDER BY name').all();
+    return rows.map(row => ({
+      ...row,
+      definition: JSON.parse(row.definition)
+    }));
+  }
+
+  saveMappingProfile(name, description, definition) {
+    const stmt = this.db.prepare(`
+      INSERT INTO mapping_profiles (name, description, definition)
+      VALUES (?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET
+        description = excluded.description,
+        definition = excluded.definition,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+
+    stmt.run(name, description || null, JSON.stringify(definition));
+  }
+
+  deleteMappingProfile(name) {
+    const result = this.db.prepare('DELETE FROM mapping_profiles WHERE name = ?').run(name);
+    return result.changes > 0;
+  }
+
+  // Strategy methods
+  getStrategy(name) {
+    const row = this.db.prepare('SELECT * FROM strategies WHERE name = ? COLLATE NOCASE').get(name);
+    return row ? this.parseStrategyRow(row) : null;
+  }
+
+  getStrategies() {
+    const rows = this.db.prepare('SELECT * FROM strategies ORDER BY name').all();
+    return rows.map(row => this.parseStrategyRow(row));
+  }
+
+  saveStrategy(strategy) {
+    const stmt = this.db.prepare(`
+      INSERT INTO strategies (name, description, secret, allowed_symbols, accounts, sizing, enabled, mode, settings)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET
+        description = excluded.description,
+        secret = excluded.secret,
+        allowed_symbols = excluded.allowed_symbols,
+        accounts = excluded.accounts,
+        sizing = excluded.sizing,
+        enabled = excluded.enabled,
+        mode = excluded.mode,
+        settings = excluded.settings,
+        updated_at = CURRENT_TIMESTAMP
+    `);
+
+    stmt.run(
+      strategy.name,
+      strategy.description || null,
+      strategy.secret || null,
+      strategy.allowedSymbols ? JSON.stringify(strategy.allowedSymbols) : null,
+      strategy.accounts ? JSON.stringify(strategy.accounts) : null,
+      strategy.sizing ? JSON.stringify(strategy.sizing) : null,
+      strategy.enabled === false ? 0 : 1,
+      strategy.mode || 'live',
+      strategy.settings ? JSON.stringify(strategy.settings) : null
+    );
+
+    return this.getStrategy(strategy.name);
+  }
+
+  setStrategyEnabled(name, enabled) {
+    const result = this.db.prepare(`
+      UPDATE strategies SET enabled = ?, updated_at = CURRENT_TIMESTAMP WHERE name = ? COLLATE NOCASE
+    `).run(enabled ? 1 : 0, name);
+    return result.changes > 0;
+  }
+
+  deleteStrategy(name) {
+    const result = this.db.prepare('DELETE FROM strategies WHERE name = ? COLLATE NOCASE').run(name);
+    return result.changes > 0;
+  }
+
+  parseStrategyRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      secret: row.secret,
+      allowedSymbols: row.allowed_symbols ? JSON.parse(row.allowed_symbols) : [],
+      accounts: row.accounts ? JSON.parse(row.accounts) : [],
+      sizing: row.sizing ? JSON.parse(row.sizing) : null,
+      enabled: row.enabled === 1,
+      mode: row.mode,
+      settings: row.settings ? JSON.parse(row.settings) : {},
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Account group methods
+  getAccountGroup(name) {
+    const row = this.db.prepare('SELECT * FROM account_groups WHERE name = ? COLLATE NOCASE').get(name);
+    return row ? this.parseAccountGroupRow(row) : null;
+  }
+
+  getAccountGroups() {
+    const rows = this.db.prepare('SELECT * FROM account_groups ORDER BY name').all();
+    return rows.map(row => this.parseAccountGroupRow(row));
+  }
+
+  saveAccountGroup(group) {
+    this.db.prepare(`
+      INSERT INTO account_groups (name, description, members, enabled)
+      VALUES (?, ?, ?, ?)
+      ON CONFLICT(name) DO UPDATE SET
+        description = excluded.description,
+        members = excluded.members,
+        enabled = excluded.enabled,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(
+      group.name,
+      group.description || null,
+      JSON.stringify(group.members),
+      group.enabled === false ? 0 : 1
+    );
+
+    return this.getAccountGroup(group.name);
+  }
+
+  deleteAccountGroup(name) {
+    const result = this.db.prepare('DELETE FROM account_groups WHERE name = ? COLLATE NOCASE').run(name);
+    return result.changes > 0;
+  }
+
+  parseAccountGroupRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      members: JSON.parse(row.members),
+      enabled: row.enabled === 1,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Signal queue methods
+  enqueueSignal({ queueKey, webhookId, idempotencyKey, signal }) {
+    const result = this.db.prepare(`
+      INSERT INTO signal_queue (queue_key, webhook_id, idempotency_key, signal)
+      VALUES (?, ?, ?, ?)
+    `).run(queueKey, webhookId || null, idempotencyKey || null, JSON.stringify(signal));
+
+    return result.lastInsertRowid;
+  }
+
+  markQueuedSignalProcessing(id) {
+    this.db.prepare(`
+      UPDATE signal_queue
+      SET status = 'processing', attempts = attempts + 1, started_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(id);
+  }
+
+  completeQueuedSignal(id, status, result, error = null) {
+    this.db.prepare(`
+      UPDATE signal_queue
+      SET status = ?, result = ?, error = ?, completed_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(status, result ? JSON.stringify(result) : null, error, id);
+  }
+
+  getQueuedSignal(id) {
+    const row = this.db.prepare('SELECT * FROM signal_queue WHERE id = ?').get(id);
+    return row ? this.parseQueueRow(row) : null;
+  }
+
+  getQueuedSignals({ status = null, limit = 50 } = {}) {
+    const rows = status
+      ? this.db.prepare('SELECT * FROM signal_queue WHERE status = ? ORDER BY id DESC LIMIT ?').all(status, limit)
+      : this.db.prepare('SELECT * FROM signal_queue ORDER BY id DESC LIMIT ?').all(limit);
+
+    return rows.map(row => this.parseQueueRow(row));
+  }
+
+  getQueuedSignalsByStatus(statuses) {
+    const placeholders = statuses.map(() => '?').join(', ');
+    const rows = this.db.prepare(`
+      SELECT * FROM signal_queue WHERE status IN (${placeholders}) ORDER BY id ASC
+    `).all(...statuses);
+
+    return rows.map(row => this.parseQueueRow(row));
+  }
+
+  getSignalQueueStats() {
+    const byStatus = this.db.prepare(`
+      SELECT status, COUNT(*) as count FROM signal_queue GROUP BY status
+    `).all();
+
+    const byKey = this.db.prepare(`
+      SELECT queue_key, COUNT(*) as depth, MIN(created_at) as oldest
+      FROM signal_queue
+      WHERE status IN ('pending', 'processing')
+      GROUP BY queue_key
+      ORDER BY depth DESC
+    `).all();
+
+    return { byStatus, byKey };
+  }
+
+  parseQueueRow(row) {
+    return {
+      ...row,
+      signal: JSON.parse(row.signal),
+      result: row.result ? JSON.parse(row.result) : null
+    };
+  }
+
+  // Monitored position methods
+  saveMonitoredPosition({ key, kind, accountId, symbol, trailingConfig, trailingActivated, highWaterMark, lowWaterMark, state }) {
+    this.db.prepare(`
+      INSERT INTO monitored_positions (monitor_key, kind, account_id, symbol, trailing_config, trailing_activated, high_water_mark, low_water_mark, state)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(monitor_key) DO UPDATE SET
+        trailing_config = excluded.trailing_config,
+        trailing_activated = excluded.trailing_activated,
+        high_water_mark = excluded.high_water_mark,
+        low_water_mark = excluded.low_water_mark,
+        state = excluded.state,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(
+      key,
+      kind,
+      accountId,
+      symbol,
+      trailingConfig ? JSON.stringify(trailingConfig) : null,
+      trailingActivated ? 1 : 0,
+      highWaterMark ?? null,
+      lowWaterMark ?? null,
+      JSON.stringify(state)
+    );
+  }
+
+  deleteMonitoredPosition(key) {
+    this.db.prepare('DELETE FROM monitored_positions WHERE monitor_key = ?').run(key);
+  }
+
+  getMonitoredPositions() {
+    const rows = this.db.prepare('SELECT * FROM monitored_positions ORDER BY created_at ASC').all();
+    return rows.map(row => ({
+      key: row.monitor_key,
+      kind: row.kind,
+      accountId: row.account_id,
+      symbol: row.symbol,
+      trailingConfig: row.trailing_config ? JSON.parse(row.trailing_config) : null,
+      trailingActivated: row.trailing_activated === 1,
+      highWaterMark: row.high_water_mark,
+      lowWaterMark: row.low_water_mark,
+      state: JSON.parse(row.state),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    }));
+  }
+
+  // Stop modification methods
+  saveStopModification(modification) {
+    const result = this.db.prepare(`
+      INSERT INTO stop_modifications (trade_id, account_id, symbol, stop_order_id, reason, old_stop_price, new_stop_price, quantity, market_price, profit_points, details)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      modification.tradeId || null,
+      modification.accountId ?? null,
+      modification.symbol || null,
+      modification.stopOrderId ?? null,
+      modification.reason,
+      modification.oldStopPrice ?? null,
+      modification.newStopPrice ?? null,
+      modification.quantity ?? null,
+      modification.marketPrice ?? null,
+      modification.profitPoints ?? null,
+      modification.details ? JSON.stringify(modification.details) : null
+    );
+
+    return result.lastInsertRowid;
+  }
+
+  getStopModifications({ tradeId = null, accountId = null, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (tradeId) {
+      conditions.push('trade_id = ?');
+      params.push(tradeId);
+    }
+    if (accountId) {
+      conditions.push('account_id = ?');
+      params.push(accountId);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const rows = this.db.prepare(`SELECT * FROM stop_modifications ${where} ORDER BY id DESC LIMIT ?`).all(...params, limit);
+
+    return rows.map(row => ({
+      ...row,
+      details: row.details ? JSON.parse(row.details) : null
+    }));
+  }
+
+  // Session rule methods
+  getSessionRule(id) {
+    const row = this.db.prepare('SELECT * FROM session_rules WHERE id = ?').get(id);
+    return row ? this.parseSessionRuleRow(row) : null;
+  }
+
+  getSessionRuleByName(name) {
+    const row = this.db.prepare('SELECT * FROM session_rules WHERE name = ? COLLATE NOCASE').get(name);
+    return row ? this.parseSessionRuleRow(row) : null;
+  }
+
+  getSessionRules() {
+    const rows = this.db.prepare('SELECT * FROM session_rules ORDER BY time, name').all();
+    return rows.map(row => this.parseSessionRuleRow(row));
+  }
+
+  saveSessionRule(rule) {
+    const values = [
+      rule.name,
+      rule.action,
+      rule.time,
+      JSON.stringify(rule.days),
+      rule.timezone,
+      JSON.stringify(rule.accounts || []),
+      rule.strategy || null,
+      rule.enabled === false ? 0 : 1
+    ];
+
+    if (rule.id) {
+      this.db.prepare(`
+        UPDATE session_rules
+        SET name = ?, action = ?, time = ?, days = ?, timezone = ?, accounts = ?, strategy = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(...values, rule.id);
+      return this.getSessionRule(rule.id);
+    }
+
+    const result = this.db.prepare(`
+      INSERT INTO session_rules (name, action, time, days, timezone, accounts, strategy, enabled)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(...values);
+    return this.getSessionRule(result.lastInsertRowid);
+  }
+
+  markSessionRuleRun(id, localDate, result) {
+    this.db.prepare(`
+      UPDATE session_rules SET last_run_date = ?, last_run_at = CURRENT_TIMESTAMP, last_result = ? WHERE id = ?
+    `).run(localDate, JSON.stringify(result), id);
+  }
+
+  deleteSessionRule(id) {
+    const result = this.db.prepare('DELETE FROM session_rules WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  parseSessionRuleRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      action: row.action,
+      time: row.time,
+      days: JSON.parse(row.days),
+      timezone: row.timezone,
+      accounts: row.accounts ? JSON.parse(row.accounts) : [],
+      strategy: row.strategy,
+      enabled: row.enabled === 1,
+      lastRunDate: row.last_run_date,
+      lastRunAt: row.last_run_at,
+      lastResult: row.last_result ? JSON.parse(row.last_result) : null,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Account guard methods
+  getAccountGuard(accountId) {
+    const row = this.db.prepare('SELECT * FROM account_guards WHERE account_id = ?').get(String(accountId));
+    return row ? this.parseAccountGuardRow(row) : null;
+  }
+
+  getAccountGuards() {
+    const rows = this.db.prepare('SELECT * FROM account_guards ORDER BY account_id').all();
+    return rows.map(row => this.parseAccountGuardRow(row));
+  }
+
+  saveAccountGuard(guard) {
+    this.db.prepare(`
+      INSERT INTO account_guards (
+        account_id, account_name, daily_loss_limit, daily_profit_target, trailing_drawdown, trailing_mode,
+        drawdown_lock_at, flatten_on_breach, session_date, start_equity, last_equity, peak_equity, daily_pnl,
+        trading_enabled, lock_rule, lock_reason, locked_at, locked_session, override_session
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(account_id) DO UPDATE SET
+        account_name = excluded.account_name,
+        daily_loss_limit = excluded.daily_loss_limit,
+        daily_profit_target = excluded.daily_profit_target,
+        trailing_drawdown = excluded.trailing_drawdown,
+        trailing_mode = excluded.trailing_mode,
+        drawdown_lock_at = excluded.drawdown_lock_at,
+        flatten_on_breach = excluded.flatten_on_breach,
+        session_date = excluded.session_date,
+        start_equity = excluded.start_equity,
+        last_equity = excluded.last_equity,
+        peak_equity = excluded.peak_equity,
+        daily_pnl = excluded.daily_pnl,
+        trading_enabled = excluded.trading_enabled,
+        lock_rule = excluded.lock_rule,
+        lock_reason = excluded.lock_reason,
+        locked_at = excluded.locked_at,
+        locked_session = excluded.locked_session,
+        override_session = excluded.override_session,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(
+      String(guard.accountId),
+      guard.accountName ?? null,
+      guard.dailyLossLimit ?? null,
+      guard.dailyProfitTarget ?? null,
+      guard.trailingDrawdown ?? null,
+      guard.trailingMode || 'intraday',
+      guard.drawdownLockAt ?? null,
+      guard.flattenOnBreach === false ? 0 : 1,
+      guard.sessionDate ?? null,
+      guard.startEquity ?? null,
+      guard.lastEquity ?? null,
+      guard.peakEquity ?? null,
+      guard.dailyPnL ?? null,
+      guard.tradingEnabled === false ? 0 : 1,
+      guard.lockRule ?? null,
+      guard.lockReason ?? null,
+      guard.lockedAt ?? null,
+      guard.lockedSession ?? null,
+      guard.overrideSession ?? null
+    );
+    return this.getAccountGuard(guard.accountId);
+  }
+
+  deleteAccountGuard(accountId) {
+    const result = this.db.prepare('DELETE FROM account_guards WHERE account_id = ?').run(String(accountId));
+    return result.changes > 0;
+  }
+
+  parseAccountGuardRow(row) {
+    return {
+      accountId: row.account_id,
+      accountName: row.account_name,
+      dailyLossLimit: row.daily_loss_limit,
+      dailyProfitTarget: row.daily_profit_target,
+      trailingDrawdown: row.trailing_drawdown,
+      trailingMode: row.trailing_mode,
+      drawdownLockAt: row.drawdown_lock_at,
+      flattenOnBreach: row.flatten_on_breach === 1,
+      sessionDate: row.session_date,
+      startEquity: row.start_equity,
+      lastEquity: row.last_equity,
+      peakEquity: row.peak_equity,
+      dailyPnL: row.daily_pnl,
+      tradingEnabled: row.trading_enabled === 1,
+      lockRule: row.lock_rule,
+      lockReason: row.lock_reason,
+      lockedAt: row.locked_at,
+      lockedSession: row.locked_session,
+      overrideSession: row.override_session,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Trading window methods
+  getTradingWindow(id) {
+    const row = this.db.prepare('SELECT * FROM trading_windows WHERE id = ?').get(id);
+    return row ? this.parseTradingWindowRow(row) : null;
+  }
+
+  getTradingWindowByName(name) {
+    const row = this.db.prepare('SELECT * FROM trading_windows WHERE name = ? COLLATE NOCASE').get(name);
+    return row ? this.parseTradingWindowRow(row) : null;
+  }
+
+  getTradingWindows() {
+    const rows = this.db.prepare('SELECT * FROM trading_windows ORDER BY start, name').all();
+    return rows.map(row => this.parseTradingWindowRow(row));
+  }
+
+  saveTradingWindow(window) {
+    const values = [
+      window.name,
+      window.strategy || null,
+      window.symbol || null,
+      JSON.stringify(window.days),
+      window.start,
+      window.end,
+      window.timezone,
+      window.enabled === false ? 0 : 1
+    ];
+
+    if (window.id) {
+      this.db.prepare(`
+        UPDATE trading_windows
+        SET name = ?, strategy = ?, symbol = ?, days = ?, start = ?, end = ?, timezone = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(...values, window.id);
+      return this.getTradingWindow(window.id);
+    }
+
+    const result = this.db.prepare(`
+      INSERT INTO trading_windows (name, strategy, symbol, days, start, end, timezone, enabled)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(...values);
+    return this.getTradingWindow(result.lastInsertRowid);
+  }
+
+  deleteTradingWindow(id) {
+    const result = this.db.prepare('DELETE FROM trading_windows WHERE id = ?').run(id);
+    return result.changes > 0;
+  }
+
+  parseTradingWindowRow(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      strategy: row.strategy,
+      symbol: row.symbol,
+      days: JSON.parse(row.days),
+      start: row.start,
+      end: row.end,
+      timezone: row.timezone,
+      enabled: row.enabled === 1,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Strategy breaker methods
+  getStrategyBreaker(strategy) {
+    const row = this.db.prepare('SELECT * FROM strategy_breakers WHERE strategy = ?').get(strategy);
+    return row ? this.parseStrategyBreakerRow(row) : null;
+  }
+
+  getStrategyBreakers() {
+    const rows = this.db.prepare('SELECT * FROM strategy_breakers ORDER BY strategy').all();
+    return rows.map(row => this.parseStrategyBreakerRow(row));
+  }
+
+  saveStrategyBreaker(state) {
+    this.db.prepare(`
+      INSERT INTO strategy_breakers (
+        strategy, session_date, entries, session_trades, session_pnl, consecutive_losses,
+        last_trade_pnl, last_trade_at, cooldown_until, cooldown_reason
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(strategy) DO UPDATE SET
+        session_date = excluded.session_date,
+        entries = excluded.entries,
+        session_trades = excluded.session_trades,
+        session_pnl = excluded.session_pnl,
+        consecutive_losses = excluded.consecutive_losses,
+        last_trade_pnl = excluded.last_trade_pnl,
+        last_trade_at = excluded.last_trade_at,
+        cooldown_until = excluded.cooldown_until,
+        cooldown_reason = excluded.cooldown_reason,
+        updated_at = CURRENT_TIMESTAMP
+    `).run(
+      state.strategy,
+      state.sessionDate ?? null,
+      state.entries || 0,
+      state.sessionTrades || 0,
+      state.sessionPnL || 0,
+      state.consecutiveLosses || 0,
+      state.lastTradePnL ?? null,
+      state.lastTradeAt ?? null,
+      state.cooldownUntil ?? null,
+      state.cooldownReason ?? null
+    );
+    return this.getStrategyBreaker(state.strategy);
+  }
+
+  parseStrategyBreakerRow(row) {
+    return {
+      strategy: row.strategy,
+      sessionDate: row.session_date,
+      entries: row.entries,
+      sessionTrades: row.session_trades,
+      sessionPnL: row.session_pnl,
+      consecutiveLosses: row.consecutive_losses,
+      lastTradePnL: row.last_trade_pnl,
+      lastTradeAt: row.last_trade_at,
+      cooldownUntil: row.cooldown_until,
+      cooldownReason: row.cooldown_reason,
+      updatedAt: row.updated_at
+    };
+  }
+
+  getStrategyPosition(accountId, symbol) {
+    const row = this.db.prepare('SELECT * FROM strategy_positions WHERE account_id = ? AND symbol = ?').get(String(accountId), symbol);
+    return row ? this.parseStrategyPositionRow(row) : null;
+  }
+
+  getStrategyPositions(accountId) {
+    const rows = this.db.prepare('SELECT * FROM strategy_positions WHERE account_id = ?').all(String(accountId));
+    return rows.map(row => this.parseStrategyPositionRow(row));
+  }
+
+  saveStrategyPosition({ accountId, symbol, strategy, tradeDate, baseline, opened }) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO strategy_positions (account_id, symbol, strategy, trade_date, baseline, opened)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `).run(String(accountId), symbol, strategy, tradeDate ?? null, baseline || 0, opened ? 1 : 0);
+  }
+
+  deleteStrategyPosition(accountId, symbol) {
+    this.db.prepare('DELETE FROM strategy_positions WHERE account_id = ? AND symbol = ?').run(String(accountId), symbol);
+  }
+
+  parseStrategyPositionRow(row) {
+    return {
+      accountId: row.account_id,
+      symbol: row.symbol,
+      strategy: row.strategy,
+      tradeDate: row.trade_date,
+      baseline: row.baseline,
+      opened: row.opened === 1,
+      createdAt: row.created_at
+    };
+  }
+
+  // Journal methods
+  saveJournalFill(fill) {
+    const result = this.db.prepare(`
+      INSERT OR IGNORE INTO journal_fills (fill_id, account_id, contract_id, symbol, order_id, side, quantity, price, fill_time)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      String(fill.fillId),
+      String(fill.accountId),
+      String(fill.contractId),
+      fill.symbol || null,
+      fill.orderId !== undefined && fill.orderId !== null ? String(fill.orderId) : null,
+      fill.side,
+      fill.quantity,
+      fill.price,
+      fill.fillTime
+    );
+    return result.changes > 0;
+  }
+
+  updateJournalFill(fillId, { remaining, journalTradeId }) {
+    this.db.prepare(`
+      UPDATE journal_fills SET remaining = ?, journal_trade_id = COALESCE(?, journal_trade_id) WHERE fill_id = ?
+    `).run(remaining, journalTradeId ?? null, String(fillId));
+  }
+
+  hasJournalFill(fillId) {
+    return !!this.db.prepare('SELECT 1 FROM journal_fills WHERE fill_id = ?').get(String(fillId));
+  }
+
+  /**
+   * Open FIFO lots for an account and contract, oldest first
+   */
+  getOpenJournalLots(accountId, contractId) {
+    return this.db.prepare(`
+      SELECT * FROM journal_fills
+      WHERE account_id = ? AND contract_id = ? AND remaining > 0
+      ORDER BY fill_time ASC, fill_id ASC
+    `).all(String(accountId), String(contractId)).map(row => this.parseJournalFillRow(row));
+  }
+
+  /**
+   * Fills of a round trip - round trips on a contract never overlap, so the fill that went
+   * through flat shows in both the round trip it closed and the one it opened
+   */
+  getJournalFills(trade) {
+    return this.db.prepare(`
+      SELECT * FROM journal_fills
+      WHERE account_id = ? AND contract_id = ? AND fill_time >= ? AND (? IS NULL OR fill_time <= ?)
+      ORDER BY fill_time ASC, fill_id ASC
+    `).all(trade.accountId, trade.contractId, trade.entryTime, trade.exitTime, trade.exitTime)
+      .map(row => this.parseJournalFillRow(row));
+  }
+
+  parseJournalFillRow(row) {
+    return {
+      fillId: row.fill_id,
+      accountId: row.account_id,
+      contractId: row.contract_id,
+      symbol: row.symbol,
+      orderId: row.order_id,
+      side: row.side,
+      quantity: row.quantity,
+      price: row.price,
+      fillTime: row.fill_time,
+      remaining: row.remaining,
+      journalTradeId: row.journal_trade_id
+    };
+  }
+
+  getJournalTrade(id) {
+    const row = this.db.prepare('SELECT * FROM journal_trades WHERE id = ?').get(id);
+    return row ? this.parseJournalTradeRow(row) : null;
+  }
+
+  getOpenJournalTrade(accountId, contractId) {
+    const row = this.db.prepare(`
+      SELECT * FROM journal_trades WHERE account_id = ? AND contract_id = ? AND status = 'open' ORDER BY id DESC LIMIT 1
+    `).get(String(accountId), String(contractId));
+    return row ? this.parseJournalTradeRow(row) : null;
+  }
+
+  getOpenJournalTrades() {
+    return this.db.prepare(`SELECT * FROM journal_trades WHERE status = 'open' ORDER BY id ASC`).all()
+      .map(row => this.parseJournalTradeRow(row));
+  }
+
+  updateJournalExcursion(id, { bestPrice, worstPrice }) {
+    this.db.prepare(`
+      UPDATE journal_trades SET best_price = ?, worst_price = ? WHERE id = ? AND status = 'open'
+    `).run(bestPrice ?? null, worstPrice ?? null, id);
+  }
+
+  saveJournalTrade(trade) {
+    const values = [
+      String(trade.accountId),
+      trade.accountName ?? null,
+      String(trade.contractId),
+      trade.symbol ?? null,
+      trade.rootSymbol ?? null,
+      trade.side,
+      trade.status,
+      trade.entryTime,
+      trade.exitTime ?? null,
+      trade.entryQuantity,
+      trade.exitQuantity,
+      trade.maxPosition,
+      trade.avgEntryPrice ?? null,
+      trade.avgExitPrice ?? null,
+      trade.points,
+      trade.grossPnL,
+      trade.commission,
+      trade.netPnL,
+      trade.holdingSeconds ?? null,
+      trade.fillCount,
+      trade.strategy ?? null,
+      trade.webhookId ?? null,
+      trade.tradeId ?? null,
+      trade.entryOrderId !== undefined && trade.entryOrderId !== null ? String(trade.entryOrderId) : null,
+      trade.bestPrice ?? null,
+      trade.worstPrice ?? null,
+      trade.maePoints ?? null,
+      trade.mfePoints ?? null,
+      trade.maeDollars ?? null,
+      trade.mfeDollars ?? null
+    ];
+
+    if (trade.id) {
+      this.db.prepare(`
+        UPDATE journal_trades SET
+          account_id = ?, account_name = ?, contract_id = ?, symbol = ?, root_symbol = ?, side = ?, status = ?,
+          entry_time = ?, exit_time = ?, entry_quantity = ?, exit_quantity = ?, max_position = ?,
+          avg_entry_price = ?, avg_exit_price = ?, points = ?, gross_pnl = ?, commission = ?, net_pnl = ?,
+          holding_seconds = ?, fill_count = ?, strategy = ?, webhook_id = ?, trade_id = ?, entry_order_id = ?,
+          best_price = ?, worst_price = ?, mae_points = ?, mfe_points = ?, mae_dollars = ?, mfe_dollars = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(...values, trade.id);
+      return this.getJournalTrade(trade.id);
+    }
+
+    const result = this.db.prepare(`
+      INSERT INTO journal_trades (
+        account_id, account_name, contract_id, symbol, root_symbol, side, status,
+        entry_time, exit_time, entry_quantity, exit_quantity, max_position,
+        avg_entry_price, avg_exit_price, points, gross_pnl, commission, net_pnl,
+        holding_seconds, fill_count, strategy, webhook_id, trade_id, entry_order_id,
+        best_price, worst_price, mae_points, mfe_points, mae_dollars, mfe_dollars
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(...values);
+    return this.getJournalTrade(result.lastInsertRowid);
+  }
+
+  /**
+   * Filtered, paginated round trips, most recently closed (or opened) first
+   * filters: { from, to (ISO), account, rootSymbol, symbol, strategy, status, side }
+   */
+  queryJournalTrades(filters = {}, { limit = 50, offset = 0 } = {}) {
+    const { where, params } = this.buildJournalFilter(filters);
+    const total = this.db.prepare(`SELECT COUNT(*) as count FROM journal_trades ${where}`).get(...params).count;
+    const trades = this.db.prepare(`
+      SELECT * FROM journal_trades ${where}
+      ORDER BY COALESCE(exit_time, entry_time) DESC, id DESC
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, offset).map(row => this.parseJournalTradeRow(row));
+
+    return { trades, total };
+  }
+
+  /**
+   * Every closed round trip matching the filters, in the order they closed
+   */
+  getClosedJournalTrades(filters = {}) {
+    const { where, params } = this.buildJournalFilter({ ...filters, status: 'closed' });
+    return this.db.prepare(`
+      SELECT * FROM journal_trades ${where} ORDER BY exit_time ASC, id ASC
+    `).all(...params).map(row => this.parseJournalTradeRow(row));
+  }
+
+  /**
+   * Cheap change marker for caches built on the journal
+   */
+  getJournalVersion() {
+    const row = this.db.prepare(`
+      SELECT COUNT(*) as count, SUM(status = 'closed') as closed, MAX(id) as maxId, MAX(updated_at) as updatedAt
+      FROM journal_trades
+    `).get();
+    return `${row.count}:${row.closed}:${row.maxId}:${row.updatedAt}`;
+  }
+
+  getJournalSummary(filters = {}) {
+    const { where, params } = this.buildJournalFilter({ ...filters, status: 'closed' });
+    return this.db.prepare(`
+      SELECT
+        COUNT(*) as trades,
+        SUM(CASE WHEN net_pnl > 0 THEN 1 ELSE 0 END) as winners,
+        SUM(CASE WHEN net_pnl < 0 THEN 1 ELSE 0 END) as losers,
+        COALESCE(SUM(gross_pnl), 0) as grossPnL,
+        COALESCE(SUM(commission), 0) as commission,
+        COALESCE(SUM(net_pnl), 0) as netPnL,
+        COALESCE(SUM(exit_quantity), 0) as contracts,
+        COALESCE(SUM(net_pnl IS NULL), 0) as unpriced,
+        AVG(holding_seconds) as avgHoldingSeconds
+      FROM journal_trades ${where}
+    `).get(...params);
+  }
+
+  buildJournalFilter(filters) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.from) {
+      conditions.push('COALESCE(exit_time, entry_time) >= ?');
+      params.push(filters.from);
+    }
+    if (filters.to) {
+      conditions.push('COALESCE(exit_time, entry_time) < ?');
+      params.push(filters.to);
+    }
+    if (filters.account) {
+      conditions.push('(account_id = ? OR LOWER(account_name) = LOWER(?))');
+      params.push(String(filters.account), String(filters.account));
+    }
+    if (filters.rootSymbol || filters.symbol) {
+      conditions.push('(root_symbol = ? OR UPPER(symbol) = ?)');
+      params.push(filters.rootSymbol || null, filters.symbol || null);
+    }
+    if (filters.strategy) {
+      conditions.push('LOWER(strategy) = LOWER(?)');
+      params.push(filters.strategy);
+    }
+    if (filters.status) {
+      conditions.push('status = ?');
+      params.push(filters.status);
+    }
+    if (filters.side) {
+      conditions.push('side = ?');
+      params.push(filters.side);
+    }
+    if (filters.priced) {
+      conditions.push('net_pnl IS NOT NULL');
+    }
+
+    return { where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+  }
+
+  parseJournalTradeRow(row) {
+    return {
+      id: row.id,
+      accountId: row.account_id,
+      accountName: row.account_name,
+      contractId: row.contract_id,
+      symbol: row.symbol,
+      rootSymbol: row.root_symbol,
+      side: row.side,
+      status: row.status,
+      entryTime: row.entry_time,
+      exitTime: row.exit_time,
+      entryQuantity: row.entry_quantity,
+      exitQuantity: row.exit_quantity,
+      maxPosition: row.max_position,
+      avgEntryPrice: row.avg_entry_price,
+      avgExitPrice: row.avg_exit_price,
+      points: row.points,
+      grossPnL: row.gross_pnl,
+      commission: row.commission,
+      netPnL: row.net_pnl,
+      holdingSeconds: row.holding_seconds,
+      fillCount: row.fill_count,
+      strategy: row.strategy,
+      webhookId: row.webhook_id,
+      tradeId: row.trade_id,
+      entryOrderId: row.entry_order_id,
+      bestPrice: row.best_price,
+      worstPrice: row.worst_price,
+      maePoints: row.mae_points,
+      mfePoints: row.mfe_points,
+      maeDollars: row.mae_dollars,
+      mfeDollars: row.mfe_dollars,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  // Balance history methods
+  /**
+   * Fold a balance sample into its bucket at each resolution: the latest values win and
+   * the equity high/low spans every sample in the bucket
+   * buckets: { minute: '...', hour: '...', day: 'YYYY-MM-DD' }
+   */
+  saveBalanceSample(sample, buckets) {
+    const stmt = this.db.prepare(`
+      INSERT INTO balance_history (
+        account_id, account_name, resolution, bucket, sampled_at, balance, equity, realized_pnl,
+        unrealized_pnl, margin_used, available_funds, high_equity, low_equity
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(account_id, resolution, bucket) DO UPDATE SET
+        account_name = COALESCE(excluded.account_name, account_name),
+        sampled_at = excluded.sampled_at,
+        balance = excluded.balance,
+        equity = excluded.equity,
+        realized_pnl = excluded.realized_pnl,
+        unrealized_pnl = excluded.unrealized_pnl,
+        margin_used = excluded.margin_used,
+        available_funds = excluded.available_funds,
+        high_equity = MAX(high_equity, excluded.high_equity),
+        low_equity = MIN(low_equity, excluded.low_equity),
+        samples = samples + 1
+    `);
+
+    const save = this.db.transaction(() => {
+      for (const [resolution, bucket] of Object.entries(buckets)) {
+        stmt.run(
+          String(sample.accountId),
+          sample.accountName ?? null,
+          resolution,
+          bucket,
+          sample.sampledAt,
+          sample.balance ?? null,
+          sample.equity ?? null,
+          sample.realizedPnL ?? null,
+          sample.unrealizedPnL ?? null,
+          sample.marginUsed ?? null,
+          sample.availableFunds ?? null,
+          sample.equity ?? null,
+          sample.equity ?? null
+        );
+      }
+    });
+    save();
+  }
+
+  /**
+   * Samples at one stored resolution, oldest first
+   * filters: { accounts (ids or names), from, to (ISO) }
+   */
+  getBalanceHistory(resolution, { accounts = [], from = null, to = null } = {}) {
+    const conditions = ['resolution = ?'];
+    const params = [resolution];
+
+    if (accounts.length > 0) {
+      const placeholders = accounts.map(() => '?').join(', ');
+      conditions.push(`(account_id IN (${placeholders}) OR LOWER(account_name) IN (${placeholders}))`);
+      params.push(...accounts.map(String), ...accounts.map(account => String(account).toLowerCase()));
+    }
+    if (from) {
+      conditions.push('sampled_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('sampled_at < ?');
+      params.push(to);
+    }
+
+    return this.db.prepare(`
+      SELECT * FROM balance_history WHERE ${conditions.join(' AND ')} ORDER BY account_id, bucket
+    `).all(...params).map(row => this.parseBalanceHistoryRow(row));
+  }
+
+  /**
+   * Drop samples at a resolution taken before the cutoff (ISO)
+   */
+  pruneBalanceHistory(resolution, before) {
+    return this.db.prepare('DELETE FROM balance_history WHERE resolution = ? AND sampled_at < ?')
+      .run(resolution, before).changes;
+  }
+
+  parseBalanceHistoryRow(row) {
+    return {
+      accountId: row.account_id,
+      accountName: row.account_name,
+      resolution: row.resolution,
+      bucket: row.bucket,
+      sampledAt: row.sampled_at,
+      balance: row.balance,
+      equity: row.equity,
+      realizedPnL: row.realized_pnl,
+      unrealizedPnL: row.unrealized_pnl,
+      marginUsed: row.margin_used,
+      availableFunds: row.available_funds,
+      highEquity: row.high_equity,
+      lowEquity: row.low_equity,
+      samples: row.samples
+    };
   }
 
   // Stats methods
@@ -320,8 +2074,24 @@ class DatabaseService {
     `);
     const webhookResult = webhookCleanup.run(this.maxWebhookLogs);
 
-    if (activityResult.changes > 0 || webhookResult.changes > 0) {
-      logger.info(`Cleaned up old logs: ${activityResult.changes} activity, ${webhookResult.changes} webhooks`);
+    // Drop idempotency keys whose suppression window has passed
+    const idempotencyResult = this.db.prepare(`
+      DELETE FROM signal_idempotency WHERE expires_at <= ?
+    `).run(Date.now());
+
+    // Keep finished queue entries in line with the webhook log (pending work is never removed)
+    const queueResult = this.db.prepare(`
+      DELETE FROM signal_queue
+      WHERE status NOT IN ('pending', 'processing')
+        AND id NOT IN (
+          SELECT id FROM signal_queue
+          ORDER BY id DESC
+          LIMIT ?
+        )
+    `).run(this.maxWebhookLogs);
+
+    if (activityResult.changes > 0 || webhookResult.changes > 0 || idempotencyResult.changes > 0 || queueResult.changes > 0) {
+      logger.info(`Cleaned up old logs: ${activityResult.changes} activity, ${webhookResult.changes} webhooks, ${idempotencyResult.changes} idempotency keys, ${queueResult.changes} queued signals`);
     }
   }
 
@@ -0,0 +1,237 @@
+import winston from 'winston';
+import database from './database.js';
+import marketDataFeed from './marketDataFeed.js';
+import positionSizing from './positionSizing.js';
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [EXCURSION-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+/**
+ * Excursion Tracker
+ * Follows the best and worst price seen while each journal round trip is open - from the
+ * market data feed, from position polls (the broker's open P&L) and from the round trip's
+ * own fills - so MAE/MFE can be stored on the round trip when it closes.
+ *
+ * MAE and MFE are distances from the average entry, never negative: MAE is how far price
+ * went against the position, MFE how far it went in its favor. Dollars are at the largest
+ * position held. Extremes are written through to the journal at most every
+ * EXCURSION_PERSIST_MS so a restart loses little.
+ */
+class ExcursionTracker {
+  constructor() {
+    this.isRunning = false;
+    this.persistIntervalMs = parseInt(process.env.EXCURSION_PERSIST_MS) || 5000;
+    this.openTrades = new Map(); // journal trade id -> { trade, dirty, persistedAt, subscribed }
+    this.handlePrice = this.handlePrice.bind(this);
+  }
+
+  /**
+   * Pick up the round trips left open by the previous run and listen to the quote feed
+   */
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    marketDataFeed.on('price', this.handlePrice);
+    for (const trade of database.getOpenJournalTrades()) {
+      this.track(trade);
+    }
+    for (const entry of this.openTrades.values()) {
+      this.subscribe(entry);
+    }
+    logger.info(`📐 Excursion tracking started (${this.openTrades.size} open round trips)`);
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    marketDataFeed.off('price', this.handlePrice);
+    for (const id of [...this.openTrades.keys()]) {
+      this.untrack(id);
+    }
+    this.isRunning = false;
+    logger.info('Excursion tracking stopped');
+  }
+
+  /**
+   * Start (or refresh) tracking of an open round trip after the journal saved it
+   */
+  track(trade) {
+    if (trade.status !== 'open') {
+      this.untrack(trade.id);
+      return;
+    }
+
+    const existing = this.openTrades.get(trade.id);
+    if (existing) {
+      existing.trade = { ...trade, bestPrice: existing.trade.bestPrice, worstPrice: existing.trade.worstPrice };
+      this.extend(existing.trade, trade.bestPrice);
+      this.extend(existing.trade, trade.worstPrice);
+      return;
+    }
+
+    const entry = { trade: { ...trade }, dirty: false, persistedAt: Date.now(), subscribed: false };
+    if (entry.trade.bestPrice === null || entry.trade.bestPrice === undefined) {
+      this.extend(entry.trade, trade.avgEntryPrice);
+      entry.dirty = true;
+    }
+    this.openTrades.set(trade.id, entry);
+    this.subscribe(entry);
+  }
+
+  untrack(id) {
+    const entry = this.openTrades.get(id);
+    if (!entry) return;
+
+    this.openTrades.delete(id);
+    if (entry.dirty) {
+      this.persist(entry);
+    }
+    if (entry.subscribed) {
+      marketDataFeed.unsubscribe(entry.trade.symbol);
+    }
+  }
+
+  subscribe(entry) {
+    if (!this.isRunning || entry.subscribed || !entry.trade.symbol) return;
+
+    entry.subscribed = true;
+    marketDataFeed.subscribe(entry.trade.symbol).catch(error => {
+      logger.warn(`⚠️ Could not subscribe to ${entry.trade.symbol} quotes: ${error.message}`);
+    });
+  }
+
+  /**
+   * Fold a price into a round trip's best/worst (merging what the tracker has seen since it
+   * was loaded) - returns whether either moved
+   */
+  applyPrice(trade, price) {
+    const { bestPrice, worstPrice } = trade;
+
+    const tracked = trade.id ? this.openTrades.get(trade.id)?.trade : null;
+    if (tracked && tracked !== trade) {
+      this.extend(trade, tracked.bestPrice);
+      this.extend(trade, tracked.worstPrice);
+    }
+    this.extend(trade, price);
+
+    return trade.bestPrice !== bestPrice || trade.worstPrice !== worstPrice;
+  }
+
+  extend(trade, price) {
+    if (price === null || price === undefined || !Number.isFinite(price)) {
+      return;
+    }
+
+    const long = trade.side === 'Long';
+    const best = trade.bestPrice ?? price;
+    const worst = trade.worstPrice ?? price;
+    trade.bestPrice = long ? Math.max(best, price) : Math.min(best, price);
+    trade.worstPrice = long ? Math.min(worst, price) : Math.max(worst, price);
+  }
+
+  /**
+   * MAE/MFE in points and dollars for a round trip that just closed
+   * Dollars stay null for contracts without a contract spec.
+   */
+  finalize(trade, pointValue = positionSizing.getContractSpec(trade.symbol)?.pointValue ?? null) {
+    if (trade.bestPrice === null || trade.bestPrice === undefined || trade.avgEntryPrice === null) {
+      return trade;
+    }
+
+    const direction = trade.side === 'Long' ? 1 : -1;
+    trade.mfePoints = this.round(Math.max(0, (trade.bestPrice - trade.avgEntryPrice) * direction), 4);
+    trade.maePoints = this.round(Math.max(0, (trade.avgEntryPrice - trade.worstPrice) * direction), 4);
+    trade.mfeDollars = pointValue ? this.round(trade.mfePoints * pointValue * trade.maxPosition) : null;
+    trade.maeDollars = pointValue ? this.round(trade.maePoints * pointValue * trade.maxPosition) : null;
+    return trade;
+  }
+
+  /**
+   * Real-time quote from the market data feed
+   */
+  handlePrice(update) {
+    for (const entry of this.openTrades.values()) {
+      if (entry.trade.symbol === update.symbol) {
+        this.observe(entry, update.price);
+      }
+    }
+  }
+
+  /**
+   * Position poll from the data collector - the price is worked out from the broker's open P&L
+   */
+  handlePositions(accountId, positions) {
+    if (!Array.isArray(positions)) return;
+
+    for (const entry of this.openTrades.values()) {
+      if (entry.trade.accountId !== String(accountId)) continue;
+
+      const position = positions.find(item => String(item.contractId) === entry.trade.contractId && item.netPos);
+      const price = position ? this.getPositionPrice(position, entry.trade.symbol) : null;
+      if (price !== null) {
+        this.observe(entry, price);
+      }
+    }
+  }
+
+  getPositionPrice(position, symbol) {
+    const openPnL = position.unrealizedPnL ?? position.openPnL;
+    const pointValue = positionSizing.getContractSpec(symbol)?.pointValue;
+    if (openPnL === undefined || openPnL === null || !position.netPrice || !pointValue) {
+      return null;
+    }
+    return position.netPrice + openPnL / (position.netPos * pointValue);
+  }
+
+  observe(entry, price) {
+    if (!this.applyPrice(entry.trade, price)) return;
+
+    entry.dirty = true;
+    if (Date.now() - entry.persistedAt >= this.persistIntervalMs) {
+      this.persist(entry);
+    }
+  }
+
+  persist(entry) {
+    try {
+      database.updateJournalExcursion(entry.trade.id, entry.trade);
+      entry.dirty = false;
+      entry.persistedAt = Date.now();
+    } catch (error) {
+      logger.error(`Failed to save excursion for round trip ${entry.trade.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Live excursions of the open round trips
+   */
+  getOpen() {
+    return Array.from(this.openTrades.values()).map(({ trade }) => {
+      const { id, accountId, accountName, symbol, strategy, side, avgEntryPrice, bestPrice, worstPrice, maePoints, mfePoints, maeDollars, mfeDollars } = this.finalize({ ...trade });
+      return { journalTradeId: id, accountId, accountName, symbol, strategy, side, avgEntryPrice, bestPrice, worstPrice, maePoints, mfePoints, maeDollars, mfeDollars };
+    });
+  }
+
+  round(value, decimals = 2) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+  }
+}
+
+// Create singleton instance
+const excursionTracker = new ExcursionTracker();
+
+export default excursionTracker;
@@ -0,0 +1,83 @@
+import database from './database.js';
+import latencyTracker from './latencyTracker.js';
+import tradingCalendar from './tradingCalendar.js';
+
+// Execution groupings in the report
+const GROUP_KEYS = {
+  strategy: execution => execution.strategy || 'unattributed',
+  symbol: execution => execution.rootSymbol || execution.symbol,
+  hour: execution => {
+    const at = execution.submittedAt || Date.parse(`${execution.timestamp.replace(' ', 'T')}Z`);
+    const { minutes } = tradingCalendar.getLocalTime(new Date(at));
+    return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:00`;
+  },
+  orderType: execution => execution.orderType || 'Market'
+};
+
+/**
+ * Execution Quality
+ * Slippage and fill latency of filled signal orders from the trade ledger, overall and by
+ * strategy, symbol, hour of day (session timezone) and order type.
+ *
+ * Slippage is measured against the alert's price and against the last quote when the order was
+ * submitted; positive ticks/dollars mean the fill was worse. Orders without a reference price
+ * count towards latency only.
+ */
+class ExecutionQuality {
+  getReport(filters = {}) {
+    const executions = database.getFilledExecutions(filters);
+
+    return {
+      summary: this.summarize(executions),
+      groups: Object.fromEntries(Object.entries(GROUP_KEYS).map(([by, keyOf]) => {
+        const groups = new Map();
+        for (const execution of executions) {
+          const key = keyOf(execution);
+          if (!groups.has(key)) groups.set(key, []);
+          groups.get(key).push(execution);
+        }
+
+        return [by, Array.from(groups.entries())
+          .map(([key, group]) => ({ key, ...this.summarize(group) }))
+          .sort((a, b) => (by === 'hour' ? a.key.localeCompare(b.key) : b.executions - a.executions))];
+      }))
+    };
+  }
+
+  summarize(executions) {
+    const slippage = executions.map(execution => execution.slippageTicks).filter(value => value !== null).sort((a, b) => a - b);
+    const quoteSlippage = executions.map(execution => execution.quoteSlippageTicks).filter(value => value !== null);
+    const dollars = executions.map(execution => execution.slippageDollars).filter(value => value !== null);
+    const latency = executions.map(execution => execution.fillLatencyMs).filter(value => value !== null).sort((a, b) => a - b);
+
+    return {
+      executions: executions.length,
+      withSignalPrice: slippage.length,
+      avgSlippageTicks: this.average(slippage),
+      medianSlippageTicks: slippage.length ? latencyTracker.percentile(slippage, 50) : null,
+      p90SlippageTicks: slippage.length ? latencyTracker.percentile(slippage, 90) : null,
+      worstSlippageTicks: slippage.length ? slippage[slippage.length - 1] : null,
+      totalSlippageDollars: dollars.length ? this.round(dollars.reduce((sum, value) => sum + value, 0)) : null,
+      withQuote: quoteSlippage.length,
+      avgQuoteSlippageTicks: this.average(quoteSlippage),
+      fillLatencyMs: {
+        avg: latency.length ? Math.round(latency.reduce((sum, value) => sum + value, 0) / latency.length) : null,
+        ...latencyTracker.summarize(latency)
+      }
+    };
+  }
+
+  average(values) {
+    return values.length ? this.round(values.reduce((sum, value) => sum + value, 0) / values.length) : null;
+  }
+
+  round(value, decimals = 2) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+  }
+}
+
+// Create singleton instance
+const executionQuality = new ExecutionQuality();
+
+export default executionQuality;
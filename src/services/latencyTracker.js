@@ -0,0 +1,189 @@
+import winston from 'winston';
+import database from './database.js';
+import tradeLedger from './tradeLedger.js';
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [LATENCY-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+// Stage-to-stage intervals reported by getLatencyStats (column pairs on the webhooks table)
+const LATENCY_SEGMENTS = {
+  sourceToReceived: ['source_time', 'received_at'],
+  receivedToQueued: ['received_at', 'queued_at'],
+  queuedToSubmitted: ['queued_at', 'submitted_at'],
+  submittedToAcknowledged: ['submitted_at', 'acknowledged_at'],
+  acknowledgedToFilled: ['acknowledged_at', 'filled_at'],
+  receivedToFilled: ['received_at', 'filled_at'],
+  sourceToFilled: ['source_time', 'filled_at']
+};
+
+// Orders are only matched to webhooks for this long after the signal arrived
+const FILL_MATCH_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Latency Tracker
+ * Checks signal freshness and records when each signal was received, queued, submitted,
+ * acknowledged by the broker and filled
+ */
+class LatencyTracker {
+  constructor() {
+    // Default max signal age - strategies can override with settings.maxSignalAgeSeconds (0 disables)
+    const configured = parseInt(process.env.SIGNAL_MAX_AGE_SECONDS);
+    this.defaultMaxAgeSeconds = Number.isFinite(configured) ? configured : 300;
+  }
+
+  /**
+   * Parse a source timestamp (TradingView {{timenow}} ISO string, unix seconds or milliseconds)
+   * Returns epoch milliseconds or null
+   */
+  parseSourceTimestamp(value) {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+      const numeric = parseFloat(value);
+      return numeric > 1e12 ? Math.round(numeric) : Math.round(numeric * 1000);
+    }
+
+    const parsed = Date.parse(value);
+    return Number.isFinite(parsed) ? parsed : null;
+  }
+
+  /**
+   * Max signal age in seconds for a strategy (0 = no limit)
+   */
+  getMaxAgeSeconds(strategy) {
+    const override = parseInt(strategy?.settings?.maxSignalAgeSeconds);
+    return Number.isFinite(override) && override >= 0 ? override : this.defaultMaxAgeSeconds;
+  }
+
+  /**
+   * Check whether a signal is too old to trade
+   * Age is measured from the source timestamp, or from when we received it if the source sent none
+   */
+  checkSignalAge(signal, strategy = null) {
+    const maxAgeSeconds = this.getMaxAgeSeconds(strategy);
+    const reference = signal.sourceTime || signal.receivedAt;
+
+    if (!reference) {
+      return { stale: false, ageSeconds: null, maxAgeSeconds };
+    }
+
+    const ageSeconds = Math.round((Date.now() - reference) / 100) / 10;
+    const stale = maxAgeSeconds > 0 && ageSeconds > maxAgeSeconds;
+
+    if (stale) {
+      logger.warn(`⏰ Stale signal: ${signal.action} ${signal.symbol} is ${ageSeconds}s old (max ${maxAgeSeconds}s, measured from ${signal.sourceTime ? 'source' : 'receipt'})`);
+    }
+
+    return { stale, ageSeconds, maxAgeSeconds, measuredFrom: signal.sourceTime ? 'source' : 'received' };
+  }
+
+  /**
+   * Record that a webhook was queued
+   */
+  recordQueued(webhookId, at = Date.now()) {
+    if (!webhookId) return;
+    database.updateWebhookTimings(webhookId, { queued_at: at });
+  }
+
+  /**
+   * Record broker submission/acknowledgement timings from a trade result
+   */
+  recordExecution(webhookId, tradeResult) {
+    if (!webhookId || !tradeResult?.timing) return;
+
+    database.updateWebhookTimings(webhookId, {
+      submitted_at: tradeResult.timing.submittedAt,
+      acknowledged_at: tradeResult.timing.acknowledgedAt,
+      order_id: tradeResult.orderId ? String(tradeResult.orderId) : null
+    });
+  }
+
+  /**
+   * Match filled orders from a collector order poll to the webhooks that placed them
+   * filled_at is the broker's time of the order's last fill - the poll only notices it later
+   */
+  async recordFills(accountId, orders) {
+    if (!Array.isArray(orders) || orders.length === 0) return;
+
+    try {
+      const awaiting = database.getWebhooksAwaitingFill(Date.now() - FILL_MATCH_WINDOW_MS);
+      if (awaiting.length === 0) return;
+
+      const filledOrderIds = new Set(
+        orders
+          .filter(order => (order.ordStatus || order.status) === 'Filled')
+          .map(order => String(order.id))
+      );
+
+      const filled = awaiting.filter(webhook => filledOrderIds.has(webhook.order_id));
+      if (filled.length === 0) return;
+
+      const fills = await tradeLedger.getFillsByOrder(accountId);
+      for (const webhook of filled) {
+        const filledAt = fills.get(webhook.order_id)?.time || Date.now();
+        database.updateWebhookTimings(webhook.id, { filled_at: filledAt });
+        logger.info(`📈 Webhook ${webhook.id} filled (order ${webhook.order_id}) ${filledAt - webhook.acknowledged_at}ms after acknowledgement`);
+      }
+    } catch (error) {
+      logger.error(`Failed to record fills: ${error.message}`);
+    }
+  }
+
+  /**
+   * Latency percentiles (milliseconds) for each stage over the most recent webhooks
+   */
+  getLatencyStats(limit = 500) {
+    const rows = database.getWebhookLatencyRows(limit);
+    const segments = {};
+
+    for (const [name, [from, to]] of Object.entries(LATENCY_SEGMENTS)) {
+      const samples = rows
+        .filter(row => row[from] && row[to])
+        .map(row => row[to] - row[from])
+        .sort((a, b) => a - b);
+
+      segments[name] = this.summarize(samples);
+    }
+
+    return {
+      sampleSize: rows.length,
+      maxSignalAgeSeconds: this.defaultMaxAgeSeconds,
+      segments
+    };
+  }
+
+  summarize(sorted) {
+    if (sorted.length === 0) {
+      return { count: 0, p50: null, p90: null, p95: null, p99: null, max: null };
+    }
+
+    return {
+      count: sorted.length,
+      p50: this.percentile(sorted, 50),
+      p90: this.percentile(sorted, 90),
+      p95: this.percentile(sorted, 95),
+      p99: this.percentile(sorted, 99),
+      max: sorted[sorted.length - 1]
+    };
+  }
+
+  percentile(sorted, p) {
+    const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+  }
+}
+
+// Create singleton instance
+const latencyTracker = new LatencyTracker();
+
+export default latencyTracker;
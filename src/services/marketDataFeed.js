@@ -0,0 +1,209 @@
+import { EventEmitter } from 'events';
+import winston from 'winston';
+import TradovateClient from './tradovateClient.js';
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [MARKET-DATA-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+/**
+ * Market Data Feed
+ * One shared Tradovate market data WebSocket, with reference-counted quote subscriptions
+ *
+ * Emits 'price' with { symbol, contractId, price, bid, ask, timestamp } on every quote.
+ * The socket is opened on the first subscription; consumers should check isHealthy()
+ * and fall back to polling while it returns false.
+ */
+class MarketDataFeed extends EventEmitter {
+  constructor() {
+    super();
+    this.client = null;
+    this.enabled = process.env.MARKET_DATA_FEED_ENABLED !== 'false';
+    // No quote or heartbeat for this long means the feed is down
+    this.staleAfterMs = parseInt(process.env.MARKET_DATA_STALE_MS) || 10000;
+    this.connecting = null;
+    this.subscriptions = new Map(); // symbol -> { contractId, refs }
+    this.symbolsByContractId = new Map();
+    this.lastQuotes = new Map(); // symbol -> last quote
+  }
+
+  getTradovateClient() {
+    if (!this.client) {
+      this.client = new TradovateClient();
+      this.client.addQuoteListener(quote => this.handleQuote(quote));
+    }
+    return this.client;
+  }
+
+  /**
+   * Open the socket (once) - resolves when the connection has been started
+   */
+  async connect() {
+    if (!this.enabled) {
+      return false;
+    }
+    if (this.client?.websocket) {
+      return true;
+    }
+    if (this.connecting) {
+      return this.connecting;
+    }
+
+    this.connecting = (async () => {
+      try {
+        const client = this.getTradovateClient();
+        if (!client.mdAccessToken) {
+          await client.authenticate();
+        }
+        client.connectWebSocket();
+        return true;
+      } catch (error) {
+        logger.error(`❌ Failed to start market data feed: ${error.message}`);
+        return false;
+      } finally {
+        this.connecting = null;
+      }
+    })();
+
+    return this.connecting;
+  }
+
+  /**
+   * Subscribe to quotes for a contract (e.g. NQZ5)
+   */
+  async subscribe(symbol) {
+    if (!this.enabled || !symbol) {
+      return false;
+    }
+
+    const existing = this.subscriptions.get(symbol);
+    if (existing) {
+      existing.refs++;
+      return true;
+    }
+
+    const subscription = { contractId: null, refs: 1 };
+    this.subscriptions.set(symbol, subscription);
+
+    if (!(await this.connect())) {
+      this.subscriptions.delete(symbol);
+      return false;
+    }
+
+    const client = this.getTradovateClient();
+    try {
+      // Quotes arrive keyed by contract id
+      const contract = await client.getContractBySymbol(symbol);
+      if (contract?.id) {
+        subscription.contractId = contract.id;
+        this.symbolsByContractId.set(contract.id, symbol);
+      }
+    } catch (error) {
+      logger.warn(`⚠️ Could not resolve contract id for ${symbol}: ${error.message}`);
+    }
+
+    client.subscribeToQuote(symbol);
+    logger.info(`📡 Subscribed to ${symbol} quotes (contract ${subscription.contractId ?? 'unknown'})`);
+    return true;
+  }
+
+  isSubscribed(symbol) {
+    return this.subscriptions.has(symbol);
+  }
+
+  unsubscribe(symbol) {
+    const subscription = this.subscriptions.get(symbol);
+    if (!subscription) return;
+
+    subscription.refs--;
+    if (subscription.refs > 0) return;
+
+    this.subscriptions.delete(symbol);
+    this.symbolsByContractId.delete(subscription.contractId);
+    this.lastQuotes.delete(symbol);
+    this.client?.unsubscribeFromQuote(symbol);
+    logger.info(`📡 Unsubscribed from ${symbol} quotes`);
+  }
+
+  handleQuote(quote) {
+    const symbol = this.symbolsByContractId.get(quote.contractId);
+    if (!symbol) return;
+
+    const entries = quote.entries || {};
+    const bid = entries.Bid?.price ?? null;
+    const ask = entries.Offer?.price ?? null;
+    const price = entries.Trade?.price ?? (bid !== null && ask !== null ? (bid + ask) / 2 : null);
+    if (price === null) return;
+
+    const update = {
+      symbol,
+      contractId: quote.contractId,
+      price,
+      bid,
+      ask,
+      timestamp: quote.timestamp || new Date().toISOString(),
+      receivedAt: Date.now()
+    };
+
+    this.lastQuotes.set(symbol, update);
+    this.emit('price', update);
+  }
+
+  /**
+   * Whether the socket is authorized and still hearing from the server
+   */
+  isHealthy() {
+    const client = this.client;
+    return !!client &&
+      client.isAuthorized &&
+      !!client.lastWebSocketMessageAt &&
+      Date.now() - client.lastWebSocketMessageAt < this.staleAfterMs;
+  }
+
+  /**
+   * Last quote for a symbol, if it is recent enough to trade on
+   */
+  getLastPrice(symbol) {
+    const quote = this.lastQuotes.get(symbol);
+    if (!quote || Date.now() - quote.receivedAt > this.staleAfterMs) {
+      return null;
+    }
+    return quote.price;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      connected: !!this.client?.isConnected,
+      authorized: !!this.client?.isAuthorized,
+      healthy: this.isHealthy(),
+      lastMessageAt: this.client?.lastWebSocketMessageAt ? new Date(this.client.lastWebSocketMessageAt).toISOString() : null,
+      subscriptions: Array.from(this.subscriptions.entries()).map(([symbol, subscription]) => ({
+        symbol,
+        contractId: subscription.contractId,
+        lastPrice: this.lastQuotes.get(symbol)?.price ?? null
+      }))
+    };
+  }
+
+  disconnect() {
+    if (this.client) {
+      this.client.disconnect();
+    }
+    this.subscriptions.clear();
+    this.symbolsByContractId.clear();
+    this.lastQuotes.clear();
+  }
+}
+
+// Create singleton instance
+const marketDataFeed = new MarketDataFeed();
+
+export default marketDataFeed;
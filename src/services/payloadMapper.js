@@ -0,0 +1,423 @@
+import winston from 'winston';
+import database from './database.js';
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [PAYLOAD-MAPPER-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+// Fields every profile can populate on the normalized signal
+const SIGNAL_FIELDS = [
+  'action', 'symbol', 'quantity', 'account', 'accountGroup', 'price', 'orderType',
+  'stopLoss', 'takeProfit', 'trailingTrigger', 'trailingOffset',
+  'stopTicks', 'stopPoints', 'stopDollars', 'targetTicks', 'targetPoints', 'targetR', 'bracketMode',
+  'targets', 'breakevenAfterTp1',
+  'stopRules', 'breakevenTrigger', 'breakevenPlusTicks', 'stepEvery', 'stepLock',
+  'chandelierAfterMinutes', 'chandelierMultiplier', 'chandelierOffset', 'maxHoldMinutes',
+  'strategy', 'strategySecret', 'reason', 'side', 'percent', 'testAccountBalance', 'sourceTimestamp'
+];
+
+const NUMERIC_FIELDS = [
+  'price', 'stopLoss', 'takeProfit', 'trailingTrigger', 'trailingOffset',
+  'stopTicks', 'stopPoints', 'stopDollars', 'targetTicks', 'targetPoints', 'targetR',
+  'breakevenTrigger', 'breakevenPlusTicks', 'stepEvery', 'stepLock',
+  'chandelierAfterMinutes', 'chandelierMultiplier', 'chandelierOffset', 'maxHoldMinutes',
+  'percent', 'testAccountBalance'
+];
+
+// Aliases accepted by the original /autotrader endpoint
+const AUTOTRADER_FIELDS = {
+  action: ['action', 'orderAction', 'side'],
+  symbol: ['ticker', 'symbol', 'instrument'],
+  quantity: ['quantity', 'qty', 'size', 'amount'],
+  account: ['account', 'accountId'],
+  accountGroup: ['account_group', 'accountGroup'],
+  price: ['price', 'limitPrice'],
+  orderType: ['orderType', 'type'],
+  stopLoss: ['stop_loss', 'stopLoss'],
+  takeProfit: ['take_profit', 'takeProfit'],
+  trailingTrigger: ['trailing_trigger', 'trailingTrigger'],
+  trailingOffset: ['trailing_offset', 'trailingOffset'],
+  stopTicks: ['stop_ticks', 'stopTicks'],
+  stopPoints: ['stop_points', 'stopPoints'],
+  stopDollars: ['stop_dollars', 'stopDollars'],
+  targetTicks: ['target_ticks', 'targetTicks'],
+  targetPoints: ['target_points', 'targetPoints'],
+  targetR: ['target_r', 'targetR'],
+  bracketMode: ['bracket_mode', 'bracketMode'],
+  targets: ['targets'],
+  breakevenAfterTp1: ['breakeven_after_tp1', 'breakevenAfterTp1'],
+  stopRules: ['stop_rules', 'stopRules'],
+  breakevenTrigger: ['breakeven_trigger', 'breakevenTrigger'],
+  breakevenPlusTicks: ['breakeven_plus_ticks', 'breakevenPlusTicks'],
+  stepEvery: ['step_every', 'stepEvery'],
+  stepLock: ['step_lock', 'stepLock'],
+  chandelierAfterMinutes: ['chandelier_after_minutes', 'chandelierAfterMinutes'],
+  chandelierMultiplier: ['chandelier_multiplier', 'chandelierMultiplier'],
+  chandelierOffset: ['chandelier_offset', 'chandelierOffset'],
+  maxHoldMinutes: ['max_hold_minutes', 'maxHoldMinutes'],
+  strategy: ['strategy'],
+  strategySecret: ['strategy_secret', 'strategySecret'],
+  reason: ['reason'],
+  side: ['side'],
+  percent: ['percent', 'percentage', 'scale_percent'],
+  testAccountBalance: ['test_account_balance'],
+  sourceTimestamp: ['timenow', 'time', 'source_timestamp', 'sourceTimestamp']
+};
+
+// Fixed /webhook routes - a profile with one of these names could never be reached
+const RESERVED_PROFILE_NAMES = ['tradingview', 'autotrader', 'test', 'health', 'stats', 'profiles'];
+
+/**
+ * Built-in profiles - always available, can be overridden by a database row of the same name
+ *
+ * Profile definition:
+ *   format:    'json' or 'text'
+ *   fields:    normalized field -> list of JSON paths (dot notation), first non-empty wins
+ *   pattern:   (text format) regex with named groups matching normalized field names
+ *   actionMap: raw action (lowercase) -> replacement action, or an object of field overrides
+ *              where "$path" values are read from the payload
+ *   overrides: [{ when: { field, equals | in }, set: { ...fields } }] applied after mapping
+ *   defaults:  values used when a field is missing
+ */
+const BUILT_IN_PROFILES = {
+  'AutoTrader-default': {
+    description: 'Original /autotrader field aliases (action/orderAction/side, ticker/symbol/instrument, ...)',
+    format: 'json',
+    fields: AUTOTRADER_FIELDS,
+    actionMap: {
+      place_limit: { action: '$side', orderType: 'limit', alertType: 'place_limit', sizing: 'optimal_contract' },
+      cancel_limit: { action: 'CANCEL_LIMIT', alertType: 'cancel_limit' }
+    }
+  },
+  'LDPS': {
+    description: 'LDPS limit-order strategy alerts (place_limit / cancel_limit with side)',
+    format: 'json',
+    fields: AUTOTRADER_FIELDS,
+    actionMap: {
+      place_limit: { action: '$side', orderType: 'limit', alertType: 'place_limit', sizing: 'optimal_contract' },
+      cancel_limit: { action: 'CANCEL_LIMIT', alertType: 'cancel_limit' }
+    },
+    defaults: { quantity: 1 }
+  },
+  'TradingView-default': {
+    description: 'TradingView default strategy alert text: "order {{strategy.order.action}} @ {{strategy.order.contracts}} filled on {{ticker}}. New strategy position is {{strategy.position_size}}"',
+    format: 'text',
+    pattern: 'order\\s+(?<action>\\w+)\\s+@\\s+(?<quantity>[\\d.]+)\\s+filled on\\s+(?<symbol>\\S+?)\\.?\\s+New strategy position is\\s+(?<positionSize>-?[\\d.]+)',
+    overrides: [
+      { when: { field: 'positionSize', equals: 0 }, set: { action: 'CLOSE' } }
+    ]
+  },
+  'TrendSpider': {
+    description: 'TrendSpider webhook bots',
+    format: 'json',
+    fields: {
+      action: ['action', 'signal', 'side'],
+      symbol: ['symbol', 'ticker'],
+      quantity: ['quantity', 'qty', 'contracts'],
+      account: ['account'],
+      price: ['price', 'close', 'last_price'],
+      orderType: ['order_type', 'orderType'],
+      stopLoss: ['stop_loss', 'stop'],
+      takeProfit: ['take_profit', 'target'],
+      strategy: ['strategy', 'bot_name', 'alert_name'],
+      strategySecret: ['strategy_secret'],
+      sourceTimestamp: ['timenow', 'time', 'timestamp']
+    },
+    defaults: { quantity: 1 }
+  }
+};
+
+/**
+ * Payload Mapper
+ * Normalizes arbitrary webhook payloads into trading signals using named mapping profiles
+ */
+class PayloadMapper {
+  constructor() {
+    this.defaultProfile = process.env.WEBHOOK_DEFAULT_PROFILE || 'AutoTrader-default';
+  }
+
+  /**
+   * Get a profile by name (database overrides take precedence over built-ins)
+   */
+  getProfile(name) {
+    const stored = database.getMappingProfile(name);
+    if (stored) {
+      return { name: stored.name, builtIn: !!BUILT_IN_PROFILES[stored.name], overridden: !!BUILT_IN_PROFILES[stored.name], description: stored.description, ...stored.definition };
+    }
+
+    const builtIn = BUILT_IN_PROFILES[name];
+    if (builtIn) {
+      return { name, builtIn: true, overridden: false, ...builtIn };
+    }
+
+    return null;
+  }
+
+  /**
+   * List all available profiles
+   */
+  listProfiles() {
+    const profiles = new Map();
+
+    for (const name of Object.keys(BUILT_IN_PROFILES)) {
+      profiles.set(name, this.getProfile(name));
+    }
+
+    for (const stored of database.getMappingProfiles()) {
+      profiles.set(stored.name, this.getProfile(stored.name));
+    }
+
+    return Array.from(profiles.values());
+  }
+
+  /**
+   * Validate and save a profile definition
+   */
+  saveProfile(name, { description = null, ...definition }) {
+    if (RESERVED_PROFILE_NAMES.includes(String(name).toLowerCase())) {
+      throw new Error(`Profile name ${name} is reserved by the /webhook/${name.toLowerCase()} endpoint`);
+    }
+    this.validateDefinition(definition);
+    database.saveMappingProfile(name, description, definition);
+
+    database.logActivity('system', `Mapping profile saved: ${name}`, { name, definition }, 'info');
+    logger.info(`Mapping profile saved: ${name}`);
+
+    return this.getProfile(name);
+  }
+
+  /**
+   * Delete a stored profile (built-ins fall back to their default definition)
+   */
+  deleteProfile(name) {
+    const deleted = database.deleteMappingProfile(name);
+    if (deleted) {
+      database.logActivity('system', `Mapping profile deleted: ${name}`, { name }, 'info');
+    }
+    return deleted;
+  }
+
+  /**
+   * Validate a profile definition, throwing on invalid input
+   */
+  validateDefinition(definition) {
+    const format = definition.format || 'json';
+    if (!['json', 'text'].includes(format)) {
+      throw new Error('format must be "json" or "text"');
+    }
+
+    if (format === 'text') {
+      if (!definition.pattern) {
+        throw new Error('Text profiles require a pattern with named groups');
+      }
+      new RegExp(definition.pattern, 'i'); // Throws on invalid regex
+    }
+
+    if (definition.fields) {
+      for (const [field, paths] of Object.entries(definition.fields)) {
+        if (!Array.isArray(paths) && typeof paths !== 'string') {
+          throw new Error(`Field "${field}" must map to a path or list of paths`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Resolve which profile a request should use
+   */
+  resolveProfileName(req, explicitName = null) {
+    return explicitName || req.headers['x-mapping-profile'] || this.defaultProfile;
+  }
+
+  /**
+   * Normalize a payload with the named profile
+   * Returns { valid, signal, missing, profile }
+   */
+  normalize(payload, profileName) {
+    const profile = this.getProfile(profileName);
+    if (!profile) {
+      const error = new Error(`Unknown mapping profile: ${profileName}`);
+      error.code = 'PROFILE_NOT_FOUND';
+      throw error;
+    }
+
+    const source = this.parsePayload(payload, profile);
+    const signal = profile.format === 'text'
+      ? this.extractFromText(source, profile)
+      : this.extractFromJson(source, profile);
+
+    this.applyActionMap(signal, source, profile);
+    this.applyOverrides(signal, profile);
+
+    // Apply defaults for anything still missing
+    for (const [field, value] of Object.entries(profile.defaults || {})) {
+      if (signal[field] === undefined || signal[field] === null || signal[field] === '') {
+        signal[field] = value;
+      }
+    }
+
+    for (const field of NUMERIC_FIELDS) {
+      if (signal[field] !== undefined && signal[field] !== null && signal[field] !== '') {
+        const parsed = parseFloat(signal[field]);
+        signal[field] = Number.isFinite(parsed) ? parsed : null;
+      }
+    }
+
+    if (typeof signal.action === 'string') signal.action = signal.action.trim().toUpperCase();
+    if (typeof signal.symbol === 'string') signal.symbol = signal.symbol.trim().toUpperCase();
+    signal.originalSymbol = signal.symbol;
+    signal.profile = profile.name;
+
+    // Account-wide and percentage actions carry no symbol/quantity of their own
+    if (signal.action === 'FLATTEN_ALL') {
+      signal.symbol = signal.symbol || 'ALL';
+      signal.quantity = signal.quantity ?? 0;
+    } else if ((signal.action === 'SCALE_OUT' || signal.action === 'REDUCE') && signal.percent > 0) {
+      signal.quantity = signal.quantity ?? 0;
+    }
+
+    const missing = ['action', 'symbol', 'quantity'].filter(field =>
+      signal[field] === undefined || signal[field] === null || signal[field] === ''
+    );
+
+    return {
+      valid: missing.length === 0,
+      signal,
+      missing,
+      profile: profile.name
+    };
+  }
+
+  /**
+   * Turn the request body into something the profile can read
+   */
+  parsePayload(payload, profile) {
+    if (profile.format === 'text') {
+      if (typeof payload === 'string') return payload;
+      // JSON bodies can still carry the text message in a "message" field
+      return payload?.message || JSON.stringify(payload || {});
+    }
+
+    if (typeof payload === 'string') {
+      try {
+        return JSON.parse(payload);
+      } catch {
+        throw new Error(`Profile ${profile.name} expects a JSON payload`);
+      }
+    }
+
+    return payload || {};
+  }
+
+  /**
+   * Extract fields from a JSON payload
+   */
+  extractFromJson(source, profile) {
+    const signal = {};
+    const fields = profile.fields || {};
+
+    for (const field of SIGNAL_FIELDS) {
+      const paths = fields[field];
+      if (!paths) continue;
+
+      const value = this.readFirst(source, Array.isArray(paths) ? paths : [paths]);
+      if (value !== undefined) {
+        signal[field] = value;
+      }
+    }
+
+    return signal;
+  }
+
+  /**
+   * Extract fields from a plain-text payload using the profile pattern
+   */
+  extractFromText(text, profile) {
+    const match = new RegExp(profile.pattern, 'i').exec(text);
+    if (!match || !match.groups) {
+      return {};
+    }
+
+    const signal = {};
+    for (const [field, value] of Object.entries(match.groups)) {
+      if (value !== undefined) {
+        signal[field] = value;
+      }
+    }
+    return signal;
+  }
+
+  /**
+   * Translate raw actions (e.g. place_limit) into trading actions and field overrides
+   */
+  applyActionMap(signal, source, profile) {
+    if (!profile.actionMap || !signal.action) return;
+
+    const mapped = profile.actionMap[String(signal.action).toLowerCase()];
+    if (!mapped) return;
+
+    const overrides = typeof mapped === 'string' ? { action: mapped } : mapped;
+    for (const [field, value] of Object.entries(overrides)) {
+      if (typeof value === 'string' && value.startsWith('$')) {
+        const resolved = typeof source === 'object' ? this.readPath(source, value.slice(1)) : undefined;
+        if (resolved !== undefined && resolved !== null && resolved !== '') {
+          signal[field] = resolved;
+        }
+      } else {
+        signal[field] = value;
+      }
+    }
+  }
+
+  /**
+   * Apply conditional overrides (e.g. flat position size -> CLOSE)
+   */
+  applyOverrides(signal, profile) {
+    for (const rule of profile.overrides || []) {
+      const { field, equals, in: oneOf } = rule.when || {};
+      const value = signal[field];
+      if (value === undefined) continue;
+
+      const matches = equals !== undefined
+        ? String(value) === String(equals) || (Number.isFinite(parseFloat(value)) && parseFloat(value) === parseFloat(equals))
+        : Array.isArray(oneOf) && oneOf.map(String).includes(String(value));
+
+      if (matches) {
+        Object.assign(signal, rule.set || {});
+      }
+    }
+  }
+
+  /**
+   * Read the first non-empty value from a list of paths
+   */
+  readFirst(source, paths) {
+    for (const path of paths) {
+      const value = this.readPath(source, path);
+      if (value !== undefined && value !== null && value !== '') {
+        return value;
+      }
+    }
+    return undefined;
+  }
+
+  /**
+   * Read a dot-notation path from an object
+   */
+  readPath(source, path) {
+    return path.split('.').reduce((value, key) =>
+      value !== undefined && value !== null ? value[key] : undefined, source);
+  }
+}
+
+// Create singleton instance
+const payloadMapper = new PayloadMapper();
+
+export default payloadMapper;
@@ -0,0 +1,444 @@
+import winston from 'winston';
+import database from './database.js';
+import tradingCalendar from './tradingCalendar.js';
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [ANALYTICS-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+const TRADING_DAYS_PER_YEAR = 252;
+const MAX_CACHE_ENTRIES = 200;
+
+const BREAKDOWN_KEYS = {
+  account: trade => trade.accountName || String(trade.accountId),
+  strategy: trade => trade.strategy || 'unattributed',
+  symbol: trade => trade.rootSymbol || trade.symbol,
+  side: trade => trade.side,
+  day: trade => tradingCalendar.getSessionDate(new Date(trade.exitTime))
+};
+
+// Upper bounds of the R-multiple histogram buckets; the last bucket is open-ended
+const R_BUCKETS = [-2, -1, 0, 1, 2, 3];
+
+/**
+ * Performance Analytics
+ * Statistics over closed round trips from the trade journal, for any account/strategy/symbol/date
+ * filter the journal accepts.
+ *
+ * Sharpe and Sortino use daily net P&L per session date, annualized over 252 days; with a fixed
+ * capital base the ratio is the same as on percentage returns. Drawdown runs over cumulative
+ * net P&L in close order. R-multiples need the initial stop, so only round trips whose entry
+ * order went out with a bracket stop are counted. Round trips the journal could not price (no
+ * contract spec) are left out.
+ *
+ * Results are cached per filter set for ANALYTICS_CACHE_SECONDS and dropped as soon as the
+ * journal changes.
+ */
+class PerformanceAnalytics {
+  constructor() {
+    this.cacheSeconds = parseInt(process.env.ANALYTICS_CACHE_SECONDS ?? '60');
+    this.cache = new Map(); // kind + filters -> { version, expiresAt, value }
+    this.breakdownKeys = Object.keys(BREAKDOWN_KEYS);
+  }
+
+  getSummary(filters = {}) {
+    return this.cached('summary', filters, () => {
+      const trades = this.withRisk(this.getTrades(filters));
+      const daily = this.getDailyReturns(trades);
+      const rMultiples = this.getRDistribution(trades);
+
+      return {
+        ...this.computeStats(trades),
+        ...this.computeRatios(daily),
+        drawdown: this.computeDrawdown(trades).maxDrawdown,
+        streaks: this.computeStreaks(trades),
+        expectancyR: rMultiples.averageR,
+        tradesWithRisk: rMultiples.count,
+        firstTrade: trades[0]?.entryTime || null,
+        lastTrade: trades[trades.length - 1]?.exitTime || null
+      };
+    });
+  }
+
+  getBreakdown(filters = {}, by = 'strategy') {
+    if (!BREAKDOWN_KEYS[by]) {
+      throw new Error(`by must be one of: ${Object.keys(BREAKDOWN_KEYS).join(', ')}`);
+    }
+
+    return this.cached(`breakdown:${by}`, filters, () => {
+      const groups = new Map();
+      for (const trade of this.getTrades(filters)) {
+        const key = BREAKDOWN_KEYS[by](trade);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(trade);
+      }
+
+      return Array.from(groups.entries())
+        .map(([key, trades]) => ({
+          key,
+          ...this.computeStats(trades),
+          maxDrawdown: this.computeDrawdown(trades).maxDrawdown.amount
+        }))
+        .sort((a, b) => (by === 'day' ? a.key.localeCompare(b.key) : b.netPnL - a.netPnL));
+    });
+  }
+
+  getEquityCurve(filters = {}) {
+    return this.cached('equity', filters, () => this.computeDrawdown(this.getTrades(filters)));
+  }
+
+  getDaily(filters = {}) {
+    return this.cached('daily', filters, () => {
+      const daily = this.getDailyReturns(this.getTrades(filters));
+      return {
+        days: daily,
+        ...this.computeRatios(daily)
+      };
+    });
+  }
+
+  getRMultiples(filters = {}) {
+    return this.cached('r-multiples', filters, () => {
+      return this.getRDistribution(this.withRisk(this.getTrades(filters)));
+    });
+  }
+
+  /**
+   * MAE/MFE against final P&L per strategy, for round trips that closed with excursions recorded
+   */
+  getExcursions(filters = {}) {
+    return this.cached('excursions', filters, () => {
+      const trades = this.getTrades(filters);
+      const withExcursions = trades.filter(trade => trade.maePoints !== null && trade.mfePoints !== null);
+
+      const groups = new Map();
+      for (const trade of withExcursions) {
+        const key = BREAKDOWN_KEYS.strategy(trade);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(trade);
+      }
+
+      return {
+        count: withExcursions.length,
+        missingExcursions: trades.length - withExcursions.length,
+        strategies: Array.from(groups.entries()).map(([strategy, group]) => {
+          const winners = group.filter(trade => trade.netPnL > 0);
+          const losers = group.filter(trade => trade.netPnL < 0);
+          const avgMae = this.average(group.map(trade => trade.maePoints));
+          const avgMfe = this.average(group.map(trade => trade.mfePoints));
+
+          return {
+            strategy,
+            trades: group.length,
+            avgMaePoints: avgMae,
+            avgMfePoints: avgMfe,
+            edgeRatio: avgMae ? this.round(avgMfe / avgMae, 2) : null,
+            // Heat winners had to sit through, and how much losers were up before turning
+            winnersMaxMaePoints: winners.length ? Math.max(...winners.map(trade => trade.maePoints)) : null,
+            winnersAvgMaePoints: this.average(winners.map(trade => trade.maePoints)),
+            losersAvgMfePoints: this.average(losers.map(trade => trade.mfePoints)),
+            points: group.map(trade => ({
+              journalTradeId: trade.id,
+              exitTime: trade.exitTime,
+              symbol: trade.symbol,
+              side: trade.side,
+              maePoints: trade.maePoints,
+              mfePoints: trade.mfePoints,
+              maeDollars: trade.maeDollars,
+              mfeDollars: trade.mfeDollars,
+              points: trade.points,
+              netPnL: trade.netPnL
+            }))
+          };
+        }).sort((a, b) => b.trades - a.trades)
+      };
+    });
+  }
+
+  computeStats(trades) {
+    const wins = trades.filter(trade => trade.netPnL > 0);
+    const losses = trades.filter(trade => trade.netPnL < 0);
+    const grossProfit = this.sum(wins.map(trade => trade.netPnL));
+    const grossLoss = this.sum(losses.map(trade => trade.netPnL));
+    const netPnL = this.sum(trades.map(trade => trade.netPnL));
+    const avgWin = wins.length ? grossProfit / wins.length : 0;
+    const avgLoss = losses.length ? grossLoss / losses.length : 0;
+
+    return {
+      trades: trades.length,
+      wins: wins.length,
+      losses: losses.length,
+      scratches: trades.length - wins.length - losses.length,
+      winRate: trades.length ? this.round(wins.length / trades.length, 4) : null,
+      avgWin: this.round(avgWin),
+      avgLoss: this.round(avgLoss),
+      largestWin: wins.length ? Math.max(...wins.map(trade => trade.netPnL)) : 0,
+      largestLoss: losses.length ? Math.min(...losses.map(trade => trade.netPnL)) : 0,
+      payoffRatio: avgLoss ? this.round(avgWin / Math.abs(avgLoss), 2) : null,
+      grossProfit: this.round(grossProfit),
+      grossLoss: this.round(grossLoss),
+      profitFactor: grossLoss ? this.round(grossProfit / Math.abs(grossLoss), 2) : null,
+      expectancy: trades.length ? this.round(netPnL / trades.length) : null,
+      netPnL: this.round(netPnL),
+      commission: this.round(this.sum(trades.map(trade => trade.commission || 0))),
+      contracts: this.sum(trades.map(trade => trade.entryQuantity || 0)),
+      avgHoldingSeconds: trades.length ? Math.round(this.sum(trades.map(trade => trade.holdingSeconds || 0)) / trades.length) : null
+    };
+  }
+
+  /**
+   * Net P&L per session date, in date order
+   */
+  getDailyReturns(trades) {
+    const days = new Map();
+    for (const trade of trades) {
+      const date = tradingCalendar.getSessionDate(new Date(trade.exitTime));
+      const day = days.get(date) || { date, trades: 0, netPnL: 0 };
+      day.trades++;
+      day.netPnL += trade.netPnL;
+      days.set(date, day);
+    }
+
+    let cumulative = 0;
+    return Array.from(days.values())
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(day => {
+        cumulative += day.netPnL;
+        return { ...day, netPnL: this.round(day.netPnL), cumulativePnL: this.round(cumulative) };
+      });
+  }
+
+  computeRatios(daily) {
+    const returns = daily.map(day => day.netPnL);
+    if (returns.length < 2) {
+      return { tradingDays: returns.length, sharpe: null, sortino: null };
+    }
+
+    const mean = this.sum(returns) / returns.length;
+    const variance = this.sum(returns.map(value => (value - mean) ** 2)) / (returns.length - 1);
+    const downside = Math.sqrt(this.sum(returns.map(value => Math.min(value, 0) ** 2)) / returns.length);
+    const annualize = Math.sqrt(TRADING_DAYS_PER_YEAR);
+
+    return {
+      tradingDays: returns.length,
+      sharpe: variance > 0 ? this.round(mean / Math.sqrt(variance) * annualize, 2) : null,
+      sortino: downside > 0 ? this.round(mean / downside * annualize, 2) : null
+    };
+  }
+
+  /**
+   * Equity curve over closed round trips plus the deepest peak-to-trough drop and its recovery
+   */
+  computeDrawdown(trades) {
+    let equity = 0;
+    let peak = 0;
+    let peakTime = trades[0]?.entryTime || null;
+    let current = null;
+    let max = null;
+
+    const curve = trades.map(trade => {
+      equity += trade.netPnL;
+
+      if (equity >= peak) {
+        if (current && !current.recoveredAt) {
+          current.recoveredAt = trade.exitTime;
+        }
+        peak = equity;
+        peakTime = trade.exitTime;
+        current = null;
+      } else {
+        const drawdown = peak - equity;
+        if (!current) {
+          current = { amount: 0, peak, peakTime, troughTime: null, recoveredAt: null };
+        }
+        if (drawdown > current.amount) {
+          current.amount = drawdown;
+          current.troughTime = trade.exitTime;
+        }
+        if (!max || current.amount > max.amount) {
+          max = current;
+        }
+      }
+
+      return {
+        time: trade.exitTime,
+        journalTradeId: trade.id,
+        netPnL: trade.netPnL,
+        equity: this.round(equity),
+        drawdown: this.round(peak - equity)
+      };
+    });
+
+    return {
+      curve,
+      maxDrawdown: max ? {
+        amount: this.round(max.amount),
+        percentOfPeak: max.peak > 0 ? this.round(max.amount / max.peak * 100, 2) : null,
+        peakTime: max.peakTime,
+        troughTime: max.troughTime,
+        recoveredAt: max.recoveredAt,
+        recoverySeconds: max.recoveredAt ? this.secondsBetween(max.troughTime, max.recoveredAt) : null,
+        durationSeconds: max.recoveredAt ? this.secondsBetween(max.peakTime, max.recoveredAt) : null
+      } : {
+        amount: 0,
+        percentOfPeak: null,
+        peakTime: null,
+        troughTime: null,
+        recoveredAt: null,
+        recoverySeconds: null,
+        durationSeconds: null
+      }
+    };
+  }
+
+  computeStreaks(trades) {
+    let wins = 0;
+    let losses = 0;
+    let longestWin = 0;
+    let longestLoss = 0;
+
+    for (const trade of trades) {
+      wins = trade.netPnL > 0 ? wins + 1 : 0;
+      losses = trade.netPnL < 0 ? losses + 1 : 0;
+      longestWin = Math.max(longestWin, wins);
+      longestLoss = Math.max(longestLoss, losses);
+    }
+
+    return {
+      longestWin,
+      longestLoss,
+      current: wins ? { type: 'win', count: wins } : losses ? { type: 'loss', count: losses } : null
+    };
+  }
+
+  /**
+   * Attach the initial risk (entry to first bracket stop) and the R-multiple where it's known
+   */
+  withRisk(trades) {
+    return trades.map(trade => {
+      const riskPoints = this.getRiskPoints(trade);
+      return {
+        ...trade,
+        riskPoints,
+        rMultiple: riskPoints ? this.round(trade.points / riskPoints, 2) : null
+      };
+    });
+  }
+
+  getRiskPoints(trade) {
+    if (!trade.entryOrderId) return null;
+
+    const entry = database.getTradeByOrderId(trade.entryOrderId);
+    if (!entry) return null;
+
+    const stop = database.getChildTrades(entry.id).find(child => child.role === 'stop' && child.price);
+    if (!stop) return null;
+
+    const risk = Math.abs(trade.avgEntryPrice - stop.price);
+    return risk > 0 ? risk : null;
+  }
+
+  getRDistribution(trades) {
+    const values = trades.map(trade => trade.rMultiple).filter(value => value !== null);
+    const buckets = [...R_BUCKETS, Infinity].map((upper, i) => ({
+      label: i === 0 ? `< ${upper}R` : upper === Infinity ? `>= ${R_BUCKETS[i - 1]}R` : `${R_BUCKETS[i - 1]}R to ${upper}R`,
+      min: i === 0 ? null : R_BUCKETS[i - 1],
+      max: upper === Infinity ? null : upper,
+      count: 0
+    }));
+
+    for (const value of values) {
+      const index = R_BUCKETS.findIndex(upper => value < upper);
+      buckets[index === -1 ? buckets.length - 1 : index].count++;
+    }
+
+    return {
+      count: values.length,
+      missingRisk: trades.length - values.length,
+      averageR: values.length ? this.round(this.sum(values) / values.length, 2) : null,
+      bestR: values.length ? Math.max(...values) : null,
+      worstR: values.length ? Math.min(...values) : null,
+      buckets,
+      trades: trades
+        .filter(trade => trade.rMultiple !== null)
+        .map(trade => ({
+          journalTradeId: trade.id,
+          exitTime: trade.exitTime,
+          symbol: trade.symbol,
+          strategy: trade.strategy,
+          riskPoints: trade.riskPoints,
+          points: trade.points,
+          rMultiple: trade.rMultiple
+        }))
+    };
+  }
+
+  /**
+   * Closed round trips with a dollar P&L
+   */
+  getTrades(filters) {
+    return database.getClosedJournalTrades({ ...filters, priced: true });
+  }
+
+  cached(kind, filters, compute) {
+    const key = `${kind}:${JSON.stringify(filters)}`;
+    const version = database.getJournalVersion();
+    const now = Date.now();
+    const entry = this.cache.get(key);
+
+    if (entry && entry.version === version && entry.expiresAt > now) {
+      return { ...entry.value, cached: true };
+    }
+
+    const value = compute();
+    const result = Array.isArray(value) ? { groups: value } : value;
+    if (this.cacheSeconds > 0) {
+      this.pruneCache(now);
+      this.cache.set(key, { version, expiresAt: now + this.cacheSeconds * 1000, value: result });
+    }
+    logger.debug(`Computed ${kind} analytics (${JSON.stringify(filters)})`);
+    return { ...result, cached: false };
+  }
+
+  pruneCache(now) {
+    for (const [key, entry] of this.cache) {
+      if (entry.expiresAt <= now) this.cache.delete(key);
+    }
+    while (this.cache.size >= MAX_CACHE_ENTRIES) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+
+  secondsBetween(from, to) {
+    return Math.round((new Date(to) - new Date(from)) / 1000);
+  }
+
+  average(values) {
+    return values.length ? this.round(this.sum(values) / values.length, 4) : null;
+  }
+
+  sum(values) {
+    return values.reduce((total, value) => total + value, 0);
+  }
+
+  round(value, decimals = 2) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+  }
+}
+
+// Create singleton instance
+const performanceAnalytics = new PerformanceAnalytics();
+
+export default performanceAnalytics;
@@ -1,5 +1,10 @@
+import { EventEmitter } from 'events';
 import winston from 'winston';
 import TradovateClient from './tradovateClient.js';
+import database from './database.js';
+import marketDataFeed from './marketDataFeed.js';
+import positionSizing from './positionSizing.js';
+import stopManager from './stopManager.js';
 
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
@@ -12,13 +17,23 @@ const logger = winston.createLogger({
   transports: [new winston.transports.Console()]
 });
 
-class PositionMonitor {
+// Re-request a max-hold exit if the position is still open this long after the first request
+const MAX_HOLD_RETRY_MS = 5 * 60 * 1000;
+
+/**
+ * Emits 'max_hold_expired' with the monitor entry when a position outlives its maxHoldMinutes
+ */
+class PositionMonitor extends EventEmitter {
   constructor() {
+    super();
     this.client = null;
     this.isRunning = false;
     this.monitorInterval = null;
-    this.checkIntervalMs = 30000; // Check every 30 seconds
+    this.checkIntervalMs = 30000; // Polling fallback - trailing is driven by the market data feed
     this.activePositions = new Map(); // Track positions and their trailing configs
+    this.bracketGroups = new Map(); // Multi-target brackets: groupId -> shared stop + targets
+    this.contractNames = new Map(); // contractId -> contract name (NQZ5)
+    this.handlePrice = this.handlePrice.bind(this);
   }
 
   /**
@@ -40,9 +55,11 @@ class PositionMonitor {
       return;
     }
 
-    logger.info(`🔄 Starting position monitor (check interval: ${this.checkIntervalMs / 1000}s)`);
+    logger.info(`🔄 Starting position monitor (polling fallback: ${this.checkIntervalMs / 1000}s)`);
     this.isRunning = true;
 
+    marketDataFeed.on('price', this.handlePrice);
+
     this.monitorInterval = setInterval(() => {
       this.checkPositions().catch(error => {
         logger.error(`❌ Position monitoring error: ${error.message}`);
@@ -61,6 +78,8 @@ class PositionMonitor {
     logger.info('⏹️ Stopping position monitor');
     this.isRunning = false;
 
+    marketDataFeed.off('price', this.handlePrice);
+
     if (this.monitorInterval) {
       clearInterval(this.monitorInterval);
       this.monitorInterval = null;
@@ -71,8 +90,8 @@ class PositionMonitor {
    * Register a new position for trailing stop monitoring
    */
   addPosition(tradeRecord) {
-    if (!tradeRecord.trailingConfig) {
-      return; // No trailing configuration
+    if (!tradeRecord.trailingConfig && !tradeRecord.stopRules && !tradeRecord.maxHoldMinutes) {
+      return; // Nothing to manage
     }
 
     const positionKey = `${tradeRecord.accountId}-${tradeRecord.symbol}`;
@@ -83,17 +102,47 @@ class PositionMonitor {
       profitOrderId: tradeRecord.profitOrderId,
       accountId: tradeRecord.accountId,
       symbol: tradeRecord.symbol,
+      // Resolved contract (NQZ5) - what quotes are subscribed and specs looked up on
+      contractSymbol: tradeRecord.contractSymbol || tradeRecord.symbol,
+      contractId: tradeRecord.contractId ?? null,
       action: tradeRecord.action,
+      side: tradeRecord.side || tradeRecord.action,
       quantity: tradeRecord.quantity,
-      trailingConfig: tradeRecord.trailingConfig,
+      trailingConfig: tradeRecord.trailingConfig || null,
+      stopRules: tradeRecord.stopRules || null,
+      maxHoldMinutes: tradeRecord.maxHoldMinutes || null,
+      strategy: tradeRecord.strategy || null,
+      exitRequestedAt: null,
       trailingActivated: false,
-      highWaterMark: null, // Track peak profit for longs
-      lowWaterMark: null,  // Track lowest point for shorts
+      entryPrice: tradeRecord.entryPrice ?? tradeRecord.bracket?.fillPrice ?? null,
+      stopPrice: tradeRecord.stopPrice ?? tradeRecord.bracket?.stopPrice ?? null,
+      bestPrice: null, // Most favourable price since entry (high for longs, low for shorts)
+      lastPrice: null,
+      profitPoints: null,
+      unrealizedPnL: null,
+      lastPriceSource: null,
+      updating: false,
+      pendingPrice: null,
       addedAt: new Date()
     };
 
+    if (this.activePositions.has(positionKey)) {
+      this.removePosition(tradeRecord.accountId, tradeRecord.symbol);
+    }
+
     this.activePositions.set(positionKey, monitorData);
-    logger.info(`📊 Added position to trailing monitor: ${positionKey} (trigger: ${tradeRecord.trailingConfig.trigger} pts)`);
+    this.persistPosition(monitorData, true);
+    logger.info(`📊 Added position to stop monitor: ${positionKey} (trailing: ${JSON.stringify(monitorData.trailingConfig)}, rules: ${JSON.stringify(monitorData.stopRules)}, max hold: ${monitorData.maxHoldMinutes ?? 'none'})`);
+
+    this.subscribePrices(monitorData);
+  }
+
+  subscribePrices(monitorData) {
+    marketDataFeed.subscribe(monitorData.contractSymbol).then(subscribed => {
+      if (!subscribed) {
+        logger.warn(`⚠️ No live prices for ${monitorData.contractSymbol} - trailing falls back to polling`);
+      }
+    });
   }
 
   /**
@@ -101,23 +150,233 @@ class PositionMonitor {
    */
   removePosition(accountId, symbol) {
     const positionKey = `${accountId}-${symbol}`;
-    const removed = this.activePositions.delete(positionKey);
+    const monitorData = this.activePositions.get(positionKey);
 
-    if (removed) {
+    if (monitorData) {
+      this.activePositions.delete(positionKey);
+      this.unpersist(`trailing:${positionKey}`);
+      marketDataFeed.unsubscribe(monitorData.contractSymbol);
       logger.info(`📊 Removed position from trailing monitor: ${positionKey}`);
     }
   }
 
+  /**
+   * Keep a monitored position's size in step after a scale in/out (stop moves resend the quantity)
+   */
+  resizePosition(accountId, symbol, quantity) {
+    const monitorData = this.activePositions.get(`${accountId}-${symbol}`);
+    if (!monitorData || monitorData.quantity === quantity) {
+      return;
+    }
+
+    logger.info(`📊 Monitored position ${accountId}-${symbol} resized: ${monitorData.quantity} -> ${quantity}`);
+    monitorData.quantity = quantity;
+    this.persistPosition(monitorData, true);
+  }
+
+  /**
+   * Track a multi-target bracket (shared stop + target limit orders)
+   */
+  addBracketGroup(group) {
+    const tracked = {
+      ...group,
+      breakevenMoved: false,
+      processing: false,
+      addedAt: new Date()
+    };
+    this.bracketGroups.set(group.groupId, tracked);
+    this.persistBracketGroup(tracked);
+    logger.info(`🎯 Tracking multi-target bracket ${group.groupId}: ${group.targets.length} targets, stop ${group.stopPrice} x${group.quantity}`);
+    return tracked;
+  }
+
+  removeBracketGroup(groupId) {
+    if (this.bracketGroups.delete(groupId)) {
+      this.unpersist(`bracket:${groupId}`);
+      logger.info(`🎯 Stopped tracking multi-target bracket ${groupId}`);
+    }
+  }
+
+  /**
+   * Find the tracked multi-target bracket an order belongs to
+   */
+  getBracketGroupForOrder(orderId) {
+    for (const group of this.bracketGroups.values()) {
+      if (group.stopOrderId === orderId || group.targets.some(target => target.orderId === orderId)) {
+        return group;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * React to order status updates for tracked multi-target brackets
+   * Called with each collector order poll, and from the periodic check as a fallback.
+   */
+  async handleOrderUpdates(accountId, orders) {
+    if (this.bracketGroups.size === 0 || !Array.isArray(orders)) {
+      return;
+    }
+
+    const statusById = new Map(orders.map(order => [order.id, order.ordStatus || order.status]));
+
+    for (const group of this.bracketGroups.values()) {
+      if (group.accountId !== accountId || group.processing) continue;
+
+      group.processing = true;
+      try {
+        await this.processBracketGroup(group, statusById);
+      } catch (error) {
+        logger.error(`❌ Failed to update multi-target bracket ${group.groupId}: ${error.message}`);
+      } finally {
+        group.processing = false;
+        if (this.bracketGroups.has(group.groupId)) {
+          this.persistBracketGroup(group);
+        }
+      }
+    }
+  }
+
+  async processBracketGroup(group, statusById) {
+    const client = this.getTradovateClient();
+
+    // Stopped out - the remaining targets have nothing left to take profit on
+    if (statusById.get(group.stopOrderId) === 'Filled') {
+      for (const target of group.targets.filter(t => !t.filled)) {
+        await client.cancelOrder(target.orderId).catch(error =>
+          logger.warn(`⚠️ Failed to cancel ${target.label} order ${target.orderId}: ${error.message}`)
+        );
+      }
+      this.recordBracketEvent(group, `Stop filled for ${group.symbol} bracket - remaining targets cancelled`, 'warning');
+      this.removeBracketGroup(group.groupId);
+      this.removePosition(group.accountId, group.positionSymbol || group.symbol);
+      return;
+    }
+
+    const newlyFilled = group.targets.filter(target => !target.filled && statusById.get(target.orderId) === 'Filled');
+    if (newlyFilled.length === 0) {
+      return;
+    }
+
+    for (const target of newlyFilled) {
+      target.filled = true;
+      target.filledAt = new Date();
+      group.remainingQuantity -= target.quantity;
+      logger.info(`🎯 ${target.label} filled for ${group.symbol}: ${target.quantity} @ ${target.price}, ${group.remainingQuantity} remaining`);
+    }
+
+    // Everything closed by targets - the shared stop has nothing left to protect
+    if (group.remainingQuantity <= 0) {
+      await client.cancelOrder(group.stopOrderId).catch(error =>
+        logger.warn(`⚠️ Failed to cancel stop order ${group.stopOrderId}: ${error.message}`)
+      );
+      this.recordBracketEvent(group, `All targets filled for ${group.symbol} bracket - stop cancelled`, 'info', newlyFilled);
+      this.removeBracketGroup(group.groupId);
+      return;
+    }
+
+    // Shrink the shared stop to what's left, moving it to breakeven after TP1 if requested
+    const moveToBreakeven = group.breakevenAfterTp1 && !group.breakevenMoved && group.targets[0].filled;
+    const stopPrice = moveToBreakeven ? group.entryPrice : group.stopPrice;
+
+    await client.modifyOrder({
+      orderId: group.stopOrderId,
+      orderQty: group.remainingQuantity,
+      orderType: 'Stop',
+      stopPrice,
+      timeInForce: 'Day',
+      isAutomated: true
+    }, { risk: { accountId: group.accountId, symbol: group.symbol } });
+
+    stopManager.recordModification({
+      tradeId: group.groupId,
+      accountId: group.accountId,
+      symbol: group.symbol,
+      stopOrderId: group.stopOrderId,
+      reason: moveToBreakeven ? 'breakeven_after_tp1' : 'target_filled_resize',
+      oldStopPrice: group.stopPrice,
+      newStopPrice: stopPrice,
+      quantity: group.remainingQuantity,
+      details: { filledTargets: newlyFilled.map(target => target.label) }
+    });
+
+    group.stopPrice = stopPrice;
+    if (moveToBreakeven) {
+      group.breakevenMoved = true;
+    }
+
+    this.recordBracketEvent(
+      group,
+      `${newlyFilled.map(target => target.label).join(', ')} filled for ${group.symbol} - stop resized to ${group.remainingQuantity}${moveToBreakeven ? ` and moved to breakeven (${stopPrice})` : ''}`,
+      'info',
+      newlyFilled
+    );
+
+    // Only the runner is left - hand it to the trailing stop logic, keyed like the entry's other
+    // positions so a later CLOSE/REVERSE on the signal symbol (NQ1!) removes it
+    if (group.targets.every(target => target.filled) && group.trailingConfig) {
+      this.addPosition({
+        tradeId: group.groupId,
+        orderId: group.entryOrderId,
+        stopOrderId: group.stopOrderId,
+        accountId: group.accountId,
+        symbol: group.positionSymbol || group.symbol,
+        contractSymbol: group.symbol,
+        action: group.side,
+        quantity: group.remainingQuantity,
+        entryPrice: group.entryPrice,
+        stopPrice: group.stopPrice,
+        trailingConfig: group.trailingConfig
+      });
+      this.removeBracketGroup(group.groupId);
+    }
+  }
+
+  recordBracketEvent(group, message, level, filledTargets = []) {
+    logger.info(`🎯 ${message}`);
+    database.logActivity(
+      'trade',
+      message,
+      {
+        groupId: group.groupId,
+        accountId: group.accountId,
+        symbol: group.symbol,
+        remainingQuantity: group.remainingQuantity,
+        stopPrice: group.stopPrice,
+        breakevenMoved: group.breakevenMoved,
+        filledTargets: filledTargets.map(target => ({ label: target.label, orderId: target.orderId, price: target.price, quantity: target.quantity }))
+      },
+      level
+    );
+
+    if (global.io) {
+      global.io.emit('bracket_targets_updated', {
+        groupId: group.groupId,
+        accountId: group.accountId,
+        symbol: group.symbol,
+        remainingQuantity: group.remainingQuantity,
+        stopPrice: group.stopPrice,
+        breakevenMoved: group.breakevenMoved,
+        targets: group.targets,
+        message,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
   /**
    * Check all monitored positions for trailing stop activation
    */
   async checkPositions() {
-    if (this.activePositions.size === 0) {
+    if (this.activePositions.size === 0 && this.bracketGroups.size === 0) {
       return; // No positions to monitor
     }
 
     logger.info(`🔍 Checking ${this.activePositions.size} positions for trailing activation`);
 
+    // Time-based - doesn't need the broker, so runs even when the checks below fail
+    this.checkMaxHold();
+
     try {
       const client = this.getTradovateClient();
 
@@ -133,13 +392,79 @@ class PositionMonitor {
         await this.checkAccountPositions(account.id);
       }
 
+      // Fallback for multi-target brackets in case collector order updates were missed
+      const bracketAccounts = new Set(Array.from(this.bracketGroups.values()).map(group => group.accountId));
+      for (const accountId of bracketAccounts) {
+        await this.handleOrderUpdates(accountId, await client.getOrders(accountId));
+      }
+
     } catch (error) {
       logger.error(`❌ Failed to check positions: ${error.message}`);
     }
   }
 
+  /**
+   * Open live position of a monitored entry - raw Tradovate positions carry a contractId but no
+   * symbol, so names are looked up the way reconcile() does. The contractId is kept once matched.
+   * unresolved is set when a name lookup failed, so a miss doesn't prove the position closed.
+   */
+  async findLivePosition(client, monitorData, positions) {
+    let unresolved = false;
+
+    for (const position of positions.filter(pos => pos.netPos)) {
+      if (monitorData.contractId && position.contractId === monitorData.contractId) {
+        return { position, unresolved: false };
+      }
+
+      const name = position.symbol || await this.getContractName(client, position.contractId);
+      if (!name) {
+        unresolved = true;
+      } else if (name === monitorData.contractSymbol) {
+        monitorData.contractId = position.contractId;
+        this.persistPosition(monitorData, true);
+        return { position, unresolved: false };
+      }
+    }
+
+    return { position: null, unresolved };
+  }
+
+  /**
+   * Contract name for a contractId (cached; failed lookups are retried next time)
+   */
+  async getContractName(client, contractId) {
+    if (!this.contractNames.has(contractId)) {
+      const contract = await client.getContract(contractId).catch(() => null);
+      if (!contract?.name) {
+        return null;
+      }
+      this.contractNames.set(contractId, contract.name);
+    }
+    return this.contractNames.get(contractId);
+  }
+
+  /**
+   * Flag positions held past their maxHoldMinutes - the session scheduler closes them
+   */
+  checkMaxHold(now = Date.now()) {
+    for (const monitorData of this.activePositions.values()) {
+      if (!monitorData.maxHoldMinutes) continue;
+
+      const heldMs = now - new Date(monitorData.addedAt).getTime();
+      const requestedAt = monitorData.exitRequestedAt ? new Date(monitorData.exitRequestedAt).getTime() : null;
+      if (heldMs < monitorData.maxHoldMinutes * 60000 || (requestedAt && now - requestedAt < MAX_HOLD_RETRY_MS)) {
+        continue;
+      }
+
+      monitorData.exitRequestedAt = new Date(now);
+      this.persistPosition(monitorData, true);
+      this.emit('max_hold_expired', monitorData);
+    }
+  }
+
   /**
    * Check positions for a specific account
+   * Closed positions are dropped here; prices are only polled for positions the feed isn't covering
    */
   async checkAccountPositions(accountId) {
     try {
@@ -147,25 +472,42 @@ class PositionMonitor {
       const positions = await client.getPositions(accountId);
 
       // Filter monitored positions for this account
-      const monitoredForAccount = Array.from(this.activePositions.entries())
-        .filter(([key, data]) => data.accountId === accountId);
+      const monitoredForAccount = Array.from(this.activePositions.values())
+        .filter(data => data.accountId === accountId);
 
-      for (const [positionKey, monitorData] of monitoredForAccount) {
+      for (const monitorData of monitoredForAccount) {
         // Find corresponding live position
-        const livePosition = positions.find(pos =>
-          pos.symbol === monitorData.symbol ||
-          (pos.symbol && pos.symbol.includes(monitorData.symbol.substring(0, 3)))
-        );
+        const { position: livePosition, unresolved } = await this.findLivePosition(client, monitorData, positions);
+
+        if (!livePosition && unresolved) {
+          // A contract name couldn't be looked up - the position may still be open, so keep it (and its max hold)
+          logger.warn(`⚠️ Could not match ${monitorData.contractSymbol} to a live position - contract lookup failed, keeping it monitored`);
+          continue;
+        }
 
         if (!livePosition) {
           // Position was closed, remove from monitoring
-          logger.info(`📊 Position closed, removing from monitor: ${positionKey}`);
-          this.activePositions.delete(positionKey);
+          logger.info(`📊 Position closed, removing from monitor: ${monitorData.accountId}-${monitorData.symbol}`);
+          this.removePosition(monitorData.accountId, monitorData.symbol);
+          continue;
+        }
+
+        if (monitorData.entryPrice === null && livePosition.netPrice) {
+          monitorData.entryPrice = livePosition.netPrice;
+        }
+
+        // The feed is driving this position
+        if (marketDataFeed.isHealthy() && marketDataFeed.getLastPrice(monitorData.contractSymbol) !== null) {
           continue;
         }
 
-        // Check if trailing stop should be activated
-        await this.checkTrailingActivation(monitorData, livePosition);
+        const price = await this.getPolledPrice(monitorData, livePosition, positions);
+        if (price === null) {
+          logger.warn(`⚠️ No price available for ${monitorData.contractSymbol} while the market data feed is down`);
+          continue;
+        }
+
+        await this.updateTrailing(monitorData, price, 'poll');
       }
 
     } catch (error) {
@@ -174,72 +516,441 @@ class PositionMonitor {
   }
 
   /**
-   * Check if a position should have its trailing stop activated
+   * Work out the current price without the feed, from open P&L
+   * (the position's own, or the account's when this is its only open position)
+   */
+  async getPolledPrice(monitorData, livePosition, positions) {
+    const spec = positionSizing.getContractSpec(monitorData.contractSymbol);
+    const quantity = Math.abs(livePosition.netPos || monitorData.quantity);
+    if (!spec || monitorData.entryPrice === null || !quantity) {
+      return null;
+    }
+
+    let openPnL = livePosition.unrealizedPnL ?? livePosition.openPnL;
+    if (openPnL === undefined && positions.filter(pos => pos.netPos).length === 1) {
+      const cashBalance = await this.getTradovateClient().getCashBalanceSnapshot(monitorData.accountId).catch(() => null);
+      openPnL = cashBalance?.openPnL;
+    }
+    if (openPnL === undefined || openPnL === null) {
+      return null;
+    }
+
+    const points = openPnL / (quantity * spec.pointValue);
+    return monitorData.entryPrice + points * this.getDirection(monitorData);
+  }
+
+  /**
+   * Real-time quote from the market data feed
+   */
+  handlePrice(update) {
+    for (const monitorData of this.activePositions.values()) {
+      if (monitorData.contractSymbol !== update.symbol) continue;
+
+      monitorData.contractId = update.contractId;
+      this.updateTrailing(monitorData, update.price, 'feed').catch(error => {
+        logger.error(`❌ Trailing update failed for ${monitorData.symbol}: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Feed a new price to a position's trailing stop
+   * Updates are serialized per position; prices arriving mid-update are coalesced to the latest
    */
-  async checkTrailingActivation(monitorData, livePosition) {
+  async updateTrailing(monitorData, price, source) {
+    if (monitorData.updating) {
+      monitorData.pendingPrice = price;
+      return;
+    }
+
+    monitorData.updating = true;
     try {
-      // Calculate current profit in points (simplified - would need to get entry price from order history)
-      const currentPrice = livePosition.netPrice || 0;
-      const quantity = livePosition.netPos || 0;
-      const unrealizedPnL = livePosition.unrealizedPnL || 0;
+      let next = price;
+      while (next !== null) {
+        monitorData.pendingPrice = null;
+        await this.evaluateStop(monitorData, next, source);
+        next = monitorData.pendingPrice;
+      }
+    } finally {
+      monitorData.updating = false;
+      if (monitorData.dirty && this.activePositions.has(`${monitorData.accountId}-${monitorData.symbol}`)) {
+        this.persistPosition(monitorData);
+      }
+    }
+  }
 
-      // Estimate profit per contract in points (rough calculation)
-      const profitPerContract = quantity !== 0 ? unrealizedPnL / Math.abs(quantity) : 0;
+  /**
+   * Evaluate the trailing stop and stop-management rules against a new price
+   * Profit is measured from the entry fill using the contract's tick size and point value;
+   * the tightest candidate stop wins and the stop only ever moves in the position's favour
+   */
+  async evaluateStop(monitorData, price, source) {
+    const positionKey = `${monitorData.accountId}-${monitorData.symbol}`;
+    if (this.activePositions.get(positionKey) !== monitorData) {
+      return; // Removed while waiting
+    }
 
-      // Convert dollar profit to points (assuming $1 = 0.25 points for NQ/MNQ)
-      const profitInPoints = profitPerContract / 0.25;
+    const spec = positionSizing.getContractSpec(monitorData.contractSymbol);
+    if (!spec?.tickSize) {
+      logger.warn(`⚠️ No contract spec for ${monitorData.contractSymbol}, cannot manage stop`);
+      return;
+    }
+
+    if (monitorData.entryPrice === null) {
+      monitorData.entryPrice = await this.resolveEntryPrice(monitorData);
+      if (monitorData.entryPrice === null) return;
+      monitorData.dirty = true;
+    }
+
+    const direction = this.getDirection(monitorData);
+    const tickSize = spec.tickSize;
+
+    monitorData.lastPrice = price;
+    monitorData.lastPriceSource = source;
+    monitorData.profitPoints = parseFloat(((price - monitorData.entryPrice) * direction).toFixed(6));
+    monitorData.unrealizedPnL = parseFloat((monitorData.profitPoints * spec.pointValue * Math.abs(monitorData.quantity)).toFixed(2));
+
+    if (monitorData.bestPrice === null || (price - monitorData.bestPrice) * direction > 0) {
+      monitorData.bestPrice = price;
+      monitorData.dirty = true;
+    }
+    stopManager.recordPrice(monitorData, price);
+
+    const candidates = stopManager.evaluate(monitorData, { direction, tickSize });
+    let activating = false;
 
-      logger.info(`📊 Position ${monitorData.symbol}: ${profitInPoints.toFixed(2)} pts profit, trigger: ${monitorData.trailingConfig.trigger} pts`);
+    if (monitorData.trailingConfig) {
+      const { trigger, offset } = monitorData.trailingConfig;
 
-      // Check if trailing should be activated
-      if (!monitorData.trailingActivated && profitInPoints >= monitorData.trailingConfig.trigger) {
-        logger.info(`🎯 Activating trailing stop for ${monitorData.symbol} at ${profitInPoints.toFixed(2)} pts profit`);
-        await this.activateTrailingStop(monitorData, currentPrice);
+      // Float tolerance only - a trigger of 10 pts activates on the first tick at +10
+      if (!monitorData.trailingActivated && monitorData.profitPoints >= trigger - tickSize / 1000) {
+        activating = true;
+        monitorData.trailingActivated = true;
+        monitorData.activatedAt = new Date();
+        monitorData.dirty = true;
+        logger.info(`🎯 Activating trailing stop for ${monitorData.symbol} at ${monitorData.profitPoints.toFixed(2)} pts profit (${source})`);
       }
 
-    } catch (error) {
-      logger.error(`❌ Failed to check trailing activation for ${monitorData.symbol}: ${error.message}`);
+      if (monitorData.trailingActivated) {
+        candidates.push({
+          stopPrice: positionSizing.roundToTick(
+            monitorData.contractSymbol,
+            monitorData.bestPrice - offset * direction,
+            direction > 0 ? 'down' : 'up'
+          ),
+          reason: activating ? 'trailing_activation' : 'trailing',
+          details: { trigger, offset }
+        });
+      }
+    }
+
+    if (candidates.length === 0) {
+      return;
+    }
+
+    if (monitorData.stopPrice === null && monitorData.stopOrderId) {
+      monitorData.stopPrice = await this.getWorkingStopPrice(monitorData);
+    }
+
+    const best = candidates.reduce((tightest, candidate) =>
+      (candidate.stopPrice - tightest.stopPrice) * direction > 0 ? candidate : tightest
+    );
+
+    // Only ever tighten, and by at least a full tick
+    const improvesStop = monitorData.stopPrice === null ||
+      (best.stopPrice - monitorData.stopPrice) * direction >= tickSize - tickSize / 1000;
+
+    if (improvesStop) {
+      await this.moveStop(monitorData, best);
+    } else if (activating) {
+      database.logActivity('trade', `Trailing stop activated for ${monitorData.symbol} - stop ${monitorData.stopPrice} already tighter than trail`, {
+        tradeId: monitorData.tradeId,
+        accountId: monitorData.accountId,
+        symbol: monitorData.symbol,
+        stopPrice: monitorData.stopPrice,
+        profitPoints: monitorData.profitPoints
+      });
     }
   }
 
   /**
-   * Activate trailing stop for a position
+   * Move the stop order to a new level and record why
    */
-  async activateTrailingStop(monitorData, currentPrice) {
+  async moveStop(monitorData, { stopPrice, reason, details }) {
+    if (!monitorData.stopOrderId) {
+      logger.warn(`⚠️ No stop order ID found for ${monitorData.symbol}, cannot move stop`);
+      return;
+    }
+
     try {
       const client = this.getTradovateClient();
+      await client.modifyOrder({
+        orderId: monitorData.stopOrderId,
+        orderQty: Math.abs(monitorData.quantity),
+        orderType: 'Stop',
+        stopPrice,
+        timeInForce: 'Day',
+        isAutomated: true
+      }, { risk: { accountId: monitorData.accountId, symbol: monitorData.contractSymbol } });
+
+      const previousStop = monitorData.stopPrice;
+      monitorData.stopPrice = stopPrice;
+      monitorData.lastStopMoveAt = new Date();
+      monitorData.lastStopReason = reason;
+      this.persistPosition(monitorData, true);
+
+      stopManager.recordModification({
+        tradeId: monitorData.tradeId,
+        accountId: monitorData.accountId,
+        symbol: monitorData.symbol,
+        stopOrderId: monitorData.stopOrderId,
+        reason,
+        oldStopPrice: previousStop,
+        newStopPrice: stopPrice,
+        quantity: Math.abs(monitorData.quantity),
+        marketPrice: monitorData.lastPrice,
+        profitPoints: monitorData.profitPoints,
+        details: {
+          ...details,
+          entryPrice: monitorData.entryPrice,
+          bestPrice: monitorData.bestPrice,
+          source: monitorData.lastPriceSource
+        }
+      });
 
-      if (!monitorData.stopOrderId) {
-        logger.warn(`⚠️ No stop order ID found for ${monitorData.symbol}, cannot activate trailing`);
-        return;
-      }
+    } catch (error) {
+      logger.error(`❌ Failed to move stop for ${monitorData.symbol} (${reason}): ${error.message}`);
+    }
+  }
 
-      // Convert trailing offset from points to price
-      const trailingOffsetPrice = monitorData.trailingConfig.offset * 0.25; // 0.25 = point value
+  /**
+   * Average fill price of the entry order
+   */
+  async resolveEntryPrice(monitorData) {
+    if (!monitorData.orderId || monitorData.entryPriceLookupAt > Date.now() - this.checkIntervalMs) {
+      return null;
+    }
+    monitorData.entryPriceLookupAt = Date.now();
 
-      // Prepare trailing stop modification
-      const trailingModification = {
-        orderId: monitorData.stopOrderId,
-        autoTrail: {
-          trigger: monitorData.trailingConfig.trigger * 0.25, // Convert points to price
-          offset: trailingOffsetPrice,
-          freq: 0.25 // Update frequency
-        }
-      };
+    try {
+      const fills = await this.getTradovateClient().getOrderFills(monitorData.orderId);
+      const quantity = fills.reduce((total, fill) => total + fill.qty, 0);
+      if (!quantity) return null;
+
+      const entryPrice = fills.reduce((total, fill) => total + fill.price * fill.qty, 0) / quantity;
+      logger.info(`📊 Entry price for ${monitorData.symbol}: ${entryPrice}`);
+      return entryPrice;
+    } catch (error) {
+      logger.warn(`⚠️ Could not get entry fill for ${monitorData.symbol}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async getWorkingStopPrice(monitorData) {
+    try {
+      const details = await this.getTradovateClient().getOrderDetails(monitorData.stopOrderId);
+      return details?.stopPrice ?? null;
+    } catch (error) {
+      return null;
+    }
+  }
 
-      logger.info(`📊 Modifying stop order ${monitorData.stopOrderId} to trailing: ${JSON.stringify(trailingModification, null, 2)}`);
+  getDirection(monitorData) {
+    return ['BUY', 'LONG'].includes(String(monitorData.side).toUpperCase()) ? 1 : -1;
+  }
 
-      // Modify the order to add trailing stop functionality
-      await client.modifyOrder(trailingModification);
+  /**
+   * Save a trailing position (water marks are throttled, stop moves and activation are forced)
+   */
+  persistPosition(monitorData, force = false) {
+    if (!force && monitorData.persistedAt > Date.now() - 1000) {
+      return;
+    }
 
-      monitorData.trailingActivated = true;
-      monitorData.activatedAt = new Date();
+    const { updating, pendingPrice, dirty, persistedAt, ...state } = monitorData;
+    const long = this.getDirection(monitorData) > 0;
 
-      logger.info(`✅ Trailing stop activated for ${monitorData.symbol}`);
+    try {
+      database.saveMonitoredPosition({
+        key: `trailing:${monitorData.accountId}-${monitorData.symbol}`,
+        kind: 'trailing',
+        accountId: monitorData.accountId,
+        symbol: monitorData.symbol,
+        trailingConfig: monitorData.trailingConfig,
+        trailingActivated: monitorData.trailingActivated,
+        highWaterMark: long ? monitorData.bestPrice : null,
+        lowWaterMark: long ? null : monitorData.bestPrice,
+        state
+      });
+      monitorData.dirty = false;
+      monitorData.persistedAt = Date.now();
+    } catch (error) {
+      logger.error(`❌ Failed to persist monitored position ${monitorData.symbol}: ${error.message}`);
+    }
+  }
+
+  persistBracketGroup(group) {
+    const { processing, ...state } = group;
+
+    try {
+      database.saveMonitoredPosition({
+        key: `bracket:${group.groupId}`,
+        kind: 'bracket_group',
+        accountId: group.accountId,
+        symbol: group.symbol,
+        trailingConfig: group.trailingConfig,
+        trailingActivated: false,
+        state
+      });
+    } catch (error) {
+      logger.error(`❌ Failed to persist bracket group ${group.groupId}: ${error.message}`);
+    }
+  }
+
+  unpersist(key) {
+    try {
+      database.deleteMonitoredPosition(key);
+    } catch (error) {
+      logger.error(`❌ Failed to delete monitored position ${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Rehydrate monitored positions saved before a restart, then reconcile them
+   * against live positions and working orders before monitoring resumes
+   */
+  async restore() {
+    const saved = database.getMonitoredPositions();
+    if (saved.length === 0) {
+      return { restored: 0, orphaned: 0 };
+    }
+
+    logger.info(`♻️ Restoring ${saved.length} monitored positions`);
+
+    for (const entry of saved) {
+      if (entry.kind === 'bracket_group') {
+        this.bracketGroups.set(entry.state.groupId, { ...entry.state, processing: false });
+      } else {
+        this.activePositions.set(`${entry.accountId}-${entry.symbol}`, {
+          ...entry.state,
+          trailingConfig: entry.trailingConfig,
+          trailingActivated: entry.trailingActivated,
+          bestPrice: entry.highWaterMark ?? entry.lowWaterMark ?? entry.state.bestPrice ?? null,
+          updating: false,
+          pendingPrice: null,
+          dirty: false
+        });
+      }
+    }
 
+    let orphaned = 0;
+    try {
+      orphaned = await this.reconcile();
     } catch (error) {
-      logger.error(`❌ Failed to activate trailing stop for ${monitorData.symbol}: ${error.message}`);
+      // Keep everything - the periodic check drops positions that turn out to be closed
+      logger.warn(`⚠️ Could not reconcile restored positions, resuming unverified: ${error.message}`);
+    }
+
+    for (const monitorData of this.activePositions.values()) {
+      this.subscribePrices(monitorData);
+    }
+
+    const restored = this.activePositions.size + this.bracketGroups.size;
+    logger.info(`✅ Restored ${restored} monitored positions (${orphaned} orphaned)`);
+    return { restored, orphaned };
+  }
+
+  async reconcile() {
+    const client = this.getTradovateClient();
+    if (!client.accessToken) {
+      await client.authenticate();
     }
+
+    const accountIds = new Set([
+      ...Array.from(this.activePositions.values()).map(data => data.accountId),
+      ...Array.from(this.bracketGroups.values()).map(group => group.accountId)
+    ]);
+    let orphaned = 0;
+
+    for (const accountId of accountIds) {
+      const positions = await client.getPositions(accountId);
+      const orders = await client.getOrders(accountId);
+      const statusById = new Map(orders.map(order => [order.id, order.ordStatus || order.status]));
+      const isWorking = orderId => !!statusById.get(orderId) && !['Filled', 'Canceled', 'Rejected', 'Expired', 'Completed'].includes(statusById.get(orderId));
+
+      // Net position per contract name
+      const netByContract = new Map();
+      for (const position of positions.filter(pos => pos.netPos)) {
+        netByContract.set(await this.getContractName(client, position.contractId), position.netPos);
+      }
+
+      for (const monitorData of Array.from(this.activePositions.values()).filter(data => data.accountId === accountId)) {
+        const { position, unresolved } = await this.findLivePosition(client, monitorData, positions);
+        if (!position && unresolved) {
+          logger.warn(`⚠️ Could not match ${monitorData.contractSymbol} to a live position - contract lookup failed, keeping it monitored`);
+          continue;
+        }
+
+        if (!position) {
+          this.recordOrphan(monitorData, 'position closed while offline');
+          this.removePosition(monitorData.accountId, monitorData.symbol);
+          orphaned++;
+        } else if ((monitorData.trailingConfig || monitorData.stopRules) && !isWorking(monitorData.stopOrderId)) {
+          this.recordOrphan(monitorData, `stop order ${monitorData.stopOrderId ?? 'unknown'} is no longer working`);
+          if (monitorData.maxHoldMinutes) {
+            // Nothing left to trail, but the position still has to be closed on time
+            monitorData.trailingConfig = null;
+            monitorData.stopRules = null;
+            this.persistPosition(monitorData, true);
+          } else {
+            this.removePosition(monitorData.accountId, monitorData.symbol);
+          }
+          orphaned++;
+        } else if (Math.abs(position.netPos) !== Math.abs(monitorData.quantity)) {
+          logger.info(`♻️ ${monitorData.symbol} position size changed while offline: ${monitorData.quantity} -> ${Math.abs(position.netPos)}`);
+          monitorData.quantity = Math.abs(position.netPos);
+          this.persistPosition(monitorData, true);
+        }
+      }
+
+      for (const group of Array.from(this.bracketGroups.values()).filter(g => g.accountId === accountId)) {
+        if (netByContract.get(group.symbol)) {
+          continue; // Fills that happened while offline are applied by handleOrderUpdates below
+        }
+        if (statusById.get(group.stopOrderId) === 'Filled') {
+          continue; // Stopped out - handleOrderUpdates cancels the remaining targets
+        }
+
+        // Flat with no stop fill - nothing left to protect, don't leave exits working
+        for (const orderId of [group.stopOrderId, ...group.targets.map(target => target.orderId)].filter(isWorking)) {
+          await client.cancelOrder(orderId).catch(error =>
+            logger.warn(`⚠️ Failed to cancel orphaned order ${orderId}: ${error.message}`)
+          );
+        }
+        this.recordOrphan(group, 'position closed while offline - working exits cancelled');
+        this.removeBracketGroup(group.groupId);
+        orphaned++;
+      }
+
+      await this.handleOrderUpdates(accountId, orders);
+    }
+
+    return orphaned;
+  }
+
+  recordOrphan(entry, reason) {
+    const label = entry.groupId ? `bracket ${entry.groupId}` : `trailing stop ${entry.tradeId || ''}`.trim();
+    const message = `Dropped orphaned ${label} for ${entry.symbol}: ${reason}`;
+
+    logger.warn(`⚠️ ${message}`);
+    database.logActivity('system', message, {
+      accountId: entry.accountId,
+      symbol: entry.symbol,
+      tradeId: entry.tradeId || null,
+      groupId: entry.groupId || null,
+      stopOrderId: entry.stopOrderId || null,
+      reason
+    }, 'warning');
   }
 
   /**
@@ -250,7 +961,16 @@ class PositionMonitor {
       isRunning: this.isRunning,
       monitoredPositions: this.activePositions.size,
       checkInterval: this.checkIntervalMs,
-      positions: []
+      priceFeed: marketDataFeed.getStatus(),
+      positions: [],
+      bracketGroups: Array.from(this.bracketGroups.values()).map(group => ({
+        groupId: group.groupId,
+        symbol: group.symbol,
+        remainingQuantity: group.remainingQuantity,
+        stopPrice: group.stopPrice,
+        breakevenMoved: group.breakevenMoved,
+        targets: group.targets.map(({ label, orderId, quantity, price, filled }) => ({ label, orderId, quantity, price, filled }))
+      }))
     };
 
     for (const [key, data] of this.activePositions) {
@@ -258,8 +978,18 @@ class PositionMonitor {
         key,
         symbol: data.symbol,
         trailingActivated: data.trailingActivated,
-        trigger: data.trailingConfig.trigger,
-        offset: data.trailingConfig.offset,
+        trigger: data.trailingConfig?.trigger ?? null,
+        offset: data.trailingConfig?.offset ?? null,
+        stopRules: data.stopRules,
+        lastStopReason: data.lastStopReason || null,
+        maxHoldMinutes: data.maxHoldMinutes ?? null,
+        exitRequestedAt: data.exitRequestedAt ?? null,
+        entryPrice: data.entryPrice,
+        lastPrice: data.lastPrice,
+        stopPrice: data.stopPrice,
+        profitPoints: data.profitPoints,
+        unrealizedPnL: data.unrealizedPnL,
+        priceSource: data.lastPriceSource,
         addedAt: data.addedAt
       });
     }
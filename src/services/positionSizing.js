@@ -24,6 +24,7 @@ class PositionSizingService {
     this.contractSpecs = {
       'MNQ': {
         pointValue: 2.0,
+        tickSize: 0.25,
         maxLoss: 52, // Strategy max loss in points
         dayMargin: 100, // Day trading margin requirement
         fullSizeEquivalent: 'NQ',
@@ -32,6 +33,7 @@ class PositionSizingService {
       },
       'MNQ!': {
         pointValue: 2.0,
+        tickSize: 0.25,
         maxLoss: 52,
         dayMargin: 100,
         fullSizeEquivalent: 'NQ!',
@@ -40,6 +42,7 @@ class PositionSizingService {
       },
       'NQ': {
         pointValue: 20.0,
+        tickSize: 0.25,
         maxLoss: 52,
         dayMargin: 1000, // Day trading margin requirement
         microEquivalent: 'MNQ',
@@ -48,6 +51,7 @@ class PositionSizingService {
       },
       'NQ!': {
         pointValue: 20.0,
+        tickSize: 0.25,
         maxLoss: 52,
         dayMargin: 1000,
         microEquivalent: 'MNQ!',
@@ -56,6 +60,7 @@ class PositionSizingService {
       },
       'MES': {
         pointValue: 5.0,
+        tickSize: 0.25,
         maxLoss: 20,
         dayMargin: 50, // Day trading margin requirement
         fullSizeEquivalent: 'ES',
@@ -64,6 +69,7 @@ class PositionSizingService {
       },
       'MES!': {
         pointValue: 5.0,
+        tickSize: 0.25,
         maxLoss: 20,
         dayMargin: 50,
         fullSizeEquivalent: 'ES!',
@@ -72,6 +78,7 @@ class PositionSizingService {
       },
       'ES': {
         pointValue: 50.0,
+        tickSize: 0.25,
         maxLoss: 20,
         dayMargin: 500, // Day trading margin requirement
         microEquivalent: 'MES',
@@ -80,11 +87,48 @@ class PositionSizingService {
       },
       'ES!': {
         pointValue: 50.0,
+        tickSize: 0.25,
         maxLoss: 20,
         dayMargin: 500,
         microEquivalent: 'MES!',
         contractType: 'full',
         description: 'E-mini S&P 500 Continuous'
+      },
+      'M2K': {
+        pointValue: 5.0,
+        tickSize: 0.1,
+        maxLoss: 20,
+        dayMargin: 50,
+        fullSizeEquivalent: 'RTY',
+        contractType: 'micro',
+        description: 'Micro E-mini Russell 2000'
+      },
+      'M2K!': {
+        pointValue: 5.0,
+        tickSize: 0.1,
+        maxLoss: 20,
+        dayMargin: 50,
+        fullSizeEquivalent: 'RTY!',
+        contractType: 'micro',
+        description: 'Micro E-mini Russell 2000 Continuous'
+      },
+      'RTY': {
+        pointValue: 50.0,
+        tickSize: 0.1,
+        maxLoss: 20,
+        dayMargin: 500,
+        microEquivalent: 'M2K',
+        contractType: 'full',
+        description: 'E-mini Russell 2000'
+      },
+      'RTY!': {
+        pointValue: 50.0,
+        tickSize: 0.1,
+        maxLoss: 20,
+        dayMargin: 500,
+        microEquivalent: 'M2K!',
+        contractType: 'full',
+        description: 'E-mini Russell 2000 Continuous'
       }
     };
   }
@@ -230,7 +274,10 @@ class PositionSizingService {
       let maxLossPerContract;
 
       // If signal data with stop loss is provided, calculate actual risk
-      if (signalData && signalData.entryPrice && signalData.stopLoss) {
+      if (signalData && signalData.stopDistance > 0) {
+        maxLossPerContract = signalData.stopDistance * contractSpec.pointValue;
+        logger.info(`Using signal stop distance: ${signalData.stopDistance} points = $${maxLossPerContract} per contract`);
+      } else if (signalData && signalData.entryPrice && signalData.stopLoss) {
         const stopLossPoints = Math.abs(signalData.entryPrice - signalData.stopLoss);
         maxLossPerContract = stopLossPoints * contractSpec.pointValue;
         logger.info(`Using signal stop loss: ${stopLossPoints} points = $${maxLossPerContract} per contract`);
@@ -284,7 +331,34 @@ class PositionSizingService {
   getContractSpec(symbol) {
     // Clean up symbol (remove exchange prefixes, etc.)
     const cleanSymbol = this.cleanSymbol(symbol);
-    return this.contractSpecs[cleanSymbol];
+    if (this.contractSpecs[cleanSymbol]) {
+      return this.contractSpecs[cleanSymbol];
+    }
+
+    // Resolved contract names (NQZ5, MESH2026) and TradingView continuous symbols (MNQ1!)
+    const root = cleanSymbol
+      .replace(/1!$/, '')
+      .replace(/[FGHJKMNQUVXZ]\d{1,4}$/, '');
+    return this.contractSpecs[root];
+  }
+
+  /**
+   * Round a price to the contract's tick size
+   * direction: 'nearest' (default), 'up' or 'down'
+   */
+  roundToTick(symbol, price, direction = 'nearest') {
+    const tickSize = this.getContractSpec(symbol)?.tickSize;
+    if (!tickSize || !Number.isFinite(price)) {
+      return price;
+    }
+
+    const ticks = price / tickSize;
+    const rounded = direction === 'up' ? Math.ceil(ticks - 1e-9)
+      : direction === 'down' ? Math.floor(ticks + 1e-9)
+      : Math.round(ticks);
+
+    // Strip floating point noise (0.1 tick sizes)
+    return parseFloat((rounded * tickSize).toFixed(6));
   }
 
   /**
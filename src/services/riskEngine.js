@@ -0,0 +1,269 @@
+import winston from 'winston';
+import accountGuard from './accountGuard.js';
+import database from './database.js';
+import marketDataFeed from './marketDataFeed.js';
+import positionSizing from './positionSizing.js';
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [RISK-ENGINE-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+const THROTTLE_WINDOW_MS = 60000;
+
+/**
+ * Pre-trade Risk Engine
+ * Hard limits checked by TradovateClient before any order reaches the broker
+ *
+ * Limits (env, 0 disables):
+ *   RISK_MAX_CONTRACTS_PER_SYMBOL     net contracts in one contract after the order
+ *   RISK_MAX_CONTRACTS_PER_ACCOUNT    net contracts across all contracts after the order
+ *   RISK_MAX_OPEN_POSITIONS           contracts with a position after the order
+ *   RISK_MAX_ORDER_NOTIONAL           quantity x price x point value, in dollars
+ *   RISK_REQUIRE_STOP_LOSS            entries must carry (or be followed by) a stop
+ *   RISK_MAX_PRICE_DEVIATION_PERCENT  limit/stop prices vs the last quote
+ *   RISK_MAX_ORDERS_PER_MINUTE        new orders per account
+ *
+ * Entries are also refused while the global kill switch is off or the account is locked by
+ * the account guard (daily loss limit, profit target, trailing drawdown or a manual lock).
+ *
+ * Orders that only reduce a position (exits, stops and targets on an open position) are
+ * always allowed - the limits exist to stop risk being added, never to trap it.
+ */
+class RiskEngine {
+  constructor() {
+    this.limits = {
+      maxContractsPerSymbol: parseInt(process.env.RISK_MAX_CONTRACTS_PER_SYMBOL) || 0,
+      maxContractsPerAccount: parseInt(process.env.RISK_MAX_CONTRACTS_PER_ACCOUNT) || 0,
+      maxOpenPositions: parseInt(process.env.RISK_MAX_OPEN_POSITIONS) || 0,
+      maxOrderNotional: parseFloat(process.env.RISK_MAX_ORDER_NOTIONAL) || 0,
+      requireStopLoss: process.env.RISK_REQUIRE_STOP_LOSS === 'true',
+      maxPriceDeviationPercent: parseFloat(process.env.RISK_MAX_PRICE_DEVIATION_PERCENT) || 0,
+      maxOrdersPerMinute: parseInt(process.env.RISK_MAX_ORDERS_PER_MINUTE) || 0
+    };
+    this.orderTimes = new Map(); // accountId -> timestamps of recent orders
+    this.contractNames = new Map(); // contractId -> contract name
+  }
+
+  getLimits() {
+    return { ...this.limits };
+  }
+
+  /**
+   * Check an order and throw if it breaks a limit
+   * context: { kind: 'place' | 'modify', source, protectiveStop, exit, entry, afterClose, accountId, symbol }
+   *   protectiveStop - the caller places (or resizes) a stop for this entry after it is sent
+   *   exit - a stop/target leg attached to a filled entry (the position may not be reported yet)
+   *   entry - opens a position, so it is never waved through as reducing
+   *   afterClose - sent right after an order closing the contract's position (a REVERSE open leg),
+   *     so it is checked as if that position were already flat
+   */
+  async enforce(client, orderData, context = {}) {
+    const result = await this.check(client, orderData, context);
+
+    if (!result.approved) {
+      this.recordRejection(orderData, context, result.reasons);
+
+      const error = new Error(`Order rejected by risk engine: ${result.reasons.map(reason => reason.message).join('; ')}`);
+      error.code = 'RISK_REJECTED';
+      error.reasons = result.reasons;
+      throw error;
+    }
+
+    if (context.kind !== 'modify') {
+      this.recordOrder(orderData.accountId);
+    }
+    return result;
+  }
+
+  /**
+   * Evaluate an order against the limits: { approved, reducing, reasons: [{ code, message, limit, value }] }
+   */
+  async check(client, orderData, context = {}) {
+    const reasons = [];
+    const symbol = orderData.symbol || context.symbol;
+
+    if (context.kind === 'modify') {
+      this.checkPrices(orderData, symbol, reasons);
+      return { approved: reasons.length === 0, reducing: false, reasons };
+    }
+
+    if (context.exit) {
+      return { approved: true, reducing: true, reasons };
+    }
+
+    const exposure = await this.getExposure(client, orderData.accountId);
+    if (context.afterClose) {
+      exposure.delete(symbol);
+    }
+    const current = exposure.get(symbol) || 0;
+    const signedQuantity = orderData.orderQty * (orderData.action === 'Buy' ? 1 : -1);
+    const after = current + signedQuantity;
+
+    // Exits and protective legs: opposite side, no bigger than the position
+    if (!context.entry && current !== 0 && Math.sign(signedQuantity) !== Math.sign(current) && Math.abs(signedQuantity) <= Math.abs(current)) {
+      return { approved: true, reducing: true, reasons };
+    }
+
+    const { limits } = this;
+
+    const guard = accountGuard.isTradingAllowed(orderData.accountId);
+    if (!guard.allowed) {
+      reasons.push(this.reason(guard.code, guard.reason, true, false));
+    }
+
+    if (limits.maxContractsPerSymbol && Math.abs(after) > limits.maxContractsPerSymbol) {
+      reasons.push(this.reason('max_contracts_per_symbol', `${symbol} position would be ${Math.abs(after)} contracts (max ${limits.maxContractsPerSymbol})`, limits.maxContractsPerSymbol, Math.abs(after)));
+    }
+
+    if (limits.maxContractsPerAccount) {
+      let total = Math.abs(after);
+      for (const [name, net] of exposure) {
+        if (name !== symbol) total += Math.abs(net);
+      }
+      if (total > limits.maxContractsPerAccount) {
+        reasons.push(this.reason('max_contracts_per_account', `Account would hold ${total} contracts (max ${limits.maxContractsPerAccount})`, limits.maxContractsPerAccount, total));
+      }
+    }
+
+    if (limits.maxOpenPositions && current === 0) {
+      const open = Array.from(exposure.values()).filter(net => net !== 0).length + 1;
+      if (open > limits.maxOpenPositions) {
+        reasons.push(this.reason('max_open_positions', `Order would open position ${open} (max ${limits.maxOpenPositions})`, limits.maxOpenPositions, open));
+      }
+    }
+
+    if (limits.maxOrderNotional) {
+      const price = orderData.price ?? orderData.stopPrice ?? marketDataFeed.getLastPrice(symbol) ?? context.referencePrice ?? null;
+      const pointValue = positionSizing.getContractSpec(symbol)?.pointValue;
+      if (price && pointValue) {
+        const notional = Math.round(orderData.orderQty * price * pointValue);
+        if (notional > limits.maxOrderNotional) {
+          reasons.push(this.reason('max_order_notional', `Order notional $${notional.toLocaleString()} exceeds $${limits.maxOrderNotional.toLocaleString()}`, limits.maxOrderNotional, notional));
+        }
+      } else {
+        logger.warn(`⚠️ No price or contract spec for ${symbol} - notional limit not checked`);
+      }
+    }
+
+    if (limits.requireStopLoss && orderData.bracket1?.orderType !== 'Stop' && !context.protectiveStop) {
+      reasons.push(this.reason('stop_loss_required', `Entry ${orderData.action} ${orderData.orderQty} ${symbol} has no stop loss`, true, false));
+    }
+
+    this.checkPrices(orderData, symbol, reasons);
+
+    if (limits.maxOrdersPerMinute) {
+      const recent = this.getRecentOrderCount(orderData.accountId);
+      if (recent >= limits.maxOrdersPerMinute) {
+        reasons.push(this.reason('max_orders_per_minute', `${recent} orders sent for account ${orderData.accountId} in the last minute (max ${limits.maxOrdersPerMinute})`, limits.maxOrdersPerMinute, recent));
+      }
+    }
+
+    return { approved: reasons.length === 0, reducing: false, reasons };
+  }
+
+  /**
+   * Limit and stop prices (including bracket legs) must be near the last quote
+   */
+  checkPrices(orderData, symbol, reasons) {
+    const maxDeviation = this.limits.maxPriceDeviationPercent;
+    const lastPrice = maxDeviation ? marketDataFeed.getLastPrice(symbol) : null;
+    if (!lastPrice) {
+      return;
+    }
+
+    const prices = [
+      ['price', orderData.price],
+      ['stopPrice', orderData.stopPrice],
+      ['bracket1', orderData.bracket1?.stopPrice ?? orderData.bracket1?.price],
+      ['bracket2', orderData.bracket2?.price ?? orderData.bracket2?.stopPrice],
+      ['other', orderData.other?.price ?? orderData.other?.stopPrice]
+    ];
+
+    for (const [field, price] of prices) {
+      if (price === undefined || price === null) continue;
+
+      const deviation = Math.abs(price - lastPrice) / lastPrice * 100;
+      if (deviation > maxDeviation) {
+        reasons.push(this.reason('price_out_of_range', `${field} ${price} is ${deviation.toFixed(2)}% from last ${symbol} quote ${lastPrice} (max ${maxDeviation}%)`, maxDeviation, Math.round(deviation * 100) / 100));
+      }
+    }
+  }
+
+  /**
+   * Net position per contract name for an account
+   */
+  async getExposure(client, accountId) {
+    const exposure = new Map();
+    const positions = await client.getPositions(accountId);
+
+    for (const position of positions) {
+      const net = position.netPos ?? position.qty ?? 0;
+      if (net === 0) continue;
+
+      let name = position.symbol || this.contractNames.get(position.contractId);
+      if (!name) {
+        name = (await client.getContract(position.contractId))?.name;
+        this.contractNames.set(position.contractId, name);
+      }
+      exposure.set(name, (exposure.get(name) || 0) + net);
+    }
+
+    return exposure;
+  }
+
+  getRecentOrderCount(accountId, now = Date.now()) {
+    const times = (this.orderTimes.get(accountId) || []).filter(time => now - time < THROTTLE_WINDOW_MS);
+    this.orderTimes.set(accountId, times);
+    return times.length;
+  }
+
+  recordOrder(accountId, now = Date.now()) {
+    this.getRecentOrderCount(accountId, now);
+    this.orderTimes.get(accountId).push(now);
+  }
+
+  reason(code, message, limit, value) {
+    return { code, message, limit, value };
+  }
+
+  recordRejection(orderData, context, reasons) {
+    const symbol = orderData.symbol || context.symbol || 'order';
+    const description = context.kind === 'modify'
+      ? `modification of order ${orderData.orderId}`
+      : `${orderData.action} ${orderData.orderQty} ${symbol}`;
+    const message = `Risk rejected ${description}: ${reasons.map(reason => reason.code).join(', ')}`;
+
+    logger.warn(`🚫 ${message}`);
+    database.logActivity('risk', message, {
+      accountId: orderData.accountId ?? context.accountId ?? null,
+      symbol,
+      source: context.source || null,
+      order: orderData,
+      reasons
+    }, 'warning');
+
+    if (global.io) {
+      global.io.emit('risk_rejected', {
+        accountId: orderData.accountId ?? context.accountId ?? null,
+        symbol,
+        kind: context.kind || 'place',
+        source: context.source || null,
+        order: orderData,
+        reasons,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+// Create singleton instance
+const riskEngine = new RiskEngine();
+
+export default riskEngine;
@@ -0,0 +1,348 @@
+import winston from 'winston';
+import TradovateClient from './tradovateClient.js';
+import database from './database.js';
+import signalQueue from './signalQueue.js';
+import strategyRegistry from './strategyRegistry.js';
+import positionMonitor from './positionMonitor.js';
+import accountGuard from './accountGuard.js';
+import tradingCalendar from './tradingCalendar.js';
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [SESSION-SCHEDULER-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const RULE_ACTIONS = ['flatten'];
+const DEFAULT_DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'];
+const INACTIVE_ORDER_STATUSES = ['Filled', 'Canceled', 'Rejected', 'Expired', 'Completed'];
+
+/**
+ * Session Scheduler
+ * Flattens positions and cancels working orders at configured session times, closes
+ * positions that outlive their max hold (reported by the position monitor) and flattens
+ * accounts the account guard locks
+ *
+ * Rule: { name, action: 'flatten', time: 'HH:MM', days: ['Mon'..'Fri'], timezone, accounts, strategy }
+ *   e.g. 15:55 Mon-Fri America/Chicago is flat before the CME daily halt and the weekend close.
+ *   accounts limits the rule to those accounts (names or ids); strategy limits it to the
+ *   strategy's accounts and allowed symbols. A rule runs once per local day, within
+ *   SESSION_RULE_GRACE_MINUTES of its time (so a late restart doesn't flatten hours later).
+ *
+ * Exits are queued as CLOSE signals so they run through the normal close logic, in order
+ * with any other signals for the same account and symbol.
+ */
+class SessionScheduler {
+  constructor() {
+    this.client = null;
+    this.isRunning = false;
+    this.timer = null;
+    this.checkIntervalMs = parseInt(process.env.SESSION_SCHEDULER_INTERVAL_MS) || 15000;
+    this.graceMinutes = parseInt(process.env.SESSION_RULE_GRACE_MINUTES) || 10;
+    this.defaultTimezone = tradingCalendar.timezone;
+    this.runningRules = new Set();
+    this.handleMaxHold = this.handleMaxHold.bind(this);
+    this.handleFlattenRequest = this.handleFlattenRequest.bind(this);
+  }
+
+  getTradovateClient() {
+    if (!this.client) {
+      this.client = new TradovateClient();
+    }
+    return this.client;
+  }
+
+  start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    logger.info(`🕒 Starting session scheduler (check interval: ${this.checkIntervalMs / 1000}s)`);
+    this.isRunning = true;
+    positionMonitor.on('max_hold_expired', this.handleMaxHold);
+    accountGuard.on('flatten_requested', this.handleFlattenRequest);
+
+    this.timer = setInterval(() => {
+      this.checkRules().catch(error => {
+        logger.error(`❌ Session rule check failed: ${error.message}`);
+      });
+    }, this.checkIntervalMs);
+  }
+
+  stop() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    logger.info('⏹️ Stopping session scheduler');
+    this.isRunning = false;
+    positionMonitor.off('max_hold_expired', this.handleMaxHold);
+    accountGuard.off('flatten_requested', this.handleFlattenRequest);
+
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run every enabled rule that is due
+   */
+  async checkRules(now = new Date()) {
+    for (const rule of database.getSessionRules()) {
+      if (rule.enabled && this.isDue(rule, now)) {
+        await this.runRule(rule, { now });
+      }
+    }
+  }
+
+  isDue(rule, now) {
+    const local = tradingCalendar.getLocalTime(now, rule.timezone);
+    if (!rule.days.includes(local.weekday) || rule.lastRunDate === local.date) {
+      return false;
+    }
+
+    const [hours, minutes] = rule.time.split(':').map(Number);
+    const elapsed = local.minutes - (hours * 60 + minutes);
+    return elapsed >= 0 && elapsed < this.graceMinutes;
+  }
+
+  /**
+   * Queue a CLOSE for every symbol with a position or working order in the rule's scope
+   */
+  async runRule(rule, { now = new Date(), manual = false } = {}) {
+    if (this.runningRules.has(rule.id)) {
+      return null;
+    }
+
+    this.runningRules.add(rule.id);
+    const localDate = tradingCalendar.getLocalTime(now, rule.timezone).date;
+
+    try {
+      logger.info(`🕒 Running session rule ${rule.name} (${rule.action} at ${rule.time} ${rule.timezone})${manual ? ' - manual' : ''}`);
+
+      const strategy = rule.strategy ? database.getStrategy(rule.strategy) : null;
+      if (rule.strategy && !strategy) {
+        throw new Error(`Strategy not found: ${rule.strategy}`);
+      }
+
+      const client = this.getTradovateClient();
+      if (!client.accessToken) {
+        await client.authenticate();
+      }
+
+      const accounts = this.getRuleAccounts(rule, strategy, await client.getAccounts());
+      const exits = [];
+
+      for (const account of accounts) {
+        const symbols = await this.getExposedSymbols(client, account.id);
+
+        for (const symbol of symbols) {
+          if (strategy && !strategyRegistry.isSymbolAllowed(strategy, symbol)) continue;
+
+          const queueId = await this.requestExit({
+            accountId: account.id,
+            symbol,
+            strategy: rule.strategy,
+            reason: `session_rule:${rule.name}`
+          });
+          exits.push({ accountId: account.id, accountName: account.name, symbol, queueId });
+        }
+      }
+
+      const result = { accounts: accounts.length, exits, manual };
+      database.markSessionRuleRun(rule.id, localDate, result);
+
+      const message = `Session rule ${rule.name}: ${exits.length > 0 ? `flattening ${exits.map(exit => `${exit.symbol} on ${exit.accountName}`).join(', ')}` : 'already flat'}`;
+      logger.info(`🕒 ${message}`);
+      database.logActivity('system', message, { rule: rule.name, ...result }, exits.length > 0 ? 'warning' : 'info');
+
+      if (global.io) {
+        global.io.emit('session_rule_executed', {
+          rule: rule.name,
+          ...result,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      return result;
+
+    } catch (error) {
+      // Marked as run anyway - a rule that can't reach the broker shouldn't retry every 15s
+      logger.error(`❌ Session rule ${rule.name} failed: ${error.message}`);
+      database.markSessionRuleRun(rule.id, localDate, { error: error.message, manual });
+      database.logActivity('error', `Session rule ${rule.name} failed: ${error.message}`, { rule: rule.name }, 'error');
+      throw error;
+    } finally {
+      this.runningRules.delete(rule.id);
+    }
+  }
+
+  getRuleAccounts(rule, strategy, accounts) {
+    const wanted = rule.accounts.length > 0 ? rule.accounts : (strategy?.accounts || []);
+    if (wanted.length === 0) {
+      return accounts;
+    }
+
+    return accounts.filter(account => wanted.some(entry =>
+      String(entry).toLowerCase() === account.name.toLowerCase() || String(entry) === String(account.id)
+    ));
+  }
+
+  /**
+   * Contract names with an open position or a working order on an account
+   */
+  async getExposedSymbols(client, accountId) {
+    const symbols = new Set();
+
+    const positions = await client.getPositions(accountId);
+    for (const position of positions.filter(pos => (pos.netPos ?? pos.qty ?? 0) !== 0)) {
+      const symbol = position.symbol || (await client.getContract(position.contractId))?.name;
+      if (symbol) symbols.add(symbol);
+    }
+
+    const orders = await client.getOrders(accountId);
+    for (const order of orders.filter(order => !INACTIVE_ORDER_STATUSES.includes(order.ordStatus || order.status))) {
+      const symbol = order.symbol || (await client.getContract(order.contractId))?.name;
+      if (symbol) symbols.add(symbol);
+    }
+
+    return Array.from(symbols);
+  }
+
+  /**
+   * Queue a system exit - a CLOSE (or FLATTEN_ALL) that bypasses strategy gating
+   * No receivedAt, so it is never rejected as stale behind a queue backlog
+   */
+  requestExit({ accountId, symbol, strategy = null, reason, action = 'CLOSE', source = 'scheduler' }) {
+    return signalQueue.enqueue({
+      action,
+      symbol,
+      quantity: 0,
+      account: String(accountId),
+      strategy,
+      systemExit: true,
+      exitReason: reason,
+      source,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Close a position that has been open longer than its max hold
+   */
+  async handleMaxHold(monitorData) {
+    const heldMinutes = Math.round((Date.now() - new Date(monitorData.addedAt).getTime()) / 60000);
+    const message = `Max hold reached for ${monitorData.symbol} on account ${monitorData.accountId} (${heldMinutes} min, max ${monitorData.maxHoldMinutes}) - closing`;
+
+    logger.warn(`⏱️ ${message}`);
+    try {
+      const queueId = await this.requestExit({
+        accountId: monitorData.accountId,
+        symbol: monitorData.symbol,
+        strategy: monitorData.strategy || null,
+        reason: 'max_hold'
+      });
+
+      database.logActivity('trade', message, {
+        tradeId: monitorData.tradeId,
+        accountId: monitorData.accountId,
+        symbol: monitorData.symbol,
+        maxHoldMinutes: monitorData.maxHoldMinutes,
+        heldMinutes,
+        queueId
+      }, 'warning');
+    } catch (error) {
+      logger.error(`❌ Failed to queue max hold exit for ${monitorData.symbol}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Flatten every position and cancel every working order on accounts locked by the account guard
+   */
+  async handleFlattenRequest({ accountIds, rule, reason }) {
+    try {
+      let targets = accountIds;
+      if (!targets) {
+        const client = this.getTradovateClient();
+        if (!client.accessToken) {
+          await client.authenticate();
+        }
+        targets = (await client.getAccounts()).map(account => account.id);
+      }
+
+      for (const accountId of targets) {
+        const queueId = await this.requestExit({ accountId, symbol: 'ALL', action: 'FLATTEN_ALL', reason, source: 'account_guard' });
+        logger.warn(`🛑 Flattening account ${accountId} after ${rule} breach (queue #${queueId})`);
+      }
+    } catch (error) {
+      logger.error(`❌ Failed to flatten after ${rule} breach: ${error.message}`);
+      database.logActivity('error', `Failed to flatten after ${rule} breach: ${error.message}`, { accountIds, rule }, 'error');
+    }
+  }
+
+  /**
+   * Validate and normalize a session rule from the API
+   */
+  validate(input, existing = null) {
+    const rule = {
+      id: existing?.id,
+      name: input.name !== undefined ? String(input.name).trim() : existing?.name || '',
+      action: input.action ?? existing?.action ?? 'flatten',
+      time: input.time ?? existing?.time,
+      days: input.days ?? existing?.days ?? DEFAULT_DAYS,
+      timezone: input.timezone ?? existing?.timezone ?? this.defaultTimezone,
+      accounts: input.accounts ?? existing?.accounts ?? [],
+      strategy: input.strategy !== undefined ? (input.strategy || null) : existing?.strategy ?? null,
+      enabled: input.enabled !== undefined ? !!input.enabled : existing?.enabled ?? true
+    };
+
+    if (!rule.name) {
+      throw new Error('Rule name is required');
+    }
+    if (!RULE_ACTIONS.includes(rule.action)) {
+      throw new Error(`action must be one of: ${RULE_ACTIONS.join(', ')}`);
+    }
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(String(rule.time))) {
+      throw new Error('time must be HH:MM (24h)');
+    }
+    if (!Array.isArray(rule.days) || rule.days.length === 0) {
+      throw new Error('days must be a non-empty array');
+    }
+    if (!Array.isArray(rule.accounts)) {
+      throw new Error('accounts must be an array');
+    }
+
+    rule.days = rule.days.map(day => {
+      const normalized = WEEKDAYS.find(weekday => weekday.toLowerCase() === String(day).slice(0, 3).toLowerCase());
+      if (!normalized) {
+        throw new Error(`Unknown day: ${day}`);
+      }
+      return normalized;
+    });
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: rule.timezone });
+    } catch (error) {
+      throw new Error(`Unknown timezone: ${rule.timezone}`);
+    }
+
+    if (rule.strategy && !database.getStrategy(rule.strategy)) {
+      throw new Error(`Strategy not found: ${rule.strategy}`);
+    }
+
+    rule.accounts = rule.accounts.map(account => String(account));
+    return rule;
+  }
+}
+
+// Create singleton instance
+const sessionScheduler = new SessionScheduler();
+
+export default sessionScheduler;
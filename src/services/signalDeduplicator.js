@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+import winston from 'winston';
+import database from './database.js';
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [DEDUP-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+/**
+ * Signal Deduplicator
+ * Makes signal ingestion idempotent so re-fired alerts don't open duplicate positions
+ */
+class SignalDeduplicator {
+  constructor() {
+    // Fingerprinted signals are only considered duplicates within this window
+    this.defaultWindowSeconds = parseInt(process.env.SIGNAL_DEDUP_WINDOW_SECONDS) || 60;
+
+    // Explicit keys (alert_id / Idempotency-Key) are remembered much longer
+    this.explicitKeyTtlHours = parseInt(process.env.SIGNAL_IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+  }
+
+  /**
+   * Get the fingerprint window, allowing a runtime override from the database
+   */
+  getWindowSeconds() {
+    const configured = database.getSystemStatus('signal_dedup_window_seconds');
+    const windowSeconds = parseInt(configured);
+    return Number.isFinite(windowSeconds) && windowSeconds >= 0 ? windowSeconds : this.defaultWindowSeconds;
+  }
+
+  /**
+   * Extract a caller-supplied idempotency key from headers or body
+   */
+  extractExplicitKey(req) {
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const key = req.headers['idempotency-key'] ||
+      req.headers['x-idempotency-key'] ||
+      body.alert_id ||
+      body.alertId ||
+      body.idempotency_key;
+
+    return key ? String(key).trim() : null;
+  }
+
+  /**
+   * Build a stable fingerprint from the fields that identify a trading signal
+   */
+  buildFingerprint({ action, symbol, price, strategy }) {
+    const normalized = [
+      (action || '').toString().toUpperCase(),
+      (symbol || '').toString().toUpperCase(),
+      price !== undefined && price !== null && price !== '' ? parseFloat(price).toString() : '',
+      (strategy || '').toString()
+    ].join('|');
+
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Resolve the idempotency key for a request
+   */
+  resolveKey(req, signal) {
+    const explicitKey = this.extractExplicitKey(req);
+    if (explicitKey) {
+      return {
+        key: `explicit:${explicitKey}`,
+        type: 'explicit',
+        ttlMs: this.explicitKeyTtlHours * 60 * 60 * 1000
+      };
+    }
+
+    return {
+      key: `fingerprint:${this.buildFingerprint(signal)}`,
+      type: 'fingerprint',
+      ttlMs: this.getWindowSeconds() * 1000
+    };
+  }
+
+  /**
+   * Claim a signal for processing
+   * Returns { duplicate: false, key } when the caller should process the signal,
+   * or { duplicate: true, key, record } with the original outcome otherwise
+   */
+  claim(req, signal) {
+    const keyInfo = this.resolveKey(req, signal);
+
+    // A zero-length window disables fingerprint suppression entirely
+    if (keyInfo.ttlMs <= 0) {
+      return { duplicate: false, key: null, keyType: keyInfo.type };
+    }
+
+    const { claimed, record } = database.claimIdempotencyKey(keyInfo.key, keyInfo.type, keyInfo.ttlMs);
+
+    if (claimed) {
+      return { duplicate: false, key: keyInfo.key, keyType: keyInfo.type };
+    }
+
+    logger.warn(`🔁 Duplicate signal suppressed (${keyInfo.type}): ${signal.action} ${signal.symbol} - original webhook ${record?.webhook_id || 'still processing'}`);
+
+    return {
+      duplicate: true,
+      key: keyInfo.key,
+      keyType: keyInfo.type,
+      record
+    };
+  }
+
+  /**
+   * Record the outcome of a claimed signal so duplicates can replay it
+   */
+  complete(key, webhookId, status, result) {
+    if (!key) return;
+
+    try {
+      database.completeIdempotencyKey(key, webhookId, status, result);
+    } catch (error) {
+      logger.error(`Failed to record idempotency result for ${key}: ${error.message}`);
+    }
+  }
+}
+
+// Create singleton instance
+const signalDeduplicator = new SignalDeduplicator();
+
+export default signalDeduplicator;
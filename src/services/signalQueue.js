@@ -0,0 +1,318 @@
+import winston from 'winston';
+import database from './database.js';
+import crashLogger from './crashLogger.js';
+import signalDeduplicator from './signalDeduplicator.js';
+import strategyRegistry from './strategyRegistry.js';
+import latencyTracker from './latencyTracker.js';
+import { processTradeSignal, resolveSignalAccounts } from './tradeExecutor.js';
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [SIGNAL-QUEUE-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+/**
+ * Signal Queue
+ * Persists accepted signals and executes them strictly in arrival order per account+symbol,
+ * so a CLOSE followed milliseconds later by a SELL can't race each other through the broker.
+ * Signals on different account+symbol keys are processed concurrently.
+ */
+class SignalQueue {
+  constructor() {
+    this.activeKeys = new Set(); // account+symbol keys with a signal in flight
+    this.activeItems = new Set();
+    this.isStopped = false;
+  }
+
+  /**
+   * Queue key - the resolved account id and root symbol ("123:NQ"), one per account for a group
+   * fan-out ("123:NQ,456:NQ"). A signal waits for every earlier signal sharing any of its keys, so
+   * a group signal and a single-account signal for the same account stay in order.
+   * Falls back to the account as named when the accounts can't be resolved.
+   */
+  async getQueueKey(signal) {
+    const symbol = strategyRegistry.rootSymbol(signal.symbol);
+
+    try {
+      const accountIds = await resolveSignalAccounts(signal);
+      if (accountIds.length > 0) {
+        return Array.from(new Set(accountIds)).sort().map(accountId => `${accountId}:${symbol}`).join(',');
+      }
+    } catch (error) {
+      logger.warn(`⚠️ Could not resolve accounts for ${signal.action} ${signal.symbol}: ${error.message}`);
+    }
+
+    const account = signal.accountGroup
+      ? `group:${signal.accountGroup}`.toLowerCase()
+      : String(signal.account || 'default').toLowerCase();
+    return `${account}:${symbol}`;
+  }
+
+  /**
+   * Persist a signal and schedule it for processing
+   */
+  async enqueue(signal, { webhookId = null, idempotencyKey = null } = {}) {
+    const queueKey = await this.getQueueKey(signal);
+    const id = database.enqueueSignal({ queueKey, webhookId, idempotencyKey, signal });
+    latencyTracker.recordQueued(webhookId);
+
+    logger.info(`📥 Queued signal #${id} (${queueKey}): ${signal.action} ${signal.quantity} ${signal.symbol}`);
+
+    this.emitStatus('signal_queued', {
+      id,
+      queueKey,
+      webhookId,
+      status: 'pending',
+      action: signal.action,
+      symbol: signal.symbol,
+      quantity: signal.quantity,
+      depth: this.getDepth(queueKey)
+    });
+
+    this.schedule();
+    return id;
+  }
+
+  /**
+   * Start every pending signal whose keys are free, oldest first
+   * Keys of a signal that has to wait are held back too, so nothing behind it on those keys overtakes it.
+   */
+  schedule() {
+    if (this.isStopped) {
+      return;
+    }
+
+    const blocked = new Set(this.activeKeys);
+    for (const item of database.getQueuedSignalsByStatus(['pending'])) {
+      const keys = item.queue_key.split(',');
+      const ready = keys.every(key => !blocked.has(key));
+      keys.forEach(key => blocked.add(key));
+
+      if (ready) {
+        this.start(item, keys);
+      }
+    }
+  }
+
+  /**
+   * Run one signal, holding its keys until it has finished - whatever happens in between
+   */
+  start(item, keys) {
+    keys.forEach(key => this.activeKeys.add(key));
+    this.activeItems.add(item.id);
+
+    setImmediate(() => {
+      this.processItem(item)
+        .catch(error => this.recordFailure(item, error))
+        .finally(() => {
+          keys.forEach(key => this.activeKeys.delete(key));
+          this.activeItems.delete(item.id);
+          // Pick up signals that were waiting on these keys
+          this.schedule();
+        });
+    });
+  }
+
+  /**
+   * Move a signal that broke the queue handler itself to failed, so it isn't left processing forever
+   * Not retried - it may already have reached the broker.
+   */
+  recordFailure(item, error) {
+    logger.error(`❌ Queue handler failed for signal #${item.id} (${item.queue_key}): ${error.message}`);
+    crashLogger.logCrash(error, 'signalQueueHandlerError', { queueId: item.id, queueKey: item.queue_key, webhookId: item.webhook_id });
+
+    const result = { success: false, error: error.message, status: 'failed', timestamp: new Date().toISOString() };
+    try {
+      database.completeQueuedSignal(item.id, 'failed', result, error.message);
+      if (item.webhook_id) {
+        database.updateWebhook(item.webhook_id, { status: 'failed', result });
+      }
+      signalDeduplicator.complete(item.idempotency_key, item.webhook_id, 'failed', result);
+      database.logActivity(
+        'error',
+        `Queued signal failed: ${item.signal.action} ${item.signal.quantity} ${item.signal.symbol} - ${error.message}`,
+        { queueId: item.id, webhookId: item.webhook_id, error: error.message },
+        'error'
+      );
+    } catch (recordError) {
+      logger.error(`❌ Could not record the failure of signal #${item.id}: ${recordError.message}`);
+    }
+
+    this.emitStatus('signal_status', {
+      id: item.id,
+      queueKey: item.queue_key,
+      webhookId: item.webhook_id,
+      status: 'failed',
+      webhookStatus: 'failed',
+      result
+    });
+  }
+
+  /**
+   * Execute a single queued signal and record its outcome
+   */
+  async processItem(item) {
+    database.markQueuedSignalProcessing(item.id);
+    this.emitStatus('signal_status', {
+      id: item.id,
+      queueKey: item.queue_key,
+      webhookId: item.webhook_id,
+      status: 'processing'
+    });
+
+    logger.info(`⚙️ Processing queued signal #${item.id} (${item.queue_key}): ${item.signal.action} ${item.signal.quantity} ${item.signal.symbol}`);
+
+    let queueStatus;
+    let webhookStatus;
+    let result;
+    let errorMessage = null;
+
+    try {
+      result = await processTradeSignal(item.signal, { webhookId: item.webhook_id });
+      queueStatus = 'completed';
+      webhookStatus = ['rejected', 'simulated', 'partial'].includes(result?.status)
+        ? result.status
+        : (result?.success === false ? 'failed' : 'executed');
+    } catch (error) {
+      errorMessage = error.message;
+      queueStatus = 'failed';
+      webhookStatus = 'failed';
+
+      const errorContext = {
+        queueId: item.id,
+        queueKey: item.queue_key,
+        webhookId: item.webhook_id,
+        signalData: item.signal,
+        errorName: error.name,
+        errorCode: error.code || null
+      };
+
+      crashLogger.logCrash(error, 'tradeSignalProcessingError', errorContext);
+      logger.error(`❌ Queued signal #${item.id} failed: ${error.message}`);
+
+      result = {
+        success: false,
+        error: error.message,
+        status: 'failed',
+        timestamp: new Date().toISOString(),
+        errorContext
+      };
+    }
+
+    database.completeQueuedSignal(item.id, queueStatus, result, errorMessage);
+
+    if (item.webhook_id) {
+      database.updateWebhook(item.webhook_id, { status: webhookStatus, result, gateReason: result?.gateReason });
+      latencyTracker.recordExecution(item.webhook_id, result);
+    }
+    signalDeduplicator.complete(item.idempotency_key, item.webhook_id, webhookStatus, result);
+
+    if (queueStatus === 'failed') {
+      database.logActivity(
+        'error',
+        `Queued signal failed: ${item.signal.action} ${item.signal.quantity} ${item.signal.symbol} - ${errorMessage}`,
+        { queueId: item.id, webhookId: item.webhook_id, error: errorMessage },
+        'error'
+      );
+    }
+
+    this.emitStatus('signal_status', {
+      id: item.id,
+      queueKey: item.queue_key,
+      webhookId: item.webhook_id,
+      status: queueStatus,
+      webhookStatus,
+      result
+    });
+
+    logger.info(`✅ Queued signal #${item.id} ${queueStatus} (${webhookStatus})`);
+  }
+
+  /**
+   * Resume work left over from a previous run
+   * Pending signals are resumed in order. Signals that were mid-execution may already have
+   * reached the broker, so they are marked interrupted for manual review instead of re-sent.
+   */
+  resume() {
+    this.isStopped = false;
+
+    const interrupted = database.getQueuedSignalsByStatus(['processing']);
+    for (const item of interrupted) {
+      const message = 'Interrupted by restart - verify broker state before re-sending';
+      database.completeQueuedSignal(item.id, 'interrupted', null, message);
+      if (item.webhook_id) {
+        database.updateWebhook(item.webhook_id, { status: 'interrupted' });
+      }
+      database.logActivity(
+        'error',
+        `Signal #${item.id} interrupted by restart: ${item.signal.action} ${item.signal.quantity} ${item.signal.symbol}`,
+        { queueId: item.id, webhookId: item.webhook_id, signal: item.signal },
+        'warning'
+      );
+      logger.warn(`⚠️ Signal #${item.id} was interrupted mid-execution and will not be retried`);
+    }
+
+    const pending = database.getQueuedSignalsByStatus(['pending']);
+    const keys = new Set(pending.map(item => item.queue_key));
+    this.schedule();
+
+    logger.info(`🔁 Signal queue resumed: ${pending.length} pending across ${keys.size} keys, ${interrupted.length} interrupted`);
+    return { pending: pending.length, keys: keys.size, interrupted: interrupted.length };
+  }
+
+  /**
+   * Stop picking up new work (the signal in flight finishes)
+   */
+  stop() {
+    this.isStopped = true;
+  }
+
+  /**
+   * Pending + processing signals for a key
+   */
+  getDepth(queueKey) {
+    const entry = database.getSignalQueueStats().byKey.find(row => row.queue_key === queueKey);
+    return entry ? entry.depth : 0;
+  }
+
+  /**
+   * Queue depth and status counts
+   */
+  getStats() {
+    const { byStatus, byKey } = database.getSignalQueueStats();
+    const counts = byStatus.reduce((acc, row) => {
+      acc[row.status] = row.count;
+      return acc;
+    }, {});
+
+    return {
+      depth: (counts.pending || 0) + (counts.processing || 0),
+      counts,
+      keys: byKey.map(row => ({
+        queueKey: row.queue_key,
+        depth: row.depth,
+        oldest: row.oldest,
+        active: row.queue_key.split(',').some(key => this.activeKeys.has(key))
+      })),
+      activeWorkers: this.activeItems.size,
+      stopped: this.isStopped
+    };
+  }
+
+  emitStatus(event, payload) {
+    if (global.io) {
+      global.io.emit(event, { ...payload, timestamp: new Date().toISOString() });
+    }
+  }
+}
+
+// Create singleton instance
+const signalQueue = new SignalQueue();
+
+export default signalQueue;
@@ -0,0 +1,267 @@
+import winston from 'winston';
+import database from './database.js';
+import positionSizing from './positionSizing.js';
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [STOP-MANAGER-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+// Flat signal fields -> rule settings (camelCase signal field, snake_case raw payload field)
+const FLAT_RULE_FIELDS = {
+  breakeven: {
+    triggerPoints: ['breakevenTrigger', 'breakeven_trigger'],
+    plusTicks: ['breakevenPlusTicks', 'breakeven_plus_ticks']
+  },
+  step: {
+    everyPoints: ['stepEvery', 'step_every'],
+    lockPoints: ['stepLock', 'step_lock']
+  },
+  chandelier: {
+    afterMinutes: ['chandelierAfterMinutes', 'chandelier_after_minutes'],
+    atrMultiplier: ['chandelierMultiplier', 'chandelier_multiplier'],
+    offsetPoints: ['chandelierOffset', 'chandelier_offset']
+  }
+};
+
+const BAR_MS = 60000;
+const MIN_ATR_BARS = 3;
+
+/**
+ * Stop Manager
+ * Stop-management rules evaluated against every price the position monitor sees
+ *
+ * Rules (all optional, from signal.stopRules / flat signal fields, or strategy settings.stopRules):
+ *   breakeven:  { triggerPoints, plusTicks }        stop to entry + plusTicks once profit reaches triggerPoints
+ *   step:       { everyPoints, lockPoints }          every everyPoints of peak profit locks in another lockPoints
+ *   chandelier: { afterMinutes, atrMultiplier, atrPeriod, offsetPoints }
+ *               after afterMinutes, trail atrMultiplier x ATR (1-minute bars) behind the best price,
+ *               or offsetPoints until enough bars have been seen
+ *
+ * Rules only ever tighten the stop; the tightest candidate wins.
+ */
+class StopManager {
+  /**
+   * Rules for a signal - signal rules override the strategy's defaults rule by rule
+   */
+  resolveRules(signal, strategy = null) {
+    const rules = {
+      ...(strategy?.settings?.stopRules || {}),
+      ...this.readSignalRules(signal)
+    };
+
+    if (Object.keys(rules).length === 0) {
+      return null;
+    }
+
+    return this.validate(rules);
+  }
+
+  readSignalRules(signal) {
+    let rules = signal.stopRules ?? signal.rawData?.stopRules ?? signal.rawData?.stop_rules ?? {};
+    if (typeof rules === 'string') {
+      try {
+        rules = JSON.parse(rules);
+      } catch (error) {
+        throw new Error(`stopRules must be a JSON object: ${error.message}`);
+      }
+    }
+    rules = { ...rules };
+
+    for (const [rule, fields] of Object.entries(FLAT_RULE_FIELDS)) {
+      for (const [setting, [field, rawField]] of Object.entries(fields)) {
+        const value = signal[field] ?? signal.rawData?.[field] ?? signal.rawData?.[rawField];
+        if (value !== undefined && value !== null && value !== '') {
+          rules[rule] = { ...rules[rule], [setting]: value };
+        }
+      }
+    }
+
+    return rules;
+  }
+
+  /**
+   * Validate and normalize a rule set
+   */
+  validate(rules) {
+    const normalized = {};
+    const number = (value, name, { min = 0, allowZero = false } = {}) => {
+      const parsed = parseFloat(value);
+      if (!Number.isFinite(parsed) || parsed < min || (!allowZero && parsed === 0)) {
+        throw new Error(`stopRules.${name} must be a number ${allowZero ? '>=' : '>'} ${min}`);
+      }
+      return parsed;
+    };
+
+    if (rules.breakeven) {
+      normalized.breakeven = {
+        triggerPoints: number(rules.breakeven.triggerPoints, 'breakeven.triggerPoints'),
+        plusTicks: rules.breakeven.plusTicks !== undefined
+          ? number(rules.breakeven.plusTicks, 'breakeven.plusTicks', { allowZero: true })
+          : 0
+      };
+    }
+
+    if (rules.step) {
+      normalized.step = {
+        everyPoints: number(rules.step.everyPoints, 'step.everyPoints'),
+        lockPoints: number(rules.step.lockPoints, 'step.lockPoints')
+      };
+    }
+
+    if (rules.chandelier) {
+      const chandelier = rules.chandelier;
+      if (chandelier.atrMultiplier === undefined && chandelier.offsetPoints === undefined) {
+        throw new Error('stopRules.chandelier needs atrMultiplier or offsetPoints');
+      }
+      normalized.chandelier = {
+        afterMinutes: chandelier.afterMinutes !== undefined
+          ? number(chandelier.afterMinutes, 'chandelier.afterMinutes', { allowZero: true })
+          : 0,
+        atrMultiplier: chandelier.atrMultiplier !== undefined ? number(chandelier.atrMultiplier, 'chandelier.atrMultiplier') : null,
+        atrPeriod: chandelier.atrPeriod !== undefined ? Math.round(number(chandelier.atrPeriod, 'chandelier.atrPeriod', { min: MIN_ATR_BARS })) : 14,
+        offsetPoints: chandelier.offsetPoints !== undefined ? number(chandelier.offsetPoints, 'chandelier.offsetPoints') : null
+      };
+    }
+
+    const unknown = Object.keys(rules).filter(rule => !FLAT_RULE_FIELDS[rule]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown stop rules: ${unknown.join(', ')}`);
+    }
+
+    return Object.keys(normalized).length > 0 ? normalized : null;
+  }
+
+  /**
+   * Fold a price into the position's 1-minute bars (used for ATR)
+   */
+  recordPrice(monitorData, price, now = Date.now()) {
+    if (!monitorData.stopRules?.chandelier?.atrMultiplier) {
+      return;
+    }
+
+    const bars = monitorData.bars || (monitorData.bars = []);
+    const start = Math.floor(now / BAR_MS) * BAR_MS;
+    const current = bars[bars.length - 1];
+
+    if (current && current.start === start) {
+      current.high = Math.max(current.high, price);
+      current.low = Math.min(current.low, price);
+      current.close = price;
+    } else {
+      bars.push({ start, high: price, low: price, close: price });
+      // Completed bars for the ATR period, plus the one being built and the prior close
+      const keep = monitorData.stopRules.chandelier.atrPeriod + 2;
+      if (bars.length > keep) {
+        bars.splice(0, bars.length - keep);
+      }
+    }
+  }
+
+  /**
+   * Average true range over the completed bars, or null if there aren't enough yet
+   */
+  getAtr(monitorData) {
+    const completed = (monitorData.bars || []).slice(0, -1);
+    if (completed.length < MIN_ATR_BARS) {
+      return null;
+    }
+
+    const period = monitorData.stopRules.chandelier.atrPeriod;
+    const ranges = completed.slice(1).map((bar, index) => {
+      const previousClose = completed[index].close;
+      return Math.max(bar.high - bar.low, Math.abs(bar.high - previousClose), Math.abs(bar.low - previousClose));
+    }).slice(-period);
+
+    return ranges.reduce((total, range) => total + range, 0) / ranges.length;
+  }
+
+  /**
+   * Candidate stops from the position's rules: [{ stopPrice, reason, details }]
+   */
+  evaluate(monitorData, { direction, tickSize, now = Date.now() }) {
+    const rules = monitorData.stopRules;
+    if (!rules || monitorData.entryPrice === null || monitorData.entryPrice === undefined) {
+      return [];
+    }
+
+    const entry = monitorData.entryPrice;
+    const candidates = [];
+    const round = price => positionSizing.roundToTick(monitorData.contractSymbol, price, direction > 0 ? 'down' : 'up');
+
+    if (rules.breakeven && monitorData.profitPoints >= rules.breakeven.triggerPoints) {
+      candidates.push({
+        stopPrice: round(entry + rules.breakeven.plusTicks * tickSize * direction),
+        reason: 'breakeven',
+        details: { triggerPoints: rules.breakeven.triggerPoints, plusTicks: rules.breakeven.plusTicks }
+      });
+    }
+
+    if (rules.step && monitorData.bestPrice !== null) {
+      const peakProfit = (monitorData.bestPrice - entry) * direction;
+      const steps = Math.floor(peakProfit / rules.step.everyPoints + 1e-9);
+      if (steps >= 1) {
+        candidates.push({
+          stopPrice: round(entry + steps * rules.step.lockPoints * direction),
+          reason: 'step',
+          details: { steps, lockedPoints: steps * rules.step.lockPoints }
+        });
+      }
+    }
+
+    if (rules.chandelier && monitorData.bestPrice !== null) {
+      const minutesOpen = (now - new Date(monitorData.addedAt).getTime()) / 60000;
+      if (minutesOpen >= rules.chandelier.afterMinutes) {
+        const atr = rules.chandelier.atrMultiplier ? this.getAtr(monitorData) : null;
+        const distance = atr !== null ? atr * rules.chandelier.atrMultiplier : rules.chandelier.offsetPoints;
+
+        if (distance) {
+          candidates.push({
+            stopPrice: round(monitorData.bestPrice - distance * direction),
+            reason: 'chandelier',
+            details: { atr, distance, minutesOpen: Math.round(minutesOpen) }
+          });
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Record a stop modification with the reason it was made
+   * Routine trail ratchets only go to stop_modifications; everything else is also in the activity log
+   */
+  recordModification(modification) {
+    const message = `Stop ${modification.stopOrderId ?? ''} for ${modification.symbol} moved ${modification.oldStopPrice ?? 'n/a'} -> ${modification.newStopPrice ?? 'n/a'} (${modification.reason})`;
+    logger.info(`🛑 ${message}`);
+
+    try {
+      database.saveStopModification(modification);
+    } catch (error) {
+      logger.error(`❌ Failed to record stop modification: ${error.message}`);
+    }
+
+    if (modification.reason !== 'trailing') {
+      database.logActivity('trade', message, modification);
+    }
+
+    if (global.io) {
+      global.io.emit('stop_modified', {
+        ...modification,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+}
+
+// Create singleton instance
+const stopManager = new StopManager();
+
+export default stopManager;
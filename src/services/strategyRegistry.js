@@ -0,0 +1,283 @@
+import crypto from 'crypto';
+import winston from 'winston';
+import database from './database.js';
+import stopManager from './stopManager.js';
+import circuitBreaker from './circuitBreaker.js';
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [STRATEGY-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+const UNKNOWN_POLICIES = ['allow', 'simulate', 'reject'];
+const STRATEGY_MODES = ['live', 'simulate'];
+const SIZING_METHODS = ['signal', 'fixed', 'risk_based'];
+
+// Actions that open or add to a position - only these are resized by strategy sizing
+const ENTRY_ACTIONS = ['BUY', 'SELL', 'LONG', 'SHORT', 'REVERSE', 'SCALE_IN', 'ADD'];
+
+/**
+ * Strategy Registry
+ * Resolves the strategy behind each signal and decides whether it trades live, simulates or is rejected
+ *
+ * Decisions are layered under the global trading_enabled kill switch:
+ * a live strategy only trades when trading is enabled globally.
+ */
+class StrategyRegistry {
+  constructor() {
+    // What to do with signals whose strategy isn't registered (or that carry none)
+    const policy = (process.env.STRATEGY_UNKNOWN_POLICY || 'allow').toLowerCase();
+    this.unknownPolicy = UNKNOWN_POLICIES.includes(policy) ? policy : 'allow';
+  }
+
+  /**
+   * Resolve the strategy for a signal
+   * Returns { strategy, decision: 'live' | 'simulate' | 'reject', reason }
+   */
+  resolve(signal) {
+    const name = signal.strategy ? String(signal.strategy).trim() : null;
+    const strategy = name ? database.getStrategy(name) : null;
+
+    // Scheduled exits (session flatten, max hold) close real positions whatever the strategy's state
+    if (signal.systemExit) {
+      return { strategy, name, decision: 'live', reason: 'system_exit' };
+    }
+
+    if (!strategy) {
+      const reason = name ? 'strategy_not_registered' : 'no_strategy';
+      const decision = this.unknownPolicy === 'allow' ? 'live' : this.unknownPolicy;
+      return { strategy: null, name, decision, reason };
+    }
+
+    // A disabled strategy or a symbol outside its list only blocks new risk - exits still take it off
+    const entry = this.isEntryAction(signal.action);
+
+    if (entry && !strategy.enabled) {
+      return { strategy, name: strategy.name, decision: 'reject', reason: 'strategy_disabled' };
+    }
+
+    if (strategy.secret && !this.verifySecret(strategy, signal.strategySecret)) {
+      return { strategy, name: strategy.name, decision: 'reject', reason: signal.strategySecret ? 'invalid_strategy_secret' : 'missing_strategy_secret' };
+    }
+
+    if (entry && !this.isSymbolAllowed(strategy, signal.symbol)) {
+      return { strategy, name: strategy.name, decision: 'reject', reason: 'symbol_not_allowed' };
+    }
+
+    if (!this.isAccountAllowed(strategy, signal.account)) {
+      return { strategy, name: strategy.name, decision: 'reject', reason: 'account_not_allowed' };
+    }
+
+    return {
+      strategy,
+      name: strategy.name,
+      decision: strategy.mode === 'simulate' ? 'simulate' : 'live',
+      reason: strategy.mode === 'simulate' ? 'strategy_simulate_mode' : 'ok'
+    };
+  }
+
+  /**
+   * Record a non-live decision in the activity log and notify clients
+   */
+  recordDecision(resolution, signal) {
+    if (resolution.decision === 'live') return;
+
+    const label = resolution.name || 'unassigned';
+    const message = resolution.decision === 'reject'
+      ? `Strategy ${label} rejected ${signal.action} ${signal.symbol}: ${resolution.reason}`
+      : `Strategy ${label} simulated ${signal.action} ${signal.quantity} ${signal.symbol}`;
+
+    logger.warn(`🧭 ${message}`);
+
+    database.logActivity(
+      'strategy',
+      message,
+      {
+        strategy: resolution.name,
+        decision: resolution.decision,
+        reason: resolution.reason,
+        action: signal.action,
+        symbol: signal.symbol,
+        quantity: signal.quantity,
+        account: signal.account
+      },
+      resolution.decision === 'reject' ? 'warning' : 'info'
+    );
+
+    if (global.io) {
+      global.io.emit('strategy_decision', {
+        strategy: resolution.name,
+        decision: resolution.decision,
+        reason: resolution.reason,
+        action: signal.action,
+        symbol: signal.symbol,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Account preferences to try for a signal, most specific first
+   */
+  getAccountPreferences(strategy, requestedAccount) {
+    if (requestedAccount && requestedAccount !== 'default') {
+      return [requestedAccount];
+    }
+    return strategy?.accounts?.length ? strategy.accounts : [requestedAccount || 'default'];
+  }
+
+  /**
+   * Whether the strategy's sizing should override the signal quantity
+   */
+  shouldResize(strategy, action) {
+    const method = strategy?.sizing?.method;
+    return !!method && method !== 'signal' && this.isEntryAction(action);
+  }
+
+  /**
+   * Compare a provided secret against the strategy secret in constant time
+   */
+  verifySecret(strategy, provided) {
+    if (!provided) return false;
+
+    const expected = Buffer.from(strategy.secret);
+    const actual = Buffer.from(String(provided));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Check the symbol against the allowed list (matched on root symbol, so NQ allows NQ1! and NQZ5)
+   */
+  isSymbolAllowed(strategy, symbol) {
+    if (!strategy.allowedSymbols || strategy.allowedSymbols.length === 0) {
+      return true;
+    }
+
+    const root = this.rootSymbol(symbol);
+    return strategy.allowedSymbols.some(allowed => this.rootSymbol(allowed) === root);
+  }
+
+  /**
+   * An explicitly requested account must be one of the strategy's accounts
+   * (account groups are configured separately and are not restricted here)
+   */
+  isAccountAllowed(strategy, account) {
+    if (!account || account === 'default' || !strategy.accounts || strategy.accounts.length === 0) {
+      return true;
+    }
+    if (String(account).toLowerCase().startsWith('group:')) {
+      return true;
+    }
+
+    return strategy.accounts.some(allowed => String(allowed).toLowerCase() === String(account).toLowerCase());
+  }
+
+  /**
+   * Reduce a symbol to its root (CME:NQ1! / NQZ2025 / NQZ5 -> NQ)
+   */
+  rootSymbol(symbol) {
+    return String(symbol || '')
+      .toUpperCase()
+      .replace(/^[A-Z_]+:/, '')
+      .replace(/1!$/, '')
+      .replace(/[FGHJKMNQUVXZ]\d{1,4}$/, '')
+      .trim();
+  }
+
+  /**
+   * Validate and normalize a strategy definition from the API
+   */
+  validate(input, existing = null) {
+    const strategy = {
+      name: existing?.name || (input.name ? String(input.name).trim() : ''),
+      description: input.description ?? existing?.description ?? null,
+      secret: input.secret !== undefined ? (input.secret || null) : existing?.secret ?? null,
+      allowedSymbols: input.allowedSymbols ?? existing?.allowedSymbols ?? [],
+      accounts: input.accounts ?? existing?.accounts ?? [],
+      sizing: input.sizing !== undefined ? input.sizing : existing?.sizing ?? null,
+      enabled: input.enabled !== undefined ? !!input.enabled : existing?.enabled ?? true,
+      mode: input.mode ?? existing?.mode ?? 'live',
+      settings: input.settings ?? existing?.settings ?? {}
+    };
+
+    if (!strategy.name) {
+      throw new Error('Strategy name is required');
+    }
+    if (!Array.isArray(strategy.allowedSymbols) || !Array.isArray(strategy.accounts)) {
+      throw new Error('allowedSymbols and accounts must be arrays');
+    }
+    if (!STRATEGY_MODES.includes(strategy.mode)) {
+      throw new Error(`mode must be one of: ${STRATEGY_MODES.join(', ')}`);
+    }
+    if (strategy.sizing) {
+      this.validateSizing(strategy.sizing);
+    }
+    if (strategy.settings?.stopRules) {
+      strategy.settings = { ...strategy.settings, stopRules: stopManager.validate(strategy.settings.stopRules) };
+    }
+    if (strategy.settings?.maxHoldMinutes !== undefined && strategy.settings.maxHoldMinutes !== null) {
+      const maxHoldMinutes = parseFloat(strategy.settings.maxHoldMinutes);
+      if (!Number.isFinite(maxHoldMinutes) || maxHoldMinutes <= 0) {
+        throw new Error('settings.maxHoldMinutes must be a number > 0');
+      }
+      strategy.settings = { ...strategy.settings, maxHoldMinutes };
+    }
+    if (strategy.settings?.circuitBreakers) {
+      strategy.settings = { ...strategy.settings, circuitBreakers: circuitBreaker.validate(strategy.settings.circuitBreakers) };
+    }
+    if (strategy.settings?.gateAction !== undefined && strategy.settings.gateAction !== null &&
+        !['reject', 'simulate'].includes(strategy.settings.gateAction)) {
+      throw new Error('settings.gateAction must be one of: reject, simulate');
+    }
+
+    strategy.allowedSymbols = strategy.allowedSymbols.map(symbol => String(symbol).toUpperCase());
+    strategy.accounts = strategy.accounts.map(account => String(account));
+
+    return strategy;
+  }
+
+  /**
+   * Validate a sizing definition ({ method, fixedQuantity, riskPercentage, maxContracts })
+   */
+  validateSizing(sizing) {
+    if (!SIZING_METHODS.includes(sizing.method)) {
+      throw new Error(`sizing.method must be one of: ${SIZING_METHODS.join(', ')}`);
+    }
+    if (sizing.method === 'fixed' && !(parseInt(sizing.fixedQuantity) >= 1)) {
+      throw new Error('sizing.fixedQuantity must be at least 1');
+    }
+    if (sizing.method === 'risk_based') {
+      const risk = parseFloat(sizing.riskPercentage);
+      if (!(risk > 0 && risk <= 100)) {
+        throw new Error('sizing.riskPercentage must be between 0.1 and 100');
+      }
+    }
+  }
+
+  /**
+   * Whether an action opens or adds to a position
+   */
+  isEntryAction(action) {
+    return ENTRY_ACTIONS.includes(String(action).toUpperCase());
+  }
+
+  /**
+   * Strip the secret before returning a strategy to API clients
+   */
+  toPublic(strategy) {
+    if (!strategy) return null;
+    const { secret, ...rest } = strategy;
+    return { ...rest, hasSecret: !!secret };
+  }
+}
+
+// Create singleton instance
+const strategyRegistry = new StrategyRegistry();
+
+export default strategyRegistry;
@@ -1,5 +1,15 @@
 import TradovateClient from './tradovateClient.js';
 import positionMonitor from './positionMonitor.js';
+import stopManager from './stopManager.js';
+import positionSizingService from './positionSizing.js';
+import strategyRegistry from './strategyRegistry.js';
+import latencyTracker from './latencyTracker.js';
+import accountGroups from './accountGroups.js';
+import bracketManager from './bracketManager.js';
+import circuitBreaker from './circuitBreaker.js';
+import tradingCalendar from './tradingCalendar.js';
+import tradeLedger from './tradeLedger.js';
+import marketDataFeed from './marketDataFeed.js';
 import winston from 'winston';
 
 const logger = winston.createLogger({
@@ -54,6 +64,12 @@ async function resolveSymbolToContract(symbol) {
   return { resolvedSymbol: symbol, contractInfo: null, baseSymbol, contractId: null };
 }
 
+// Actions that manage an existing position instead of opening a fresh one
+const POSITION_ACTIONS = ['REVERSE', 'SCALE_IN', 'ADD', 'SCALE_OUT', 'REDUCE', 'FLATTEN_ALL'];
+
+// Order statuses that are no longer working at the broker
+const INACTIVE_ORDER_STATUSES = ['Filled', 'Canceled', 'Rejected', 'Expired'];
+
 // Account mapping (could be moved to database/config)
 const ACCOUNT_MAPPING = {
   'default': null, // Will use first available account
@@ -72,6 +88,25 @@ function groupRelatedOrders(orders) {
   const groupedOrders = [];
   const processedOrderIds = new Set();
 
+  // Multi-target brackets are separate orders at the broker - group them from the monitor's tracking
+  const trackedGroups = new Map();
+  for (const order of orders) {
+    const orderId = order.id || order.orderId;
+    const trackedGroup = positionMonitor.getBracketGroupForOrder(orderId);
+    if (trackedGroup) {
+      if (!trackedGroups.has(trackedGroup.groupId)) {
+        trackedGroups.set(trackedGroup.groupId, { group: trackedGroup, orders: [] });
+      }
+      trackedGroups.get(trackedGroup.groupId).orders.push(order);
+      processedOrderIds.add(orderId);
+    }
+  }
+
+  for (const { group, orders: groupOrders } of trackedGroups.values()) {
+    logger.info(`🔗 Grouping ${groupOrders.length} orders of multi-target bracket ${group.groupId}`);
+    groupedOrders.push(createBracketOrderGroup(groupOrders, group));
+  }
+
   for (const order of orders) {
     const orderId = order.id || order.orderId;
 
@@ -190,8 +225,13 @@ function findRelatedOrders(mainOrder, allOrders) {
 
 /**
  * Create a display-friendly bracket order group
+ * trackedGroup (multi-target brackets from positionMonitor) assigns roles by order id instead of heuristics
  */
-function createBracketOrderGroup(relatedOrders) {
+function createBracketOrderGroup(relatedOrders, trackedGroup = null) {
+  if (trackedGroup) {
+    return createMultiTargetOrderGroup(relatedOrders, trackedGroup);
+  }
+
   // Sort orders by likely type (entry first, then stops/targets)
   const sortedOrders = relatedOrders.sort((a, b) => {
     const aType = getOrderRole(a);
@@ -254,6 +294,67 @@ function createBracketOrderGroup(relatedOrders) {
   return bracketOrder;
 }
 
+/**
+ * Display group for a multi-target bracket: shared stop, every target (filled or working) and the runner
+ */
+function createMultiTargetOrderGroup(relatedOrders, trackedGroup) {
+  const byId = new Map(relatedOrders.map(order => [order.id || order.orderId, order]));
+  const stopOrder = byId.get(trackedGroup.stopOrderId);
+  const baseOrder = stopOrder || relatedOrders[0];
+
+  const targets = trackedGroup.targets.map(target => {
+    const order = byId.get(target.orderId);
+    return {
+      label: target.label,
+      price: target.price,
+      qty: target.quantity,
+      orderId: target.orderId,
+      status: target.filled ? 'Filled' : (order?.ordStatus || order?.status || 'Working'),
+      filled: target.filled
+    };
+  });
+  const nextTarget = targets.find(target => !target.filled);
+
+  return {
+    ...baseOrder,
+    orderType: 'Bracket',
+    isGroup: true,
+    isMultiTarget: true,
+    groupId: trackedGroup.groupId,
+    groupSize: relatedOrders.length,
+    bracketDetails: {
+      entry: {
+        action: trackedGroup.side,
+        qty: trackedGroup.quantity,
+        price: trackedGroup.entryPrice,
+        orderId: trackedGroup.entryOrderId,
+        status: 'Filled'
+      },
+      stopLoss: {
+        price: trackedGroup.stopPrice,
+        qty: trackedGroup.remainingQuantity,
+        orderId: trackedGroup.stopOrderId,
+        status: stopOrder?.ordStatus || stopOrder?.status || 'Working',
+        orderType: 'Stop',
+        breakevenMoved: trackedGroup.breakevenMoved
+      },
+      // Next working target, for views that show a single take-profit
+      takeProfit: nextTarget ? {
+        price: nextTarget.price,
+        orderId: nextTarget.orderId,
+        status: nextTarget.status,
+        orderType: 'Limit'
+      } : null,
+      targets,
+      runner: trackedGroup.runnerQuantity > 0 ? {
+        qty: trackedGroup.runnerQuantity,
+        trailing: trackedGroup.trailingConfig
+      } : null,
+      remainingQuantity: trackedGroup.remainingQuantity
+    }
+  };
+}
+
 /**
  * Determine the role of an order (entry, stop, target, other)
  */
@@ -290,10 +391,65 @@ function getOrderRole(order) {
 /**
  * Process incoming trading signal from TradingView
  */
-export async function processTradeSignal(signal) {
+export async function processTradeSignal(signal, { webhookId = null } = {}) {
   try {
     logger.info(`🎯 Processing signal: ${signal.action} ${signal.quantity} ${signal.symbol}`);
 
+    // Resolve the strategy first - it decides whether this signal trades at all
+    const strategyResolution = strategyRegistry.resolve(signal);
+    const strategy = strategyResolution.strategy;
+    strategyRegistry.recordDecision(strategyResolution, signal);
+
+    if (strategyResolution.decision !== 'live') {
+      return buildStrategyOutcome(signal, strategyResolution);
+    }
+
+    // Reject entries too old to trade (relay outages, queue backlogs after a restart) - late exits still take risk off
+    const signalAge = strategyRegistry.isEntryAction(signal.action) ? latencyTracker.checkSignalAge(signal, strategy) : null;
+    if (signalAge?.stale) {
+      const resolution = { ...strategyResolution, decision: 'reject', reason: 'stale_signal' };
+      strategyRegistry.recordDecision(resolution, signal);
+      return {
+        ...buildStrategyOutcome(signal, resolution),
+        ageSeconds: signalAge.ageSeconds,
+        maxAgeSeconds: signalAge.maxAgeSeconds
+      };
+    }
+
+    // Trading windows and economic-event blackouts gate entries - exits always go through
+    let gateReason = null;
+    if (strategyRegistry.isEntryAction(signal.action)) {
+      const gate = tradingCalendar.checkEntry({ strategy, symbol: strategyRegistry.rootSymbol(signal.symbol) });
+
+      if (!gate.allowed && String(signal.action).toUpperCase() === 'REVERSE') {
+        // Closing the current side is an exit - only opening the new side is gated
+        logger.warn(`🚧 ${gate.message} - REVERSE ${signal.symbol} only closes the position`);
+        gateReason = gate.reason;
+        signal = { ...signal, action: 'CLOSE' };
+      } else if (!gate.allowed) {
+        const resolution = { ...strategyResolution, decision: gate.action, reason: gate.reason };
+        strategyRegistry.recordDecision(resolution, signal);
+        return {
+          ...buildStrategyOutcome(signal, resolution),
+          message: gate.message,
+          gateReason: gate.reason
+        };
+      }
+    }
+
+    // Behavioral circuit breakers - entries per session, loss-streak and large-loss cooldowns
+    const isEntry = strategy && strategyRegistry.isEntryAction(signal.action);
+    const breaker = isEntry ? circuitBreaker.check(strategy) : null;
+    if (breaker) {
+      const resolution = { ...strategyResolution, decision: 'reject', reason: breaker.reason };
+      strategyRegistry.recordDecision(resolution, signal);
+      return {
+        ...buildStrategyOutcome(signal, resolution),
+        message: breaker.message,
+        cooldownUntil: breaker.cooldownUntil
+      };
+    }
+
     const client = getTradovateClient();
 
     // Ensure we're authenticated
@@ -307,103 +463,968 @@ export async function processTradeSignal(signal) {
       throw new Error('No trading accounts available');
     }
 
-    // Select target account
-    const targetAccount = selectTradingAccount(accounts, signal.account);
-    logger.info(`Using account: ${targetAccount.name} (ID: ${targetAccount.id})`);
+    const context = { client, strategy, strategyResolution, webhookId };
 
-    // Determine order details based on signal
-    const orderData = await buildOrderFromSignal(signal, targetAccount.id);
+    // Fan out to an account group (copy trading) when the signal or strategy names one
+    const group = accountGroups.resolveGroup(signal, strategy);
+    let result;
+    if (group) {
+      result = await executeFanOut(signal, group, accounts, context);
+    } else {
+      // Select target account (strategy accounts apply when the signal doesn't name one).
+      // Only an unnamed account falls back to the first one - a named account that isn't found fails the signal.
+      const preferences = strategyRegistry.getAccountPreferences(strategy, signal.account);
+      const fallback = !signal.systemExit && preferences.every(preference => !preference || preference === 'default');
+      const targetAccount = selectTradingAccount(accounts, preferences, { fallback });
+      if (!targetAccount) {
+        throw new Error(`Account ${preferences.join(', ')} not found`);
+      }
+      logger.info(`Using account: ${targetAccount.name} (ID: ${targetAccount.id})`);
 
-    // Handle case where only order cancellations were performed (no position to close)
-    if (!orderData) {
-      const tradeRecord = {
-        tradeId: generateTradeId(),
-        orderId: null,
-        accountId: targetAccount.id,
-        symbol: signal.symbol,
-        action: signal.action,
-        quantity: signal.quantity,
-        timestamp: signal.timestamp,
-        status: 'orders_cancelled',
-        source: signal.source,
-        rawSignal: signal.rawData
-      };
+      result = await executeForAccount(signal, targetAccount, context);
+    }
 
-      logger.info(`✅ Close position completed (orders cancelled only): ID ${tradeRecord.tradeId}`);
-      return tradeRecord;
+    // One entry per signal, however many accounts it fanned out to (a fan-out that only reached some
+    // of them still opened risk; a REVERSE whose new entry was rejected only closed)
+    const entered = result.status === 'submitted' || (result.status === 'partial' && result.reason !== 'risk_rejected');
+    if (isEntry && entered) {
+      circuitBreaker.recordEntry(strategy.name);
+    }
+
+    return gateReason ? { ...result, gateReason } : result;
+
+  } catch (error) {
+    logger.error(`❌ Trade execution failed: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Size, build and place the order for one account, and store the orders it sent
+ * context: { client, strategy, strategyResolution, webhookId, member, rateLimited }
+ */
+async function executeForAccount(signal, targetAccount, context) {
+  const ledger = { signal, account: targetAccount, webhookId: context.webhookId };
+  let record;
+
+  try {
+    record = await executeOrdersForAccount(signal, targetAccount, context);
+  } catch (error) {
+    if (error.code !== 'RISK_REJECTED') {
+      tradeLedger.recordFailure(signal, targetAccount, error, { strategy: context.strategyResolution.name, webhookId: context.webhookId });
+      throw error;
+    }
+
+    // Already logged and emitted by the risk engine
+    const resolution = { ...context.strategyResolution, decision: 'reject', reason: 'risk_rejected' };
+    record = {
+      ...buildStrategyOutcome(signal, resolution),
+      accountId: targetAccount.id,
+      message: error.message,
+      riskReasons: error.reasons
+    };
+  }
+
+  tradeLedger.recordExecution(record, ledger);
+  return record;
+}
+
+async function executeOrdersForAccount(signal, targetAccount, context) {
+  const { client, strategy, strategyResolution, member = null, rateLimited = false } = context;
+
+  // Per-account sizing from an account group takes precedence over the strategy's sizing
+  const sizingOwner = member?.sizing
+    ? { name: `${strategyResolution.name || 'group'}/${targetAccount.name}`, sizing: member.sizing }
+    : strategy;
+
+  if (strategyRegistry.shouldResize(sizingOwner, signal.action)) {
+    const quantity = await calculateStrategyQuantity(sizingOwner, signal, client, targetAccount);
+    if (quantity < 1) {
+      const resolution = { ...strategyResolution, decision: 'reject', reason: 'sizing_below_one_contract' };
+      strategyRegistry.recordDecision(resolution, { ...signal, account: targetAccount.name });
+      return { ...buildStrategyOutcome(signal, resolution), accountId: targetAccount.id };
     }
+    signal = { ...signal, quantity };
+  }
 
-    // Execute the trade (choose between regular or bracket order)
-    const orderResult = orderData.isBracketOrder
-      ? await client.placeBracketOrder(orderData)
-      : await client.placeOrder(orderData);
+  // Reverse, scale and flatten actions place several orders and keep the protective orders in sync
+  if (POSITION_ACTIONS.includes(String(signal.action).toUpperCase())) {
+    return await executePositionAction(signal, targetAccount, { client, strategyResolution, rateLimited });
+  }
+
+  // Stop-management rules (breakeven/step/chandelier) - validated before anything is placed
+  const stopRules = strategyRegistry.isEntryAction(signal.action) ? stopManager.resolveRules(signal, strategy) : null;
+  const maxHoldMinutes = strategyRegistry.isEntryAction(signal.action) ? getMaxHoldMinutes(signal, strategy) : null;
+
+  // Build and place the order (relative brackets are anchored on the entry fill)
+  const entry = await placeEntryOrder(client, signal, targetAccount.id, rateLimited);
 
-    // Store trade record (TODO: implement database storage)
+  // Handle case where only order cancellations were performed (no position to close)
+  if (!entry) {
     const tradeRecord = {
       tradeId: generateTradeId(),
-      orderId: orderResult.orderId,
+      orderId: null,
       accountId: targetAccount.id,
       symbol: signal.symbol,
       action: signal.action,
       quantity: signal.quantity,
       timestamp: signal.timestamp,
-      status: 'submitted',
+      status: 'orders_cancelled',
       source: signal.source,
-      rawSignal: signal.rawData,
-      // Bracket order information
-      isBracketOrder: orderData.isBracketOrder || false,
+      strategy: strategyResolution.name,
+      rawSignal: signal.rawData
+    };
+
+    logger.info(`✅ Close position completed (orders cancelled only): ID ${tradeRecord.tradeId}`);
+    return tradeRecord;
+  }
+
+  const { orderData, orderResult } = entry;
+
+  // Trade record - executeForAccount stores its orders through the trade ledger
+  const tradeRecord = {
+    tradeId: generateTradeId(),
+    orderId: orderResult.orderId,
+    accountId: targetAccount.id,
+    symbol: signal.symbol,
+    contractSymbol: orderData.symbol,
+    contractId: entry.contractId,
+    action: signal.action,
+    side: orderData.action,
+    orderType: orderData.orderType,
+    orderPrice: orderData.price || orderData.stopPrice || null,
+    quantity: signal.quantity,
+    timestamp: signal.timestamp,
+    status: 'submitted',
+    source: signal.source,
+    strategy: strategyResolution.name,
+    rawSignal: signal.rawData,
+    // Bracket order information
+    isBracketOrder: orderData.isBracketOrder || false,
+    stopOrderId: entry.stopOrderId,
+    profitOrderId: entry.profitOrderId,
+    stopPrice: entry.stopPrice,
+    targetPrice: entry.targetPrice,
+    bracket: entry.bracket,
+    trailingConfig: orderData.trailingConfig || null,
+    stopRules,
+    maxHoldMinutes,
+    quotePrice: entry.quotePrice,
+    timing: entry.timing
+  };
+
+  logger.info(`✅ Trade executed successfully: ID ${tradeRecord.tradeId} (account ${targetAccount.name})`);
+
+  registerEntry(tradeRecord, { attribute: strategyRegistry.isEntryAction(signal.action) });
+
+  // Emit critical status update via WebSocket (with delay and cache invalidation)
+  setTimeout(() => {
+    // Invalidate cache so WebSocket gets fresh data
+    criticalStatusCache = null;
+    criticalStatusCacheTime = null;
+    emitCriticalStatusUpdate();
+  }, 2000);
+
+  return tradeRecord;
+}
+
+/**
+ * Register a placed entry: strategy attribution and position monitoring
+ */
+function registerEntry(tradeRecord, { attribute = true } = {}) {
+  // Attribute the position to its strategy so the round trip's P&L feeds its circuit breakers
+  if (attribute && tradeRecord.strategy) {
+    circuitBreaker.trackPosition(tradeRecord.strategy, tradeRecord.accountId, tradeRecord.contractSymbol);
+  }
+
+  // Add position to the monitor if it has trailing, stop-management rules or a max hold
+  if (tradeRecord.trailingConfig || tradeRecord.stopRules || tradeRecord.maxHoldMinutes) {
+    positionMonitor.addPosition(tradeRecord);
+  }
+
+  // Start position monitoring if not already running
+  if (!positionMonitor.isRunning) {
+    positionMonitor.start();
+  }
+}
+
+/**
+ * Build and place an entry order
+ * Relative brackets become OSO legs priced off the signal, or exits attached after the fill (see bracketManager).
+ * Returns null when the signal only cancelled orders.
+ */
+async function placeEntryOrder(client, signal, accountId, rateLimited, riskContext = {}) {
+  const bracketPlan = bracketManager.buildPlan(signal);
+  const orderData = await buildOrderFromSignal(bracketPlan ? bracketManager.prepareEntrySignal(signal, bracketPlan) : signal, accountId);
+
+  if (!orderData) {
+    return null;
+  }
+
+  // Relative and multi-target plans place their stop once the entry fills
+  const risk = {
+    source: signal.source,
+    referencePrice: parseFloat(signal.price) || null,
+    protectiveStop: !!bracketPlan && (bracketPlan.multiTarget || bracketPlan.stopDistance !== null),
+    ...riskContext
+  };
+
+  // Execute the trade (choose between regular or bracket order)
+  // The last quote is kept for the execution quality report (null unless the feed has the contract)
+  const quotePrice = marketDataFeed.getLastPrice(orderData.symbol);
+  const submittedAt = Date.now();
+  const orderResult = orderData.isBracketOrder
+    ? await client.placeBracketOrder(orderData, { rateLimited, risk })
+    : await client.placeOrder(orderData, { rateLimited, risk });
+  const acknowledgedAt = Date.now();
+
+  const bracket = bracketPlan
+    ? await bracketManager.applyAfterEntry(client, {
+      orderId: orderResult.orderId,
+      accountId,
+      symbol: orderData.symbol,
+      // What the position monitor keys the position on (the signal's symbol, e.g. NQ1!)
+      positionSymbol: signal.positionSymbol || signal.symbol,
       stopOrderId: orderResult.bracket1OrderId || null,
-      profitOrderId: orderResult.bracket2OrderId || null,
-      trailingConfig: orderData.trailingConfig || null
+      profitOrderId: orderResult.bracket2OrderId || null
+    }, bracketPlan, { rateLimited })
+    : null;
+
+  // The position monitor matches raw positions (contractId only) against it
+  const { contractId } = await resolveSymbolToContract(signal.symbol);
+
+  return {
+    orderData,
+    orderResult,
+    contractId,
+    bracket,
+    stopOrderId: bracket?.stopOrderId || orderResult.bracket1OrderId || null,
+    profitOrderId: bracket?.profitOrderId || orderResult.bracket2OrderId || null,
+    stopPrice: bracket?.stopPrice ?? orderData.bracket1?.stopPrice ?? null,
+    targetPrice: bracket?.targetPrice ?? orderData.bracket2?.price ?? null,
+    quotePrice,
+    timing: { submittedAt, acknowledgedAt }
+  };
+}
+
+/**
+ * Execute a signal on every account in a group in parallel
+ * Orders go through the rate limiter; one account failing never blocks the others.
+ * Returns a parent record with a child execution per account.
+ */
+async function executeFanOut(signal, group, accounts, context) {
+  const members = group.members.filter(member => member.enabled !== false);
+  logger.info(`📡 Fanning out ${signal.action} ${signal.quantity} ${signal.symbol} to group ${group.name} (${members.length} accounts)`);
+
+  const settled = await Promise.allSettled(members.map(async member => {
+    const targetAccount = selectTradingAccount(accounts, member.account, { fallback: false });
+    if (!targetAccount) {
+      throw new Error(`Account '${member.account}' not found`);
+    }
+
+    const quantity = accountGroups.scaleQuantity(signal, member);
+    if (quantity < 1 && !member.sizing) {
+      return { status: 'skipped', accountId: targetAccount.id, accountName: targetAccount.name, quantity, reason: 'multiplier_below_one_contract' };
+    }
+
+    const record = await executeForAccount({ ...signal, quantity, account: targetAccount.name }, targetAccount, {
+      ...context,
+      member,
+      rateLimited: true
+    });
+    return { ...record, accountName: targetAccount.name };
+  }));
+
+  const children = settled.map((outcome, index) => {
+    const member = members[index];
+    if (outcome.status === 'rejected') {
+      return {
+        account: member.account,
+        multiplier: member.multiplier,
+        status: 'failed',
+        error: outcome.reason?.message || String(outcome.reason)
+      };
+    }
+
+    const record = outcome.value;
+    return {
+      account: member.account,
+      accountId: record.accountId,
+      accountName: record.accountName,
+      multiplier: member.multiplier,
+      quantity: record.quantity,
+      status: record.status,
+      tradeId: record.tradeId || null,
+      orderId: record.orderId || null,
+      stopOrderId: record.stopOrderId || null,
+      profitOrderId: record.profitOrderId || null,
+      reason: record.reason || null,
+      timing: record.timing || null
     };
+  });
+
+  const summary = {
+    succeeded: children.filter(child => ['submitted', 'orders_cancelled'].includes(child.status)).length,
+    failed: children.filter(child => child.status === 'failed').length,
+    skipped: children.filter(child => !['submitted', 'orders_cancelled', 'failed'].includes(child.status)).length
+  };
+
+  let status = 'submitted';
+  if (summary.succeeded === 0) {
+    status = summary.failed > 0 ? 'failed' : 'skipped';
+  } else if (summary.failed > 0 || summary.skipped > 0) {
+    status = 'partial';
+  }
+
+  const timings = children.filter(child => child.timing);
+  const parent = {
+    tradeId: generateTradeId(),
+    orderId: null,
+    success: summary.succeeded > 0,
+    status,
+    group: group.name,
+    symbol: signal.symbol,
+    action: signal.action,
+    quantity: signal.quantity,
+    timestamp: signal.timestamp,
+    source: signal.source,
+    strategy: context.strategyResolution.name,
+    rawSignal: signal.rawData,
+    summary,
+    children,
+    timing: timings.length > 0 ? {
+      submittedAt: Math.min(...timings.map(child => child.timing.submittedAt)),
+      acknowledgedAt: Math.max(...timings.map(child => child.timing.acknowledgedAt))
+    } : null
+  };
+
+  accountGroups.recordFanOut(group, signal, parent);
+  return parent;
+}
+
+/**
+ * Execute a position management action (REVERSE, SCALE_IN/ADD, SCALE_OUT/REDUCE, FLATTEN_ALL)
+ * Each action leaves the stop/target orders sized to the resulting net position.
+ */
+async function executePositionAction(signal, targetAccount, context) {
+  const { client, strategyResolution, rateLimited } = context;
+  const action = String(signal.action).toUpperCase();
+  const accountId = targetAccount.id;
+
+  const baseRecord = {
+    tradeId: generateTradeId(),
+    orderId: null,
+    accountId,
+    symbol: signal.symbol,
+    action,
+    quantity: signal.quantity,
+    timestamp: signal.timestamp,
+    source: signal.source,
+    strategy: strategyResolution.name,
+    rawSignal: signal.rawData
+  };
+
+  if (action === 'FLATTEN_ALL') {
+    return await flattenAccount(client, accountId, baseRecord, rateLimited);
+  }
+
+  const contract = await resolveSymbolToContract(signal.symbol);
+  const { netPosition, positionSymbol } = await getNetPosition(client, accountId, signal.symbol, contract);
+  const workingOrders = await getWorkingOrders(client, accountId, signal.symbol, contract);
+  // Trade the contract actually held (a root the resolver doesn't know, like CL1!, maps to CLZ5 this way)
+  const orderSymbol = positionSymbol || contract.resolvedSymbol;
+  const quotePrice = marketDataFeed.getLastPrice(orderSymbol);
+  const submittedAt = Date.now();
+  const legs = [];
+
+  logger.info(`🔀 ${action} ${signal.symbol} on account ${targetAccount.name}: net position ${netPosition}, ${workingOrders.length} working orders`);
+
+  if (action === 'REVERSE') {
+    const openAction = netPosition > 0 ? 'Sell' : netPosition < 0 ? 'Buy' : sideToOrderAction(signal.side);
+    if (!openAction) {
+      return { ...baseRecord, status: 'no_position', message: `No ${signal.symbol} position to reverse and no side given` };
+    }
+    if (netPosition === 0 && !(signal.quantity > 0)) {
+      throw new Error(`REVERSE with no ${signal.symbol} position requires a quantity`);
+    }
+
+    const openQuantity = signal.quantity > 0 ? signal.quantity : Math.abs(netPosition);
+    const stopRules = stopManager.resolveRules(signal, strategyResolution.strategy);
+    const maxHoldMinutes = getMaxHoldMinutes(signal, strategyResolution.strategy);
 
-    logger.info(`✅ Trade executed successfully: ID ${tradeRecord.tradeId}`);
+    // Old stops/targets protect the side being closed - remove them before flipping
+    const cancelled = await cancelOrders(client, workingOrders);
 
-    // Add position to trailing monitor if it has trailing configuration
-    if (tradeRecord.trailingConfig) {
-      positionMonitor.addPosition(tradeRecord);
+    if (netPosition !== 0) {
+      const closeResult = await client.placeOrder(buildMarketOrder(accountId, orderSymbol, openAction, Math.abs(netPosition)), { rateLimited });
+      legs.push({ role: 'close', orderId: closeResult.orderId, action: openAction, quantity: Math.abs(netPosition), quotePrice });
     }
 
-    // Start position monitoring if not already running
-    if (!positionMonitor.isRunning) {
-      positionMonitor.start();
+    // Open the opposite side through the normal order builder so stop/target/trailing still apply.
+    // The old position may still be reported, so the risk check is told this is a fresh entry.
+    const openSignal = { ...signal, symbol: orderSymbol, positionSymbol: signal.symbol, action: openAction === 'Buy' ? 'BUY' : 'SELL', quantity: openQuantity };
+    let openOrder;
+    try {
+      openOrder = await placeEntryOrder(client, openSignal, accountId, rateLimited, { entry: true, afterClose: netPosition !== 0 });
+    } catch (error) {
+      if (error.code !== 'RISK_REJECTED' || legs.length === 0) throw error;
+
+      // The old side is already closed - report the flat result rather than a plain rejection
+      positionMonitor.removePosition(accountId, signal.symbol);
+      return {
+        ...baseRecord,
+        orderId: legs[0].orderId,
+        status: 'partial',
+        reason: 'risk_rejected',
+        message: `Closed ${netPosition} ${signal.symbol}; reverse entry rejected: ${error.message}`,
+        riskReasons: error.reasons,
+        previousPosition: netPosition,
+        resultingPosition: 0,
+        orders: legs,
+        protectiveOrders: { cancelled, resized: [], failed: [] },
+        timing: { submittedAt, acknowledgedAt: Date.now() }
+      };
     }
+    const { orderData, orderResult: openResult, ...openEntry } = openOrder;
+    legs.push({ role: 'open', orderId: openResult.orderId, action: openAction, quantity: openQuantity, orderType: orderData.orderType, quotePrice: openEntry.quotePrice });
 
-    // Emit critical status update via WebSocket (with delay and cache invalidation)
-    setTimeout(() => {
-      // Invalidate cache so WebSocket gets fresh data
-      criticalStatusCache = null;
-      criticalStatusCacheTime = null;
-      emitCriticalStatusUpdate();
-    }, 2000);
+    positionMonitor.removePosition(accountId, signal.symbol);
+    const tradeRecord = {
+      ...baseRecord,
+      orderId: openResult.orderId,
+      contractSymbol: orderData.symbol,
+      contractId: openEntry.contractId,
+      side: openAction,
+      quantity: openQuantity,
+      status: 'submitted',
+      previousPosition: netPosition,
+      resultingPosition: openAction === 'Buy' ? openQuantity : -openQuantity,
+      orders: legs,
+      protectiveOrders: { cancelled, resized: [], failed: [] },
+      isBracketOrder: orderData.isBracketOrder || false,
+      stopOrderId: openEntry.stopOrderId,
+      profitOrderId: openEntry.profitOrderId,
+      stopPrice: openEntry.stopPrice,
+      targetPrice: openEntry.targetPrice,
+      bracket: openEntry.bracket,
+      trailingConfig: orderData.trailingConfig || null,
+      stopRules,
+      maxHoldMinutes,
+      timing: { submittedAt, acknowledgedAt: openEntry.timing.acknowledgedAt }
+    };
 
+    registerEntry(tradeRecord);
     return tradeRecord;
+  }
+
+  if (action === 'SCALE_IN' || action === 'ADD') {
+    const addAction = netPosition > 0 ? 'Buy' : netPosition < 0 ? 'Sell' : sideToOrderAction(signal.side);
+    if (!addAction) {
+      return { ...baseRecord, status: 'no_position', message: `No ${signal.symbol} position to add to and no side given` };
+    }
+    if (!(signal.quantity > 0)) {
+      throw new Error(`${action} requires a quantity`);
+    }
+
+    // Flat: a scale-in is just an entry (with brackets, stop rules and max hold if the signal has them)
+    if (netPosition === 0) {
+      const stopRules = stopManager.resolveRules(signal, strategyResolution.strategy);
+      const maxHoldMinutes = getMaxHoldMinutes(signal, strategyResolution.strategy);
+      const flatEntry = await placeEntryOrder(client, { ...signal, action: addAction === 'Buy' ? 'BUY' : 'SELL' }, accountId, rateLimited);
 
+      const tradeRecord = {
+        ...baseRecord,
+        orderId: flatEntry.orderResult.orderId,
+        contractSymbol: flatEntry.orderData.symbol,
+        contractId: flatEntry.contractId,
+        side: addAction,
+        status: 'submitted',
+        previousPosition: 0,
+        resultingPosition: addAction === 'Buy' ? signal.quantity : -signal.quantity,
+        orders: [{ role: 'open', orderId: flatEntry.orderResult.orderId, action: addAction, quantity: signal.quantity, orderType: flatEntry.orderData.orderType, quotePrice: flatEntry.quotePrice }],
+        isBracketOrder: flatEntry.orderData.isBracketOrder || false,
+        stopOrderId: flatEntry.stopOrderId,
+        profitOrderId: flatEntry.profitOrderId,
+        stopPrice: flatEntry.stopPrice,
+        targetPrice: flatEntry.targetPrice,
+        bracket: flatEntry.bracket,
+        trailingConfig: flatEntry.orderData.trailingConfig || null,
+        stopRules,
+        maxHoldMinutes,
+        timing: flatEntry.timing
+      };
+
+      registerEntry(tradeRecord);
+      return tradeRecord;
+    }
+
+    // The position's existing exits are resized to cover the add
+    const addResult = await client.placeOrder(buildMarketOrder(accountId, orderSymbol, addAction, signal.quantity), {
+      rateLimited,
+      risk: { source: signal.source, protectiveStop: workingOrders.some(order => order.action !== addAction) }
+    });
+    legs.push({ role: 'add', orderId: addResult.orderId, action: addAction, quantity: signal.quantity, quotePrice });
+    if (strategyResolution.name) {
+      circuitBreaker.trackPosition(strategyResolution.name, accountId, orderSymbol);
+    }
+
+    const resultingPosition = netPosition + (addAction === 'Buy' ? signal.quantity : -signal.quantity);
+    const protectiveOrders = await syncProtectiveOrders(client, workingOrders, resultingPosition);
+    positionMonitor.resizePosition(accountId, signal.symbol, Math.abs(resultingPosition));
+
+    return {
+      ...baseRecord,
+      orderId: addResult.orderId,
+      status: 'submitted',
+      previousPosition: netPosition,
+      resultingPosition,
+      orders: legs,
+      protectiveOrders,
+      timing: { submittedAt, acknowledgedAt: Date.now() }
+    };
+  }
+
+  // SCALE_OUT / REDUCE
+  if (netPosition === 0) {
+    return { ...baseRecord, status: 'no_position', message: `No ${signal.symbol} position to reduce` };
+  }
+
+  const reduceQuantity = getReduceQuantity(signal, Math.abs(netPosition));
+  const exitAction = netPosition > 0 ? 'Sell' : 'Buy';
+  const fullExit = reduceQuantity >= Math.abs(netPosition);
+
+  // A full exit takes the stops/targets with it; a partial one shrinks them afterwards
+  const cancelled = fullExit ? await cancelOrders(client, workingOrders) : [];
+
+  const exitResult = await client.placeOrder(buildMarketOrder(accountId, orderSymbol, exitAction, reduceQuantity), { rateLimited });
+  legs.push({ role: 'reduce', orderId: exitResult.orderId, action: exitAction, quantity: reduceQuantity, quotePrice });
+
+  const resultingPosition = netPosition + (exitAction === 'Buy' ? reduceQuantity : -reduceQuantity);
+  const protectiveOrders = fullExit
+    ? { cancelled, resized: [], failed: [] }
+    : await syncProtectiveOrders(client, workingOrders, resultingPosition);
+
+  if (fullExit) {
+    positionMonitor.removePosition(accountId, signal.symbol);
+  } else {
+    positionMonitor.resizePosition(accountId, signal.symbol, Math.abs(resultingPosition));
+  }
+
+  return {
+    ...baseRecord,
+    orderId: exitResult.orderId,
+    quantity: reduceQuantity,
+    status: 'submitted',
+    previousPosition: netPosition,
+    resultingPosition,
+    orders: legs,
+    protectiveOrders,
+    timing: { submittedAt, acknowledgedAt: Date.now() }
+  };
+}
+
+/**
+ * Cancel every working order and close every open position on an account
+ */
+async function flattenAccount(client, accountId, baseRecord, rateLimited) {
+  const submittedAt = Date.now();
+  const orders = await client.getOrders(accountId);
+  const workingOrders = orders.filter(order => !INACTIVE_ORDER_STATUSES.includes(order.ordStatus || order.status));
+  const cancelled = await cancelOrders(client, workingOrders);
+
+  const positions = await client.getPositions(accountId);
+  const openPositions = positions.filter(position => (position.netPos ?? position.qty ?? 0) !== 0);
+  const legs = [];
+  const failed = [];
+
+  for (const position of openPositions) {
+    const netPosition = position.netPos ?? position.qty;
+    try {
+      const symbol = position.symbol || (await client.getContract(position.contractId))?.name;
+      const closeAction = netPosition > 0 ? 'Sell' : 'Buy';
+      const quotePrice = marketDataFeed.getLastPrice(symbol);
+      const result = await client.placeOrder(buildMarketOrder(accountId, symbol, closeAction, Math.abs(netPosition)), { rateLimited });
+      legs.push({ role: 'close', orderId: result.orderId, symbol, action: closeAction, quantity: Math.abs(netPosition), quotePrice });
+      positionMonitor.removePosition(accountId, symbol);
+    } catch (error) {
+      logger.error(`❌ Failed to flatten position in contract ${position.contractId}: ${error.message}`);
+      failed.push({ contractId: position.contractId, netPosition, error: error.message });
+    }
+  }
+
+  logger.info(`🧹 Flattened account ${accountId}: ${legs.length} positions closed, ${cancelled.length} orders cancelled, ${failed.length} failures`);
+
+  if (failed.length > 0 && legs.length === 0) {
+    throw new Error(`Failed to flatten account ${accountId}: ${failed.map(item => item.error).join('; ')}`);
+  }
+
+  return {
+    ...baseRecord,
+    orderId: legs[0]?.orderId || null,
+    status: legs.length > 0 ? 'submitted' : (cancelled.length > 0 ? 'orders_cancelled' : 'no_position'),
+    orders: legs,
+    protectiveOrders: { cancelled, resized: [], failed },
+    timing: legs.length > 0 ? { submittedAt, acknowledgedAt: Date.now() } : null
+  };
+}
+
+/**
+ * Resize the exit orders (stops/targets) protecting a position to its new net size
+ * An exit order that can't be resized is cancelled so it can never flip the position.
+ * Multi-target brackets are resized as a group (see resizeBracketGroup).
+ */
+async function syncProtectiveOrders(client, workingOrders, netPosition) {
+  const result = { cancelled: [], resized: [], failed: [] };
+
+  if (netPosition === 0) {
+    result.cancelled = await cancelOrders(client, workingOrders);
+    return result;
+  }
+
+  const exitAction = netPosition > 0 ? 'Sell' : 'Buy';
+  const quantity = Math.abs(netPosition);
+  const exitOrders = workingOrders.filter(working => working.action === exitAction);
+
+  const groups = new Map();
+  for (const order of exitOrders) {
+    const group = positionMonitor.getBracketGroupForOrder(order.id);
+    if (group) groups.set(group.groupId, group);
+  }
+  const bracketOrderIds = new Set(Array.from(groups.values()).flatMap(group => [group.stopOrderId, ...group.targets.map(target => target.orderId)]));
+
+  for (const group of groups.values()) {
+    await resizeBracketGroup(client, group, quantity, result);
+  }
+
+  for (const order of exitOrders.filter(working => !bracketOrderIds.has(working.id))) {
+    try {
+      const resized = await resizeOrder(client, order, quantity);
+      if (resized) result.resized.push(resized);
+    } catch (error) {
+      logger.warn(`⚠️ Could not resize protective order ${order.id}, cancelling it: ${error.message}`);
+      result.failed.push({ orderId: order.id, error: error.message });
+      result.cancelled.push(...await cancelOrders(client, [order]));
+    }
+  }
+
+  logger.info(`🛡️ Protective orders synced to ${netPosition}: ${result.resized.length} resized, ${result.cancelled.length} cancelled`);
+  return result;
+}
+
+/**
+ * Resize a tracked multi-target bracket to a new position size
+ * The shared stop covers the whole position; open targets keep their share of it (rounded down,
+ * cancelled when that reaches zero) and the rest runs.
+ */
+async function resizeBracketGroup(client, group, quantity, result) {
+  const scale = quantity / group.remainingQuantity;
+  const stopOrder = { id: group.stopOrderId, accountId: group.accountId, symbol: group.symbol, orderType: 'Stop' };
+
+  try {
+    const resized = await resizeOrder(client, stopOrder, quantity, group.groupId);
+    if (resized) result.resized.push(resized);
   } catch (error) {
-    logger.error(`❌ Trade execution failed: ${error.message}`);
-    throw error;
+    logger.warn(`⚠️ Could not resize bracket stop ${group.stopOrderId}, cancelling it: ${error.message}`);
+    result.failed.push({ orderId: group.stopOrderId, error: error.message });
+    result.cancelled.push(...await cancelOrders(client, [stopOrder]));
+  }
+
+  for (const target of group.targets.filter(leg => !leg.filled)) {
+    const targetQuantity = Math.floor(target.quantity * scale);
+    const targetOrder = { id: target.orderId, accountId: group.accountId, symbol: group.symbol, orderType: 'Limit' };
+
+    if (targetQuantity === 0) {
+      logger.info(`🎯 ${target.label} rounds to 0 of ${quantity} contracts - cancelling it`);
+      result.cancelled.push(...await cancelOrders(client, [targetOrder]));
+      group.targets = group.targets.filter(leg => leg !== target);
+      continue;
+    }
+
+    try {
+      const resized = await resizeOrder(client, targetOrder, targetQuantity);
+      if (resized) result.resized.push(resized);
+      target.quantity = targetQuantity;
+    } catch (error) {
+      logger.warn(`⚠️ Could not resize ${target.label} order ${target.orderId}, cancelling it: ${error.message}`);
+      result.failed.push({ orderId: target.orderId, error: error.message });
+      result.cancelled.push(...await cancelOrders(client, [targetOrder]));
+      group.targets = group.targets.filter(leg => leg !== target);
+    }
   }
+
+  group.remainingQuantity = quantity;
+  group.runnerQuantity = quantity - group.targets.filter(leg => !leg.filled).reduce((sum, leg) => sum + leg.quantity, 0);
+  positionMonitor.persistBracketGroup(group);
+  logger.info(`🎯 Bracket ${group.groupId} resized to ${quantity}: ${group.targets.filter(leg => !leg.filled).map(leg => `${leg.label} x${leg.quantity}`).join(', ') || 'no targets'}, runner x${group.runnerQuantity}`);
 }
 
 /**
- * Select the appropriate trading account
+ * Resize one working order, keeping its prices - returns what changed, or null if it already fits
  */
-function selectTradingAccount(accounts, accountPreference) {
-  // If specific account requested, try to find it
-  if (accountPreference && accountPreference !== 'default') {
-    // Convert accountPreference to string to handle both string and number inputs
-    const accountPref = accountPreference.toString();
+async function resizeOrder(client, order, quantity, tradeId = null) {
+  const details = await client.getOrderDetails(order.id);
+  const previousQuantity = details.orderQty ?? order.orderQty ?? null;
+  if (previousQuantity === quantity) {
+    return null;
+  }
+
+  const modification = {
+    orderId: order.id,
+    orderQty: quantity,
+    orderType: details.orderType || order.orderType,
+    timeInForce: details.timeInForce || 'Day',
+    isAutomated: true
+  };
+  const price = details.price ?? details.limitPrice;
+  if (price !== undefined && price !== null) modification.price = price;
+  if (details.stopPrice !== undefined && details.stopPrice !== null) modification.stopPrice = details.stopPrice;
+
+  // Working orders from Tradovate carry a contractId but no symbol - the price checks need the contract name
+  const symbol = order.symbol || await positionMonitor.getContractName(client, order.contractId ?? details.contractId);
+
+  await client.modifyOrder(modification, { risk: { accountId: order.accountId, symbol } });
+
+  if (modification.stopPrice !== undefined) {
+    stopManager.recordModification({
+      tradeId,
+      accountId: order.accountId,
+      symbol,
+      stopOrderId: order.id,
+      reason: 'position_resize',
+      oldStopPrice: modification.stopPrice,
+      newStopPrice: modification.stopPrice,
+      quantity,
+      details: { previousQuantity }
+    });
+  }
+
+  return { orderId: order.id, orderType: modification.orderType, quantity };
+}
 
-    const preferredAccount = accounts.find(acc =>
-      acc.name.toLowerCase().includes(accountPref.toLowerCase()) ||
-      acc.id.toString() === accountPref
+/**
+ * Cancel orders, returning the ids that were cancelled
+ */
+async function cancelOrders(client, orders) {
+  const cancelled = [];
+  for (const order of orders) {
+    try {
+      await client.cancelOrder(order.id);
+      cancelled.push(order.id);
+    } catch (error) {
+      logger.warn(`⚠️ Failed to cancel order ${order.id}: ${error.message}`);
+    }
+  }
+  return cancelled;
+}
+
+/**
+ * Signed net position for a symbol (0 when flat) and the name of the contract it is held in
+ */
+async function getNetPosition(client, accountId, symbol, contract) {
+  // Raw Tradovate positions carry netPos and contractId but no symbol - names are looked up as in the CLOSE path
+  const positions = (await client.getPositions(accountId))
+    .filter(pos => (pos.netPos ?? pos.qty ?? 0) !== 0);
+
+  for (const pos of positions) {
+    const positionSymbol = pos.symbol || (contract.contractId && pos.contractId === contract.contractId ? contract.resolvedSymbol : (await client.getContract(pos.contractId))?.name);
+    if (matchesContract({ ...pos, symbol: positionSymbol }, symbol, contract)) {
+      return { netPosition: pos.netPos ?? pos.qty, positionSymbol };
+    }
+  }
+  return { netPosition: 0, positionSymbol: null };
+}
+
+/**
+ * Working (unfilled, uncancelled) orders for a symbol
+ */
+async function getWorkingOrders(client, accountId, symbol, contract) {
+  const orders = await client.getOrders(accountId);
+  return orders.filter(order =>
+    matchesContract(order, symbol, contract) &&
+    !INACTIVE_ORDER_STATUSES.includes(order.ordStatus || order.status)
+  );
+}
+
+function matchesContract(item, symbol, { resolvedSymbol, baseSymbol, contractId }) {
+  if (contractId && item.contractId === contractId) {
+    return true;
+  }
+  if (!item.symbol) {
+    return false;
+  }
+  if (item.symbol === symbol || item.symbol === resolvedSymbol || item.symbol === baseSymbol) {
+    return true;
+  }
+  // A continuous/root symbol (CL1!, CL) that couldn't be resolved matches that root's contract (CLZ5)
+  return resolvedSymbol === symbol && strategyRegistry.rootSymbol(symbol) === baseSymbol &&
+    strategyRegistry.rootSymbol(item.symbol) === baseSymbol;
+}
+
+/**
+ * Contracts to take off for SCALE_OUT/REDUCE - percent of the position or an explicit quantity
+ */
+function getReduceQuantity(signal, positionSize) {
+  const percent = parseFloat(signal.percent);
+  const quantity = Number.isFinite(percent) && percent > 0
+    ? Math.max(1, Math.round(positionSize * Math.min(percent, 100) / 100))
+    : parseInt(signal.quantity);
+
+  if (!(quantity > 0)) {
+    throw new Error(`${signal.action} requires a quantity or percent`);
+  }
+  return Math.min(quantity, positionSize);
+}
+
+/**
+ * Minutes a new position may stay open - signal value, else the strategy's settings.maxHoldMinutes
+ */
+function getMaxHoldMinutes(signal, strategy) {
+  const value = signal.maxHoldMinutes ?? signal.rawData?.max_hold_minutes ?? strategy?.settings?.maxHoldMinutes;
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const minutes = parseFloat(value);
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    throw new Error('maxHoldMinutes must be a number > 0');
+  }
+  return minutes;
+}
+
+function sideToOrderAction(side) {
+  const normalized = String(side || '').toUpperCase();
+  if (normalized === 'BUY' || normalized === 'LONG') return 'Buy';
+  if (normalized === 'SELL' || normalized === 'SHORT') return 'Sell';
+  return null;
+}
+
+function buildMarketOrder(accountId, symbol, action, quantity) {
+  return {
+    accountId,
+    symbol,
+    orderQty: quantity,
+    action,
+    orderType: 'Market',
+    timeInForce: 'Day',
+    isAutomated: true
+  };
+}
+
+/**
+ * Build the trade result for a signal its strategy rejected or is simulating
+ */
+function buildStrategyOutcome(signal, resolution) {
+  const rejected = resolution.decision === 'reject';
+
+  return {
+    success: !rejected,
+    tradeId: generateTradeId(),
+    orderId: null,
+    symbol: signal.symbol,
+    action: signal.action,
+    quantity: signal.quantity,
+    timestamp: signal.timestamp,
+    status: rejected ? 'rejected' : 'simulated',
+    rejected,
+    reason: resolution.reason,
+    strategy: resolution.name,
+    source: signal.source,
+    message: rejected
+      ? `Signal rejected by strategy ${resolution.name || 'policy'}: ${resolution.reason}`
+      : `STRATEGY SIMULATION: Would ${signal.action} ${signal.quantity} ${signal.symbol}${signal.price ? ` @ $${signal.price}` : ''}`
+  };
+}
+
+/**
+ * Calculate the order quantity from a strategy's sizing method
+ */
+async function calculateStrategyQuantity(strategy, signal, client, targetAccount) {
+  const sizing = strategy.sizing;
+
+  try {
+    if (sizing.method === 'fixed') {
+      return parseInt(sizing.fixedQuantity) || signal.quantity;
+    }
+
+    const accountBalance = await client.getAccountBalance(targetAccount.id);
+    const quantity = positionSizingService.calculatePositionSize(
+      signal.symbol,
+      accountBalance.balance,
+      {
+        method: 'risk_based',
+        riskPercentage: parseFloat(sizing.riskPercentage),
+        maxContracts: parseInt(sizing.maxContracts) || 10
+      },
+      {
+        entryPrice: parseFloat(signal.price),
+        stopLoss: parseFloat(signal.stopLoss),
+        stopDistance: signal.stopLoss ? null : bracketManager.getStopDistance(signal)
+      }
     );
 
-    if (preferredAccount) {
-      return preferredAccount;
+    logger.info(`📐 Strategy ${strategy.name} sizing (${sizing.method}): ${signal.quantity} → ${quantity} contracts`);
+    return quantity;
+  } catch (error) {
+    logger.warn(`⚠️ Strategy ${strategy.name} sizing failed, using signal quantity: ${error.message}`);
+    return signal.quantity;
+  }
+}
+
+/**
+ * Ids of the accounts a signal will trade, resolved the way processTradeSignal picks them
+ * (account group members, the named account, the strategy's accounts, else the first account)
+ */
+export async function resolveSignalAccounts(signal) {
+  const client = getTradovateClient();
+  if (!client.accessToken) {
+    await client.authenticate();
+  }
+  const accounts = await client.getAccounts();
+
+  const { strategy } = strategyRegistry.resolve(signal);
+  const group = accountGroups.resolveGroup(signal, strategy);
+  if (group) {
+    return group.members
+      .filter(member => member.enabled !== false)
+      .map(member => selectTradingAccount(accounts, member.account, { fallback: false }))
+      .filter(Boolean)
+      .map(account => account.id);
+  }
+
+  const preferences = strategyRegistry.getAccountPreferences(strategy, signal.account);
+  const fallback = !signal.systemExit && preferences.every(preference => !preference || preference === 'default');
+  const account = selectTradingAccount(accounts, preferences, { fallback });
+  return account ? [account.id] : [];
+}
+
+/**
+ * Select the appropriate trading account
+ * Accepts a single preference or a list tried in order.
+ * With fallback disabled, returns null instead of the first account when nothing matches.
+ */
+function selectTradingAccount(accounts, accountPreference, { fallback = true } = {}) {
+  const preferences = Array.isArray(accountPreference) ? accountPreference : [accountPreference];
+
+  for (const preference of preferences) {
+    // If specific account requested, try to find it
+    if (preference && preference !== 'default') {
+      // Convert preference to string to handle both string and number inputs
+      const accountPref = preference.toString();
+
+      // Exact id first, then exact name - a partial match could pick another account
+      const preferredAccount = accounts.find(acc => acc.id.toString() === accountPref) ||
+        accounts.find(acc => acc.name.toLowerCase() === accountPref.toLowerCase());
+
+      if (preferredAccount) {
+        return preferredAccount;
+      }
+
+      logger.warn(`Requested account '${preference}' not found${fallback ? ', using default' : ''}`);
     }
+  }
 
-    logger.warn(`Requested account '${accountPreference}' not found, using default`);
+  if (!fallback) {
+    return null;
   }
 
   // Use first available account (you can add more sophisticated logic here)
@@ -458,14 +1479,19 @@ async function buildOrderFromSignal(signal, accountId) {
   let orderType = 'Market'; // Default to market orders
   let limitPrice = null;
 
-  // Check if this is a limit order signal
-  if (signal.rawData?.action === 'place_limit' || action === 'PLACE_LIMIT') {
+  // Check if this is a limit order signal (mapping profiles set orderType/alertType)
+  const isLimitSignal = signal.alertType === 'place_limit' ||
+    signal.rawData?.action === 'place_limit' ||
+    action === 'PLACE_LIMIT' ||
+    ((signal.orderType || '').toLowerCase() === 'limit' && signal.price);
+
+  if (isLimitSignal) {
     orderType = 'Limit';
     // For limit orders, use the provided price as the limit price
-    if (signal.rawData?.price) {
-      limitPrice = parseFloat(signal.rawData.price);
-    } else if (signal.price) {
+    if (signal.price) {
       limitPrice = parseFloat(signal.price);
+    } else if (signal.rawData?.price) {
+      limitPrice = parseFloat(signal.rawData.price);
     }
   }
 
@@ -494,7 +1520,7 @@ async function buildOrderFromSignal(signal, accountId) {
     const { resolvedSymbol, baseSymbol, contractId } = await resolveSymbolToContract(symbol);
 
     // Get the side (buy/sell) to cancel specific orders
-    const cancelSide = signal.rawData?.side || signal.side;
+    const cancelSide = signal.side || signal.rawData?.side;
     logger.info(`🔍 Cancel side specified: "${cancelSide}"`);
     logger.info(`🔍 Symbol resolution: ${symbol} → ${resolvedSymbol} (contractId: ${contractId})`);
 
@@ -592,12 +1618,23 @@ async function buildOrderFromSignal(signal, accountId) {
 
     // Step 2: Close any existing positions for this symbol
     try {
-      const positions = await client.getPositions(accountId);
-      const symbolPosition = positions.find(pos =>
-        pos.symbol === symbol ||
-        pos.symbol === resolvedSymbol ||
-        (pos.symbol && (pos.symbol.startsWith(symbol) || pos.symbol.startsWith(resolvedSymbol.substring(0, 3))))
-      );
+      // Raw Tradovate positions carry netPos and contractId but no symbol
+      const positions = (await client.getPositions(accountId))
+        .filter(pos => (pos.netPos ?? pos.qty ?? 0) !== 0);
+      let symbolPosition = null;
+
+      for (const pos of positions) {
+        const positionSymbol = pos.symbol || (contractId && pos.contractId === contractId ? resolvedSymbol : (await client.getContract(pos.contractId))?.name);
+        const matches = (contractId && pos.contractId === contractId) ||
+          positionSymbol === symbol ||
+          positionSymbol === resolvedSymbol ||
+          (positionSymbol && (positionSymbol.startsWith(symbol) || positionSymbol.startsWith(resolvedSymbol.substring(0, 3))));
+
+        if (matches) {
+          symbolPosition = { ...pos, symbol: positionSymbol, qty: pos.netPos ?? pos.qty };
+          break;
+        }
+      }
 
       if (symbolPosition) {
         orderData.orderQty = Math.abs(symbolPosition.qty);
@@ -629,28 +1666,34 @@ async function buildOrderFromSignal(signal, accountId) {
   let trailingTrigger = null;
   let trailingOffset = null;
 
-  if (signal.rawData?.stopLoss || signal.rawData?.stop_loss) {
-    stopLossPrice = parseFloat(signal.rawData.stopLoss || signal.rawData.stop_loss);
+  // Prefer fields normalized by the mapping profile, fall back to the raw payload
+  const rawStopLoss = signal.stopLoss ?? signal.rawData?.stopLoss ?? signal.rawData?.stop_loss;
+  const rawTakeProfit = signal.takeProfit ?? signal.rawData?.takeProfit ?? signal.rawData?.take_profit;
+  const rawTrailingTrigger = signal.trailingTrigger ?? signal.rawData?.trailing_trigger ?? signal.rawData?.trailingTrigger;
+  const rawTrailingOffset = signal.trailingOffset ?? signal.rawData?.trailing_offset ?? signal.rawData?.trailingOffset;
+
+  if (rawStopLoss) {
+    stopLossPrice = parseFloat(rawStopLoss);
     logger.info(`📊 Stop loss price: $${stopLossPrice}`);
   }
 
-  if (signal.rawData?.takeProfit || signal.rawData?.take_profit) {
-    takeProfitPrice = parseFloat(signal.rawData.takeProfit || signal.rawData.take_profit);
+  if (rawTakeProfit) {
+    takeProfitPrice = parseFloat(rawTakeProfit);
     logger.info(`📊 Take profit price: $${takeProfitPrice}`);
   }
 
-  if (signal.rawData?.trailing_trigger || signal.rawData?.trailingTrigger) {
-    trailingTrigger = parseFloat(signal.rawData.trailing_trigger || signal.rawData.trailingTrigger);
+  if (rawTrailingTrigger) {
+    trailingTrigger = parseFloat(rawTrailingTrigger);
     logger.info(`📊 Trailing trigger: ${trailingTrigger} points`);
   }
 
-  if (signal.rawData?.trailing_offset || signal.rawData?.trailingOffset) {
-    trailingOffset = parseFloat(signal.rawData.trailing_offset || signal.rawData.trailingOffset);
+  if (rawTrailingOffset) {
+    trailingOffset = parseFloat(rawTrailingOffset);
     logger.info(`📊 Trailing offset: ${trailingOffset} points`);
   }
 
-  // Determine if this should be a bracket order
-  const hasBracketData = stopLossPrice || takeProfitPrice;
+  // Determine if this should be a bracket order (exits attached after the fill are handled by bracketManager)
+  const hasBracketData = !signal.attachExitsAfterFill && (stopLossPrice || takeProfitPrice);
 
   if (hasBracketData) {
     logger.info(`📊 Creating bracket order with stop/profit exits`);
@@ -702,7 +1745,14 @@ function mapActionToOrderType(action) {
     'CLOSE': 'Close', // Will be handled specially
     'FLAT': 'Close',   // Will be handled specially
     'CLOSE_POSITION': 'Close', // Will be handled specially
-    'POSITION_CLOSED': 'Close' // Will be handled specially
+    'POSITION_CLOSED': 'Close', // Will be handled specially
+    // Position management actions - handled by executePositionAction
+    'REVERSE': 'Reverse',
+    'SCALE_IN': 'ScaleIn',
+    'ADD': 'ScaleIn',
+    'SCALE_OUT': 'ScaleOut',
+    'REDUCE': 'ScaleOut',
+    'FLATTEN_ALL': 'FlattenAll'
   };
 
   const mappedAction = actionMap[action.toUpperCase()];
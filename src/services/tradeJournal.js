@@ -0,0 +1,388 @@
+import winston from 'winston';
+import TradovateClient from './tradovateClient.js';
+import database from './database.js';
+import positionSizing from './positionSizing.js';
+import strategyRegistry from './strategyRegistry.js';
+import tradingCalendar from './tradingCalendar.js';
+import excursionTracker from './excursionTracker.js';
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [TRADE-JOURNAL-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+const FINISHED_ORDER_STATUSES = ['Filled', 'Completed', 'Canceled', 'Expired'];
+
+/**
+ * Trade Journal
+ * Matches broker fills into round-trip trades, FIFO per account and contract.
+ *
+ * A round trip runs from flat to flat. Fills on the opening side add lots; fills on the other
+ * side close the oldest lots first. A fill that goes through flat closes the round trip and opens
+ * the next one with what's left. Round trips are saved on every fill, so an open one shows the
+ * P&L realized so far.
+ *
+ * Fills are pulled when an order poll shows orders finished since the last sync (or on demand).
+ * Fill prices count towards the round trip's MAE/MFE along with what the excursion tracker sees.
+ * Commission is charged per contract per side (COMMISSION_PER_SIDE, MICRO_COMMISSION_PER_SIDE).
+ */
+class TradeJournal {
+  constructor() {
+    this.client = null;
+    this.contractNames = new Map(); // contractId -> contract name
+    this.finishedOrders = new Map(); // accountId -> finished order ids as of the last sync
+    this.syncing = new Set();
+
+    this.commissionPerSide = parseFloat(process.env.COMMISSION_PER_SIDE) || 0;
+    this.microCommissionPerSide = parseFloat(process.env.MICRO_COMMISSION_PER_SIDE || process.env.COMMISSION_PER_SIDE) || 0;
+  }
+
+  getTradovateClient() {
+    if (!this.client) {
+      this.client = new TradovateClient();
+    }
+    return this.client;
+  }
+
+  async getClient() {
+    const client = this.getTradovateClient();
+    if (!client.accessToken) {
+      await client.authenticate();
+    }
+    return client;
+  }
+
+  /**
+   * Order poll from the data collector - syncs fills once new orders have finished
+   */
+  async handleOrderUpdates(accountId, orders, { accountName = null } = {}) {
+    if (!Array.isArray(orders) || orders.length === 0) {
+      return null;
+    }
+
+    const finished = orders
+      .filter(order => FINISHED_ORDER_STATUSES.includes(order.ordStatus || order.status))
+      .map(order => String(order.id));
+    const synced = this.finishedOrders.get(String(accountId));
+    if (finished.length === 0 || (synced && finished.every(id => synced.has(id)))) {
+      return null;
+    }
+
+    const result = await this.sync(accountId, { orders, accountName });
+    if (result) {
+      this.finishedOrders.set(String(accountId), new Set(finished));
+    }
+    return result;
+  }
+
+  /**
+   * Pull the account's fills and apply the ones not journaled yet, oldest first
+   */
+  async sync(accountId, { orders = null, accountName = null } = {}) {
+    const key = String(accountId);
+    if (this.syncing.has(key)) {
+      return null;
+    }
+
+    this.syncing.add(key);
+    try {
+      const client = await this.getClient();
+      const accountOrders = orders || await client.getOrders(accountId);
+      const ordersById = new Map((accountOrders || []).map(order => [String(order.id), order]));
+      const fills = await client.getFills(accountId);
+
+      // Fill entities don't always carry the account - the account's own orders identify them
+      const fresh = (fills || [])
+        .filter(fill => fill.active !== false)
+        .filter(fill => fill.accountId !== undefined
+          ? String(fill.accountId) === key
+          : ordersById.has(String(fill.orderId)))
+        .filter(fill => !database.hasJournalFill(fill.id))
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp) || a.id - b.id);
+
+      const touched = new Map();
+      for (const fill of fresh) {
+        const order = ordersById.get(String(fill.orderId));
+        for (const trade of await this.applyFill(key, fill, { accountName, order })) {
+          touched.set(trade.id, trade);
+        }
+      }
+
+      const trades = [...touched.values()];
+      if (fresh.length > 0) {
+        logger.info(`📒 Journaled ${fresh.length} fills for account ${accountId} (${trades.filter(trade => trade.status === 'closed').length} round trips closed)`);
+      }
+      for (const trade of trades) {
+        this.emitUpdate(trade);
+      }
+
+      return { accountId: key, fills: fresh.length, trades };
+    } catch (error) {
+      logger.error(`Failed to sync fills for account ${accountId}: ${error.message}`);
+      return null;
+    } finally {
+      this.syncing.delete(key);
+    }
+  }
+
+  /**
+   * Sync every account (the journal API's manual sync)
+   */
+  async syncAll() {
+    const client = await this.getClient();
+    const accounts = await client.getAccounts();
+    const results = [];
+    for (const account of accounts || []) {
+      const result = await this.sync(account.id, { accountName: account.name });
+      if (result) {
+        results.push({ accountId: result.accountId, accountName: account.name, fills: result.fills, trades: result.trades.length });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Apply one fill to its account/contract's round trip - returns the round trips it changed
+   */
+  async applyFill(accountId, fill, { accountName = null, order = null } = {}) {
+    const contractId = String(fill.contractId);
+    const symbol = (order?.symbol && order.symbol !== 'Unknown' ? order.symbol : null) || await this.getContractName(fill.contractId);
+    const side = fill.action;
+    const price = fill.price;
+    const fillTime = new Date(fill.timestamp).toISOString();
+    const pointValue = positionSizing.getContractSpec(symbol)?.pointValue ?? null;
+    const commissionRate = this.getCommissionPerSide(symbol);
+
+    database.saveJournalFill({
+      fillId: fill.id,
+      accountId,
+      contractId,
+      symbol,
+      orderId: fill.orderId,
+      side,
+      quantity: fill.qty,
+      price,
+      fillTime
+    });
+
+    const changed = [];
+    let remaining = fill.qty;
+    let trade = database.getOpenJournalTrade(accountId, contractId);
+
+    // Closing side: match the oldest open lots first
+    if (trade && side !== this.getEntrySide(trade)) {
+      const direction = trade.side === 'Long' ? 1 : -1;
+      let matched = 0;
+      let realizedPoints = 0;
+      let openLots = 0;
+
+      for (const lot of database.getOpenJournalLots(accountId, contractId)) {
+        const quantity = Math.min(lot.remaining, remaining);
+        if (quantity > 0) {
+          realizedPoints += (price - lot.price) * direction * quantity;
+          database.updateJournalFill(lot.fillId, { remaining: lot.remaining - quantity });
+          remaining -= quantity;
+          matched += quantity;
+        }
+        openLots += lot.remaining - quantity;
+      }
+
+      if (matched > 0) {
+        trade.avgExitPrice = this.average(trade.avgExitPrice, trade.exitQuantity, price, matched);
+        trade.exitQuantity += matched;
+        trade.points = this.round((trade.avgExitPrice - trade.avgEntryPrice) * direction, 4);
+        if (!pointValue) {
+          logger.warn(`⚠️ No contract spec for ${symbol} - round trip P&L left unpriced`);
+        }
+        trade.grossPnL = pointValue && trade.grossPnL !== null ? this.round(trade.grossPnL + realizedPoints * pointValue) : null;
+        trade.commission = this.round(trade.commission + matched * commissionRate);
+        trade.netPnL = this.getNetPnL(trade);
+        trade.fillCount++;
+
+        excursionTracker.applyPrice(trade, price);
+        if (openLots === 0) {
+          trade.status = 'closed';
+          trade.exitTime = fillTime;
+          trade.holdingSeconds = Math.round((new Date(fillTime) - new Date(trade.entryTime)) / 1000);
+          excursionTracker.finalize(trade, pointValue);
+        }
+
+        trade = database.saveJournalTrade(trade);
+        database.updateJournalFill(fill.id, { remaining: 0, journalTradeId: trade.id });
+        excursionTracker.track(trade);
+        changed.push(trade);
+
+        if (trade.status === 'closed') {
+          this.recordClosed(trade);
+        }
+      }
+
+      if (remaining === 0) {
+        return changed;
+      }
+      // Went through flat - the rest of the fill opens the next round trip
+      trade = null;
+    }
+
+    // Opening side: a new round trip, or an add to the open one
+    if (!trade) {
+      const link = this.getSignalLink(fill.orderId);
+      trade = {
+        accountId,
+        accountName,
+        contractId,
+        symbol,
+        rootSymbol: strategyRegistry.rootSymbol(symbol),
+        side: side === 'Buy' ? 'Long' : 'Short',
+        status: 'open',
+        entryTime: fillTime,
+        entryQuantity: 0,
+        exitQuantity: 0,
+        maxPosition: 0,
+        avgEntryPrice: null,
+        avgExitPrice: null,
+        points: 0,
+        grossPnL: pointValue ? 0 : null,
+        commission: 0,
+        netPnL: pointValue ? 0 : null,
+        fillCount: 0,
+        entryOrderId: fill.orderId !== undefined ? String(fill.orderId) : null,
+        ...link
+      };
+    }
+
+    trade.avgEntryPrice = this.average(trade.avgEntryPrice, trade.entryQuantity, price, remaining);
+    trade.entryQuantity += remaining;
+    trade.maxPosition = Math.max(trade.maxPosition, trade.entryQuantity - trade.exitQuantity);
+    trade.commission = this.round(trade.commission + remaining * commissionRate);
+    trade.netPnL = this.getNetPnL(trade);
+    trade.fillCount++;
+    excursionTracker.applyPrice(trade, price);
+
+    trade = database.saveJournalTrade(trade);
+    database.updateJournalFill(fill.id, { remaining, journalTradeId: trade.id });
+    excursionTracker.track(trade);
+    changed.push(trade);
+
+    return changed;
+  }
+
+  getNetPnL(trade) {
+    return trade.grossPnL === null ? null : this.round(trade.grossPnL - trade.commission);
+  }
+
+  getEntrySide(trade) {
+    return trade.side === 'Long' ? 'Buy' : 'Sell';
+  }
+
+  /**
+   * Strategy, webhook and execution behind the order that opened a round trip (from the trade ledger)
+   */
+  getSignalLink(orderId) {
+    const order = orderId !== undefined && orderId !== null ? database.getTradeByOrderId(orderId) : null;
+    return {
+      strategy: order?.strategy || null,
+      webhookId: order?.webhookId || null,
+      tradeId: order?.tradeId || null
+    };
+  }
+
+  getCommissionPerSide(symbol) {
+    return positionSizing.getContractSpec(symbol)?.contractType === 'micro'
+      ? this.microCommissionPerSide
+      : this.commissionPerSide;
+  }
+
+  async getContractName(contractId) {
+    if (!this.contractNames.has(contractId)) {
+      const client = await this.getClient();
+      const contract = await client.getContract(contractId).catch(() => null);
+      if (!contract?.name) return String(contractId);
+      this.contractNames.set(contractId, contract.name);
+    }
+    return this.contractNames.get(contractId);
+  }
+
+  recordClosed(trade) {
+    const result = trade.netPnL === null
+      ? `${trade.points} pts (no contract spec to price it)`
+      : `${trade.netPnL >= 0 ? '+' : '-'}$${Math.abs(trade.netPnL).toFixed(2)} net`;
+    database.logActivity(
+      'trade',
+      `Round trip closed: ${trade.side} ${trade.maxPosition} ${trade.symbol} ${trade.avgEntryPrice} → ${trade.avgExitPrice}, ${result}${trade.accountName ? ` (${trade.accountName})` : ''}`,
+      {
+        journalTradeId: trade.id,
+        accountId: trade.accountId,
+        strategy: trade.strategy,
+        points: trade.points,
+        grossPnL: trade.grossPnL,
+        netPnL: trade.netPnL,
+        holdingSeconds: trade.holdingSeconds,
+        maePoints: trade.maePoints,
+        mfePoints: trade.mfePoints
+      },
+      'info'
+    );
+  }
+
+  emitUpdate(trade) {
+    if (global.io) {
+      global.io.emit('journal_updated', { ...trade, timestamp: new Date().toISOString() });
+    }
+  }
+
+  /**
+   * A round trip with the fills matched into it
+   */
+  getTradeDetail(id) {
+    const trade = database.getJournalTrade(id);
+    return trade ? { ...trade, fills: database.getJournalFills(trade) } : null;
+  }
+
+  /**
+   * Turn API query parameters into journal filters - throws on invalid values
+   */
+  parseFilters(query) {
+    const status = query.status ? String(query.status).toLowerCase() : null;
+    if (status && !['open', 'closed'].includes(status)) {
+      throw new Error('status must be open or closed');
+    }
+
+    const side = query.side ? String(query.side).toLowerCase() : null;
+    if (side && !['long', 'short'].includes(side)) {
+      throw new Error('side must be long or short');
+    }
+
+    return {
+      from: query.from ? tradingCalendar.parseDateBoundary(query.from, 'from').toISOString() : null,
+      to: query.to ? tradingCalendar.parseDateBoundary(query.to, 'to').toISOString() : null,
+      account: query.account || null,
+      symbol: query.symbol ? String(query.symbol).toUpperCase() : null,
+      rootSymbol: query.symbol ? strategyRegistry.rootSymbol(query.symbol) : null,
+      strategy: query.strategy || null,
+      status,
+      side: side ? side.charAt(0).toUpperCase() + side.slice(1) : null
+    };
+  }
+
+  average(currentAverage, currentQuantity, price, quantity) {
+    if (!currentQuantity) return price;
+    return this.round((currentAverage * currentQuantity + price * quantity) / (currentQuantity + quantity), 6);
+  }
+
+  round(value, decimals = 2) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+  }
+}
+
+// Create singleton instance
+const tradeJournal = new TradeJournal();
+
+export default tradeJournal;
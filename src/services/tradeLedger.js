@@ -0,0 +1,431 @@
+import winston from 'winston';
+import TradovateClient from './tradovateClient.js';
+import database from './database.js';
+import strategyRegistry from './strategyRegistry.js';
+import positionSizing from './positionSizing.js';
+import tradingCalendar from './tradingCalendar.js';
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [TRADE-LEDGER-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+const TRADE_STATUSES = ['submitted', 'accepted', 'working', 'partially_filled', 'filled', 'cancelled', 'rejected'];
+const PARENT_ROLES = ['entry', 'exit', 'open', 'close', 'add', 'reduce'];
+
+// Orders older than this are no longer returned by the broker's order list
+const OPEN_ORDER_LOOKBACK_MS = 72 * 60 * 60 * 1000;
+
+/**
+ * Trade Ledger
+ * Persists every order we send in the trades table and follows it through its lifecycle:
+ *   submitted → accepted → working → partially_filled → filled | cancelled | rejected
+ *
+ * Rows from one signal execution share a trade_id and the originating webhook_id. Bracket stops
+ * and targets are child rows whose parent_id is their entry order. Statuses, filled quantity and
+ * average fill price are updated from the data collector's order polls; once an order placed for a
+ * signal fills, its slippage and fill latency are stored for the execution quality report.
+ */
+class TradeLedger {
+  constructor() {
+    this.client = null;
+  }
+
+  getTradovateClient() {
+    if (!this.client) {
+      this.client = new TradovateClient();
+    }
+    return this.client;
+  }
+
+  /**
+   * Store the orders placed for one account's execution of a signal
+   * record is the executor's result for that account; returns the saved row ids
+   */
+  recordExecution(record, { signal, account, webhookId = null }) {
+    try {
+      const base = {
+        webhookId,
+        tradeId: record.tradeId,
+        account: account.name,
+        accountId: account.id,
+        strategy: record.strategy || null,
+        action: String(record.action || signal.action).toUpperCase()
+      };
+
+      // Refused by the risk engine before it reached the broker
+      if (record.status === 'rejected' && record.reason === 'risk_rejected') {
+        return [this.saveRow({
+          ...base,
+          symbol: signal.symbol,
+          role: strategyRegistry.isEntryAction(base.action) ? 'entry' : 'exit',
+          quantity: signal.quantity || 0,
+          status: 'rejected',
+          errorMessage: record.message
+        })];
+      }
+
+      if (!['submitted', 'partial'].includes(record.status)) {
+        return [];
+      }
+
+      const symbol = record.contractSymbol || record.symbol || signal.symbol;
+      const legs = Array.isArray(record.orders) && record.orders.length > 0
+        ? record.orders.map(leg => ({ ...leg, symbol: leg.symbol || symbol }))
+        : [{
+          role: strategyRegistry.isEntryAction(base.action) ? 'entry' : 'exit',
+          orderId: record.orderId,
+          action: record.side,
+          quantity: record.quantity,
+          symbol,
+          orderType: record.orderType,
+          price: record.orderPrice,
+          quotePrice: record.quotePrice
+        }];
+
+      const ids = [];
+      for (const leg of legs) {
+        if (!leg.orderId) continue;
+
+        const id = this.saveRow({
+          ...base,
+          orderId: leg.orderId,
+          symbol: leg.symbol,
+          role: leg.role,
+          side: leg.action,
+          orderType: leg.orderType || 'Market',
+          quantity: leg.quantity,
+          price: leg.price,
+          signalPrice: parseFloat(signal.price) || null,
+          quotePrice: leg.quotePrice ?? record.quotePrice ?? null,
+          submittedAt: record.timing?.submittedAt ?? null
+        });
+        ids.push(id);
+
+        // The entry (or a reverse's opening leg) owns the bracket's stop and targets
+        if (String(leg.orderId) === String(record.orderId) && ['entry', 'open'].includes(leg.role)) {
+          ids.push(...this.saveChildren(id, record, { ...base, symbol: leg.symbol, side: leg.action, quantity: leg.quantity }));
+        }
+      }
+
+      return ids;
+    } catch (error) {
+      logger.error(`Failed to record trade ${record.tradeId}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Store an order that failed at the broker (the executor rethrows the error)
+   */
+  recordFailure(signal, account, error, { strategy = null, webhookId = null } = {}) {
+    try {
+      const action = String(signal.action).toUpperCase();
+      return this.saveRow({
+        webhookId,
+        account: account.name,
+        accountId: account.id,
+        strategy,
+        action,
+        symbol: signal.symbol,
+        role: strategyRegistry.isEntryAction(action) ? 'entry' : 'exit',
+        quantity: signal.quantity || 0,
+        status: 'rejected',
+        errorMessage: error.message
+      });
+    } catch (saveError) {
+      logger.error(`Failed to record failed order: ${saveError.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Link exits attached after the entry filled (bracketManager) to the entry's row
+   */
+  recordBracketExits(entryOrderId, bracket) {
+    try {
+      const parent = database.getTradeByOrderId(entryOrderId);
+      if (!parent) {
+        return [];
+      }
+
+      return this.saveChildren(parent.id, bracket, {
+        webhookId: parent.webhookId,
+        tradeId: parent.tradeId,
+        account: parent.account,
+        accountId: parent.accountId,
+        strategy: parent.strategy,
+        action: parent.action,
+        symbol: parent.symbol,
+        side: parent.side,
+        quantity: parent.filledQuantity || parent.quantity
+      });
+    } catch (error) {
+      logger.error(`Failed to record bracket exits for order ${entryOrderId}: ${error.message}`);
+      return [];
+    }
+  }
+
+  saveChildren(parentId, source, parent) {
+    const exitSide = parent.side === 'Buy' ? 'Sell' : parent.side === 'Sell' ? 'Buy' : null;
+    const known = new Set(database.getChildTrades(parentId).map(child => child.orderId));
+    const targets = source.targets || source.bracket?.targets || null;
+
+    const children = [];
+    if (source.stopOrderId) {
+      children.push({ role: 'stop', orderId: source.stopOrderId, orderType: 'Stop', price: source.stopPrice ?? source.bracket?.stopPrice, quantity: parent.quantity });
+    }
+    if (targets) {
+      children.push(...targets.map(target => ({ role: 'target', orderId: target.orderId, orderType: 'Limit', price: target.price, quantity: target.quantity })));
+    } else if (source.profitOrderId) {
+      children.push({ role: 'target', orderId: source.profitOrderId, orderType: 'Limit', price: source.targetPrice ?? source.bracket?.targetPrice, quantity: parent.quantity });
+    }
+
+    return children
+      .filter(child => child.orderId && !known.has(String(child.orderId)))
+      .map(child => this.saveRow({
+        ...parent,
+        ...child,
+        side: exitSide,
+        parentId
+      }));
+  }
+
+  saveRow(row) {
+    const id = database.saveTrade({
+      ...row,
+      rootSymbol: strategyRegistry.rootSymbol(row.symbol),
+      status: row.status || 'submitted'
+    });
+    this.emitUpdate(database.getTrade(id));
+    return id;
+  }
+
+  /**
+   * Follow this account's open orders through an order poll from the data collector
+   */
+  async handleOrderUpdates(accountId, orders) {
+    if (!Array.isArray(orders) || orders.length === 0) {
+      return;
+    }
+
+    const since = this.toSqlTime(new Date(Date.now() - OPEN_ORDER_LOOKBACK_MS));
+    const ordersById = new Map(orders.map(order => [String(order.id), order]));
+    const tracked = database.getOpenTrades(accountId, since).filter(trade => ordersById.has(trade.orderId));
+    if (tracked.length === 0) {
+      return;
+    }
+
+    // Fill quantities and prices come from the account's fills - fetched once, and only when an
+    // order finished or a parent order is working (resting stops and targets don't need them)
+    const needsFills = tracked.some(trade => {
+      const brokerStatus = this.getBrokerStatus(ordersById.get(trade.orderId));
+      return ['Filled', 'Completed', 'Canceled', 'Expired'].includes(brokerStatus) ||
+        (brokerStatus === 'Working' && PARENT_ROLES.includes(trade.role));
+    });
+    const fills = needsFills ? await this.getFillsByOrder(accountId) : new Map();
+
+    for (const trade of tracked) {
+      const brokerStatus = this.getBrokerStatus(ordersById.get(trade.orderId));
+      const fill = fills.get(trade.orderId) || null;
+      const filledQuantity = fill ? fill.quantity : trade.filledQuantity;
+      const status = this.mapStatus(brokerStatus, filledQuantity);
+
+      if (!status || (status === trade.status && brokerStatus === trade.brokerStatus && filledQuantity === trade.filledQuantity)) {
+        continue;
+      }
+
+      database.updateTradeStatus(trade.id, {
+        status,
+        brokerStatus,
+        filledQuantity: fill?.quantity,
+        avgFillPrice: fill?.price
+      });
+      if (status === 'filled' && fill?.price && PARENT_ROLES.includes(trade.role)) {
+        this.recordExecutionQuality(trade, fill);
+      }
+      this.recordTransition(trade, status, fill);
+    }
+  }
+
+  /**
+   * Broker order status → lifecycle status (null for statuses that don't move it)
+   */
+  mapStatus(brokerStatus, filledQuantity = 0) {
+    switch (brokerStatus) {
+      case 'PendingNew':
+        return 'accepted';
+      case 'Working':
+      case 'PendingReplace':
+      case 'PendingCancel':
+      case 'Suspended':
+        return filledQuantity > 0 ? 'partially_filled' : 'working';
+      case 'Filled':
+        return 'filled';
+      case 'Completed':
+        return filledQuantity > 0 ? 'filled' : 'cancelled';
+      case 'Canceled':
+      case 'Expired':
+        return 'cancelled';
+      case 'Rejected':
+        return 'rejected';
+      default:
+        return null;
+    }
+  }
+
+  getBrokerStatus(order) {
+    return order?.ordStatus || order?.status || null;
+  }
+
+  /**
+   * Total filled quantity and average price per order id
+   */
+  async getFillsByOrder(accountId) {
+    const byOrder = new Map();
+    try {
+      const client = this.getTradovateClient();
+      if (!client.accessToken) {
+        await client.authenticate();
+      }
+
+      const fills = await client.getFills(accountId);
+      for (const fill of fills || []) {
+        if (fill.accountId !== undefined && String(fill.accountId) !== String(accountId)) continue;
+
+        const key = String(fill.orderId);
+        const entry = byOrder.get(key) || { quantity: 0, notional: 0, time: null };
+        entry.quantity += fill.qty || 0;
+        entry.notional += (fill.price || 0) * (fill.qty || 0);
+        entry.time = Math.max(entry.time || 0, Date.parse(fill.timestamp) || 0) || null;
+        byOrder.set(key, entry);
+      }
+    } catch (error) {
+      logger.warn(`⚠️ Could not load fills for account ${accountId}: ${error.message}`);
+    }
+
+    for (const entry of byOrder.values()) {
+      entry.price = entry.quantity > 0 ? entry.notional / entry.quantity : null;
+    }
+    return byOrder;
+  }
+
+  /**
+   * Slippage of a filled order against the signal price and the quote at submission, in ticks
+   * (positive = filled worse) and dollars, plus submission-to-fill latency
+   */
+  recordExecutionQuality(trade, fill) {
+    const direction = (trade.side || trade.action || '').toLowerCase().startsWith('b') ? 1 : -1;
+    const spec = positionSizing.getContractSpec(trade.symbol);
+    const tickSize = spec?.tickSize || null;
+    const toTicks = reference => (reference && tickSize ? this.round((fill.price - reference) * direction / tickSize, 2) : null);
+
+    const filledAt = fill.time || Date.now();
+    const quality = {
+      filledAt,
+      slippageTicks: toTicks(trade.signalPrice),
+      slippageDollars: trade.signalPrice && spec
+        ? this.round((fill.price - trade.signalPrice) * direction * spec.pointValue * fill.quantity)
+        : null,
+      quoteSlippageTicks: toTicks(trade.quotePrice),
+      fillLatencyMs: trade.submittedAt ? Math.max(0, filledAt - trade.submittedAt) : null
+    };
+
+    database.updateTradeExecution(trade.id, quality);
+    return quality;
+  }
+
+  recordTransition(trade, status, fill) {
+    const updated = database.getTrade(trade.id);
+    logger.info(`📋 ${trade.role} order ${trade.orderId} (${trade.symbol}) ${trade.status} → ${status}${fill ? ` ${fill.quantity}/${trade.quantity} @ ${fill.price}` : ''}`);
+
+    if (status === 'rejected') {
+      database.logActivity(
+        'trade',
+        `${trade.side || trade.action} ${trade.quantity} ${trade.symbol} ${trade.role} order ${trade.orderId} rejected by the broker`,
+        { tradeId: trade.id, orderId: trade.orderId, accountId: trade.accountId, webhookId: trade.webhookId },
+        'warning'
+      );
+    } else if (status === 'filled' && !trade.parentId) {
+      database.logActivity(
+        'trade',
+        `${trade.side || trade.action} ${updated.filledQuantity || trade.quantity} ${trade.symbol} filled${updated.avgFillPrice ? ` @ ${updated.avgFillPrice}` : ''} (${trade.role})`,
+        { tradeId: trade.id, orderId: trade.orderId, accountId: trade.accountId, strategy: trade.strategy, webhookId: trade.webhookId },
+        'info'
+      );
+    }
+
+    this.emitUpdate(updated);
+  }
+
+  emitUpdate(trade) {
+    if (global.io && trade) {
+      global.io.emit('trade_updated', { ...trade, timestamp: new Date().toISOString() });
+    }
+  }
+
+  /**
+   * A trade with its bracket exits, the other orders of the same execution and the webhook behind it
+   */
+  getTradeDetail(id) {
+    const trade = database.getTrade(id);
+    if (!trade) {
+      return null;
+    }
+
+    return {
+      ...trade,
+      children: database.getChildTrades(trade.id),
+      related: trade.tradeId
+        ? database.getTradesByTradeId(trade.tradeId).filter(row => row.id !== trade.id && row.parentId !== trade.id)
+        : [],
+      webhook: trade.webhookId ? database.getWebhook(trade.webhookId) : null
+    };
+  }
+
+  /**
+   * Turn API query parameters into trade filters - throws on invalid values
+   * from/to are dates (YYYY-MM-DD, in the session timezone; to is inclusive) or ISO timestamps
+   */
+  parseFilters(query) {
+    const statuses = query.status
+      ? String(query.status).split(',').map(status => status.trim().toLowerCase()).filter(Boolean)
+      : [];
+    const unknown = statuses.filter(status => !TRADE_STATUSES.includes(status));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown status: ${unknown.join(', ')} (expected ${TRADE_STATUSES.join(', ')})`);
+    }
+
+    return {
+      from: query.from ? this.toSqlTime(tradingCalendar.parseDateBoundary(query.from, 'from')) : null,
+      to: query.to ? this.toSqlTime(tradingCalendar.parseDateBoundary(query.to, 'to')) : null,
+      account: query.account || null,
+      symbol: query.symbol ? String(query.symbol).toUpperCase() : null,
+      rootSymbol: query.symbol ? strategyRegistry.rootSymbol(query.symbol) : null,
+      strategy: query.strategy || null,
+      statuses,
+      role: query.role || null,
+      webhookId: query.webhookId ? parseInt(query.webhookId) : null
+    };
+  }
+
+  round(value, decimals = 2) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+  }
+
+  toSqlTime(date) {
+    return date.toISOString().replace('T', ' ').slice(0, 19);
+  }
+}
+
+// Create singleton instance
+const tradeLedger = new TradeLedger();
+
+export default tradeLedger;
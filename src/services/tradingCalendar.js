@@ -0,0 +1,456 @@
+import fs from 'fs';
+import path from 'path';
+import winston from 'winston';
+import database from './database.js';
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [TRADING-CALENDAR-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const GATE_ACTIONS = ['reject', 'simulate'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Trading Calendar
+ * Exchange-local wall-clock time, trading-session dates, allowed trading windows and the
+ * economic-event blackout calendar
+ *
+ * CME Globex trades a session from 17:00 to 16:00 Chicago time, so a fill at 18:30 on a
+ * Tuesday belongs to Wednesday's session. Session dates are what daily limits reset on.
+ *
+ * Trading windows: { name, strategy, symbol, days, start, end, timezone }
+ *   A window applies to signals of its strategy and/or root symbol (neither = every signal).
+ *   When any window applies, entries are only allowed inside one of them - e.g. RTH
+ *   08:30-15:00 Mon-Fri. A window whose end is before its start runs past midnight.
+ *
+ * Blackouts are loaded from BLACKOUT_CALENDAR_PATH, a CSV or ICS file of economic releases:
+ *   CSV: header row with date,time[,timezone],event[,before,after,symbols] (or datetime)
+ *   ICS: VEVENTs with DTSTART[/DTEND] and SUMMARY
+ * Entries are blocked from BLACKOUT_BEFORE_MINUTES before to BLACKOUT_AFTER_MINUTES after
+ * each event. Exits are never gated.
+ */
+class TradingCalendar {
+  constructor() {
+    this.timezone = process.env.SESSION_TIMEZONE || 'America/Chicago';
+    this.sessionStart = process.env.TRADING_SESSION_START || '17:00';
+
+    if (!TIME_PATTERN.test(this.sessionStart)) {
+      logger.warn(`⚠️ Invalid TRADING_SESSION_START ${this.sessionStart} - using 17:00`);
+      this.sessionStart = '17:00';
+    }
+
+    const gateAction = (process.env.TRADING_GATE_ACTION || 'reject').toLowerCase();
+    this.gateAction = GATE_ACTIONS.includes(gateAction) ? gateAction : 'reject';
+
+    this.blackoutPath = process.env.BLACKOUT_CALENDAR_PATH || './data/blackouts.csv';
+    this.blackoutBeforeMinutes = parseFloat(process.env.BLACKOUT_BEFORE_MINUTES ?? 5) || 0;
+    this.blackoutAfterMinutes = parseFloat(process.env.BLACKOUT_AFTER_MINUTES ?? 5) || 0;
+    this.blackouts = [];
+    this.blackoutsLoadedAt = null;
+  }
+
+  /**
+   * Wall-clock date, weekday and minutes past midnight in a timezone
+   */
+  getLocalTime(date = new Date(), timeZone = this.timezone) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+      }).formatToParts(date).map(part => [part.type, part.value])
+    );
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      weekday: parts.weekday,
+      minutes: parseInt(parts.hour) * 60 + parseInt(parts.minute)
+    };
+  }
+
+  /**
+   * Trading session (YYYY-MM-DD) a moment belongs to - after the session start it is the next day's
+   */
+  getSessionDate(date = new Date()) {
+    const local = this.getLocalTime(date);
+    const [hours, minutes] = this.sessionStart.split(':').map(Number);
+
+    return local.minutes >= hours * 60 + minutes ? this.addDays(local.date, 1) : local.date;
+  }
+
+  addDays(isoDate, days) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+  }
+
+  /**
+   * UTC instant of a wall-clock date and time (HH:MM[:SS]) in a timezone
+   */
+  toUtc(isoDate, time, timeZone = this.timezone) {
+    const [year, month, day] = isoDate.split('-').map(Number);
+    const [hours, minutes, seconds = 0] = time.split(':').map(Number);
+    const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+
+    // Two passes settle the offset either side of a DST change
+    let utc = wallClock;
+    for (let pass = 0; pass < 2; pass++) {
+      utc = wallClock - this.getOffsetMs(new Date(utc), timeZone);
+    }
+    return new Date(utc);
+  }
+
+  /**
+   * A range filter boundary: a date (YYYY-MM-DD, in the session timezone - a 'to' date is inclusive)
+   * or an ISO timestamp. Throws on anything else.
+   */
+  parseDateBoundary(value, name = 'from') {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return this.toUtc(name === 'to' ? this.addDays(value, 1) : value, '00:00');
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      throw new Error(`${name} must be a date (YYYY-MM-DD) or ISO timestamp`);
+    }
+    return date;
+  }
+
+  getOffsetMs(date, timeZone) {
+    const parts = Object.fromEntries(
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+      }).formatToParts(date).map(part => [part.type, parseInt(part.value)])
+    );
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+  }
+
+  /**
+   * Whether an entry may be placed now: { allowed, reason, message, action, window, blackout }
+   * reason is 'outside_trading_window' or 'blackout:<event>'; action is reject or simulate.
+   */
+  checkEntry({ strategy = null, symbol = null, now = new Date() } = {}) {
+    const action = GATE_ACTIONS.includes(strategy?.settings?.gateAction) ? strategy.settings.gateAction : this.gateAction;
+
+    const blackout = this.getActiveBlackout(symbol, now);
+    if (blackout) {
+      return {
+        allowed: false,
+        reason: `blackout:${blackout.event}`,
+        message: `${blackout.event} blackout until ${blackout.endsAt}`,
+        action,
+        blackout
+      };
+    }
+
+    const windows = this.getApplicableWindows(strategy?.name || null, symbol);
+    if (windows.length > 0 && !windows.some(window => this.isInWindow(window, now))) {
+      return {
+        allowed: false,
+        reason: 'outside_trading_window',
+        message: `Outside trading windows: ${windows.map(window => `${window.name} ${window.days.join('/')} ${window.start}-${window.end} ${window.timezone}`).join(', ')}`,
+        action,
+        windows: windows.map(window => window.name)
+      };
+    }
+
+    return { allowed: true, reason: null, message: null, action: null };
+  }
+
+  /**
+   * Enabled windows for a strategy and root symbol - the most specific scope that has any
+   */
+  getApplicableWindows(strategyName, symbol) {
+    const windows = database.getTradingWindows().filter(window => window.enabled);
+    const matches = window =>
+      (!window.strategy || window.strategy.toLowerCase() === String(strategyName || '').toLowerCase()) &&
+      (!window.symbol || window.symbol === symbol);
+
+    const applicable = windows.filter(matches);
+    const specificity = window => (window.strategy ? 2 : 0) + (window.symbol ? 1 : 0);
+    const best = Math.max(-1, ...applicable.map(specificity));
+
+    return applicable.filter(window => specificity(window) === best);
+  }
+
+  isInWindow(window, now) {
+    const local = this.getLocalTime(now, window.timezone);
+    const start = this.toMinutes(window.start);
+    const end = this.toMinutes(window.end);
+
+    if (start < end) {
+      return window.days.includes(local.weekday) && local.minutes >= start && local.minutes < end;
+    }
+
+    // Overnight window: the evening part is on a listed day, the morning part on the day after
+    const previousDay = WEEKDAYS[(WEEKDAYS.indexOf(local.weekday) + 6) % 7];
+    return (window.days.includes(local.weekday) && local.minutes >= start) ||
+      (window.days.includes(previousDay) && local.minutes < end);
+  }
+
+  toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  /**
+   * Validate and normalize a trading window from the API
+   */
+  validateWindow(input, existing = null) {
+    const window = {
+      id: existing?.id,
+      name: input.name !== undefined ? String(input.name).trim() : existing?.name || '',
+      strategy: input.strategy !== undefined ? (input.strategy || null) : existing?.strategy ?? null,
+      symbol: input.symbol !== undefined ? (input.symbol ? String(input.symbol).trim().toUpperCase() : null) : existing?.symbol ?? null,
+      days: input.days ?? existing?.days ?? ['Mon', 'Tue', 'Wed', 'Thu', 'Fri'],
+      start: input.start ?? existing?.start,
+      end: input.end ?? existing?.end,
+      timezone: input.timezone ?? existing?.timezone ?? this.timezone,
+      enabled: input.enabled !== undefined ? !!input.enabled : existing?.enabled ?? true
+    };
+
+    if (!window.name) {
+      throw new Error('Window name is required');
+    }
+    if (!TIME_PATTERN.test(String(window.start)) || !TIME_PATTERN.test(String(window.end))) {
+      throw new Error('start and end must be HH:MM (24h)');
+    }
+    if (window.start === window.end) {
+      throw new Error('start and end must differ');
+    }
+    if (!Array.isArray(window.days) || window.days.length === 0) {
+      throw new Error('days must be a non-empty array');
+    }
+
+    window.days = window.days.map(day => {
+      const normalized = WEEKDAYS.find(weekday => weekday.toLowerCase() === String(day).slice(0, 3).toLowerCase());
+      if (!normalized) {
+        throw new Error(`Unknown day: ${day}`);
+      }
+      return normalized;
+    });
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: window.timezone });
+    } catch (error) {
+      throw new Error(`Unknown timezone: ${window.timezone}`);
+    }
+
+    if (window.strategy && !database.getStrategy(window.strategy)) {
+      throw new Error(`Strategy not found: ${window.strategy}`);
+    }
+
+    return window;
+  }
+
+  /**
+   * Blackout covering a moment for a root symbol, or null
+   */
+  getActiveBlackout(symbol, now = new Date()) {
+    const time = now.getTime();
+    return this.blackouts.find(blackout =>
+      time >= new Date(blackout.startsAt).getTime() &&
+      time < new Date(blackout.endsAt).getTime() &&
+      (blackout.symbols.length === 0 || blackout.symbols.includes(symbol))
+    ) || null;
+  }
+
+  getUpcomingBlackouts(now = new Date(), limit = 50) {
+    return this.blackouts.filter(blackout => new Date(blackout.endsAt) > now).slice(0, limit);
+  }
+
+  /**
+   * (Re)load the blackout calendar file - a missing file means no blackouts
+   */
+  loadBlackouts(filePath = this.blackoutPath) {
+    const resolved = path.resolve(filePath);
+    if (!fs.existsSync(resolved)) {
+      logger.info(`No blackout calendar at ${resolved} - economic-event blackouts disabled`);
+      this.blackouts = [];
+      this.blackoutsLoadedAt = new Date().toISOString();
+      return { path: resolved, count: 0, skipped: 0 };
+    }
+
+    const content = fs.readFileSync(resolved, 'utf8');
+    const { events, skipped } = /\.ics$/i.test(resolved) ? this.parseIcs(content) : this.parseCsv(content);
+
+    this.blackouts = events
+      .map(event => this.toBlackout(event))
+      .sort((a, b) => new Date(a.startsAt) - new Date(b.startsAt));
+    this.blackoutsLoadedAt = new Date().toISOString();
+
+    logger.info(`📅 Loaded ${this.blackouts.length} blackout events from ${resolved}${skipped > 0 ? ` (${skipped} rows skipped)` : ''}`);
+    return { path: resolved, count: this.blackouts.length, skipped };
+  }
+
+  toBlackout(event) {
+    const before = event.before ?? this.blackoutBeforeMinutes;
+    const after = event.after ?? this.blackoutAfterMinutes;
+    const end = event.end || event.start;
+
+    return {
+      event: event.event,
+      eventTime: event.start.toISOString(),
+      startsAt: new Date(event.start.getTime() - before * 60000).toISOString(),
+      endsAt: new Date(end.getTime() + after * 60000).toISOString(),
+      symbols: event.symbols || []
+    };
+  }
+
+  /**
+   * CSV: date,time[,timezone],event[,before,after,symbols] or datetime,event,... with a header row
+   */
+  parseCsv(content) {
+    const lines = content.split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+    const events = [];
+    let skipped = 0;
+    if (lines.length === 0) {
+      return { events, skipped };
+    }
+
+    const header = this.splitCsvLine(lines[0]).map(column => column.trim().toLowerCase());
+    const column = (row, ...names) => {
+      const index = header.findIndex(name => names.includes(name));
+      return index >= 0 ? (row[index] || '').trim() : '';
+    };
+
+    for (const line of lines.slice(1)) {
+      const row = this.splitCsvLine(line);
+      try {
+        const name = column(row, 'event', 'title', 'name', 'summary');
+        const datetime = column(row, 'datetime', 'timestamp');
+        const timezone = column(row, 'timezone', 'tz') || this.timezone;
+        let start;
+
+        if (datetime) {
+          start = /[zZ]|[+-]\d\d:?\d\d$/.test(datetime)
+            ? new Date(datetime)
+            : this.toUtc(datetime.slice(0, 10), datetime.slice(11) || '00:00', timezone);
+        } else {
+          start = this.toUtc(column(row, 'date'), column(row, 'time') || '00:00', timezone);
+        }
+
+        if (!name || Number.isNaN(start.getTime())) {
+          throw new Error('missing event or time');
+        }
+
+        const before = column(row, 'before', 'before_minutes');
+        const after = column(row, 'after', 'after_minutes');
+        const symbols = column(row, 'symbols');
+
+        events.push({
+          event: name,
+          start,
+          before: before !== '' ? parseFloat(before) : undefined,
+          after: after !== '' ? parseFloat(after) : undefined,
+          symbols: symbols ? symbols.split(/[\s;|]+/).filter(Boolean).map(symbol => symbol.toUpperCase()) : []
+        });
+      } catch (error) {
+        skipped++;
+        logger.warn(`⚠️ Skipping blackout row "${line}": ${error.message}`);
+      }
+    }
+
+    return { events, skipped };
+  }
+
+  splitCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (char === '"' && quoted && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = !quoted;
+      } else if (char === ',' && !quoted) {
+        fields.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    fields.push(current);
+    return fields;
+  }
+
+  /**
+   * ICS: every VEVENT's DTSTART, optional DTEND and SUMMARY
+   */
+  parseIcs(content) {
+    // Unfold continuation lines (RFC 5545 3.1)
+    const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let skipped = 0;
+    let current = null;
+
+    for (const line of lines) {
+      if (line === 'BEGIN:VEVENT') {
+        current = {};
+      } else if (line === 'END:VEVENT' && current) {
+        if (current.event && current.start && !Number.isNaN(current.start.getTime())) {
+          events.push(current);
+        } else {
+          skipped++;
+        }
+        current = null;
+      } else if (current) {
+        const separator = line.indexOf(':');
+        if (separator < 0) continue;
+
+        const [name, ...params] = line.slice(0, separator).split(';');
+        const value = line.slice(separator + 1);
+
+        if (name === 'SUMMARY') {
+          current.event = value.replace(/\\([,;\\])/g, '$1').trim();
+        } else if (name === 'DTSTART' || name === 'DTEND') {
+          const tzid = params.find(param => param.startsWith('TZID='))?.slice(5);
+          current[name === 'DTSTART' ? 'start' : 'end'] = this.parseIcsDate(value, tzid);
+        }
+      }
+    }
+
+    return { events, skipped };
+  }
+
+  parseIcsDate(value, tzid) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) {
+      return new Date(NaN);
+    }
+
+    const [, year, month, day, hours = '00', minutes = '00', seconds = '00', utc] = match;
+    if (utc) {
+      return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds));
+    }
+    return this.toUtc(`${year}-${month}-${day}`, `${hours}:${minutes}:${seconds}`, tzid || this.timezone);
+  }
+}
+
+// Create singleton instance
+const tradingCalendar = new TradingCalendar();
+
+export default tradingCalendar;
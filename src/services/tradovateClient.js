@@ -2,6 +2,7 @@ import axios from 'axios';
 import WebSocket from 'ws';
 import winston from 'winston';
 import RateLimiter from './rateLimiter.js';
+import riskEngine from './riskEngine.js';
 
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
@@ -28,6 +29,13 @@ class TradovateClient {
     this.mdAccessToken = null;
     this.websocket = null;
     this.isConnected = false;
+    this.isAuthorized = false;
+    this.shouldReconnect = false;
+    this.webSocketRequestId = 0;
+    this.webSocketHeartbeat = null;
+    this.lastWebSocketMessageAt = null;
+    this.quoteSubscriptions = new Set();
+    this.quoteListeners = new Set();
 
     // Initialize rate limiter
     this.rateLimiter = new RateLimiter({
@@ -442,15 +450,33 @@ class TradovateClient {
     }
   }
 
+  /**
+   * Post an order request, optionally through the rate limiter
+   * Every new order passes the pre-trade risk checks first (options.risk is the check context)
+   */
+  async postOrder(endpoint, orderData, { rateLimited = false, risk = {} } = {}) {
+    await riskEngine.enforce(this, orderData, { ...risk, kind: 'place' });
+
+    if (!rateLimited) {
+      return this.api.post(endpoint, orderData);
+    }
+
+    return this.makeRateLimitedRequest(
+      () => this.api.post(endpoint, orderData),
+      `${endpoint}-${orderData.accountId}`
+    );
+  }
+
   /**
    * Place a trade order
+   * options.rateLimited routes the request through the rate limiter (used when fanning out to many accounts)
    */
-  async placeOrder(orderData) {
+  async placeOrder(orderData, options = {}) {
     try {
       logger.info(`Placing order: ${orderData.action} ${orderData.orderQty} ${orderData.symbol}`);
       logger.info(`📤 Order payload: ${JSON.stringify(orderData, null, 2)}`);
 
-      const response = await this.api.post('/order/placeorder', orderData);
+      const response = await this.postOrder('/order/placeorder', orderData, options);
 
       logger.info(`📥 Tradovate API response: ${JSON.stringify(response.data, null, 2)}`);
 
@@ -487,12 +513,12 @@ class TradovateClient {
   /**
    * Place a bracket order (One-Sends-Other) with stop loss and take profit
    */
-  async placeBracketOrder(orderData) {
+  async placeBracketOrder(orderData, options = {}) {
     try {
       logger.info(`Placing bracket order: ${orderData.action} ${orderData.orderQty} ${orderData.symbol}`);
       logger.info(`📤 Bracket order payload: ${JSON.stringify(orderData, null, 2)}`);
 
-      const response = await this.api.post('/order/placeOSO', orderData);
+      const response = await this.postOrder('/order/placeOSO', orderData, options);
 
       logger.info(`📥 Tradovate OSO API response: ${JSON.stringify(response.data, null, 2)}`);
 
@@ -536,6 +562,52 @@ class TradovateClient {
     }
   }
 
+  /**
+   * Place a One-Cancels-Other pair (e.g. stop + target exits attached after an entry fill)
+   * orderData is the first order; orderData.other is the second
+   */
+  async placeOCO(orderData, options = {}) {
+    try {
+      logger.info(`Placing OCO order: ${orderData.action} ${orderData.orderQty} ${orderData.symbol}`);
+      logger.info(`📤 OCO order payload: ${JSON.stringify(orderData, null, 2)}`);
+
+      const response = await this.postOrder('/order/placeOCO', orderData, options);
+
+      logger.info(`📥 Tradovate OCO API response: ${JSON.stringify(response.data, null, 2)}`);
+
+      if (response.data && response.data.orderId) {
+        logger.info(`✅ OCO order placed successfully. IDs: ${response.data.orderId} / ${response.data.ocoId}`);
+        return response.data;
+      } else {
+        const errorMsg = response.data?.errorText || 'OCO order placement failed - no orderId returned';
+        logger.error(`❌ OCO order placement failed: ${errorMsg}`);
+        throw new Error(errorMsg);
+      }
+    } catch (error) {
+      logger.error(`Failed to place OCO order: ${error.message}`);
+      if (error.response?.data) {
+        logger.error(`API Error Response: ${JSON.stringify(error.response.data, null, 2)}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the fills for a single order
+   */
+  async getOrderFills(orderId) {
+    try {
+      const response = await this.makeRateLimitedRequest(
+        () => this.api.get(`/fill/deps?masterid=${orderId}`),
+        `get-order-fills-${orderId}`
+      );
+      return response.data || [];
+    } catch (error) {
+      logger.error(`Failed to get fills for order ${orderId}: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Cancel an order
    */
@@ -555,10 +627,12 @@ class TradovateClient {
 
   /**
    * Modify an existing order (for trailing stop activation)
+   * options.risk: { accountId, symbol } so the new prices can be checked against the last quote
    */
-  async modifyOrder(orderModification) {
+  async modifyOrder(orderModification, options = {}) {
     try {
       logger.info(`🔧 Modifying order ${orderModification.orderId}`);
+      await riskEngine.enforce(this, orderModification, { ...options.risk, kind: 'modify' });
       logger.info(`📤 Modification payload: ${JSON.stringify(orderModification, null, 2)}`);
 
       const response = await this.api.post('/order/modifyorder', orderModification);
@@ -584,37 +658,30 @@ class TradovateClient {
   }
 
   /**
-   * Connect to WebSocket for real-time data
+   * Connect to the market data WebSocket for real-time quotes
+   * Tradovate frames: 'o' open, 'h' heartbeat, 'a[...]' data, 'c' close;
+   * requests are sent as "url\nid\n\nbody" and the socket must be kept alive with '[]'
    */
   connectWebSocket() {
     if (this.websocket) {
+      this.websocket.removeAllListeners();
       this.websocket.close();
     }
 
     logger.info(`Connecting to WebSocket: ${this.wsUrl}`);
 
+    this.shouldReconnect = true;
+    this.isAuthorized = false;
     this.websocket = new WebSocket(this.wsUrl);
 
     this.websocket.on('open', () => {
       logger.info('✅ WebSocket connected');
       this.isConnected = true;
-
-      // Authenticate WebSocket connection
-      if (this.mdAccessToken) {
-        this.websocket.send(JSON.stringify({
-          i: 0,
-          d: {
-            url: 'auth/accesstokenrequest',
-            body: { accessToken: this.mdAccessToken }
-          }
-        }));
-      }
     });
 
     this.websocket.on('message', (data) => {
       try {
-        const message = JSON.parse(data);
-        this.handleWebSocketMessage(message);
+        this.handleWebSocketFrame(data.toString());
       } catch (error) {
         logger.error(`WebSocket message parse error: ${error.message}`);
       }
@@ -623,10 +690,12 @@ class TradovateClient {
     this.websocket.on('close', () => {
       logger.warn('WebSocket disconnected');
       this.isConnected = false;
+      this.isAuthorized = false;
+      this.stopWebSocketHeartbeat();
 
       // Attempt to reconnect after 5 seconds
       setTimeout(() => {
-        if (!this.isConnected) {
+        if (!this.isConnected && this.shouldReconnect) {
           logger.info('Attempting WebSocket reconnection...');
           this.connectWebSocket();
         }
@@ -638,32 +707,118 @@ class TradovateClient {
     });
   }
 
+  /**
+   * Handle a raw WebSocket frame
+   */
+  handleWebSocketFrame(frame) {
+    this.lastWebSocketMessageAt = Date.now();
+
+    switch (frame[0]) {
+      case 'o':
+        // Server is ready - authorize with the market data token
+        this.sendWebSocketRequest('authorize', this.mdAccessToken || this.accessToken, 0);
+        this.startWebSocketHeartbeat();
+        break;
+      case 'a':
+        for (const message of JSON.parse(frame.slice(1))) {
+          this.handleWebSocketMessage(message);
+        }
+        break;
+      case 'c':
+        logger.warn(`WebSocket closed by server: ${frame.slice(1)}`);
+        break;
+      default:
+        // 'h' heartbeat
+        break;
+    }
+  }
+
   /**
    * Handle incoming WebSocket messages
    */
   handleWebSocketMessage(message) {
+    // Authorization response (request id 0) - re-subscribe anything requested before the (re)connect
+    if (message.i === 0 && message.s !== undefined) {
+      this.isAuthorized = message.s === 200;
+      if (this.isAuthorized) {
+        logger.info('✅ WebSocket authorized');
+        for (const symbol of this.quoteSubscriptions) {
+          this.sendWebSocketRequest('md/subscribeQuote', JSON.stringify({ symbol }));
+        }
+      } else {
+        logger.error(`❌ WebSocket authorization failed: ${JSON.stringify(message.d)}`);
+      }
+      return;
+    }
+
+    if (message.e === 'md' && message.d?.quotes) {
+      for (const quote of message.d.quotes) {
+        for (const listener of this.quoteListeners) {
+          listener(quote);
+        }
+      }
+    }
+
     // Forward real-time data to connected clients
     if (global.io && message.d) {
       global.io.emit('market_data', message.d);
     }
   }
 
+  sendWebSocketRequest(url, body = '', id = null) {
+    if (!this.websocket || !this.isConnected) {
+      return false;
+    }
+
+    const requestId = id ?? ++this.webSocketRequestId;
+    this.websocket.send(`${url}\n${requestId}\n\n${body ?? ''}`);
+    return true;
+  }
+
+  startWebSocketHeartbeat() {
+    this.stopWebSocketHeartbeat();
+    this.webSocketHeartbeat = setInterval(() => {
+      if (this.websocket && this.isConnected) {
+        this.websocket.send('[]');
+      }
+    }, 2500);
+  }
+
+  stopWebSocketHeartbeat() {
+    if (this.webSocketHeartbeat) {
+      clearInterval(this.webSocketHeartbeat);
+      this.webSocketHeartbeat = null;
+    }
+  }
+
+  /**
+   * Register a callback for real-time quotes ({ contractId, timestamp, entries: { Bid, Offer, Trade } })
+   */
+  addQuoteListener(listener) {
+    this.quoteListeners.add(listener);
+    return () => this.quoteListeners.delete(listener);
+  }
+
   /**
    * Subscribe to market data
+   * Subscriptions are remembered and re-sent after a reconnect
    */
   subscribeToQuote(symbol) {
-    if (this.websocket && this.isConnected) {
-      this.websocket.send(JSON.stringify({
-        i: Date.now(),
-        d: {
-          url: 'md/subscribequote',
-          body: { symbol }
-        }
-      }));
+    this.quoteSubscriptions.add(symbol);
+
+    if (this.isAuthorized && this.sendWebSocketRequest('md/subscribeQuote', JSON.stringify({ symbol }))) {
       logger.info(`Subscribed to quotes for ${symbol}`);
     }
   }
 
+  unsubscribeFromQuote(symbol) {
+    this.quoteSubscriptions.delete(symbol);
+
+    if (this.isAuthorized && this.sendWebSocketRequest('md/unsubscribeQuote', JSON.stringify({ symbol }))) {
+      logger.info(`Unsubscribed from quotes for ${symbol}`);
+    }
+  }
+
   /**
    * Get current account balance and equity
    */
@@ -1053,6 +1208,8 @@ class TradovateClient {
    * Cleanup and close connections
    */
   disconnect() {
+    this.shouldReconnect = false;
+    this.stopWebSocketHeartbeat();
     if (this.websocket) {
       this.websocket.close();
     }
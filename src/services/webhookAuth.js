@@ -0,0 +1,236 @@
+import crypto from 'crypto';
+import winston from 'winston';
+import database from './database.js';
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.printf(({ timestamp, level, message }) => {
+      return `${timestamp} [WEBHOOK-AUTH-${level.toUpperCase()}]: ${message}`;
+    })
+  ),
+  transports: [new winston.transports.Console()]
+});
+
+const AUTH_MODES = ['legacy', 'secret', 'hmac', 'hmac_or_secret'];
+
+/**
+ * Webhook Authentication Service
+ * Verifies plaintext secrets or HMAC-SHA256 signatures with timestamp and nonce replay protection
+ *
+ * Signature scheme:
+ *   X-Webhook-Timestamp: unix time in seconds
+ *   X-Webhook-Nonce:     optional unique value (the signature itself is used when omitted)
+ *   X-Webhook-Signature: hex HMAC-SHA256 (optionally prefixed "sha256=") of
+ *                        "<timestamp>.<raw body>" or "<timestamp>.<nonce>.<raw body>" when a nonce is sent
+ */
+class WebhookAuthService {
+  constructor() {
+    const mode = (process.env.WEBHOOK_AUTH_MODE || 'legacy').toLowerCase();
+    this.mode = AUTH_MODES.includes(mode) ? mode : 'legacy';
+    if (mode !== this.mode) {
+      logger.warn(`Unknown WEBHOOK_AUTH_MODE "${mode}", falling back to legacy`);
+    }
+    if (this.mode === 'legacy') {
+      logger.warn('WEBHOOK_AUTH_MODE=legacy: /autotrader and the /webhook/<profile> endpoints accept signals without authentication - set WEBHOOK_AUTH_MODE=secret or hmac to protect them');
+    }
+
+    this.toleranceSeconds = parseInt(process.env.WEBHOOK_SIGNATURE_TOLERANCE_SECONDS) || 300;
+  }
+
+  /**
+   * Active HMAC secrets - several may be configured at once to allow key rotation
+   */
+  getHmacSecrets() {
+    const configured = process.env.WEBHOOK_HMAC_SECRETS || process.env.WEBHOOK_SECRET || '';
+    return configured.split(',').map(secret => secret.trim()).filter(Boolean);
+  }
+
+  /**
+   * Verify an incoming webhook request
+   * Returns { authenticated, method, reason }
+   */
+  verify(req, endpoint) {
+    // Legacy mode keeps the original behaviour: only /tradingview checks the plaintext secret
+    if (this.mode === 'legacy') {
+      if (endpoint !== 'tradingview' || !process.env.WEBHOOK_SECRET) {
+        return { authenticated: true, method: 'none' };
+      }
+      return this.verifySecret(req);
+    }
+
+    if (this.mode === 'secret') {
+      return this.verifySecret(req);
+    }
+
+    if (this.mode === 'hmac') {
+      return this.verifySignature(req, endpoint);
+    }
+
+    // hmac_or_secret: prefer the signature when one is presented
+    if (req.headers['x-webhook-signature']) {
+      return this.verifySignature(req, endpoint);
+    }
+    return this.verifySecret(req);
+  }
+
+  /**
+   * Verify the plaintext shared secret (header or body)
+   */
+  verifySecret(req) {
+    const expected = process.env.WEBHOOK_SECRET;
+    if (!expected) {
+      return { authenticated: false, method: 'secret', reason: 'secret_not_configured' };
+    }
+
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const provided = req.headers['x-webhook-secret'] || body.secret;
+
+    if (!provided) {
+      return { authenticated: false, method: 'secret', reason: 'missing_secret' };
+    }
+
+    if (!this.safeEqual(String(provided), expected)) {
+      return { authenticated: false, method: 'secret', reason: 'invalid_secret' };
+    }
+
+    return { authenticated: true, method: 'secret' };
+  }
+
+  /**
+   * Verify the HMAC signature, timestamp freshness and nonce uniqueness
+   */
+  verifySignature(req, endpoint) {
+    const secrets = this.getHmacSecrets();
+    if (secrets.length === 0) {
+      return { authenticated: false, method: 'hmac', reason: 'hmac_not_configured' };
+    }
+
+    const signatureHeader = req.headers['x-webhook-signature'];
+    const timestampHeader = req.headers['x-webhook-timestamp'];
+    const nonce = req.headers['x-webhook-nonce'] || null;
+
+    if (!signatureHeader) {
+      return { authenticated: false, method: 'hmac', reason: 'missing_signature' };
+    }
+    if (!timestampHeader) {
+      return { authenticated: false, method: 'hmac', reason: 'missing_timestamp' };
+    }
+
+    // Accept seconds or milliseconds
+    let timestampSeconds = parseInt(timestampHeader);
+    if (!Number.isFinite(timestampSeconds)) {
+      return { authenticated: false, method: 'hmac', reason: 'invalid_timestamp' };
+    }
+    if (timestampSeconds > 1e12) {
+      timestampSeconds = Math.floor(timestampSeconds / 1000);
+    }
+
+    const ageSeconds = Math.floor(Date.now() / 1000) - timestampSeconds;
+    if (Math.abs(ageSeconds) > this.toleranceSeconds) {
+      return { authenticated: false, method: 'hmac', reason: 'stale_timestamp', ageSeconds };
+    }
+
+    const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+    const signedPayload = nonce
+      ? `${timestampHeader}.${nonce}.${rawBody}`
+      : `${timestampHeader}.${rawBody}`;
+    const provided = String(signatureHeader).replace(/^sha256=/i, '').trim().toLowerCase();
+
+    const secretIndex = secrets.findIndex(secret => {
+      const expected = crypto.createHmac('sha256', secret).update(signedPayload).digest('hex');
+      return this.safeEqual(provided, expected);
+    });
+
+    if (secretIndex === -1) {
+      return { authenticated: false, method: 'hmac', reason: 'invalid_signature' };
+    }
+
+    // Block replays within the tolerance window
+    const nonceKey = nonce ? `nonce:${nonce}` : `sig:${provided}`;
+    const accepted = database.recordWebhookNonce(nonceKey, endpoint, this.toleranceSeconds * 2 * 1000);
+    if (!accepted) {
+      return { authenticated: false, method: 'hmac', reason: 'replayed_request' };
+    }
+
+    return { authenticated: true, method: 'hmac', secretIndex };
+  }
+
+  /**
+   * Record a failed authentication attempt
+   */
+  recordFailure(req, endpoint, authResult) {
+    const reason = authResult.reason || 'unknown';
+
+    logger.warn(`🔒 Rejected ${endpoint} webhook from ${req.ip}: ${reason}`);
+
+    try {
+      const counters = database.getSystemStatus('webhook_auth_failures') || {};
+      const updated = {
+        total: (counters.total || 0) + 1,
+        byReason: { ...(counters.byReason || {}) },
+        byEndpoint: { ...(counters.byEndpoint || {}) },
+        lastFailureAt: new Date().toISOString()
+      };
+      updated.byReason[reason] = (updated.byReason[reason] || 0) + 1;
+      updated.byEndpoint[endpoint] = (updated.byEndpoint[endpoint] || 0) + 1;
+      database.setSystemStatus('webhook_auth_failures', updated);
+
+      database.logActivity(
+        'auth_failure',
+        `Unauthenticated ${endpoint} webhook rejected: ${reason}`,
+        {
+          endpoint,
+          reason,
+          method: authResult.method,
+          ip: req.ip,
+          userAgent: req.headers['user-agent'] || null
+        },
+        'warning'
+      );
+    } catch (error) {
+      logger.error(`Failed to record auth failure: ${error.message}`);
+    }
+
+    if (global.io) {
+      global.io.emit('webhook_auth_failed', {
+        endpoint,
+        reason,
+        ip: req.ip,
+        timestamp: new Date().toISOString()
+      });
+    }
+  }
+
+  /**
+   * Get authentication failure counters
+   */
+  getFailureStats() {
+    const counters = database.getSystemStatus('webhook_auth_failures') || {};
+    return {
+      mode: this.mode,
+      total: counters.total || 0,
+      byReason: counters.byReason || {},
+      byEndpoint: counters.byEndpoint || {},
+      lastFailureAt: counters.lastFailureAt || null
+    };
+  }
+
+  /**
+   * Constant-time string comparison
+   */
+  safeEqual(a, b) {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    if (bufferA.length !== bufferB.length) {
+      return false;
+    }
+    return crypto.timingSafeEqual(bufferA, bufferB);
+  }
+}
+
+// Create singleton instance
+const webhookAuth = new WebhookAuthService();
+
+export default webhookAuth;
@@ -0,0 +1,37 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { stubTradovate } from './helpers.js';
+import { processTradeSignal, resolveSignalAccounts } from '../../src/services/tradeExecutor.js';
+
+before(() => {
+  stubTradovate({
+    async getAccounts() {
+      return [{ id: 5, name: 'EVAL1' }, { id: 7, name: 'LIVE12' }, { id: 12, name: 'FUNDED' }];
+    }
+  });
+});
+
+test('an account is matched by exact id first, then by exact name (case-insensitive)', async () => {
+  assert.deepEqual(await resolveSignalAccounts({ action: 'BUY', symbol: 'NQ1!', account: '12' }), [12]);
+  assert.deepEqual(await resolveSignalAccounts({ action: 'BUY', symbol: 'NQ1!', account: 'live12' }), [7]);
+});
+
+test('only an unnamed account falls back to the first account', async () => {
+  assert.deepEqual(await resolveSignalAccounts({ action: 'BUY', symbol: 'NQ1!', account: 'default' }), [5]);
+  assert.deepEqual(await resolveSignalAccounts({ action: 'BUY', symbol: 'NQ1!' }), [5]);
+});
+
+test('a partial name never selects an account', async () => {
+  assert.deepEqual(await resolveSignalAccounts({ action: 'BUY', symbol: 'NQ1!', account: 'EVAL' }), []);
+});
+
+test('signals for an unknown named account fail instead of trading another account', async () => {
+  await assert.rejects(
+    processTradeSignal({ action: 'BUY', symbol: 'NQ1!', quantity: 1, account: 'NOPE', source: 'test' }),
+    /Account NOPE not found/
+  );
+  await assert.rejects(
+    processTradeSignal({ action: 'CLOSE', symbol: 'NQ1!', quantity: 0, account: '99', systemExit: true, source: 'test' }),
+    /Account 99 not found/
+  );
+});
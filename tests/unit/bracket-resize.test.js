@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { stubTradovate } from './helpers.js';
+import positionMonitor from '../../src/services/positionMonitor.js';
+import { processTradeSignal } from '../../src/services/tradeExecutor.js';
+
+test('scaling out resizes a multi-target bracket as a group', async () => {
+  const sizes = {};
+  const calls = stubTradovate({
+    async getOrderFills() {
+      return [{ price: 20000, qty: 4, contractId: 77 }];
+    },
+    async getOrderDetails(id) {
+      return { id, orderQty: sizes[id], orderType: 'Limit', price: 20005 };
+    }
+  });
+
+  await processTradeSignal({
+    action: 'BUY',
+    symbol: 'NQ1!',
+    quantity: 4,
+    account: 'EVAL1',
+    source: 'test',
+    stopTicks: 40,
+    targets: [{ percent: 50, ticks: 20 }, { percent: 25, ticks: 40 }]
+  });
+
+  const [group] = positionMonitor.bracketGroups.values();
+  assert.deepEqual(group.targets.map(target => target.quantity), [2, 1]);
+
+  const [tp1, tp2] = group.targets.map(target => target.orderId);
+  const workingOrders = [group.stopOrderId, tp1, tp2].map(id => ({ id, accountId: 1, contractId: 77, action: 'Sell', ordStatus: 'Working' }));
+  Object.assign(sizes, { [group.stopOrderId]: 4, [tp1]: 2, [tp2]: 1 });
+  stubTradovate({
+    async getPositions() {
+      return [{ contractId: 77, netPos: 4 }];
+    },
+    async getOrders() {
+      return workingOrders;
+    },
+    async getOrderDetails(id) {
+      return { id, orderQty: sizes[id], orderType: id === group.stopOrderId ? 'Stop' : 'Limit', stopPrice: id === group.stopOrderId ? 19990 : undefined, price: 20005 };
+    },
+    async modifyOrder(modification) {
+      calls.push(['modify', modification.orderId, modification.orderQty]);
+      return { orderId: modification.orderId };
+    },
+    async cancelOrder(orderId) {
+      calls.push(['cancel', orderId]);
+    }
+  });
+  calls.length = 0;
+
+  const result = await processTradeSignal({ action: 'SCALE_OUT', symbol: 'NQ1!', quantity: 2, account: 'EVAL1', source: 'test' });
+
+  assert.equal(result.status, 'submitted');
+  // The stop still covers the whole position, TP1 keeps its half and TP2 rounds to zero
+  assert.deepEqual(calls.filter(([kind]) => kind !== 'place'), [
+    ['modify', group.stopOrderId, 2],
+    ['modify', tp1, 1],
+    ['cancel', tp2]
+  ]);
+
+  const [resized] = positionMonitor.bracketGroups.values();
+  assert.equal(resized.remainingQuantity, 2);
+  assert.deepEqual(resized.targets.map(target => [target.orderId, target.quantity]), [[tp1, 1]]);
+});
@@ -0,0 +1,10 @@
+// Test environment - imported before any service so they pick up a throwaway database
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'slingshot-test-'));
+
+process.env.DATABASE_PATH = path.join(dir, 'slingshot.db');
+process.env.REPORTS_DIR = path.join(dir, 'reports');
+process.env.LOG_LEVEL = 'error';
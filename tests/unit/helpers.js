@@ -0,0 +1,75 @@
+import './env.js';
+import database from '../../src/services/database.js';
+import TradovateClient from '../../src/services/tradovateClient.js';
+import positionMonitor from '../../src/services/positionMonitor.js';
+
+database.initialize();
+database.setSystemStatus('trading_enabled', true);
+
+// Monitoring loops aren't needed - entries only register with the monitor
+positionMonitor.start = () => {};
+positionMonitor.isRunning = true;
+
+const { postOrder } = TradovateClient.prototype;
+
+/**
+ * Replace the Tradovate API with canned responses
+ * Orders sent through postOrder still pass the risk engine; only the HTTP call is faked.
+ * Returns the log of broker calls: ['place', action, qty, orderType], ['modify', id, qty], ['cancel', id]
+ */
+export function stubTradovate(overrides = {}) {
+  const calls = [];
+  let nextOrderId = 100;
+
+  Object.assign(TradovateClient.prototype, {
+    async authenticate() {
+      this.accessToken = 'test-token';
+    },
+    async getAccounts() {
+      return [{ id: 1, name: 'EVAL1' }];
+    },
+    isCacheValid: () => true,
+    getCachedContract: () => true,
+    async getCurrentContract(symbol) {
+      return { contractName: symbol.startsWith('ES') ? 'ESZ5' : 'NQZ5', contractId: 77, expirationDate: '2025-12-19' };
+    },
+    async getContract() {
+      return { name: 'NQZ5' };
+    },
+    async getPositions() {
+      return [];
+    },
+    async getOrders() {
+      return [];
+    },
+    async getOrderFills() {
+      return [];
+    },
+    async getOrderDetails(id) {
+      return { id, orderQty: 1 };
+    },
+    async postOrder(endpoint, orderData, options) {
+      this.api = {
+        post: async () => {
+          calls.push(['place', orderData.action, orderData.orderQty, orderData.orderType]);
+          return { data: { orderId: ++nextOrderId } };
+        }
+      };
+      return postOrder.call(this, endpoint, orderData, options);
+    },
+    async modifyOrder(modification) {
+      calls.push(['modify', modification.orderId, modification.orderQty]);
+      return { orderId: modification.orderId };
+    },
+    async cancelOrder(orderId) {
+      calls.push(['cancel', orderId]);
+    },
+    ...overrides
+  });
+
+  return calls;
+}
+
+export const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export { database };
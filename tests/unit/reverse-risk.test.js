@@ -0,0 +1,34 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { stubTradovate } from './helpers.js';
+import accountGuard from '../../src/services/accountGuard.js';
+import { processTradeSignal } from '../../src/services/tradeExecutor.js';
+
+const isTradingAllowed = accountGuard.isTradingAllowed;
+let calls;
+
+beforeEach(() => {
+  accountGuard.isTradingAllowed = isTradingAllowed;
+  calls = stubTradovate({
+    async getPositions() {
+      return [{ contractId: 77, netPos: 2 }];
+    }
+  });
+});
+
+test('REVERSE on a locked account only closes - the opening leg is rejected by the risk engine', async () => {
+  accountGuard.isTradingAllowed = () => ({ allowed: false, code: 'account_locked', reason: 'Daily loss limit hit' });
+
+  const result = await processTradeSignal({ action: 'REVERSE', symbol: 'NQ1!', account: 'EVAL1', source: 'test' });
+
+  assert.equal(result.status, 'partial');
+  assert.equal(result.reason, 'risk_rejected');
+  assert.deepEqual(calls, [['place', 'Sell', 2, 'Market']]);
+});
+
+test('REVERSE on an open account closes and opens the other side', async () => {
+  const result = await processTradeSignal({ action: 'REVERSE', symbol: 'NQ1!', account: 'EVAL1', source: 'test' });
+
+  assert.equal(result.status, 'submitted');
+  assert.deepEqual(calls.map(([kind, action]) => [kind, action]), [['place', 'Sell'], ['place', 'Sell']]);
+});
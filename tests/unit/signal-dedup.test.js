@@ -0,0 +1,63 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { stubTradovate, database } from './helpers.js';
+import webhookRoutes from '../../src/routes/webhook.js';
+import signalQueue from '../../src/services/signalQueue.js';
+
+let server;
+let baseUrl;
+
+before(() => {
+  stubTradovate();
+  // Keep signals queued - only the webhook's dedup decision is under test
+  signalQueue.stop();
+
+  const app = express();
+  app.use(express.json());
+  app.use('/webhook', webhookRoutes);
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}/webhook`;
+});
+
+after(() => {
+  server.close();
+});
+
+async function send(body, headers = {}) {
+  const response = await fetch(`${baseUrl}/tradingview`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  return response.json();
+}
+
+test('a re-fired alert is suppressed and replays the original outcome', async () => {
+  const alert = { action: 'buy', symbol: 'ES1!', qty: 1, strategy: 'DEDUP', price: 5000 };
+
+  const first = await send(alert);
+  const second = await send(alert);
+
+  assert.equal(first.status, 'queued');
+  assert.equal(second.duplicate, true);
+  assert.equal(second.result.queueId, first.queueId);
+  assert.equal(database.getQueuedSignalsByStatus(['pending']).filter(item => item.signal.strategy === 'DEDUP').length, 1);
+});
+
+test('a different price is a new signal', async () => {
+  const first = await send({ action: 'sell', symbol: 'ES1!', qty: 1, strategy: 'PRICE', price: 5000 });
+  const second = await send({ action: 'sell', symbol: 'ES1!', qty: 1, strategy: 'PRICE', price: 5001 });
+
+  assert.equal(second.status, 'queued');
+  assert.notEqual(second.queueId, first.queueId);
+});
+
+test('an explicit idempotency key suppresses a resend even when the payload changes', async () => {
+  const first = await send({ action: 'buy', symbol: 'NQ1!', qty: 1 }, { 'Idempotency-Key': 'alert-42' });
+  const second = await send({ action: 'buy', symbol: 'NQ1!', qty: 2 }, { 'Idempotency-Key': 'alert-42' });
+
+  assert.equal(first.status, 'queued');
+  assert.equal(second.duplicate, true);
+  assert.equal(second.result.queueId, first.queueId);
+});
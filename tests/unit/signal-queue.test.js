@@ -0,0 +1,68 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { stubTradovate, sleep, database } from './helpers.js';
+import signalQueue from '../../src/services/signalQueue.js';
+
+const events = [];
+
+before(() => {
+  stubTradovate({
+    async getAccounts() {
+      return [{ id: 1, name: 'A' }, { id: 2, name: 'B' }];
+    },
+    async placeOrder(order) {
+      events.push(`start ${order.accountId} ${order.action} ${order.symbol}`);
+      await sleep(50);
+      events.push(`end ${order.accountId} ${order.action} ${order.symbol}`);
+      return { orderId: events.length };
+    }
+  });
+  database.saveAccountGroup({
+    name: 'G',
+    members: [{ account: 'A', multiplier: 1, enabled: true }, { account: 'B', multiplier: 1, enabled: true }],
+    enabled: true
+  });
+});
+
+async function waitForQueue() {
+  while (signalQueue.getStats().depth > 0) {
+    await sleep(10);
+  }
+}
+
+test('group and single-account signals share the resolved account+symbol key', async () => {
+  events.length = 0;
+  const group = await signalQueue.enqueue({ action: 'BUY', symbol: 'NQ1!', quantity: 1, accountGroup: 'G', source: 'test' });
+  const single = await signalQueue.enqueue({ action: 'SELL', symbol: 'NQ1!', quantity: 1, account: 'a', source: 'test' });
+  const other = await signalQueue.enqueue({ action: 'BUY', symbol: 'ES1!', quantity: 1, account: 'A', source: 'test' });
+
+  assert.deepEqual([group, single, other].map(id => database.getQueuedSignal(id).queue_key), ['1:NQ,2:NQ', '1:NQ', '1:ES']);
+
+  await waitForQueue();
+
+  // The account A sell waits for the group buy; the ES signal doesn't wait for either
+  assert.ok(events.indexOf('start 1 Sell NQZ5') > events.indexOf('end 1 Buy NQZ5'));
+  assert.ok(events.indexOf('start 1 Buy ESZ5') < events.indexOf('end 1 Buy NQZ5'));
+  assert.deepEqual([group, single, other].map(id => database.getQueuedSignal(id).status), ['completed', 'completed', 'completed']);
+});
+
+test('a signal whose handler throws is marked failed and releases its key', async () => {
+  const completeQueuedSignal = database.completeQueuedSignal;
+  database.completeQueuedSignal = function (id, status, ...rest) {
+    if (status === 'completed') {
+      database.completeQueuedSignal = completeQueuedSignal;
+      throw new Error('database unavailable');
+    }
+    return completeQueuedSignal.call(this, id, status, ...rest);
+  };
+
+  const broken = await signalQueue.enqueue({ action: 'BUY', symbol: 'NQ1!', quantity: 1, account: 'B', source: 'test' });
+  const next = await signalQueue.enqueue({ action: 'SELL', symbol: 'NQ1!', quantity: 1, account: 'B', source: 'test' });
+
+  await waitForQueue();
+
+  assert.equal(database.getQueuedSignal(broken).status, 'failed');
+  assert.equal(database.getQueuedSignal(broken).error, 'database unavailable');
+  assert.equal(database.getQueuedSignal(next).status, 'completed');
+  assert.equal(signalQueue.getStats().activeWorkers, 0);
+});